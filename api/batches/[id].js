@@ -0,0 +1,53 @@
+/**
+ * Truth Gazette - Batch checks: progress and results
+ *
+ * GET /api/batches/:id
+ *   { id, status: running | waiting | done, hold, counts, rows: [...] }
+ *   Each row carries its verdict, confidence, tactic, verified source URLs
+ *   and report link once checked. hold is { code, until } while the batch is
+ *   waiting out the reader's rate limit (desk_busy) or daily quota (day_done).
+ *
+ * GET /api/batches/:id?format=csv
+ *   The same rows as a spreadsheet download. ?format=json&download=1 gives
+ *   the JSON as a file instead.
+ *
+ * Looking at an unfinished batch also starts its next run if none is going,
+ * which is how a long list gets through one function time limit after another.
+ */
+
+const batches = require('../../lib/batches');
+const { continueBatch } = require('./index');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const record = await batches.getBatch(req.query?.id);
+    if (!record) {
+      return res.status(404).json({ error: 'No batch with that id. Batches are kept for a week.', code: 'not_found' });
+    }
+
+    continueBatch(record);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.query?.format === 'csv') {
+      // Report links in a spreadsheet are no use without the site in front
+      const host = req.headers['x-forwarded-host'] || req.headers.host;
+      const proto = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+      const origin = host ? `${proto}://${host}` : '';
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="gazette-${record.id}.csv"`);
+      return res.status(200).send(batches.batchCsv(record, origin));
+    }
+    if (req.query?.download) {
+      res.setHeader('Content-Disposition', `attachment; filename="gazette-${record.id}.json"`);
+    }
+    return res.status(200).json(batches.publicBatch(record));
+
+  } catch (err) {
+    console.error('Batch status error:', err);
+    return res.status(500).json({ error: 'The edition did not make it to press.', code: 'press_failure' });
+  }
+};
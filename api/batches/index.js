@@ -0,0 +1,83 @@
+/**
+ * Truth Gazette - Batch checks: submit a list
+ *
+ * POST /api/batches
+ *   { csv: string } or { claims: [string | { text?, url?, id? }] }, plus
+ *   language? and sessionId?
+ *   202 { id, statusUrl, csvUrl, batch }
+ *
+ * A CSV may have a header row naming its claim, url and id columns; without
+ * one, the first column is the claim. Up to 200 rows. The submission is
+ * admitted as the first row, so a reader who is out of requests is turned away
+ * with a 429 rather than given a batch that cannot start. Every other row is
+ * admitted against the submitter's rate limit and daily quota as it comes up,
+ * so a batch runs at the pace the reader is allowed and waits out a spent day.
+ * Poll GET /api/batches/:id for progress; see [id].js.
+ */
+
+const { waitUntil } = require('@vercel/functions');
+const {
+  runInvestigation,
+  validateSubmission,
+  identifyReader,
+  admitReader,
+  deskError,
+  errorBody
+} = require('../investigate');
+const batches = require('../../lib/batches');
+
+// Starts the next run of a batch in the background, if it needs one and
+// nobody else is already on it. Each row is admitted as the submitter.
+function continueBatch(record) {
+  if (!batches.needsRun(record)) return;
+  const { ip, sessionId } = record.reader;
+  waitUntil(batches.runBatch(record.id, {
+    admit: () => admitReader(ip, sessionId),
+    runCheck: (row) => runInvestigation({ text: row.text, url: row.url, language: record.language })
+  }).catch(err => console.error('[batches] run failed:', err)));
+}
+
+async function submitBatch(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const reader = identifyReader(req);
+    const { csv, claims, language = '' } = req.body || {};
+
+    const rows = batches.readRows({ csv, claims });
+    if (!rows.length) {
+      throw deskError(400, 'A batch needs at least one claim to check.');
+    }
+    if (rows.length > batches.MAX_ROWS) {
+      throw deskError(400, `A batch can hold up to ${batches.MAX_ROWS} claims.`);
+    }
+    rows.forEach((row, i) => {
+      try {
+        validateSubmission({ text: row.text, url: row.url, language });
+      } catch (err) {
+        err.message = `Row ${i + 1}: ${err.message}`;
+        throw err;
+      }
+    });
+
+    await admitReader(reader.ip, reader.sessionId);
+    const record = await batches.createBatch({ rows, language, reader, admitted: 1 });
+    continueBatch(record);
+
+    return res.status(202).json({
+      id: record.id,
+      statusUrl: `/api/batches/${record.id}`,
+      csvUrl: `/api/batches/${record.id}?format=csv`,
+      batch: batches.publicBatch(record)
+    });
+
+  } catch (err) {
+    if (!err.status) console.error('Batch submission error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+}
+
+module.exports = submitBatch;
+module.exports.continueBatch = continueBatch;
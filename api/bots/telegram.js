@@ -0,0 +1,73 @@
+/**
+ * Truth Gazette - Telegram bot webhook
+ *
+ * POST /api/bots/telegram
+ *   X-Telegram-Bot-Api-Secret-Token: <TELEGRAM_WEBHOOK_SECRET>
+ *   A Bot API Update. Always 200 once accepted; the check runs after the
+ *   answer and the reader is replied to in the chat. See lib/telegram.js.
+ *
+ * Off (404) unless both TELEGRAM_BOT_TOKEN and TELEGRAM_WEBHOOK_SECRET are
+ * set. Register it with Telegram's setWebhook, passing the same secret as
+ * secret_token, so nobody else can post updates here and spend the bot's
+ * quota.
+ */
+
+const crypto = require('crypto');
+const { waitUntil } = require('@vercel/functions');
+const {
+  runInvestigation,
+  validateSubmission,
+  admitReader,
+  deskError,
+  errorBody
+} = require('../investigate');
+const telegram = require('../../lib/telegram');
+
+// The report link has to be absolute in a chat
+function siteOrigin(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  const proto = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return host ? `${proto}://${host}` : '';
+}
+
+// Telegram sends the secret_token it was given with every update. Without a
+// secret set there is nothing to tell its updates from anyone else's.
+function fromTelegram(req) {
+  const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+  const given = req.headers['x-telegram-bot-api-secret-token'];
+  if (!expected || !given) return false;
+  const digest = (value) => Buffer.from(crypto.createHash('sha256').update(value).digest('hex'));
+  return crypto.timingSafeEqual(digest(expected), digest(String(given)));
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!telegram.configured() || !process.env.TELEGRAM_WEBHOOK_SECRET) {
+      throw deskError(404, 'The Telegram bot is not set up here.', 'not_found');
+    }
+    if (!fromTelegram(req)) {
+      throw deskError(401, 'This webhook only takes updates from Telegram.', 'unauthorized');
+    }
+
+    const origin = siteOrigin(req);
+    // Telegram waits for the answer before sending the chat's next update,
+    // and sends this one again if the answer is slow, so the check runs after
+    waitUntil(telegram.handleUpdate(req.body, {
+      admit: (chatId) => admitReader('telegram', `tg:${chatId}`),
+      check: (submission) => {
+        validateSubmission(submission);
+        return runInvestigation(submission);
+      },
+      origin
+    }).catch(err => console.error('[telegram] update failed:', err)));
+    return res.status(200).json({ ok: true });
+
+  } catch (err) {
+    if (!err.status) console.error('Telegram webhook error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Truth Gazette - Filed checks
+ *
+ * GET /api/checks/:id
+ *   { id, createdAt, claim, result, groundingMetadata }
+ *
+ * GET /api/checks/:id?format=claimreview
+ *   The same report as schema.org ClaimReview JSON-LD, for republishing.
+ *   Add download=1 to get it as a file.
+ *
+ * GET /api/checks/:id?format=drift
+ *   { id, drift }: what scheduled re-checks have found since the report was
+ *   filed (sources gone dead or archived, a changed verdict), or drift: null
+ *   before the first one. See lib/recheck.js.
+ *
+ * Backs the /check/:id permalink page. A filed report never changes, so it
+ * can be cached hard; re-checking a claim files a new report under a new id.
+ * Only its drift moves, and that is cached for minutes.
+ */
+
+const permalinks = require('../../lib/permalinks');
+const { claimReview } = require('../../lib/claimreview');
+const recheck = require('../../lib/recheck');
+
+// Every URL in ClaimReview markup has to be absolute
+function siteOrigin(req) {
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  const proto = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return host ? `${proto}://${host}` : '';
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const record = await permalinks.getCheck(req.query?.id);
+    if (!record) {
+      return res.status(404).json({ error: 'There is no report filed under that link.', code: 'not_found' });
+    }
+
+    if (req.query?.format === 'drift') {
+      res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=600');
+      return res.status(200).json({ id: record.id, drift: recheck.publicDrift(await recheck.getDrift(record.id)) });
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=300, s-maxage=86400');
+
+    if (req.query?.format === 'claimreview') {
+      const markup = claimReview(record, siteOrigin(req));
+      if (!markup) {
+        return res.status(404).json({ error: 'This report has no checked claim to review.', code: 'not_found' });
+      }
+      // Other sites embed this, so let their pages fetch it
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Content-Type', 'application/ld+json; charset=utf-8');
+      if (req.query?.download) {
+        res.setHeader('Content-Disposition', `attachment; filename="claimreview-${record.id}.jsonld"`);
+      }
+      return res.status(200).send(JSON.stringify(markup, null, 2));
+    }
+    // Which API key filed it is the desk's business, not the reader's
+    const { apiKeyId, ...report } = record;
+    return res.status(200).json(report);
+
+  } catch (err) {
+    console.error('Check lookup error:', err);
+    return res.status(500).json({ error: 'The edition did not make it to press.', code: 'press_failure' });
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Truth Gazette - Classroom: answer a claim
+ *
+ * POST /api/classes/:code/answers
+ *   { claimId, guess: "REAL" | "FAKE" | "UNCERTAIN", sessionId? }
+ *   200 { claimId, guess, counted, check }
+ *
+ * The guess is recorded first and only then is the filed report handed back,
+ * which is the whole point: a verdict you have already seen is not a
+ * prediction. Answering the same claim again returns the report but keeps the
+ * first guess.
+ */
+
+const { identifyReader, deskError, errorBody } = require('../../investigate');
+const classroom = require('../../../lib/classroom');
+const permalinks = require('../../../lib/permalinks');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const record = await classroom.getClass(req.query?.code);
+    if (!record) {
+      throw deskError(404, 'There is no class with that code.', 'not_found');
+    }
+
+    const { sessionId } = identifyReader(req);
+    const { claimId = '', guess = '' } = req.body || {};
+    if (!sessionId || sessionId === 'anon') {
+      throw deskError(400, 'Answers need a session id, so each student is counted once.');
+    }
+
+    const answer = await classroom.recordAnswer(record, {
+      claimId: String(claimId),
+      student: String(sessionId).slice(0, 64),
+      guess: String(guess).toUpperCase()
+    });
+    if (!answer.ok && answer.reason === 'no_claim') {
+      throw deskError(404, 'That claim is not part of this class.', 'not_found');
+    }
+    if (!answer.ok && answer.reason === 'not_ready') {
+      const failed = answer.claim.status === 'failed';
+      throw deskError(409, failed
+        ? 'This claim could not be checked. Skip it.'
+        : 'This claim is still being checked. Try again in a moment.', failed ? 'check_failed' : 'not_ready');
+    }
+    if (!answer.ok) {
+      throw deskError(400, 'A guess is REAL, FAKE or UNCERTAIN.');
+    }
+
+    const check = await permalinks.getCheck(answer.claim.checkId);
+    if (!check) {
+      throw deskError(404, 'The report for this claim is no longer on file.', 'not_found');
+    }
+
+    return res.status(200).json({ claimId: answer.claim.id, guess: answer.guess, counted: answer.counted, check });
+
+  } catch (err) {
+    if (!err.status) console.error('Class answer error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+};
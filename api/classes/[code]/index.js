@@ -0,0 +1,34 @@
+/**
+ * Truth Gazette - Classroom: join a class
+ *
+ * GET /api/classes/:code
+ *   { code, title, language, createdAt, claims: [{ id, text, url, status }] }
+ *
+ * status is pending, ready or failed. A student page polls this while claims
+ * are still being checked, which also starts the next run of checks if the
+ * last one ran out of time. Verdicts are not here; see answers.js.
+ */
+
+const classroom = require('../../../lib/classroom');
+const { continueClass } = require('../index');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const record = await classroom.getClass(req.query?.code);
+    if (!record) {
+      return res.status(404).json({ error: 'There is no class with that code.', code: 'not_found' });
+    }
+
+    continueClass(record);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(classroom.publicClass(record));
+
+  } catch (err) {
+    console.error('Class lookup error:', err);
+    return res.status(500).json({ error: 'The edition did not make it to press.', code: 'press_failure' });
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Truth Gazette - Classroom: how the room did
+ *
+ * GET /api/classes/:code/results
+ *   Authorization: Bearer <teacher token>
+ *   { code, title, createdAt, students, claims: [...], tactics: [...] }
+ *
+ * Each claim carries its verdict, the split of guesses and the share that
+ * matched the report. Tactics pool the claims whose reports named them, most
+ * often missed first. Counts only; no student is named or listed.
+ */
+
+const { deskError, errorBody } = require('../../investigate');
+const { presentedKey } = require('../../../lib/apikeys');
+const classroom = require('../../../lib/classroom');
+const { continueClass } = require('../index');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const record = await classroom.getClass(req.query?.code);
+    if (!record) {
+      throw deskError(404, 'There is no class with that code.', 'not_found');
+    }
+    if (!classroom.isTeacher(record, presentedKey(req))) {
+      throw deskError(401, 'The results need the teacher link this class was started with.', 'unauthorized');
+    }
+
+    continueClass(record);
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json(await classroom.classResults(record));
+
+  } catch (err) {
+    if (!err.status) console.error('Class results error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+};
@@ -0,0 +1,84 @@
+/**
+ * Truth Gazette - Classroom: start a class
+ *
+ * POST /api/classes
+ *   { title?, claims: [string | { text?, url? }], language?, sessionId? }
+ *   201 { code, teacherToken, joinPath, resultsPath, class }
+ *
+ * Each claim is a check, and the class is admitted as one request for all of
+ * them against the teacher's own rate limit and daily quota. A class the rest
+ * of the day cannot cover is refused with a 429 and spends none of it. The
+ * checks then run in the background; students can join straight away and
+ * each claim opens as its report is filed.
+ *
+ * The teacher token is returned once. It is what opens the results.
+ *
+ * Looking at the class (GET /api/classes/:code, or its results) starts
+ * another run for any claim still pending, so a class gets through its
+ * checks even when one function's time runs out first.
+ */
+
+const { waitUntil } = require('@vercel/functions');
+const {
+  runInvestigation,
+  validateSubmission,
+  identifyReader,
+  admitReader,
+  deskError,
+  errorBody
+} = require('../investigate');
+const classroom = require('../../lib/classroom');
+
+// Starts the next run of a class's checks in the background, if claims are
+// still pending and nobody else is already on them. The claims were admitted
+// against the teacher when the class was made, so they are not admitted again.
+function continueClass(record) {
+  if (!classroom.needsPreparing(record)) return;
+  waitUntil(classroom.prepareClass(
+    record.code,
+    (claim) => runInvestigation({ text: claim.text, url: claim.url, language: record.language })
+  ).catch(err => console.error('[classroom] run failed:', err)));
+}
+
+async function startClass(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { ip, sessionId } = identifyReader(req);
+    const { title = '', claims: rawClaims, language = '' } = req.body || {};
+
+    const claims = classroom.readClaims(rawClaims);
+    if (!claims.length) {
+      throw deskError(400, 'A class needs at least one claim to check.');
+    }
+    if (claims.length > classroom.MAX_CLAIMS) {
+      throw deskError(400, `A class can hold up to ${classroom.MAX_CLAIMS} claims.`);
+    }
+    for (const claim of claims) {
+      validateSubmission({ text: claim.text, url: claim.url, language });
+    }
+
+    await admitReader(ip, sessionId, { checks: claims.length });
+
+    const { record, teacherToken } = await classroom.createClass({ title, claims, language });
+
+    continueClass(record);
+
+    return res.status(201).json({
+      code: record.code,
+      teacherToken,
+      joinPath: `/class/${record.code}`,
+      resultsPath: `/class/${record.code}/results`,
+      class: classroom.publicClass(record)
+    });
+
+  } catch (err) {
+    if (!err.status) console.error('Class creation error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+}
+
+module.exports = startClass;
+module.exports.continueClass = continueClass;
@@ -4,15 +4,22 @@
  * 
  * Key features:
  * - ALWAYS enables Google Search grounding
+ * - Pluggable model providers (Gemini, OpenAI-compatible, Ollama) via GEN_PROVIDER
  * - Strict prompt to prevent URL hallucination
  * - Server-side source verification with fallback to Web Archive
  * - Rate limiting (Upstash Redis or in-memory fallback) (Kinda optional)
- * - Response caching
+ * - Response caching (Upstash or a bounded in-memory LRU, see lib/cache.js)
  */
 
 const fetchModule = require('node-fetch');
 const fetch = fetchModule.default || fetchModule;
 const crypto = require('crypto');
+const { getProvider } = require('../lib/providers');
+const { safeFetch, isBlockedHost } = require('../lib/safefetch');
+const factchecks = require('../lib/factchecks');
+const cache = require('../lib/cache');
+const fixtures = require('../lib/fixtures');
+const fetchpool = require('../lib/fetchpool');
 
 // ============================================================================
 // SOURCE VERIFICATION HELPERS
@@ -41,25 +48,12 @@ function detectHallucinatedURL(url) {
   return false;
 }
 
-async function fetchWithTimeout(url, opts = {}, timeout = 8000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  try {
-    const res = await fetch(url, { ...opts, signal: controller.signal, redirect: 'follow' });
-    clearTimeout(id);
-    return res;
-  } catch (e) {
-    clearTimeout(id);
-    throw e;
-  }
-}
-
 async function tryWebArchive(url) {
   try {
     const cdxUrl = `https://web.archive.org/cdx/search/cdx?url=${encodeURIComponent(url)}&output=json&limit=1`;
-    const r = await fetchWithTimeout(cdxUrl, { method: 'GET' }, 5000);
-    if (!r.ok) return null;
-    const data = await r.json();
+    const r = await safeFetch(cdxUrl, { timeout: 5000, maxBytes: 50000, types: ['application/json', 'text/*'] });
+    if (!r.ok || !r.text) return null;
+    const data = JSON.parse(r.text);
     if (Array.isArray(data) && data.length > 1 && data[1]?.[1]) {
       return `https://web.archive.org/web/${data[1][1]}/${url}`;
     }
@@ -67,11 +61,6 @@ async function tryWebArchive(url) {
   return null;
 }
 
-function isPrivateIP(hostname) {
-  const blocked = /^(localhost|127\.|192\.168\.|10\.|172\.(1[6-9]|2[0-9]|3[01])\.|0\.0\.|::1|fc00|fe80)/i;
-  return blocked.test(hostname);
-}
-
 async function verifySourceURL(url) {
   const result = {
     url,
@@ -80,6 +69,8 @@ async function verifySourceURL(url) {
     finalUrl: null,
     title: null,
     archivedUrl: null,
+    publishedAt: null,
+    modifiedAt: null,
     error: null
   };
 
@@ -90,7 +81,7 @@ async function verifySourceURL(url) {
 
   try {
     const urlObj = new URL(url);
-    if (isPrivateIP(urlObj.hostname)) {
+    if (isBlockedHost(urlObj.hostname)) {
       result.error = 'private-ip-blocked';
       return result;
     }
@@ -100,16 +91,11 @@ async function verifySourceURL(url) {
   }
 
   try {
-    // Try HEAD first (faster)
-    let response;
-    try {
-      response = await fetchWithTimeout(url, { method: 'HEAD' }, 5000);
-    } catch (e) { /* HEAD blocked, try GET */ }
-
-    // Fall back to GET
-    if (!response || !response.ok) {
-      response = await fetchWithTimeout(url, { method: 'GET' }, 8000);
-    }
+    // GET, not HEAD: the page is read anyway, to check the snippet credited to
+    // it and whether it is about the claim at all, so a HEAD only ever added
+    // a round trip in front of the GET. The page comes from the check's pool
+    // (lib/fetchpool.js), so the helpers below read this same download.
+    const response = await fetchpool.fetchPage(url, { timeout: 8000 });
 
     result.status = response.status;
     result.finalUrl = response.url;
@@ -118,11 +104,13 @@ async function verifySourceURL(url) {
       result.verified = true;
       result.verifiedAt = new Date().toISOString();
       // Try to extract title from HTML
-      const contentType = response.headers.get('content-type') || '';
-      if (contentType.includes('text/html')) {
-        const html = await response.text();
+      if (response.text !== null) {
+        const html = response.text;
         const titleMatch = html.match(/<title[^>]*>([^<]+)<\/title>/i);
         if (titleMatch) result.title = titleMatch[1].trim();
+        // Kept for the snippet and relevance checks, so neither fetches again
+        result.pageText = pageTextOf(html);
+        Object.assign(result, pageDatesOf(html, result.finalUrl || url));
       }
     } else {
       // Try Web Archive
@@ -132,11 +120,18 @@ async function verifySourceURL(url) {
         result.verified = true;
         result.verifiedAt = new Date().toISOString();
         result.error = 'original-404-archived-found';
+        Object.assign(result, pageDatesOf('', url));
       } else {
         result.error = `http-${response.status}`;
       }
     }
   } catch (e) {
+    // Resolved or redirected somewhere private. Not a dead link, and not one
+    // to go looking for in the archive either.
+    if (e.code === 'blocked-address') {
+      result.error = 'private-ip-blocked';
+      return result;
+    }
     result.error = 'fetch-failed';
     // Try Web Archive as last resort
     const archived = await tryWebArchive(url);
@@ -145,6 +140,7 @@ async function verifySourceURL(url) {
       result.verified = true;
       result.verifiedAt = new Date().toISOString();
       result.error = 'original-unreachable-archived-found';
+      Object.assign(result, pageDatesOf('', url));
     }
   }
 
@@ -155,23 +151,22 @@ async function verifySourceURL(url) {
 // RATE LIMITING
 // ============================================================================
 
-let useUpstash = false;
-let rateLimit, redisClient;
+const { redisClient, useUpstash } = require('../lib/store');
+const permalinks = require('../lib/permalinks');
+const pictures = require('../lib/pictures');
+const picturemeta = require('../lib/picturemeta');
+const outlets = require('../lib/outlets');
+const recheck = require('../lib/recheck');
+let rateLimit;
 const LOCAL_STATE = new Map();
 
 try {
   const { Ratelimit } = require('@upstash/ratelimit');
-  const { Redis } = require('@upstash/redis');
-  if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
-    redisClient = new Redis({
-      url: process.env.UPSTASH_REDIS_REST_URL,
-      token: process.env.UPSTASH_REDIS_REST_TOKEN
-    });
+  if (redisClient) {
     rateLimit = new Ratelimit({
       redis: redisClient,
       limiter: Ratelimit.fixedWindow(parseInt(process.env.RATE_LIMIT_PER_MIN || '20', 10), '1 m')
     });
-    useUpstash = true;
   }
 } catch (e) { /* Upstash not configured */ }
 
@@ -190,8 +185,10 @@ function cleanSnippetText(raw) {
     .replace(/\\r\\n|\\n|\\r|\\t/g, ' ')
     .replace(/\\"/g, '"')
     .replace(/\\'/g, "'")
-    // Real control characters and exotic whitespace
-    .replace(/[\r\n\t\v\f\u00a0\u1680\u2000-\u200d\u2028\u2029\u202f\u205f\u3000\ufeff]+/g, ' ')
+    // Real control characters and exotic whitespace. Zero-width joiners
+    // (U+200C, U+200D) are left alone: Bangla, Malayalam and Persian spelling
+    // depends on them, and a space in their place splits the word.
+    .replace(/[\r\n\t\v\f\u00a0\u1680\u2000-\u200b\u2028\u2029\u202f\u205f\u3000\ufeff]+/g, ' ')
     // Citation markers and markdown decoration
     .replace(/\[\d+\]/g, ' ')
     .replace(/[*_`#>]+/g, ' ')
@@ -216,7 +213,7 @@ function toReadableSnippet(raw, maxLen = 160) {
   // Something with no actual words in it is punctuation, not a snippet. A lone
   // quote character was reaching source cards this way, because the
   // terminal-punctuation test below counts `"` as a finished sentence.
-  if (!/[A-Za-zÀ-ɏऀ-ॿঀ-৿஀-௿]{2,}/.test(s)) return '';
+  if (!/[\p{L}\p{M}]{2,}/u.test(s)) return '';
 
   // Grounding support segments are slices of the model's own answer, and that
   // answer is JSON — so a segment starting at the top of the response arrives
@@ -228,7 +225,7 @@ function toReadableSnippet(raw, maxLen = 160) {
   if (s.length > maxLen) {
     const window = s.slice(0, maxLen);
     // Prefer cutting at a sentence boundary, otherwise at the last whole word
-    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+    const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '), window.lastIndexOf('। '));
     if (sentenceEnd > maxLen * 0.5) {
       s = window.slice(0, sentenceEnd + 1);
     } else {
@@ -236,12 +233,12 @@ function toReadableSnippet(raw, maxLen = 160) {
       s = (lastSpace > 0 ? window.slice(0, lastSpace) : window).replace(/[,;:\-–—]+$/, '');
       // Only mark it as truncated if the cut didn't happen to land on a
       // complete sentence — otherwise we'd emit "…the figure.…".
-      if (!/[.!?]$/.test(s)) s += '…';
+      if (!/[.!?।。؟]$/.test(s)) s += '…';
     }
   }
 
   s = s.charAt(0).toUpperCase() + s.slice(1);
-  if (!/[.!?…"')\]]$/.test(s)) s += '.';
+  if (!/[.!?…"')\]।॥。！？؟]$/.test(s)) s += '.';
   return s;
 }
 
@@ -269,25 +266,14 @@ function decodeEntities(str) {
 // source its own line. The page itself always has one, and it is genuinely
 // that source's words rather than something borrowed from a sibling result.
 async function fetchPageMeta(url) {
-  const meta = { description: '', title: '' };
+  const meta = { description: '', title: '', text: '', publishedAt: null, modifiedAt: null };
   if (!url || !url.startsWith('http')) return meta;
 
   try {
-    const urlObj = new URL(url);
-    if (isPrivateIP(urlObj.hostname)) return meta;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      // Some publishers serve a stub to non-browser agents
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; TruthGazette/1.0; +https://truthgazette.vercel.app)' }
-    }, 4000);
-    if (!response.ok) return meta;
-
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) return meta;
-
-    // The <head> is all we need; no reason to parse a megabyte of article body
-    const html = (await response.text()).slice(0, 200000);
+    // Usually already downloaded by verifySourceURL; see lib/fetchpool.js
+    const response = await fetchpool.fetchPage(url, { timeout: 4000 });
+    if (!response.ok || response.text === null) return meta;
+    const html = response.text;
 
     // Headlines are full of apostrophes ("India's", "World's"), so an attribute
     // pattern of [^"']* truncates them mid-word. Capture the opening quote and
@@ -310,6 +296,9 @@ async function fetchPageMeta(url) {
       pick(attr('property=["\']og:title["\']'), 2) ||
       pick(/<title[^>]*>([^<]+)<\/title>/i);
 
+    meta.text = pageTextOf(html);
+    Object.assign(meta, pageDatesOf(html, response.url || url));
+
     // Plenty of pages ship no description meta at all (Wikipedia among them).
     // The first substantial paragraph is a fair stand-in.
     if (!meta.description) {
@@ -334,26 +323,19 @@ async function fetchPageMeta(url) {
 // to the model and hoping search finds it. The interface promises we fetch the
 // page, so we fetch the page.
 async function fetchArticleText(url, maxChars = 4000) {
-  const out = { title: '', text: '', fetched: false };
+  const out = { title: '', text: '', fetched: false, publishedAt: null };
   if (!url || !/^https?:\/\//i.test(url)) return out;
 
   try {
-    const parsed = new URL(url);
-    if (isPrivateIP(parsed.hostname)) return out;
-
-    const response = await fetchWithTimeout(url, {
-      method: 'GET',
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; TruthGazette/1.0; +https://truthgazette.vercel.app)' }
-      // Every site that lets us read it answers in well under half a second.
-      // Sites that block us either refuse immediately or hang, so a long
-      // timeout only ever buys dead waiting.
-    }, 4000);
-    if (!response.ok) return out;
+    // Every site that lets us read it answers in well under half a second.
+    // Sites that block us either refuse immediately or hang, so a long
+    // timeout only ever buys dead waiting.
+    const response = await fetchpool.fetchPage(url, { timeout: 4000 });
+    if (!response.ok || response.text === null) return out;
 
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('text/html')) return out;
-
-    let html = (await response.text()).slice(0, 600000);
+    let html = response.text;
+    // Before the scripts go: the date is often only in the JSON-LD
+    out.publishedAt = pageDatesOf(html, response.url || url).publishedAt;
 
     // Drop everything that isn't article copy before extracting
     html = html
@@ -394,8 +376,11 @@ function isInformativeDescription(text, url) {
   if (!text) return false;
 
   const words = text.trim().split(/\s+/);
+  // Chinese, Japanese and Thai do not put spaces between words, so a word
+  // count means nothing there and length has to do the job alone.
+  const unspaced = /[\u0e00-\u0e7f\u3040-\u30ff\u3400-\u9fff]/.test(text);
   // Needs to be a real sentence, not a label or a headline fragment
-  if (text.length < 50 || words.length < 9) return false;
+  if (unspaced ? text.length < 30 : (text.length < 50 || words.length < 9)) return false;
 
   const junk = [
     // Site boilerplate
@@ -425,10 +410,12 @@ function isInformativeDescription(text, url) {
   // actual sentence in them.
   const commas = (text.match(/,/g) || []).length;
   if (commas >= 4 && !/[.!?]/.test(text)) return false;
-  if (commas > words.length / 3) return false;
+  if (!unspaced && commas > words.length / 3) return false;
 
-  // Needs at least one lowercase run; ALL-CAPS blurbs are banners, not prose
-  if (!/[a-z]{3}/.test(text)) return false;
+  // Needs at least one lowercase run; ALL-CAPS blurbs are banners, not prose.
+  // Scripts without case (Devanagari, Bangla, Tamil, Arabic, CJK) are exempt.
+  const caseless = /[^\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}\p{M}\p{P}\p{N}\p{S}\s]/u.test(text);
+  if (!caseless && !/\p{Ll}{3}/u.test(text)) return false;
 
   // A bare domain root is a section or landing page, not the article the claim
   // actually rests on, so its description describes the outlet, not the story.
@@ -440,6 +427,297 @@ function isInformativeDescription(text, url) {
   return true;
 }
 
+// ============================================================================
+// IS THE SNIPPET ON THE PAGE?
+// A card's line of text is either the page's own words or something written
+// about the page: a grounding segment is a slice of the model's answer, and a
+// source the model cited arrives with the model's summary of it. The README
+// promises that an excerpt missing from the page gets flagged, so every
+// printed snippet is compared with the text of the page it is credited to.
+// ============================================================================
+
+// At or above this the card can present its line as the page's own words;
+// between the two it is our summary of the page; below, it was not found.
+const SNIPPET_QUOTE = 0.85;
+const SNIPPET_SUMMARY = 0.45;
+
+// Body copy plus the title and meta descriptions, since a snippet taken from
+// the page's own blurb comes from there rather than from the body.
+function pageTextOf(html, maxChars = 150000) {
+  if (!html) return '';
+  const head = (html.match(/<meta[^>]+content=(["'])([\s\S]*?)\1/gi) || [])
+    .map(tag => (tag.match(/content=(["'])([\s\S]*?)\1/i) || [])[2] || '');
+  const body = html
+    .replace(/<(script|style|noscript|svg|template)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ');
+  return decodeEntities(head.join(' ') + ' ' + body).replace(/\s+/g, ' ').trim().slice(0, maxChars);
+}
+
+function normaliseForMatch(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Words, or for scripts written without spaces, pairs of characters, which is
+// the closest thing to a word that can be found without a dictionary.
+function matchTokens(normalised) {
+  if (!normalised) return [];
+  if (/[\u0e00-\u0e7f\u3040-\u30ff\u3400-\u9fff]/.test(normalised)) {
+    const chars = [...normalised.replace(/\s+/g, '')];
+    return chars.slice(0, -1).map((c, i) => c + chars[i + 1]);
+  }
+  return normalised.split(' ').filter(w => w.length > 1 || /\p{N}/u.test(w));
+}
+
+// { score, label }. The score is the share of the snippet's words found on
+// the page, averaged with the share of its word pairs found in the same
+// order, so a faithful quote scores near 1 and a paraphrase built from the
+// page's vocabulary lands in the middle. Null when there is nothing to check.
+function snippetMatch(snippet, pageText) {
+  if (!snippet) return null;
+  if (!pageText) return { score: null, label: 'unchecked' };
+
+  const needle = normaliseForMatch(snippet);
+  const haystack = normaliseForMatch(pageText);
+  if (needle && haystack.includes(needle)) return { score: 1, label: 'quote' };
+
+  const words = matchTokens(needle);
+  if (words.length < 3) return { score: null, label: 'unchecked' };
+
+  const pageWords = matchTokens(haystack);
+  const vocabulary = new Set(pageWords);
+  const pairs = new Set(pageWords.slice(0, -1).map((w, i) => w + ' ' + pageWords[i + 1]));
+
+  const found = words.filter(w => vocabulary.has(w)).length / words.length;
+  const snippetPairs = words.slice(0, -1).map((w, i) => w + ' ' + words[i + 1]);
+  const inOrder = snippetPairs.filter(p => pairs.has(p)).length / snippetPairs.length;
+  const score = Math.round(((found + inOrder) / 2) * 100) / 100;
+
+  const label = score >= SNIPPET_QUOTE ? 'quote' : score >= SNIPPET_SUMMARY ? 'summary' : 'not_found';
+  return { score, label };
+}
+
+// ============================================================================
+// IS THE PAGE ABOUT THE CLAIM?
+// Search grounding returns pages that are related to a claim without being
+// about it, and a report that cites a page on the same minister's other
+// speech looks better sourced than it is. Each verified page is scored on
+// whether it mentions the claim's names, figures and dates.
+// ============================================================================
+
+// Below this a page is withheld as off-topic rather than printed
+const RELEVANCE_FLOOR = 0.2;
+// Below this, on average, the sources are too loosely related to lean on
+const RELEVANCE_WEAK = 0.4;
+
+const RELEVANCE_STOPWORDS = new Set([
+  'the', 'a', 'an', 'this', 'that', 'these', 'those', 'it', 'he', 'she', 'they', 'we', 'i', 'you',
+  'in', 'on', 'at', 'of', 'to', 'for', 'by', 'and', 'or', 'but', 'is', 'are', 'was', 'were', 'be',
+  'has', 'have', 'had', 'will', 'not', 'no', 'all', 'every', 'just', 'now', 'today', 'yesterday',
+  'breaking', 'news', 'urgent', 'forward', 'forwarded', 'share', 'viral', 'says', 'said'
+]);
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// The zero of each run of decimal digits a claim is likely to be written in:
+// ASCII, Arabic-Indic, the Indic scripts, Thai and full-width.
+const DIGIT_ZEROS = [0x30, 0x660, 0x6f0, 0x966, 0x9e6, 0xa66, 0xae6, 0xb66, 0xbe6, 0xc66, 0xce6, 0xd66, 0xe50, 0xff10];
+
+function asciiDigits(text) {
+  return String(text || '').replace(/\p{Nd}/gu, d => {
+    const cp = d.codePointAt(0);
+    const zero = DIGIT_ZEROS.find(z => cp >= z && cp <= z + 9);
+    return zero == null ? d : String(cp - zero);
+  });
+}
+
+const isYear = (n) => /^(1[89]|20)\d\d$/.test(n);
+
+// Figures with two or more digits; "3" turns up on every page ever printed
+function figuresIn(text) {
+  return (asciiDigits(text).match(/\d[\d,]*(?:\.\d+)?/g) || [])
+    .map(n => n.replace(/,/g, '').replace(/\.0+$/, ''))
+    .filter(n => n.replace('.', '').length >= 2);
+}
+
+const mostlyLatin = (text) => {
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  return letters > 0 && (text.match(/\p{Script=Latin}/gu) || []).length > letters / 2;
+};
+
+// What a page would have to mention to be about this claim. Names are
+// capitalised runs in cased scripts; Hindi, Bangla or Tamil have no
+// capitals, so their longer words stand in.
+function claimFeatures(text) {
+  const claim = String(text || '').slice(0, 3000);
+  if (!claim.trim()) return null;
+  const latin = mostlyLatin(claim);
+
+  let names = latin
+    ? (claim.match(/\p{Lu}[\p{L}\p{M}'’.-]*(?:\s+\p{Lu}[\p{L}\p{M}'’.-]*)*/gu) || [])
+    : (claim.match(/[\p{L}\p{M}]{4,}/gu) || []);
+  names = [...new Set(names.flatMap(name => normaliseForMatch(name).split(' ')))]
+    .filter(w => w.length > 1 && !RELEVANCE_STOPWORDS.has(w) && !MONTH_NAMES.includes(w));
+
+  const figures = figuresIn(claim);
+  const dates = [...new Set([
+    ...figures.filter(isYear),
+    ...MONTH_NAMES.filter(m => new RegExp(`\\b${m}\\b`, 'i').test(claim))
+  ])];
+  const numbers = [...new Set(figures.filter(n => !isYear(n)))];
+
+  // Nothing distinctive at all: fall back on the longer words
+  if (!names.length && !numbers.length && !dates.length) {
+    names = [...new Set(normaliseForMatch(claim).split(' '))].filter(w => w.length >= 5 && !RELEVANCE_STOPWORDS.has(w));
+  }
+  if (!names.length && !numbers.length && !dates.length) return null;
+  return { latin, names: names.slice(0, 25), numbers, dates };
+}
+
+// 0 to 1, or null when the page could not be read or shares no script with
+// the claim and no figures to compare. Names weigh most, then figures, then
+// dates; only the kinds the claim actually contains are counted.
+function relevanceOf(features, pageText) {
+  if (!features || !pageText) return null;
+  const words = new Set(normaliseForMatch(asciiDigits(pageText)).split(' '));
+  const pageFigures = new Set(figuresIn(pageText));
+  const share = (list, has) => list.filter(has).length / list.length;
+
+  const parts = [];
+  // A Hindi claim checked against an English page cannot be compared word by word
+  if (features.names.length && features.latin === mostlyLatin(pageText)) {
+    parts.push([0.5, share(features.names, w => words.has(w))]);
+  }
+  if (features.numbers.length) parts.push([0.3, share(features.numbers, n => pageFigures.has(n))]);
+  if (features.dates.length) parts.push([0.2, share(features.dates, d => words.has(d))]);
+  if (!parts.length) return null;
+
+  const weight = parts.reduce((sum, [w]) => sum + w, 0);
+  return Math.round((parts.reduce((sum, [w, v]) => sum + w * v, 0) / weight) * 100) / 100;
+}
+
+// ============================================================================
+// WHEN WAS IT PUBLISHED?
+// "Old photo, new caption" is the most common fake on the desk: a genuine
+// picture or story from years ago, forwarded as if it happened this week.
+// Every source can be real and fetched and still give the wrong impression,
+// and the date on the page is what catches it. Publishers state the date in
+// several places, some more carefully than others, so they are read in order:
+// structured data, the article meta tags, <time> elements, and last a date in
+// the URL itself.
+// ============================================================================
+
+// Evidence this much older than the claim is flagged as outdated
+const OUTDATED_DAYS = 365;
+// Earlier than this is a CMS default, not a publication date
+const EARLIEST_PUBLICATION = Date.UTC(1995, 0, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A date as the publisher wrote it, cut to the day in the publisher's own
+// time zone. Null for anything that is not a real, past date.
+function publicationDay(value) {
+  const raw = String(value || '').trim();
+  if (!/(?:^|\D)(?:19|20)\d\d(?:\D|$)/.test(raw)) return null;
+  const ymd = raw.match(/^((?:19|20)\d\d)-(\d\d)-(\d\d)(?!\d)/);
+  const time = ymd ? Date.UTC(+ymd[1], +ymd[2] - 1, +ymd[3]) : Date.parse(raw);
+  if (!Number.isFinite(time) || time < EARLIEST_PUBLICATION || time > Date.now() + DAY_MS) return null;
+  // 2019-02-31 rolls over into March; treat it as the junk it is
+  if (ymd && new Date(time).getUTCMonth() !== +ymd[2] - 1) return null;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// /2019/03/15/ or /2019-03-15-, and failing that /2019/03/, which is
+// only good to the month
+function urlDateOf(url) {
+  const archived = String(url || '').match(/^https?:\/\/web\.archive\.org\/web\/[^/]+\/(https?:\/\/.+)$/i);
+  let path = '';
+  try { path = new URL(archived ? archived[1] : url).pathname; } catch (e) { return null; }
+  const day = path.match(/\/((?:19|20)\d\d)[/-](0[1-9]|1[0-2])[/-](0[1-9]|[12]\d|3[01])(?=[/_.-]|$)/);
+  if (day) return publicationDay(`${day[1]}-${day[2]}-${day[3]}`);
+  const month = path.match(/\/((?:19|20)\d\d)\/(0[1-9]|1[0-2])(?=\/)/);
+  return month && publicationDay(`${month[1]}-${month[2]}-01`) ? `${month[1]}-${month[2]}` : null;
+}
+
+// datePublished and dateModified from the page's JSON-LD. Only the top-level
+// entries and an @graph are read: nested objects are often other articles
+// ("related stories"), each with a date of its own.
+function jsonLdDates(html) {
+  const dates = { published: null, modified: null };
+  const blocks = html.match(/<script[^>]+application\/ld\+json[^>]*>[\s\S]*?<\/script>/gi) || [];
+  for (const block of blocks) {
+    const body = block.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, '').replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[)|(?:-->|\/\/\s*\]\]>)\s*$/g, '');
+    let nodes = [];
+    try {
+      const parsed = JSON.parse(body);
+      nodes = [].concat(parsed).flatMap(node => [node].concat(Array.isArray(node?.['@graph']) ? node['@graph'] : []));
+    } catch (e) {
+      // Plenty of sites ship JSON-LD with a stray comma; the first values still count
+      const field = (name) => (body.match(new RegExp(`"${name}"\\s*:\\s*"([^"]+)"`)) || [])[1];
+      nodes = [{ datePublished: field('datePublished'), dateModified: field('dateModified') }];
+    }
+    for (const node of nodes) {
+      if (!node || typeof node !== 'object') continue;
+      dates.published = dates.published || publicationDay(node.datePublished) || publicationDay(node.uploadDate);
+      dates.modified = dates.modified || publicationDay(node.dateModified);
+    }
+    if (dates.published) break;
+  }
+  return dates;
+}
+
+// { publishedAt, modifiedAt } for a page, each YYYY-MM-DD (or YYYY-MM from a
+// URL) or null. With no HTML, only the URL is read.
+function pageDatesOf(html, url) {
+  html = String(html || '');
+  const metaContent = (names) => {
+    for (const name of names) {
+      const named = `(?:property|name|itemprop)=["']${name}["']`;
+      const m = html.match(new RegExp(`<meta[^>]+${named}[^>]*content=(["'])([^"']*)\\1`, 'i')) ||
+        html.match(new RegExp(`<meta[^>]+content=(["'])([^"']*)\\1[^>]*${named}`, 'i'));
+      const day = m && publicationDay(m[2]);
+      if (day) return day;
+    }
+    return null;
+  };
+  // A <time> marked as the publication date, else the first one in the
+  // article, else the first on the page (sidebars carry dates of their own)
+  const timeOf = () => {
+    const marked = html.match(/<time[^>]+(?:itemprop=["']datePublished["']|pubdate)[^>]*>/i);
+    const scope = (html.match(/<article\b[\s\S]*?<\/article>/i) || [html])[0];
+    const tag = marked ? marked[0] : (scope.match(/<time[^>]+datetime=[^>]*>/i) || [])[0];
+    return tag ? publicationDay((tag.match(/datetime=(["'])([^"']+)\1/i) || [])[2]) : null;
+  };
+
+  const ld = html ? jsonLdDates(html) : {};
+  const publishedAt = ld.published ||
+    (html && metaContent(['article:published_time', 'datePublished', 'og:published_time', 'pubdate', 'publish-date', 'parsely-pub-date', 'sailthru.date', 'dc.date.issued', 'dc.date', 'date'])) ||
+    (html && timeOf()) ||
+    urlDateOf(url);
+  const modifiedAt = ld.modified ||
+    (html && metaContent(['article:modified_time', 'dateModified', 'og:updated_time', 'last-modified'])) ||
+    null;
+  // A modified date before the publication date is a template default
+  return { publishedAt: publishedAt || null, modifiedAt: modifiedAt && publishedAt && modifiedAt < publishedAt ? null : modifiedAt };
+}
+
+// When the claim says its events happened, as the model read it from the
+// claim ("now" for anything presented as current news), as a day to measure
+// the evidence against. A year or month means its first day.
+function claimDayOf(claimDate, articleDay, today) {
+  const said = String(claimDate || '').trim().toLowerCase();
+  if (said === 'now') return { day: articleDay || today, from: 'claim' };
+  const m = said.match(/^((?:19|20)\d\d)(?:-(0[1-9]|1[0-2])(?:-(0[1-9]|[12]\d|3[01]))?)?$/);
+  const day = m && publicationDay(`${m[1]}-${m[2] || '01'}-${m[3] || '01'}`);
+  if (day) return { day, from: 'claim' };
+  // The claim gives no time; the article it came in is at least when it was made
+  if (articleDay) return { day: articleDay, from: 'article' };
+  return null;
+}
+
+const daysBetween = (earlier, later) => Math.floor((Date.parse(later) - Date.parse(earlier)) / DAY_MS);
+
 // ============================================================================
 // JSON RECOVERY
 // The model is asked for bare JSON and usually complies, but it sometimes
@@ -548,37 +826,6 @@ function isRenderableSource(source) {
   return title.length >= 3 || /^https?:\/\//i.test(source.url);
 }
 
-// Platforms where anyone can publish anything. They are often where a claim is
-// *spreading*, which makes them useful context for the model, but citing them
-// back to the reader as evidence would undercut the whole point of the tool.
-// A post is not a source. Filtered server-side so the count and the list agree.
-const NON_AUTHORITATIVE_HOSTS = [
-  'facebook.com', 'fb.com', 'fb.watch',
-  'instagram.com', 'threads.net',
-  'twitter.com', 'x.com', 't.co',
-  'tiktok.com',
-  'youtube.com', 'youtu.be',
-  'reddit.com', 'quora.com',
-  'pinterest.com', 'tumblr.com',
-  'medium.com', 'substack.com',
-  'blogspot.com', 'wordpress.com', 'wixsite.com',
-  'linkedin.com',
-  'telegram.org', 't.me', 'whatsapp.com',
-  'vertexaisearch'
-];
-
-function isAuthoritativeSource(url) {
-  let host = '';
-  try { host = new URL(url).hostname.toLowerCase().replace(/^www\./, ''); } catch (e) { return false; }
-  // Grounding proxy links must never reach the reader, whatever shape they take
-  if (host.split('.').includes('vertexaisearch')) return false;
-
-  // Whole domains only. A substring test hides thequint.com, because
-  // "thequin(t.co)m" contains t.co — exactly the kind of silent over-blocking
-  // that quietly loses real sources.
-  return !NON_AUTHORITATIVE_HOSTS.some(bad => host === bad || host.endsWith('.' + bad));
-}
-
 function checkLocalRateLimit(key, limit) {
   const now = Date.now();
   const state = LOCAL_STATE.get(key) || { timestamps: [] };
@@ -591,13 +838,17 @@ function checkLocalRateLimit(key, limit) {
   return { success: true };
 }
 
-async function checkDailyQuota(sessionId, limit) {
+// `checks` are taken all at once or not at all: a request the rest of the day
+// cannot cover gives back what it took, so a class of twelve claims with ten
+// checks left in the day spends none of them.
+async function checkDailyQuota(sessionId, limit, checks = 1) {
   const dayKey = new Date().toISOString().slice(0, 10);
   
   if (useUpstash && redisClient) {
     const key = `quota:${sessionId}:${dayKey}`;
-    const count = await redisClient.incr(key);
-    if (count === 1) await redisClient.expire(key, 90000); // 25 hours
+    const count = await redisClient.incrby(key, checks);
+    if (count === checks) await redisClient.expire(key, 90000); // 25 hours
+    if (count > limit && checks > 1) await redisClient.decrby(key, checks);
     return { allowed: count <= limit, remaining: Math.max(0, limit - count) };
   }
   
@@ -605,13 +856,16 @@ async function checkDailyQuota(sessionId, limit) {
   const key = `daily:${sessionId}`;
   const state = LOCAL_STATE.get(key) || { day: dayKey, count: 0 };
   if (state.day !== dayKey) { state.day = dayKey; state.count = 0; }
-  state.count++;
+  const count = state.count + checks;
+  if (count <= limit || checks === 1) state.count = count;
   LOCAL_STATE.set(key, state);
-  return { allowed: state.count <= limit, remaining: Math.max(0, limit - state.count) };
+  return { allowed: count <= limit, remaining: Math.max(0, limit - count) };
 }
 
-// Browser OCR runs in English. Point it at Devanagari, Bangla, Tamil or any
-// other non-Latin script and it does not fail — it returns a long stream of
+// Browser OCR picks its language data from the script it detects, but that
+// detection can miss, and older clients always scan in English. Point English
+// data at Devanagari, Bangla, Tamil or any other non-Latin script and it does
+// not fail — it returns a long stream of
 // plausible-looking Latin nonsense ("mwaE & i) 78 FAsam raH faumT"). That is
 // worse than an empty result: it is long enough to pass a length check, so the
 // picture never gets attached and the model is left to infer a claim from
@@ -644,137 +898,344 @@ function looksLikeOcrGarbage(raw) {
 }
 
 // ============================================================================
-// MAIN HANDLER
+// ERRORS AND PROGRESS EVENTS
 // ============================================================================
 
-module.exports = async (req, res) => {
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+// A failure the reader should hear about in the Gazette's own words. Carries
+// the HTTP status and the notice code the page turns into a notice, so the
+// pipeline can stop anywhere and the handler still answers the same way.
+function deskError(status, message, code, extra = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code || '';
+  Object.assign(err, extra);
+  return err;
+}
+
+function errorBody(err) {
+  if (!err || !err.status) {
+    return { error: 'The edition did not make it to press.', code: 'press_failure' };
+  }
+  const body = { error: err.message };
+  if (err.code) body.code = err.code;
+  if (err.retryAfter) body.retry_after = err.retryAfter;
+  return body;
+}
+
+// What the progress feed needs to know about one fetched source. Withheld means
+// reachable but a user-post platform, which the printed list never cites.
+function sourceEvent(url, verification) {
+  let domain = '';
+  try { domain = new URL(url).hostname.replace(/^www\./, ''); } catch (e) { /* leave blank */ }
+
+  let outcome = 'unreachable';
+  if (verification?.verified) {
+    outcome = verification.archivedUrl ? 'archived' : 'verified';
+    if (!outlets.isCitable(url)) outcome = 'withheld';
   }
 
+  return { url, domain, outcome, status: verification?.status ?? null };
+}
+
+// The loading screen used to cycle canned messages on a timer whatever the
+// server was doing. On a tool whose whole pitch is "we actually fetched it",
+// the real fetches are the most convincing thing we can show, so a client can
+// ask for them as Server-Sent Events on the same POST.
+function wantsEventStream(req) {
+  return req.query?.stream === '1' || /text\/event-stream/i.test(req.headers?.accept || '');
+}
+
+function openEventStream(res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Proxies that buffer would hold every event back until the report is done
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  return (event, data) => {
+    try {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (e) { /* reader went away; the check still finishes */ }
+  };
+}
+
+// ============================================================================
+// ADMISSION: VALIDATION, RATE LIMITING & QUOTAS
+// ============================================================================
+
+// BCP 47, loosely: a primary language and optional subtags (`hi`, `pt-BR`,
+// `zh-Hant`). Anything stranger is a typo or a probe, not a language.
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8}){0,3}$/i;
+
+// Tesseract language data names, joined with `+` (`hin+eng`, `chi_sim`).
+const OCR_LANGUAGE = /^[a-z_]{3,10}(?:\+[a-z_]{3,10}){0,4}$/;
+
+// The English name of a report language, for the prompt. Models follow
+// "write in Hindi" far more reliably than "write in hi".
+function languageName(tag) {
   try {
-    // Extract client info
-    const ip = (req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown').split(',')[0].trim();
-    const sessionId = req.body?.sessionId || req.headers['x-session-id'] || 'anon';
-    // Note: the reader's guess is intentionally NOT accepted here. Telling the
-    // model what the user already believes biases the verdict it produces.
-    const { text = '', url = '', image = null, ocrText = '' } = req.body || {};
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+  } catch (e) {
+    return tag;
+  }
+}
 
-    // ========================================================================
-    // INPUT VALIDATION
-    // ========================================================================
-    
-    // ocrText counts as input: the client no longer folds it into `text`, so an
-    // image-only submission arrives with text empty and the scan in ocrText.
-    if (!text && !url && !image && !ocrText) {
-      return res.status(400).json({ error: 'Please provide text, URL, or an image to analyze' });
-    }
-    if (text && text.length > 5000) {
-      return res.status(400).json({ error: 'Text is too long (max 5000 characters)' });
-    }
-    if (url && url.length > 2000) {
-      return res.status(400).json({ error: 'URL is too long' });
+// ocrText counts as input: the client no longer folds it into `text`, so an
+// image-only submission arrives with text empty and the scan in ocrText.
+function validateSubmission({ text = '', url = '', image = null, imageHash = '', ocrText = '', language = '', ocrLanguage = '', split, pageUrl = '', pictureIsCopy } = {}) {
+  if (!text && !url && !image && !ocrText) {
+    throw deskError(400, 'Please provide text, URL, or an image to analyze');
+  }
+  if (text && text.length > 5000) {
+    throw deskError(400, 'Text is too long (max 5000 characters)');
+  }
+  if (url && url.length > 2000) {
+    throw deskError(400, 'URL is too long');
+  }
+  if (pageUrl && (typeof pageUrl !== 'string' || pageUrl.length > 2000 || !/^https?:\/\//i.test(pageUrl))) {
+    throw deskError(400, 'pageUrl should be the http(s) address of the page the claim was found on');
+  }
+  if (image && image.length > 15 * 1024 * 1024) {
+    throw deskError(400, 'Image is too large (max 15MB)');
+  }
+  if (language && (typeof language !== 'string' || !LANGUAGE_TAG.test(language))) {
+    throw deskError(400, 'Language should be a language tag such as "en", "hi" or "pt-BR"');
+  }
+  if (ocrLanguage && (typeof ocrLanguage !== 'string' || !OCR_LANGUAGE.test(ocrLanguage))) {
+    throw deskError(400, 'OCR language should name Tesseract language data, such as "eng" or "hin+eng"');
+  }
+  if (split != null && typeof split !== 'boolean') {
+    throw deskError(400, 'split should be true or false');
+  }
+  if (pictureIsCopy != null && typeof pictureIsCopy !== 'boolean') {
+    throw deskError(400, 'pictureIsCopy should be true or false');
+  }
+  // Still accepted from clients that send it, though the desk works out its
+  // own from the picture (see lib/pictures.js)
+  if (imageHash && !pictures.isImageHash(imageHash)) {
+    throw deskError(400, 'imageHash should be a 64-bit difference hash written as 16 hex digits');
+  }
+}
+
+function identifyReader(req) {
+  const ip = (req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown').split(',')[0].trim();
+  const sessionId = req.body?.sessionId || req.headers['x-session-id'] || 'anon';
+  return { ip, sessionId };
+}
+
+// API partners carry their own daily allowance; readers share DAILY_QUOTA.
+// One request, however many `checks` it asks for: a class is rate-limited
+// once and takes all of its checks from the day together.
+async function admitReader(ip, sessionId, { dailyLimit = parseInt(process.env.DAILY_QUOTA || '200', 10), checks = 1 } = {}) {
+  const rateLimitKey = `rl:${ip}:${sessionId}`;
+  const perMinLimit = parseInt(process.env.RATE_LIMIT_PER_MIN || '20', 10);
+  
+  if (useUpstash && rateLimit) {
+    const rl = await rateLimit.limit(rateLimitKey);
+    if (!rl.success) {
+      throw deskError(429, 'Too many requests from this reader in one minute.', 'desk_busy');
     }
-    if (image && image.length > 15 * 1024 * 1024) {
-      return res.status(400).json({ error: 'Image is too large (max 15MB)' });
+  } else {
+    const rl = checkLocalRateLimit(rateLimitKey, perMinLimit);
+    if (!rl.success) {
+      throw deskError(429, 'Too many requests from this reader in one minute.', 'desk_busy', { retryAfter: rl.reset });
     }
+  }
 
-    // ========================================================================
-    // RATE LIMITING & QUOTAS
-    // ========================================================================
-    
-    const rateLimitKey = `rl:${ip}:${sessionId}`;
-    const perMinLimit = parseInt(process.env.RATE_LIMIT_PER_MIN || '20', 10);
-    
-    if (useUpstash && rateLimit) {
-      const rl = await rateLimit.limit(rateLimitKey);
-      if (!rl.success) {
-        return res.status(429).json({ error: 'Too many requests from this reader in one minute.', code: 'desk_busy' });
-      }
-    } else {
-      const rl = checkLocalRateLimit(rateLimitKey, perMinLimit);
-      if (!rl.success) {
-        return res.status(429).json({ error: 'Too many requests from this reader in one minute.', code: 'desk_busy', retry_after: rl.reset });
-      }
-    }
+  const quota = await checkDailyQuota(sessionId, dailyLimit, checks);
+  if (!quota.allowed) {
+    throw deskError(429, 'The day\'s allowance for this reader is used up.', 'day_done');
+  }
+  return quota;
+}
 
-    const dailyLimit = parseInt(process.env.DAILY_QUOTA || '200', 10);
-    const quota = await checkDailyQuota(sessionId, dailyLimit);
-    if (!quota.allowed) {
-      return res.status(429).json({ error: 'The day\'s allowance for this reader is used up.', code: 'day_done' });
-    }
+// ============================================================================
+// THE INVESTIGATION
+// Everything after admission: cache, model, sources, confidence. Resolves to
+// { result, groundingMetadata } or throws a deskError. `emit(event, data)` is
+// told about each stage as it happens and may be a no-op.
+// ============================================================================
 
-    // ========================================================================
-    // CACHE CHECK
-    // ========================================================================
-    
-    // Hash the whole image, not a slice of it. The first 200 characters of a
-    // data URL are the mime prefix and the file header, which two screenshots
-    // of the same size share — slicing let different pictures collide on one
-    // cache entry. Include the scan too, since it changes what gets analysed.
-    const inputHash = crypto.createHash('sha256')
-      .update(text + '|' + url + '|' + (ocrText || '') + '|' + (image || ''))
-      .digest('hex');
-
-    if (useUpstash && redisClient) {
-      // Upstash deserialises JSON for us and hands back an object; node-redis
-      // hands back the raw string. Parsing unconditionally turns a cache hit
-      // into a 500 — and only ever on the second run of the same input, which
-      // is exactly what a rehearsed demo does.
-      try {
-        const cached = await redisClient.get(`cache:${inputHash}`);
-        if (cached) {
-          const payload = typeof cached === 'string' ? JSON.parse(cached) : cached;
-          if (payload && typeof payload === 'object') {
-            return res.status(200).json({ ...payload, cached: true });
-          }
-        }
-      } catch (err) {
-        // A bad entry is not worth failing the request over. Fall through and
-        // check the claim properly.
-        console.warn('[investigate] cache read failed, checking fresh:', err.message);
-      }
-    }
+// The earlier check of a submitted picture, by the hash the desk worked out
+// from it (never the one the client sent; see lib/pictures.js). A failed
+// lookup only means the report goes out without the note.
+function seenBeforeLookup(pictureHash) {
+  if (!pictureHash) return Promise.resolve(null);
+  return pictures.seenBefore(pictureHash).catch(err => {
+    console.warn('[investigate] could not look the picture up:', err.message);
+    return null;
+  });
+}
 
-    // ========================================================================
-    // API KEY CHECK
-    // ========================================================================
-    
-    const API_KEY = process.env.GEN_API_KEY;
-    if (!API_KEY) {
-      return res.status(500).json({ error: 'The Gazette is not configured to run right now.', code: 'press_failure' });
-    }
+// Puts a newly filed check on the re-check schedule (lib/recheck.js). The
+// report is filed and linked whether or not this works; it just will not be
+// looked at again.
+async function enrollForRecheck(checkId) {
+  try {
+    await recheck.enroll(checkId, new Date().toISOString());
+  } catch (err) {
+    console.warn('[investigate] could not schedule a re-check:', err.message);
+  }
+}
 
-    // ========================================================================
-    // OCR PROCESSING (if image provided)
-    // ========================================================================
-    
-    let extractedOCR = ocrText || '';
+async function rememberPicture(pictureHash, checkId) {
+  if (!pictureHash) return;
+  try {
+    await pictures.remember(pictureHash, checkId);
+  } catch (err) {
+    console.warn('[investigate] could not index the picture:', err.message);
+  }
+}
 
-    // The browser already ran OCR. Only spend a Vision call when what it got
-    // back is too thin to work with, rather than on every image out of habit.
-    const OCR_ENOUGH = 80;
-    const clientOcrIsThin = extractedOCR.replace(/\s+/g, ' ').trim().length < OCR_ENOUGH;
+// What the picture file records about itself, as evidence for the editor.
+// Labelled as ours, and as a lead rather than proof, since anyone can edit
+// metadata and nearly every app a picture is forwarded through strips it.
+function pictureEvidence(about) {
+  const lines = [];
+  lines.push(`- Format: ${about.format.toUpperCase()}${about.width && about.height ? `, ${about.width} x ${about.height}` : ''}`);
+  if (about.capturedAt) lines.push(`- Taken: ${about.capturedAt.replace('T', ' ')} by the camera's own clock`);
+  if (about.camera) lines.push(`- Camera: ${about.camera}`);
+  if (about.software.length) lines.push(`- Software named in the file: ${about.software.join(', ')}`);
+  if (about.modifiedAt) lines.push(`- Last changed: ${about.modifiedAt.replace('T', ' ')}`);
+  if (about.hasLocation) lines.push('- Location: recorded in the file (coordinates withheld)');
+  const credentials = about.contentCredentials;
+  if (credentials) {
+    lines.push(`- Content Credentials: a C2PA manifest is embedded${credentials.generator ? `, made by ${credentials.generator}` : ''}${credentials.actions.length ? `, recording ${credentials.actions.join(', ')}` : ''}. Its signature was not checked.`);
+  }
+  if (about.signals.includes('ai_generated')) lines.push('- The file says it was made by an AI image generator.');
+  if (about.signals.includes('stripped')) lines.push('- Metadata: none. Messaging apps and social networks strip it and screenshots never had any, so its absence says nothing either way.');
+  return `WHAT THE PICTURE FILE RECORDS ABOUT ITSELF (read from its metadata by the Gazette, not found by search):\n${lines.join('\n')}\nMetadata can be edited or removed by anyone. Weigh it as a lead against what you see and what you find, not as proof, and bring it into the report only where it bears on the claim.\n\n`;
+}
 
-    // Cloud Vision is a separate Google product from Gemini and needs its own
-    // key from a GCP project with the API enabled. A Gemini API key is rejected
-    // by it, so this stays off unless someone has genuinely configured one.
-    const VISION_KEY = process.env.VISION_API_KEY || '';
+// The report for a claim a published fact-check already settles, in the shape
+// the model would have returned. It says whose finding it is and that no
+// fresh search was run; the review is its only source, and is verified like
+// any other before it is printed.
+function priorReport(review) {
+  const finding = review.verdict === 'FAKE' ? 'False' : 'True';
+  const reviewed = review.datePublished ? `, in a review published on ${review.datePublished.slice(0, 10)}` : '';
+  return {
+    verdict: review.verdict,
+    confidence: 85,
+    confidenceReason: `Taken from ${review.publisher}'s published review of the same claim, not from a fresh search.`,
+    headline: `${review.publisher} Has Already Found This Claim ${finding}`,
+    analysis: `This claim has already been checked by ${review.publisher}${reviewed}. It rated the claim “${review.claimReviewed}” as ${review.rating || finding.toLowerCase()}.\n\nThe wording submitted here matches the reviewed claim closely enough that the Gazette has relied on that finding rather than repeat the search. The review is linked below and sets out its evidence in full. If this version of the claim differs in a detail that matters, or events have moved on since the review was written, the earlier finding may not apply.`,
+    keyFactors: [
+      `${review.publisher} rated the claim “${review.rating || finding}”`,
+      'The submitted wording matches the reviewed claim almost exactly',
+      'No fresh search was run for this report'
+    ],
+    claimDate: null,
+    tactic: null,
+    sources: [{ title: `${review.publisher} fact-check`, url: review.url, snippet: `Rated “${review.rating || finding}”: ${review.claimReviewed}` }]
+  };
+}
 
-    if (image && clientOcrIsThin && VISION_KEY && process.env.USE_SERVER_VISION !== '0') {
-      try {
-        const match = image.match(/^data:image\/[^;]+;base64,(.+)$/);
-        if (match) {
-          const visionReq = {
-            requests: [{
-              image: { content: match[1] },
-              features: [{ type: 'DOCUMENT_TEXT_DETECTION' }]
-            }]
-          };
-          
+// A report from the cache, carrying this reader's allowance rather than the
+// one left to whoever asked first. A cache that cannot be read is skipped.
+async function cachedCheck(input, { emit, quotaRemaining }) {
+  // A recorded or replayed check has to actually run
+  if (fixtures.mode()) return null;
+  try {
+    const hit = await cache.lookup(input);
+    if (!hit) return null;
+    hit.result._meta.quotaRemaining = quotaRemaining;
+    emit('cache', { hit: true, near: !!hit.near, cachedAt: hit.cachedAt });
+    return hit;
+  } catch (err) {
+    console.warn('[investigate] cache read failed, checking fresh:', err.message);
+    return null;
+  }
+}
+
+async function keepCheck(input, output) {
+  if (fixtures.mode()) return;
+  try {
+    await cache.save(input, output);
+  } catch (err) {
+    console.warn('[investigate] could not cache the check:', err.message);
+  }
+}
+
+// With FIXTURES=record or replay, everything the check receives from outside
+// is written to, or served from, a fixture file; see lib/fixtures.js
+function runInvestigation(input, options) {
+  return fixtures.run(input, () => fetchpool.run(() => investigate(input, options)));
+}
+
+// `rerun` marks a check run again by lib/recheck.js: it is never answered from
+// the cache, and its report is not put on the re-check schedule of its own,
+// since the report it re-runs already is. `apiKeyId` is the v1 key the check
+// was run for; its filed report is only served through v1 to that key.
+async function investigate(input, { emit = () => {}, quotaRemaining = null, admitClaim, rerun = false, apiKeyId = null } = {}) {
+  // A multi-claim message is split first and each claim comes back through here
+  if (input && input.split) return runClaimSet(input, { emit, quotaRemaining, admitClaim, rerun, apiKeyId });
+
+  const { text = '', url = '', image = null, ocrText = '', language = '', ocrLanguage = '', context = '', pageUrl = '', pictureIsCopy = false } = input || {};
+
+  // The report is written in the reader's language. Verdict words and JSON
+  // keys stay English whatever it is; the page and the API branch on them.
+  const reportLanguage = language || 'en';
+  const writesEnglish = /^en(?:-|$)/i.test(reportLanguage);
+  const reportLanguageName = languageName(reportLanguage);
+
+  // ========================================================================
+  // CACHE CHECK
+  // ========================================================================
+  
+  // Keyed on the claim as the desk reads it, not the raw bytes: see lib/cache.js.
+  // Where the reader came across it is left out; the claim is the same claim.
+  const cacheInput = { text, url, ocrText, image, language: reportLanguage, context };
+  const cachedOutput = rerun ? null : await cachedCheck(cacheInput, { emit, quotaRemaining });
+  if (cachedOutput) return cachedOutput;
+
+  // ========================================================================
+  // PROVIDER CHECK
+  // ========================================================================
+  
+  // Without a model the desk can still answer a claim the fact-check corpus
+  // already settles, so a missing one is only fatal once that has been tried
+  const provider = getProvider();
+  const modelReady = !!provider && provider.isConfigured();
+  if (!provider) console.error(`[investigate] unknown GEN_PROVIDER "${process.env.GEN_PROVIDER}"`);
+  // Null for a backend with no search tool (Ollama): the prompt then asks
+  // for what the model knows, and every URL it cites is fetched and checked
+  const searchLabel = provider ? provider.searchLabel : 'search';
+
+  // ========================================================================
+  // OCR PROCESSING (if image provided)
+  // ========================================================================
+  
+  let extractedOCR = ocrText || '';
+
+  // The browser already ran OCR. Only spend a Vision call when what it got
+  // back is too thin to work with, rather than on every image out of habit.
+  const OCR_ENOUGH = 80;
+  const clientOcrIsThin = extractedOCR.replace(/\s+/g, ' ').trim().length < OCR_ENOUGH;
+
+  // Cloud Vision is a separate Google product from Gemini and needs its own
+  // key from a GCP project with the API enabled. A Gemini API key is rejected
+  // by it, so this stays off unless someone has genuinely configured one.
+  const VISION_KEY = process.env.VISION_API_KEY || '';
+
+  if (image && clientOcrIsThin && (VISION_KEY || fixtures.replays('vision')) && process.env.USE_SERVER_VISION !== '0') {
+    try {
+      const match = image.match(/^data:image\/[^;]+;base64,(.+)$/);
+      if (match) {
+        const visionReq = {
+          requests: [{
+            image: { content: match[1] },
+            features: [{ type: 'DOCUMENT_TEXT_DETECTION' }]
+          }]
+        };
+        
+        // Recorded by the picture it read, never by the URL, which holds the key
+        const visionText = await fixtures.exchange('vision', crypto.createHash('sha256').update(match[1]).digest('hex').slice(0, 16), async () => {
           const controller = new AbortController();
           const timeout = setTimeout(() => controller.abort(), 12000);
-          
+
           const visionRes = await fetch(
             `https://vision.googleapis.com/v1/images:annotate?key=${VISION_KEY}`,
             {
@@ -785,30 +1246,39 @@ module.exports = async (req, res) => {
             }
           );
           clearTimeout(timeout);
-          
-          if (visionRes.ok) {
-            const visionData = await visionRes.json();
-            const visionText = visionData.responses?.[0]?.fullTextAnnotation?.text || '';
-            if (visionText) extractedOCR = visionText;
-          }
+          if (!visionRes.ok) return '';
+          const visionResult = await visionRes.json();
+          return visionResult.responses?.[0]?.fullTextAnnotation?.text || '';
+        });
+
+        if (visionText) {
+          extractedOCR = visionText;
+          emit('ocr', { characters: visionText.length });
         }
-      } catch (e) {
-        console.warn('Vision OCR failed:', e.message);
       }
+    } catch (e) {
+      console.warn('Vision OCR failed:', e.message);
     }
+  }
 
-    // ========================================================================
-    // BUILD THE PROMPT
-    // ========================================================================
-    
-    
-    // Current date for grounding
-    const now = new Date();
-    const currentDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
-    const currentYear = now.getFullYear();
-    const currentMonth = now.toLocaleString('en-US', { month: 'long' });
-    
-    const systemPrompt = `You are the editor of "The Truth Gazette", a small newspaper whose only beat is checking claims that are already circulating. Today is ${currentDate}.
+  // ========================================================================
+  // BUILD THE PROMPT
+  // ========================================================================
+  
+  
+  // Current date for grounding
+  const now = new Date();
+  const currentDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
+  const currentYear = now.getFullYear();
+  const currentMonth = now.toLocaleString('en-US', { month: 'long' });
+
+  const languageRule = writesEnglish ? '' : `
+
+=== LANGUAGE ===
+
+Write this edition in ${reportLanguageName}. Every value a reader sees ("confidenceReason", "headline", "analysis", "keyFactors", the "tactic" fields and each source "snippet") is written in ${reportLanguageName}, in the register of a serious ${reportLanguageName}-language newspaper. Keep the JSON keys, and the verdict values FAKE, REAL and UNCERTAIN, exactly as given in English. Source titles stay as the source prints them.`;
+  
+  const systemPrompt = `You are the editor of "The Truth Gazette", a small newspaper whose only beat is checking claims that are already circulating. Today is ${currentDate}.
 
 You are writing copy for the next edition, not filling in a form. Everything you
 produce is read by someone who arrived holding a claim they half-believe.
@@ -821,33 +1291,34 @@ produce is read by someone who arrived holding a claim they half-believe.
 - Dry and understated. No exclamation marks, no hype, no scare quotes for effect.
 - Say what is known, say what is not known, and keep those two clearly apart.
 - Write for someone who received this on a phone from a relative, not for an
-  academic. Assume intelligence, assume no specialist vocabulary.
+academic. Assume intelligence, assume no specialist vocabulary.
 - When the paper is unsure, print that it is unsure. An editor who hedges
-  everything is useless, and one who never hedges is worse.
+everything is useless, and one who never hedges is worse.
 
 === ABSOLUTE RULES (NEVER VIOLATE) ===
 
 1. SOURCES & URLs:
-   - ONLY use URLs from Google Search grounding results
-   - NEVER construct, guess, or "fix" URLs
-   - If search returns no URLs, set sources: [] 
-   - Better to have ZERO sources than FAKE sources
+ - ${searchLabel ? `ONLY use URLs from ${searchLabel} grounding results` : 'ONLY cite a URL you are certain exists at exactly that address; each one is fetched, and any that does not open is dropped'}
+ - NEVER construct, guess, or "fix" URLs
+ - If search returns no URLs, set sources: [] 
+ - Better to have ZERO sources than FAKE sources
 
 2. DATES & TIMES:
-   - ONLY mention specific dates/times if found in search results
-   - Today is ${currentMonth} ${currentYear} - use this as reference
-   - If you can't verify when something happened, say "date unverified"
-   - NEVER guess publication dates, event dates, or timestamps
+ - ONLY mention specific dates/times if found in search results
+ - Today is ${currentMonth} ${currentYear} - use this as reference
+ - If you can't verify when something happened, say "date unverified"
+ - NEVER guess publication dates, event dates, or timestamps
+ - "claimDate" is not a finding: it records when the claim itself says its events happened
 
 3. LOCATIONS & NAMES:
-   - ONLY mention locations if confirmed in search results
-   - ONLY use exact names/spellings from verified sources
-   - If unsure about a location or name, acknowledge uncertainty
+ - ONLY mention locations if confirmed in search results
+ - ONLY use exact names/spellings from verified sources
+ - If unsure about a location or name, acknowledge uncertainty
 
 4. NUMBERS & STATISTICS:
-   - ONLY cite statistics found in search results
-   - Never round or estimate numbers
-   - If a number can't be verified, say "figure unverified"
+ - ONLY cite statistics found in search results
+ - Never round or estimate numbers
+ - If a number can't be verified, say "figure unverified"
 
 === ANALYSIS GUIDELINES ===
 
@@ -861,24 +1332,25 @@ produce is read by someone who arrived holding a claim they half-believe.
 
 Respond with ONLY valid JSON:
 {
-  "verdict": "FAKE" | "REAL" | "UNCERTAIN",
-  "confidence": <60-95>,
-  "confidenceReason": "<1 sentence, an editor's note on what the confidence rests on>",
-  "headline": "<a real newspaper headline for this finding: specific, active, no clickbait>",
-  "analysis": "<2-3 paragraphs of newspaper copy setting out what was found and what wasn't>",
-  "keyFactors": ["<factor 1>", "<factor 2>", "<factor 3>"],
-  "tactic": {
-    "name": "<2-4 words naming the technique, e.g. 'False Authority', 'Missing Context', 'Outdated Photo', 'Fabricated Quote', 'Emotional Framing', 'Cherry-Picked Statistic'>",
-    "explanation": "<1-2 sentences of plain reporting on how the claim travelled and why it was persuasive>",
-    "spotItNext": "<1 short sentence stating what would have given it away, written as an observation, NOT as advice>"
-  },
-  "sources": [
-    {
-      "title": "<source name/publication>",
-      "url": "<exact URL from search>",
-      "snippet": "<1 short sentence: what this source says about the claim>"
-    }
-  ]
+"verdict": "FAKE" | "REAL" | "UNCERTAIN",
+"confidence": <60-95>,
+"confidenceReason": "<1 sentence, an editor's note on what the confidence rests on>",
+"headline": "<a real newspaper headline for this finding: specific, active, no clickbait>",
+"analysis": "<2-3 paragraphs of newspaper copy setting out what was found and what wasn't>",
+"keyFactors": ["<factor 1>", "<factor 2>", "<factor 3>"],
+"claimDate": "<when the claim says its events happened, read from the claim and not from search: YYYY-MM-DD, YYYY-MM or YYYY; \"now\" if it presents them as current news; null if it gives no time>",
+"tactic": {
+  "name": "<2-4 words naming the technique, e.g. 'False Authority', 'Missing Context', 'Outdated Photo', 'Fabricated Quote', 'Emotional Framing', 'Cherry-Picked Statistic'>",
+  "explanation": "<1-2 sentences of plain reporting on how the claim travelled and why it was persuasive>",
+  "spotItNext": "<1 short sentence stating what would have given it away, written as an observation, NOT as advice>"
+},
+"sources": [
+  {
+    "title": "<source name/publication>",
+    "url": "<exact URL from search>",
+    "snippet": "<1 short sentence: what this source says about the claim>"
+  }
+]
 }
 
 === ABOUT "tactic" ===
@@ -887,605 +1359,1153 @@ This runs as a short newspaper column headed "How It Spread". Write it the way
 a reporter would, not the way a textbook would.
 
 - Include it when the claim is FAKE or misleading, or when a REAL claim is
-  being circulated in a distorted way. Name the persuasion technique at work.
+being circulated in a distorted way. Name the persuasion technique at work.
 - If the claim is straightforwardly true and circulated honestly, or you have
-  no evidence of any technique, set "tactic" to null. Do NOT invent one.
+no evidence of any technique, set "tactic" to null. Do NOT invent one.
 - Describe the technique, never the person. No speculation about motives.
 - Report, do not instruct. Never address the reader as "you", and never open
-  with "Always", "Remember to", "Be sure to" or "Next time".
-  Write: "The message carried no date, and the photograph was four years old."
-  Not:   "Always check the date on photographs before sharing them."
+with "Always", "Remember to", "Be sure to" or "Next time".
+Write: "The message carried no date, and the photograph was four years old."
+Not:   "Always check the date on photographs before sharing them."${languageRule}
 
 Remember: Your credibility depends on NEVER making up information. If you can't verify something, SAY SO.`;
 
-    // When a link is submitted, read the page before reasoning about it. The
-    // interface says we fetch the article, so this is what makes that true.
-    let article = { title: '', text: '', fetched: false };
-    if (url) {
-      article = await fetchArticleText(url);
-    }
+  // Has this picture been checked before, under another caption? Looked up
+  // while the desk works on the claim; see lib/pictures.js. A claim lifted
+  // out of a message leaves that to the message's own report.
+  const pictureHash = image && !context ? pictures.hashOf(image) : '';
+  const pictureLookup = seenBeforeLookup(pictureHash);
+
+  // The file's own record of the picture: camera, dates, editing software,
+  // Content Credentials. Read locally, see lib/picturemeta.js. Not from a
+  // copy the page made for its history, which has none of that left and
+  // would otherwise read as a picture stripped before it was sent.
+  const aboutPicture = image && !pictureIsCopy ? picturemeta.inspect(image) : null;
+  if (aboutPicture) emit('picturefile', { format: aboutPicture.format, capturedAt: aboutPicture.capturedAt, signals: aboutPicture.signals });
+
+  // When a link is submitted, read the page before reasoning about it. The
+  // interface says we fetch the article, so this is what makes that true.
+  let article = { title: '', text: '', fetched: false };
+  if (url) {
+    article = await fetchArticleText(url);
+    emit('article', { url, fetched: article.fetched, title: article.title });
+  }
 
-    let userContent = '';
-    // Whether the model needs to look at the picture, decided once and used
-    // both for what we tell it and for what we actually send.
-    const ocrCharCount = extractedOCR.replace(/\s+/g, ' ').trim().length;
-    // Thin OCR and garbled OCR both mean the same thing: the text we hold is
-    // not the claim, so the picture has to be looked at.
-    const ocrIsNoise = !!image && looksLikeOcrGarbage(extractedOCR);
-    const needsToSeeImage = !!image && (ocrCharCount < OCR_ENOUGH || ocrIsNoise);
-    if (ocrIsNoise) {
-      console.log('[investigate] OCR output is not language; attaching the image and discarding the scan');
-    }
+  let userContent = '';
+  // Whether the model needs to look at the picture, decided once and used
+  // both for what we tell it and for what we actually send.
+  const ocrCharCount = extractedOCR.replace(/\s+/g, ' ').trim().length;
+  // Thin OCR and garbled OCR both mean the same thing: the text we hold is
+  // not the claim, so the picture has to be looked at.
+  const ocrIsNoise = !!image && looksLikeOcrGarbage(extractedOCR);
+  const needsToSeeImage = !!image && (ocrCharCount < OCR_ENOUGH || ocrIsNoise);
+  if (ocrIsNoise) {
+    console.log('[investigate] OCR output is not language; attaching the image and discarding the scan');
+  }
 
-    // Typed text and text read off an image are not equally trustworthy, and
-    // merging them hides that. Label the OCR so the editor reads it for the
-    // claim rather than treating every character as written by someone.
-    const typedInput = (text || '').slice(0, 5000);
-    // Noise is not evidence. Passing it through labelled "OCR" invites the
-    // model to treat stray digits as figures and build a claim around them.
-    const imageInput = ocrIsNoise ? '' : (extractedOCR || '').slice(0, 5000);
+  // Typed text and text read off an image are not equally trustworthy, and
+  // merging them hides that. Label the OCR so the editor reads it for the
+  // claim rather than treating every character as written by someone.
+  const typedInput = (text || '').slice(0, 5000);
+  // Noise is not evidence. Passing it through labelled "OCR" invites the
+  // model to treat stray digits as figures and build a claim around them.
+  const imageInput = ocrIsNoise ? '' : (extractedOCR || '').slice(0, 5000);
 
-    if (typedInput) {
-      userContent += `CLAIM TO ANALYZE:\n"""${typedInput}"""\n\n`;
-    }
+  if (typedInput) {
+    userContent += `CLAIM TO ANALYZE:\n"""${typedInput}"""\n\n`;
+  }
 
-    if (imageInput) {
-      userContent += `TEXT READ FROM AN IMAGE (OCR):\n"""${imageInput}"""\n\n`;
-      userContent += `About that text: it was scanned out of a screenshot or photograph, so expect broken words, missing punctuation, wrong characters, and stray fragments of headlines, timestamps, watermarks or interface furniture mixed in. Work out what claim is actually being made and check that. Do not treat a transcription error as part of the claim, and do not quote the OCR text back verbatim.\n\n`;
-    }
+  // One claim lifted out of a longer message. The rest of the message is
+  // there so "he" and "the scheme" can be resolved, not to be checked too.
+  if (context) {
+    userContent += `WHERE THAT CLAIM CAME FROM (context only, not under examination):\n"""${context.slice(0, 3000)}"""\n\nThe other claims in that message are being checked separately. Rule on the claim above and nothing else.\n\n`;
+  }
 
-    if (ocrIsNoise) {
-      userContent += `NOTE ON THE IMAGE: our text scanner runs in English and this picture is not in English, so it returned nonsense rather than words. We have thrown that scan away instead of passing it to you. Read the claim off the attached picture yourself, in whatever language it is written in, and answer in English. Do not infer anything from the fact that the scan failed — it says nothing about the claim.\n\n`;
-    }
+  // Sent by the browser extension: the page the reader selected this on.
+  // Only the address, which we have not read; it can say whose site a quote
+  // or a picture was lifted from, nothing more.
+  if (pageUrl) {
+    userContent += `PAGE THE READER FOUND THIS ON (context only, not a source and not vouched for): ${pageUrl.slice(0, 2000)}\n\n`;
+  }
+
+  if (imageInput) {
+    userContent += `TEXT READ FROM AN IMAGE (OCR):\n"""${imageInput}"""\n\n`;
+    userContent += `About that text: it was scanned out of a screenshot or photograph, so expect broken words, missing punctuation, wrong characters, and stray fragments of headlines, timestamps, watermarks or interface furniture mixed in. Work out what claim is actually being made and check that. Do not treat a transcription error as part of the claim, and do not quote the OCR text back verbatim.\n\n`;
+  }
+
+  if (ocrIsNoise) {
+    userContent += `NOTE ON THE IMAGE: our text scanner read this picture with the wrong language data (${ocrLanguage || 'eng'}), so it returned nonsense rather than words. We have thrown that scan away instead of passing it to you. Read the claim off the attached picture yourself, in whatever language it is written in, and answer in ${reportLanguageName}. Do not infer anything from the fact that the scan failed — it says nothing about the claim.\n\n`;
+  }
+
+  if (aboutPicture) {
+    userContent += pictureEvidence(aboutPicture);
+  }
 
-    if (needsToSeeImage) {
-      userContent += `THE IMAGE ITSELF IS ATTACHED. Look at it before deciding anything.
+  if (needsToSeeImage) {
+    userContent += `THE IMAGE ITSELF IS ATTACHED. Look at it before deciding anything.
 
 - Establish what the image is and what, if anything, it asserts about the world. A screenshot of an article asserts what the article says. A photograph may assert that something happened. Some images assert nothing at all.
 - Check that assertion, not the fact that an image exists.
 - Where the picture shows something the text does not, or contradicts it, report what you can see.
 - If the image carries no checkable claim, return UNCERTAIN and say so plainly. Do not manufacture a claim in order to have something to rule on.
 - Note signs that an image is old, staged, edited or generated only where you can point to what you are seeing. Do not speculate.\n\n`;
+  }
+  if (url) {
+    userContent += `PROVIDED URL: ${url}\n\n`;
+    if (article.fetched) {
+      userContent += `We fetched that page. Its title and opening text follow. Treat this as the claim under examination, NOT as evidence that it is true — a page saying something is not proof of it.\n`;
+      if (article.title) userContent += `PAGE TITLE: ${article.title}\n`;
+      userContent += `PAGE TEXT:\n"""${article.text}"""\n\n`;
+    } else {
+      userContent += `We could not read that page (it may be paywalled, blocked, or offline). Judge only what search can establish, and say plainly that the page itself could not be read.\n\n`;
     }
-    if (url) {
-      userContent += `PROVIDED URL: ${url}\n\n`;
-      if (article.fetched) {
-        userContent += `We fetched that page. Its title and opening text follow. Treat this as the claim under examination, NOT as evidence that it is true — a page saying something is not proof of it.\n`;
-        if (article.title) userContent += `PAGE TITLE: ${article.title}\n`;
-        userContent += `PAGE TEXT:\n"""${article.text}"""\n\n`;
-      } else {
-        userContent += `We could not read that page (it may be paywalled, blocked, or offline). Judge only what search can establish, and say plainly that the page itself could not be read.\n\n`;
-      }
-    }
-    // Someone can submit text, a link and a picture at once. Without this the
-    // task line says "this claim" while four labelled blocks sit above it, and
-    // the model quietly picks one.
-    const inputCount = [typedInput, imageInput || image, url].filter(Boolean).length;
-    if (inputCount > 1) {
-      userContent += `NOTE: more than one input was submitted together. Treat them as a single submission from one person, most likely different views of the same story. Identify the claim they have in common and check that. If they turn out to be about unrelated things, check the most substantial one and state in the report which parts you did not address.\n\n`;
-    }
+  }
+  // Someone can submit text, a link and a picture at once. Without this the
+  // task line says "this claim" while four labelled blocks sit above it, and
+  // the model quietly picks one.
+  const inputCount = [typedInput, imageInput || image, url].filter(Boolean).length;
+  if (inputCount > 1) {
+    userContent += `NOTE: more than one input was submitted together. Treat them as a single submission from one person, most likely different views of the same story. Identify the claim they have in common and check that. If they turn out to be about unrelated things, check the most substantial one and state in the report which parts you did not address.\n\n`;
+  }
 
-    userContent += `TASK: Use Google Search to find evidence about the claim above.
+  // ========================================================================
+  // PRIOR FACT-CHECKS (LOCAL CLAIMREVIEW CORPUS)
+  // ========================================================================
+
+  // The same claim read the same way the source scoring reads it. A match is
+  // handed to the model as a lead to confirm, never as the answer, since a
+  // review can be of a subtly different claim or overtaken by events.
+  const priorReviews = factchecks.lookup([typedInput, imageInput, article.fetched ? `${article.title}\n${article.text.slice(0, 600)}` : ''].filter(Boolean).join('\n'));
+  // The reviewed claim word for word, rated plainly true or false: the review
+  // answers the check by itself (see lib/factchecks.js). The model is still preferred for a report in
+  // another language, since the corpus answer is written in English.
+  const settledBy = factchecks.settles(priorReviews[0]) && (writesEnglish || !modelReady) ? priorReviews[0] : null;
+  if (priorReviews.length) {
+    emit('priors', { count: priorReviews.length, publisher: priorReviews[0].publisher, rating: priorReviews[0].rating, settled: !!settledBy });
+    userContent += `PRIOR FACT-CHECKS: our archive of published fact-checks holds reviews of a claim that closely resembles this one. Treat them as leads, not as the answer. Confirm in search that the review is about this same claim, and say so in the report if this claim differs from the one reviewed in a way that matters, or if later events have changed the picture. Cite a review as a source only if search confirms it.\n`;
+    priorReviews.forEach(review => {
+      userContent += `- ${review.publisher}${review.datePublished ? ` (${review.datePublished.slice(0, 10)})` : ''} rated "${review.claimReviewed}" as: ${review.rating || 'no rating given'}. ${review.url}\n`;
+    });
+    userContent += '\n';
+  }
+
+  userContent += searchLabel
+    ? `TASK: Use ${searchLabel} to find evidence about the claim above.
 - Search for the key entities, names, dates mentioned
 - Find official sources or major news coverage
 - Only cite what you actually find in search results
-- Return the JSON verdict based on verified information`;
-
-    // ========================================================================
-    // CALL GEMINI API WITH GOOGLE SEARCH GROUNDING
-    // ========================================================================
-    
-    const MODEL = process.env.GEN_MODEL || 'gemini-2.5-flash';
-    const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL}:generateContent?key=${API_KEY}`;
-
-    // Attach the picture only when the text pulled out of it isn't enough to
-    // work from. A screenshot of an article carries its claim in the words, so
-    // the image adds tokens and nothing else. An image with little or no text
-    // carries its claim in the picture, and without it there is nothing to go on.
-    const parts = [{ text: userContent }];
-
-    if (needsToSeeImage) {
-      const dataUrl = image.match(/^data:(image\/[a-zA-Z+]+);base64,(.+)$/);
-      if (dataUrl) {
-        parts.push({ inline_data: { mime_type: dataUrl[1], data: dataUrl[2] } });
-      }
+- Return the JSON verdict based on verified information`
+    : `TASK: Weigh the claim above against what you know. You have no search tool.
+- Consider the key entities, names, dates mentioned
+- Cite official sources or major news coverage only where you know the exact page
+- Say UNCERTAIN when what you know does not settle it, or may be out of date
+- Return the JSON verdict based on that`;
+
+  // ========================================================================
+  // CALL THE MODEL (GOOGLE SEARCH GROUNDING ON GEMINI)
+  // ========================================================================
+
+  // Attach the picture only when the text pulled out of it isn't enough to
+  // work from. A screenshot of an article carries its claim in the words, so
+  // the image adds tokens and nothing else. An image with little or no text
+  // carries its claim in the picture, and without it there is nothing to go on.
+  let attachedImage = null;
+  if (needsToSeeImage) {
+    const dataUrl = image.match(/^data:(image\/[a-zA-Z+]+);base64,(.+)$/);
+    if (dataUrl) {
+      attachedImage = { mimeType: dataUrl[1], data: dataUrl[2] };
     }
+  }
 
-    const requestBody = {
-      contents: [{
-        parts
-      }],
-      systemInstruction: {
-        parts: [{ text: systemPrompt }]
-      },
-      generationConfig: {
-        temperature: 0.3,  // Lower temperature for more factual responses
-        topK: 20,
-        topP: 0.8,
-        // 2.5-flash spends part of its budget on thinking, and a report with
-        // five sources runs long. Anything tighter than this truncates the JSON
-        // mid-object on busy claims.
-        maxOutputTokens: 8192
-      },
-      // ALWAYS enable Google Search - this is the key fix!
-      tools: [{ google_search: {} }]
-    };
+  if (!settledBy && !modelReady) {
+    throw deskError(500, 'The Gazette is not configured to run right now.', 'press_failure');
+  }
 
-    const apiResponse = await fetch(API_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
+  // A settled claim skips the model entirely: it stands in for a reply that
+  // carries the review's finding and nothing from search
+  const modelRequest = { systemPrompt, userContent, image: attachedImage };
+  let answer = { ok: true, text: '', groundingMetadata: null, finishReason: null };
+  if (!settledBy) {
+    emit('model', { provider: provider.name, status: 'asked' });
+    answer = await provider.generate(modelRequest);
+  }
 
-    const apiData = await apiResponse.json();
-    
-    if (!apiResponse.ok) {
-      // Log the real thing, tell the reader something useful. Google's message
-      // talks about plans and billing consoles, which means nothing to someone
-      // who came here to check a claim.
-      console.error('Gemini API error:', apiResponse.status, apiData);
-
-      const upstream = (apiData.error?.message || '').toLowerCase();
-      const outOfQuota = apiResponse.status === 429
-        || upstream.includes('quota')
-        || upstream.includes('rate limit')
-        || upstream.includes('resource has been exhausted');
-
-      if (outOfQuota) {
-        return res.status(503).json({
-          error: 'The Gazette has filed as many reports as it can for now.',
-          code: 'editor_off_duty'
-        });
-      }
+  if (!answer.ok) {
+    // Log the real thing, tell the reader something useful. Google's message
+    // talks about plans and billing consoles, which means nothing to someone
+    // who came here to check a claim.
+    console.error(`${provider.name} API error:`, answer.status, answer.raw);
 
-      return res.status(502).json({
-        error: 'The verification desk could not be reached.',
-        code: 'press_failure'
-      });
+    const upstream = (answer.errorMessage || '').toLowerCase();
+    const outOfQuota = answer.status === 429
+      || upstream.includes('quota')
+      || upstream.includes('rate limit')
+      || upstream.includes('resource has been exhausted');
+
+    if (outOfQuota) {
+      throw deskError(503, 'The Gazette has filed as many reports as it can for now.', 'editor_off_duty');
     }
 
-    // ========================================================================
-    // PARSE RESPONSE
-    // ========================================================================
-    
-    let rawText = apiData.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    let groundingMeta = apiData.candidates?.[0]?.groundingMetadata || null;
-    let finishReason = apiData.candidates?.[0]?.finishReason || '';
-
-    let result = extractJsonObject(rawText);
-
-    // One retry when the model returns nothing usable. This is rare, and a
-    // second attempt costs less than showing someone a broken report.
-    if (!result || !result.verdict) {
-      console.warn('[investigate] unparseable response, retrying once', {
-        finishReason,
-        length: rawText.length
-      });
-      try {
-        const retryResponse = await fetch(API_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(requestBody)
-        });
-        if (retryResponse.ok) {
-          const retryData = await retryResponse.json();
-          const retryText = retryData.candidates?.[0]?.content?.parts?.[0]?.text || '';
-          const retryResult = extractJsonObject(retryText);
-          if (retryResult && retryResult.verdict) {
-            result = retryResult;
-            rawText = retryText;
-            groundingMeta = retryData.candidates?.[0]?.groundingMetadata || groundingMeta;
-            finishReason = retryData.candidates?.[0]?.finishReason || finishReason;
-          }
+    throw deskError(502, 'The verification desk could not be reached.', 'press_failure');
+  }
+
+  // ========================================================================
+  // PARSE RESPONSE
+  // ========================================================================
+  
+  let rawText = answer.text;
+  let groundingMeta = answer.groundingMetadata;
+  let finishReason = answer.finishReason;
+
+  let result = settledBy ? priorReport(settledBy) : extractJsonObject(rawText);
+
+  // One retry when the model returns nothing usable. This is rare, and a
+  // second attempt costs less than showing someone a broken report.
+  if (!result || !result.verdict) {
+    console.warn('[investigate] unparseable response, retrying once', {
+      finishReason,
+      length: rawText.length
+    });
+    try {
+      const retry = await provider.generate(modelRequest);
+      if (retry.ok) {
+        const retryResult = extractJsonObject(retry.text);
+        if (retryResult && retryResult.verdict) {
+          result = retryResult;
+          rawText = retry.text;
+          groundingMeta = retry.groundingMetadata || groundingMeta;
+          finishReason = retry.finishReason || finishReason;
         }
-      } catch (e) {
-        console.warn('[investigate] retry failed', e.message);
       }
+    } catch (e) {
+      console.warn('[investigate] retry failed', e.message);
     }
+  }
 
-    // Still nothing usable. Say so in plain language rather than leaking
-    // internals, and don't pretend a verdict we never reached.
-    if (!result || !result.verdict) {
-      const ranOutOfRoom = finishReason === 'MAX_TOKENS';
-      result = {
-        verdict: 'UNCERTAIN',
-        confidence: 60,
-        headline: 'We Could Not Complete This Check',
-        confidenceReason: 'The verification did not finish, so this is not a judgement about the claim itself.',
-        analysis: ranOutOfRoom
-          ? 'The investigation was cut short before it finished. This says nothing about whether the claim is true or false. Please try again, or shorten the text you submitted.'
-          : 'Something went wrong while checking this claim, so we have no verdict to give you. This is not evidence for or against the claim. Please try again in a moment.',
-        keyFactors: [
-          'The check did not complete',
-          'No verdict has been reached either way',
-          'Try again, or rephrase the claim more briefly'
-        ],
-        sources: []
-      };
-    }
+  if (!settledBy) emit('model', { provider: provider.name, status: 'answered', parsed: !!(result && result.verdict) });
+
+  // Still nothing usable. Say so in plain language rather than leaking
+  // internals, and don't pretend a verdict we never reached.
+  const checkIncomplete = !result || !result.verdict;
+  if (checkIncomplete) {
+    const ranOutOfRoom = finishReason === 'MAX_TOKENS';
+    result = {
+      verdict: 'UNCERTAIN',
+      confidence: 60,
+      headline: 'We Could Not Complete This Check',
+      confidenceReason: 'The verification did not finish, so this is not a judgement about the claim itself.',
+      analysis: ranOutOfRoom
+        ? 'The investigation was cut short before it finished. This says nothing about whether the claim is true or false. Please try again, or shorten the text you submitted.'
+        : 'Something went wrong while checking this claim, so we have no verdict to give you. This is not evidence for or against the claim. Please try again in a moment.',
+      keyFactors: [
+        'The check did not complete',
+        'No verdict has been reached either way',
+        'Try again, or rephrase the claim more briefly'
+      ],
+      sources: []
+    };
+  }
 
-    // Scrub any JSON structure that bled into text values during recovery, and
-    // drop source entries that were cut off mid-object. A half-parsed source is
-    // worse than no source on a tool that promises verified evidence.
-    result.headline = stripJsonBleed(result.headline) || result.headline;
-    result.analysis = stripJsonBleed(result.analysis) || result.analysis;
-    result.confidenceReason = stripJsonBleed(result.confidenceReason);
-
-    if (Array.isArray(result.keyFactors)) {
-      result.keyFactors = result.keyFactors
-        .map(stripJsonBleed)
-        .filter(f => f.length >= 3);
-    }
+  // Scrub any JSON structure that bled into text values during recovery, and
+  // drop source entries that were cut off mid-object. A half-parsed source is
+  // worse than no source on a tool that promises verified evidence.
+  result.headline = stripJsonBleed(result.headline) || result.headline;
+  result.analysis = stripJsonBleed(result.analysis) || result.analysis;
+  result.confidenceReason = stripJsonBleed(result.confidenceReason);
+
+  if (Array.isArray(result.keyFactors)) {
+    result.keyFactors = result.keyFactors
+      .map(stripJsonBleed)
+      .filter(f => f.length >= 3);
+  }
 
-    if (result.tactic && typeof result.tactic === 'object') {
-      result.tactic = {
-        name: stripJsonBleed(result.tactic.name),
-        explanation: stripJsonBleed(result.tactic.explanation),
-        spotItNext: stripJsonBleed(result.tactic.spotItNext)
-      };
-    }
+  if (result.tactic && typeof result.tactic === 'object') {
+    result.tactic = {
+      name: stripJsonBleed(result.tactic.name),
+      explanation: stripJsonBleed(result.tactic.explanation),
+      spotItNext: stripJsonBleed(result.tactic.spotItNext)
+    };
+  }
 
-    if (Array.isArray(result.sources)) {
-      const before = result.sources.length;
-      result.sources = result.sources
-        .filter(isRenderableSource)
-        .map(s => ({
-          ...s,
-          title: stripJsonBleed(s.title),
-          snippet: stripJsonBleed(s.snippet)
-        }));
-      if (result.sources.length !== before) {
-        console.warn(`[investigate] dropped ${before - result.sources.length} malformed source(s)`);
-      }
+  if (Array.isArray(result.sources)) {
+    const before = result.sources.length;
+    result.sources = result.sources
+      .filter(isRenderableSource)
+      .map(s => ({
+        ...s,
+        title: stripJsonBleed(s.title),
+        snippet: stripJsonBleed(s.snippet)
+      }));
+    if (result.sources.length !== before) {
+      console.warn(`[investigate] dropped ${before - result.sources.length} malformed source(s)`);
     }
+  }
 
-    // ========================================================================
-    // EXTRACT SOURCES FROM GROUNDING METADATA (THE REAL FIX!)
-    // ========================================================================
-    
-    // Prefer grounding chunks over model-generated sources
-    let verifiedSources = [];
-    
-    // Extract grounding support snippets if available.
-    // A single groundingSupport routinely cites several chunks at once, so
-    // mapping its segment text onto every one of those indices is what made
-    // sources 3-5 repeat the exact same sentence. Collect all candidates per
-    // chunk first, then hand out each distinct segment to only one chunk.
-    const groundingSupports = groundingMeta?.groundingSupports || [];
-    const supportsByChunk = new Map();
-    groundingSupports.forEach(support => {
-      const text = toReadableSnippet(support?.segment?.text);
-      if (!text || !support.groundingChunkIndices?.length) return;
-      support.groundingChunkIndices.forEach(idx => {
-        if (!supportsByChunk.has(idx)) supportsByChunk.set(idx, []);
-        supportsByChunk.get(idx).push(text);
-      });
+  // ========================================================================
+  // EXTRACT SOURCES FROM GROUNDING METADATA (THE REAL FIX!)
+  // ========================================================================
+  
+  // Prefer grounding chunks over model-generated sources
+  let verifiedSources = [];
+  // Text of every page opened along the way, by the URL its card links to
+  const pageTexts = new Map();
+
+  // The claim as the desk read it: typed, scanned, or the linked page's own
+  // headline and opening. Pages are scored on whether they are about it.
+  const features = claimFeatures([typedInput, imageInput, article.fetched ? `${article.title}\n${article.text.slice(0, 600)}` : ''].filter(Boolean).join('\n'));
+  const isOffTopic = (source) => source.relevance != null && source.relevance < RELEVANCE_FLOOR;
+  const offTopic = [];
+  
+  // Extract grounding support snippets if available.
+  // A single groundingSupport routinely cites several chunks at once, so
+  // mapping its segment text onto every one of those indices is what made
+  // sources 3-5 repeat the exact same sentence. Collect all candidates per
+  // chunk first, then hand out each distinct segment to only one chunk.
+  const groundingSupports = groundingMeta?.groundingSupports || [];
+  const supportsByChunk = new Map();
+  groundingSupports.forEach(support => {
+    const text = toReadableSnippet(support?.segment?.text);
+    if (!text || !support.groundingChunkIndices?.length) return;
+    support.groundingChunkIndices.forEach(idx => {
+      if (!supportsByChunk.has(idx)) supportsByChunk.set(idx, []);
+      supportsByChunk.get(idx).push(text);
     });
-
-    const snippetMap = new Map();
-    const claimedSegments = new Set();
-    Array.from(supportsByChunk.entries())
-      // Most-constrained chunks choose first, so a chunk with a single
-      // uniquely-cited segment never loses it to a chunk that has options.
-      .sort((a, b) => a[1].length - b[1].length)
-      .forEach(([idx, texts]) => {
-        const pick = texts
-          .slice()
-          .sort((a, b) => b.length - a.length) // longer segment = more specific
-          .find(t => !claimedSegments.has(t));
-        if (pick) {
-          snippetMap.set(idx, pick);
-          claimedSegments.add(pick);
-        }
-      });
-    
-    if (groundingMeta?.groundingChunks?.length > 0) {
-      // Extract richer URLs and snippets from grounding chunks
-      // Strategy: prefer any explicit retrievedContext.uri, then try to recover an encoded
-      // original URL from vertex proxy links (query params), and finally verify each URL.
-      const chunks = groundingMeta.groundingChunks.slice(0, 10); // take up to 10 to pick the best 5
-      const candidates = await Promise.all(chunks.map(async (chunk, idx) => {
-        let webUri = chunk.web?.uri || '';
-        let realUrl = webUri;
-        let title = chunk.web?.title || 'Source';
-
-        // Use retrievedContext.uri if present and it looks like a real URL
-        if (chunk.retrievedContext?.uri && typeof chunk.retrievedContext.uri === 'string') {
-          if (!chunk.retrievedContext.uri.includes('vertexaisearch')) {
-            realUrl = chunk.retrievedContext.uri;
-          }
+  });
+
+  const snippetMap = new Map();
+  const claimedSegments = new Set();
+  Array.from(supportsByChunk.entries())
+    // Most-constrained chunks choose first, so a chunk with a single
+    // uniquely-cited segment never loses it to a chunk that has options.
+    .sort((a, b) => a[1].length - b[1].length)
+    .forEach(([idx, texts]) => {
+      const pick = texts
+        .slice()
+        .sort((a, b) => b.length - a.length) // longer segment = more specific
+        .find(t => !claimedSegments.has(t));
+      if (pick) {
+        snippetMap.set(idx, pick);
+        claimedSegments.add(pick);
+      }
+    });
+  
+  if (groundingMeta?.groundingChunks?.length > 0) {
+    // Extract richer URLs and snippets from grounding chunks
+    // Strategy: prefer any explicit retrievedContext.uri, then try to recover an encoded
+    // original URL from vertex proxy links (query params), and finally verify each URL.
+    const chunks = groundingMeta.groundingChunks.slice(0, 10); // take up to 10 to pick the best 5
+    emit('grounding', { chunks: groundingMeta.groundingChunks.length, checking: chunks.length });
+    const candidates = await Promise.all(chunks.map(async (chunk, idx) => {
+      let webUri = chunk.web?.uri || '';
+      let realUrl = webUri;
+      let title = chunk.web?.title || 'Source';
+
+      // Use retrievedContext.uri if present and it looks like a real URL
+      if (chunk.retrievedContext?.uri && typeof chunk.retrievedContext.uri === 'string') {
+        if (!chunk.retrievedContext.uri.includes('vertexaisearch')) {
+          realUrl = chunk.retrievedContext.uri;
         }
+      }
 
-        // If still a proxy, try to extract the original URL from query params or encoded patterns
-        if (realUrl && realUrl.includes('vertexaisearch')) {
-          try {
-            const p = new URL(realUrl);
-            // common param names where original URL might be stored
-            for (const k of ['u', 'url', 'q', 'r', 'redirect', 'target']) {
-              const v = p.searchParams.get(k);
-              if (v && (v.startsWith('http') || v.startsWith('https') || v.startsWith('http%3A') || v.startsWith('http%3S') )) {
-                realUrl = decodeURIComponent(v);
-                break;
-              }
+      // If still a proxy, try to extract the original URL from query params or encoded patterns
+      if (realUrl && realUrl.includes('vertexaisearch')) {
+        try {
+          const p = new URL(realUrl);
+          // common param names where original URL might be stored
+          for (const k of ['u', 'url', 'q', 'r', 'redirect', 'target']) {
+            const v = p.searchParams.get(k);
+            if (v && (v.startsWith('http') || v.startsWith('https') || v.startsWith('http%3A') || v.startsWith('http%3S') )) {
+              realUrl = decodeURIComponent(v);
+              break;
             }
-            // fallback: look for an encoded https pattern in the whole URL string
-            if (realUrl.includes('vertexaisearch') || !realUrl.startsWith('http')) {
-              const enc = realUrl.match(/(https?:%2F%2F[^&\s]+)/i);
-              if (enc && enc[1]) realUrl = decodeURIComponent(enc[1]);
-            }
-          } catch (e) { /* ignore parse errors */ }
-        }
+          }
+          // fallback: look for an encoded https pattern in the whole URL string
+          if (realUrl.includes('vertexaisearch') || !realUrl.startsWith('http')) {
+            const enc = realUrl.match(/(https?:%2F%2F[^&\s]+)/i);
+            if (enc && enc[1]) realUrl = decodeURIComponent(enc[1]);
+          }
+        } catch (e) { /* ignore parse errors */ }
+      }
 
-        // Last-resort: if title contains a visible URL-like substring, try to use it
-        if ((!realUrl || realUrl.includes('vertexaisearch')) && title) {
-          const urlLike = title.match(/https?:\/\/[\w\.-\/\?&=%#-]+/i);
-          if (urlLike && urlLike[0]) realUrl = urlLike[0];
-        }
+      // Last-resort: if title contains a visible URL-like substring, try to use it
+      if ((!realUrl || realUrl.includes('vertexaisearch')) && title) {
+        const urlLike = title.match(/https?:\/\/[\w\.-\/\?&=%#-]+/i);
+        if (urlLike && urlLike[0]) realUrl = urlLike[0];
+      }
 
-        // If we ended up with a domain-only URL (no path), try to keep it but prefer verified responses
-        // Verify the URL (this will also try Web Archive fallback inside verifySourceURL)
-        let verification = null;
-        if (realUrl && realUrl.startsWith('http')) {
-          try {
-            verification = await verifySourceURL(realUrl);
-          } catch (e) { verification = null; }
-        }
+      // If we ended up with a domain-only URL (no path), try to keep it but prefer verified responses
+      // Verify the URL (this will also try Web Archive fallback inside verifySourceURL)
+      let verification = null;
+      if (realUrl && realUrl.startsWith('http')) {
+        try {
+          verification = await verifySourceURL(realUrl);
+        } catch (e) { verification = null; }
+      }
 
-        // Prefer finalUrl from verification if available (redirects / archival)
-        const finalUrl = verification?.finalUrl || verification?.archivedUrl || realUrl || '';
-        const verified = !!(verification && verification.verified);
-        const verifiedAt = verification?.verifiedAt || null;
+      // Prefer finalUrl from verification if available (redirects / archival)
+      const finalUrl = verification?.finalUrl || verification?.archivedUrl || realUrl || '';
+      const verified = !!(verification && verification.verified);
+      const verifiedAt = verification?.verifiedAt || null;
+      if (finalUrl) emit('source', sourceEvent(finalUrl, verification));
+      if (finalUrl && verification?.pageText) pageTexts.set(finalUrl, verification.pageText);
+
+      // Grounding support segment first (most on-point), then the chunk's own
+      // web snippet, then raw retrieved page text as a last resort. Every
+      // branch is sanitised — raw retrievedContext in particular tends to
+      // arrive with leading "\n\n".
+      const snippet = toReadableSnippet(snippetMap.get(idx))
+        || toReadableSnippet(chunk.web?.snippet)
+        || toReadableSnippet(chunk.retrievedContext?.text);
+
+      return {
+        title,
+        url: finalUrl,
+        snippet,
+        verified,
+        verifiedAt,
+        publishedAt: verification?.publishedAt || null,
+        modifiedAt: verification?.modifiedAt || null,
+        relevance: relevanceOf(features, [title, verification?.pageText].filter(Boolean).join(' ')),
+        fromGrounding: true
+      };
+    }));
+
+    // Verified pages that are about the claim first, the most relevant at the
+    // top; pages that only share its subject are held back and counted. Then
+    // unverified as fallback, keeping up to 5.
+    const verifiedFirst = candidates
+      .filter(c => c.url && c.verified && !isOffTopic(c))
+      .sort((a, b) => (b.relevance ?? RELEVANCE_WEAK) - (a.relevance ?? RELEVANCE_WEAK));
+    offTopic.push(...candidates.filter(c => c.url && c.verified && isOffTopic(c)));
+    const unverified = candidates.filter(c => c.url && !c.verified);
+    verifiedSources = verifiedFirst.concat(unverified).slice(0, 5);
+  }
+  
+  // The model writes proper one-sentence summaries, so prefer those over raw
+  // grounding text. Matching is strictly one-to-one: the old code took the
+  // first domain match every time, so three sources from the same publisher
+  // all collapsed onto one card while the rest kept their raw text.
+  if (verifiedSources.length > 0 && Array.isArray(result.sources)) {
+    const domainOf = (u) => {
+      try { return new URL(u).hostname.replace(/^www\./, '').toLowerCase(); } catch (e) { return ''; }
+    };
+    const normTitle = (t) => (t || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+    const pool = result.sources
+      .filter(s => s && toReadableSnippet(s.snippet))
+      .map(s => ({ ...s, snippet: toReadableSnippet(s.snippet) }));
+    const takenAi = new Set();
+
+    // Pass 1 matches on domain; pass 2 catches sources whose URL is still an
+    // unresolved vertexaisearch proxy by comparing titles instead.
+    const matchers = [
+      (vs, ai) => domainOf(vs.url) !== '' && domainOf(vs.url) === domainOf(ai.url),
+      (vs, ai) => {
+        const a = normTitle(vs.title), b = normTitle(ai.title);
+        return a.length > 3 && b.length > 3 && (a.includes(b) || b.includes(a));
+      }
+    ];
 
-        // Grounding support segment first (most on-point), then the chunk's own
-        // web snippet, then raw retrieved page text as a last resort. Every
-        // branch is sanitised — raw retrievedContext in particular tends to
-        // arrive with leading "\n\n".
-        const snippet = toReadableSnippet(snippetMap.get(idx))
-          || toReadableSnippet(chunk.web?.snippet)
-          || toReadableSnippet(chunk.retrievedContext?.text);
+    matchers.forEach(matches => {
+      verifiedSources.forEach(vs => {
+        if (vs.aiSnippet) return;
+        const i = pool.findIndex((ai, n) => !takenAi.has(n) && matches(vs, ai));
+        if (i !== -1) {
+          takenAi.add(i);
+          vs.aiSnippet = pool[i].snippet;
+        }
+      });
+    });
 
+    verifiedSources.forEach(vs => {
+      if (vs.aiSnippet) vs.snippet = vs.aiSnippet;
+      delete vs.aiSnippet;
+    });
+  }
+  
+  // If model provided sources but grounding didn't, verify them carefully
+  if (verifiedSources.length === 0 && Array.isArray(result.sources) && result.sources.length > 0) {
+    const verificationPromises = result.sources
+      .filter(s => s?.url && s.url !== 'SOURCE_UNAVAILABLE')
+      .filter(s => !detectHallucinatedURL(s.url)) // Filter out obviously fake URLs
+      .slice(0, 5)
+      .map(async (source) => {
+        const verification = await verifySourceURL(source.url);
+        emit('source', sourceEvent(verification.archivedUrl || source.url, verification));
+        if (!verification.archivedUrl && verification.pageText) pageTexts.set(source.url, verification.pageText);
         return {
-          title,
-          url: finalUrl,
-          snippet,
-          verified,
-          verifiedAt,
-          fromGrounding: true
+          title: source.title || verification.title || 'Source',
+          url: verification.archivedUrl || source.url,
+          snippet: toReadableSnippet(source.snippet),
+          verified: verification.verified,
+          verifiedAt: verification.verifiedAt || null,
+          publishedAt: verification.publishedAt || null,
+          modifiedAt: verification.modifiedAt || null,
+          relevance: relevanceOf(features, [verification.title, verification.pageText].filter(Boolean).join(' ')),
+          status: verification.status,
+          error: verification.error,
+          fromGrounding: false
         };
-      }));
+      });
+    
+    const checked = await Promise.all(verificationPromises);
+    offTopic.push(...checked.filter(c => c.verified && isOffTopic(c)));
+    verifiedSources = checked
+      .filter(c => !(c.verified && isOffTopic(c)))
+      .sort((a, b) => (b.verified - a.verified) || ((b.relevance ?? RELEVANCE_WEAK) - (a.relevance ?? RELEVANCE_WEAK)));
+  }
 
-      // Prefer verified sources first; then add unverified as fallback, keep up to 5
-      const verifiedFirst = candidates.filter(c => c.url && c.verified);
-      const unverified = candidates.filter(c => c.url && !c.verified);
-      verifiedSources = verifiedFirst.concat(unverified).slice(0, 5);
+  // Final guarantee: whichever branch produced the sources, every card that
+  // reaches the UI gets a clean, non-empty, non-duplicated snippet.
+  //
+  // Grounding only ever supplies a couple of support segments for the whole
+  // result set, so most cards arrive here with nothing of their own. Rather
+  // than repeat a sibling's sentence (which is what made every source look
+  // identical) we go and read each page's own description.
+  const seenSnippets = new Set();
+  const needsLookup = [];
+
+  verifiedSources = verifiedSources.map((source, i) => {
+    const snippet = toReadableSnippet(source.snippet);
+    const key = snippet.toLowerCase();
+    if (snippet && !seenSnippets.has(key)) {
+      seenSnippets.add(key);
+      // Gemini often labels a chunk "esa.int" rather than the headline. Even
+      // with a usable snippet in hand it's worth opening the page for a
+      // proper title, so cards don't read as a list of bare domains.
+      if (looksLikeBareDomain(source.title)) needsLookup.push(i);
+      return { ...source, snippet };
     }
-    
-    // The model writes proper one-sentence summaries, so prefer those over raw
-    // grounding text. Matching is strictly one-to-one: the old code took the
-    // first domain match every time, so three sources from the same publisher
-    // all collapsed onto one card while the rest kept their raw text.
-    if (verifiedSources.length > 0 && Array.isArray(result.sources)) {
-      const domainOf = (u) => {
-        try { return new URL(u).hostname.replace(/^www\./, '').toLowerCase(); } catch (e) { return ''; }
-      };
-      const normTitle = (t) => (t || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
-
-      const pool = result.sources
-        .filter(s => s && toReadableSnippet(s.snippet))
-        .map(s => ({ ...s, snippet: toReadableSnippet(s.snippet) }));
-      const takenAi = new Set();
-
-      // Pass 1 matches on domain; pass 2 catches sources whose URL is still an
-      // unresolved vertexaisearch proxy by comparing titles instead.
-      const matchers = [
-        (vs, ai) => domainOf(vs.url) !== '' && domainOf(vs.url) === domainOf(ai.url),
-        (vs, ai) => {
-          const a = normTitle(vs.title), b = normTitle(ai.title);
-          return a.length > 3 && b.length > 3 && (a.includes(b) || b.includes(a));
+    // Empty or a repeat of something already shown: fetch the real thing
+    needsLookup.push(i);
+    return { ...source, snippet: '' };
+  });
+
+  if (needsLookup.length > 0) {
+    // Hard ceiling on this whole phase. It runs after the Gemini call and the
+    // verification fetches, so a single slow publisher must never be able to
+    // push the function past its execution limit. Anything still in flight
+    // when the deadline hits just falls back to the generic line.
+    const BLANK = { description: '', title: '' };
+    const deadline = new Promise(resolve => {
+      const t = setTimeout(() => resolve(null), 5000);
+      if (typeof t.unref === 'function') t.unref();
+    });
+
+    const metas = await Promise.all(
+      needsLookup.map(i => Promise.race([
+        fetchPageMeta(verifiedSources[i].url)
+          .catch(() => BLANK)
+          .then(meta => {
+            emit('meta', { url: verifiedSources[i].url, found: !!(meta.description || meta.title) });
+            return meta;
+          }),
+        deadline.then(() => BLANK)
+      ]))
+    );
+
+    needsLookup.forEach((sourceIndex, n) => {
+      const source = verifiedSources[sourceIndex];
+      const meta = metas[n] || {};
+      if (meta.text) pageTexts.set(source.url, meta.text);
+      if (!source.publishedAt && meta.publishedAt) {
+        source.publishedAt = meta.publishedAt;
+        source.modifiedAt = meta.modifiedAt || null;
+      }
+      const candidate = toReadableSnippet(meta.description);
+      const key = candidate.toLowerCase();
+
+      // Some entries are only here for a better title and already carry a
+      // good snippet; don't overwrite what they have.
+      if (!source.snippet) {
+        if (candidate && !seenSnippets.has(key) && isInformativeDescription(candidate, source.url)) {
+          source.snippet = candidate;
+          seenSnippets.add(key);
+        } else {
+          // Nothing this source actually said that's worth showing. Leave it
+          // empty; the UI falls back to the domain. On a fact-checker, a blank
+          // line is more honest than text we wrote on the source's behalf.
+          source.snippet = '';
         }
-      ];
-
-      matchers.forEach(matches => {
-        verifiedSources.forEach(vs => {
-          if (vs.aiSnippet) return;
-          const i = pool.findIndex((ai, n) => !takenAi.has(n) && matches(vs, ai));
-          if (i !== -1) {
-            takenAi.add(i);
-            vs.aiSnippet = pool[i].snippet;
+      }
+
+      // While we have the page open, upgrade "jpost.com" to the real headline
+      if (looksLikeBareDomain(source.title) && meta.title) {
+        source.title = toReadableSnippet(meta.title, 110).replace(/\.$/, '');
+      }
+    });
+  }
+
+  // ========================================================================
+  // CHECK EACH SNIPPET AGAINST ITS PAGE
+  // ========================================================================
+
+  // Wayback copies were found through the archive's index and never opened,
+  // so read any page still missing that will be printed with a line of
+  // text. Same hard ceiling as the lookups:
+  // a page that is too slow leaves its card marked as unchecked, not missing.
+  const unread = verifiedSources.filter(s => s.verified && s.snippet && !pageTexts.has(s.url) && outlets.isCitable(s.url));
+  if (unread.length > 0) {
+    const deadline = new Promise(resolve => {
+      const t = setTimeout(() => resolve(null), 4000);
+      if (typeof t.unref === 'function') t.unref();
+    });
+    await Promise.all(unread.map(source => Promise.race([
+      fetchPageMeta(source.url)
+        .catch(() => ({ text: '' }))
+        .then(meta => {
+          if (meta.text) pageTexts.set(source.url, meta.text);
+          if (!source.publishedAt && meta.publishedAt) {
+            source.publishedAt = meta.publishedAt;
+            source.modifiedAt = meta.modifiedAt || null;
           }
-        });
-      });
+        }),
+      deadline
+    ])));
+  }
 
-      verifiedSources.forEach(vs => {
-        if (vs.aiSnippet) vs.snippet = vs.aiSnippet;
-        delete vs.aiSnippet;
-      });
-    }
-    
-    // If model provided sources but grounding didn't, verify them carefully
-    if (verifiedSources.length === 0 && Array.isArray(result.sources) && result.sources.length > 0) {
-      const verificationPromises = result.sources
-        .filter(s => s?.url && s.url !== 'SOURCE_UNAVAILABLE')
-        .filter(s => !detectHallucinatedURL(s.url)) // Filter out obviously fake URLs
-        .slice(0, 5)
-        .map(async (source) => {
-          const verification = await verifySourceURL(source.url);
-          return {
-            title: source.title || verification.title || 'Source',
-            url: verification.archivedUrl || source.url,
-            snippet: toReadableSnippet(source.snippet),
-            verified: verification.verified,
-            verifiedAt: verification.verifiedAt || null,
-            status: verification.status,
-            error: verification.error,
-            fromGrounding: false
-          };
-        });
-      
-      verifiedSources = await Promise.all(verificationPromises);
+  verifiedSources.forEach(source => {
+    const match = snippetMatch(source.snippet, pageTexts.get(source.url));
+    if (!match) return;
+    source.snippetMatch = match;
+    if (source.verified && match.label !== 'unchecked' && outlets.isCitable(source.url)) {
+      emit('excerpt', { url: source.url, label: match.label, score: match.score });
     }
+  });
+
+  // Filter to only verified sources for display
+  // A source must be both reachable and worth citing (see lib/outlets.js), and
+  // each one that is printed carries the profile of the outlet behind it, so
+  // the card can say who published it and not just where it lives.
+  const displaySources = verifiedSources
+    .filter(s => s.verified && outlets.isCitable(s.url))
+    .map(s => ({ ...s, outlet: outlets.profileFor(s.url) }));
+  const suppressedCount = verifiedSources.filter(s => s.verified && !outlets.isCitable(s.url)).length;
+  const unverifiedCount = verifiedSources.filter(s => !s.verified).length;
+  const offTopicCount = offTopic.length;
+
+  if (suppressedCount > 0) {
+    console.log(`[investigate] withheld ${suppressedCount} non-authoritative source(s) from the public list`);
+  }
+  if (offTopicCount > 0) {
+    console.log(`[investigate] withheld ${offTopicCount} source(s) that were related but not about the claim`);
+  }
+  emit('sources', { printed: displaySources.length, unverified: unverifiedCount, withheld: suppressedCount, offTopic: offTopicCount });
+
+  // ========================================================================
+  // HOW OLD IS THE EVIDENCE?
+  // ========================================================================
+
+  // Measured against when the claim says its events happened, or failing
+  // that, when the article it came in was published. A claim that gives no
+  // time at all has nothing to be older than, so nothing is flagged.
+  const claimDay = claimDayOf(result.claimDate, url ? (article.publishedAt || urlDateOf(url)) : null, currentDate);
+  displaySources.forEach(s => {
+    s.outdated = claimDay && s.publishedAt ? daysBetween(s.publishedAt, claimDay.day) > OUTDATED_DAYS : null;
+  });
+  const datedSources = displaySources.filter(s => s.outdated != null);
+  const outdatedSources = datedSources.filter(s => s.outdated);
+  const outdatedEvidence = outdatedSources.length ? {
+    claimDate: claimDay.day,
+    claimDateFrom: claimDay.from,
+    oldest: outdatedSources.map(s => s.publishedAt).sort()[0],
+    count: outdatedSources.length,
+    dated: datedSources.length
+  } : null;
+  if (claimDay) {
+    emit('dates', { dated: datedSources.length, outdated: outdatedSources.length, claimDate: claimDay.day });
+  }
+  // The same test for the picture, by its own clock
+  if (aboutPicture) {
+    aboutPicture.olderThanClaim = claimDay && aboutPicture.capturedAt
+      ? daysBetween(aboutPicture.capturedAt.slice(0, 10), claimDay.day) > OUTDATED_DAYS
+      : null;
+  }
 
-    // Final guarantee: whichever branch produced the sources, every card that
-    // reaches the UI gets a clean, non-empty, non-duplicated snippet.
-    //
-    // Grounding only ever supplies a couple of support segments for the whole
-    // result set, so most cards arrive here with nothing of their own. Rather
-    // than repeat a sibling's sentence (which is what made every source look
-    // identical) we go and read each page's own description.
-    const seenSnippets = new Set();
-    const needsLookup = [];
-
-    verifiedSources = verifiedSources.map((source, i) => {
-      const snippet = toReadableSnippet(source.snippet);
-      const key = snippet.toLowerCase();
-      if (snippet && !seenSnippets.has(key)) {
-        seenSnippets.add(key);
-        // Gemini often labels a chunk "esa.int" rather than the headline. Even
-        // with a usable snippet in hand it's worth opening the page for a
-        // proper title, so cards don't read as a list of bare domains.
-        if (looksLikeBareDomain(source.title)) needsLookup.push(i);
-        return { ...source, snippet };
-      }
-      // Empty or a repeat of something already shown: fetch the real thing
-      needsLookup.push(i);
-      return { ...source, snippet: '' };
-    });
+  // ========================================================================
+  // COMPUTE CONFIDENCE
+  // ========================================================================
+  
+  let confidence = result.confidence || 65;
+  
+  // Adjust based on source verification
+  if (displaySources.length >= 3) confidence = Math.min(95, confidence + 5);
+  else if (displaySources.length >= 1) confidence = Math.min(95, confidence + 2);
+  else if (unverifiedCount > 0) confidence = Math.max(60, confidence - 10);
+  
+  // A wire, public broadcaster, official or academic source among them, as
+  // long as it is actually about the claim
+  const hasTrusted = displaySources.some(s => outlets.corroborates(s.url) && !(s.relevance != null && s.relevance < RELEVANCE_WEAK));
+  if (hasTrusted) confidence = Math.min(95, confidence + 5);
+
+  // Sources that are real but only loosely about the claim are weaker
+  // evidence than their number suggests
+  const scored = displaySources.map(s => s.relevance).filter(r => r != null);
+  const meanRelevance = scored.length ? scored.reduce((sum, r) => sum + r, 0) / scored.length : null;
+  if (meanRelevance != null && meanRelevance < RELEVANCE_WEAK) confidence = Math.max(60, confidence - 5);
+
+  // Every dated source is older than the events it is supposed to confirm.
+  // They show the story exists, not that it happened when the claim says.
+  if (result.verdict === 'REAL' && datedSources.length && outdatedSources.length === datedSources.length) {
+    confidence = Math.max(60, confidence - 10);
+  }
 
-    if (needsLookup.length > 0) {
-      // Hard ceiling on this whole phase. It runs after the Gemini call and the
-      // verification fetches, so a single slow publisher must never be able to
-      // push the function past its execution limit. Anything still in flight
-      // when the deadline hits just falls back to the generic line.
-      const BLANK = { description: '', title: '' };
-      const deadline = new Promise(resolve => {
-        const t = setTimeout(() => resolve(null), 5000);
-        if (typeof t.unref === 'function') t.unref();
-      });
+  // Nothing survived verification. The reasoning may still be right, but we
+  // have printed nothing the reader can go and check, so we must not sound
+  // as sure as when we have. This is the case the house rule exists for.
+  if (displaySources.length === 0) confidence = Math.min(confidence, 65);
 
-      const metas = await Promise.all(
-        needsLookup.map(i => Promise.race([
-          fetchPageMeta(verifiedSources[i].url).catch(() => BLANK),
-          deadline.then(() => BLANK)
-        ]))
-      );
-
-      needsLookup.forEach((sourceIndex, n) => {
-        const source = verifiedSources[sourceIndex];
-        const meta = metas[n] || {};
-        const candidate = toReadableSnippet(meta.description);
-        const key = candidate.toLowerCase();
-
-        // Some entries are only here for a better title and already carry a
-        // good snippet; don't overwrite what they have.
-        if (!source.snippet) {
-          if (candidate && !seenSnippets.has(key) && isInformativeDescription(candidate, source.url)) {
-            source.snippet = candidate;
-            seenSnippets.add(key);
-          } else {
-            // Nothing this source actually said that's worth showing. Leave it
-            // empty; the UI falls back to the domain. On a fact-checker, a blank
-            // line is more honest than text we wrote on the source's behalf.
-            source.snippet = '';
-          }
-        }
+  // Clamp confidence
+  confidence = Math.max(60, Math.min(95, Math.round(confidence)));
 
-        // While we have the page open, upgrade "jpost.com" to the real headline
-        if (looksLikeBareDomain(source.title) && meta.title) {
-          source.title = toReadableSnippet(meta.title, 110).replace(/\.$/, '');
-        }
+  // ========================================================================
+  // BUILD FINAL RESPONSE
+  // ========================================================================
+  
+  const lastVerifiedAt = (displaySources.map(s => s.verifiedAt).filter(Boolean).sort() || []).pop() || null;
+  const imageSeenBefore = await pictureLookup;
+  if (imageSeenBefore) emit('picture', { checkedAt: imageSeenBefore.checkedAt, verdict: imageSeenBefore.verdict });
+
+  const finalResult = {
+    verdict: result.verdict,
+    confidence,
+    confidenceReason: result.confidenceReason || '',
+    headline: result.headline,
+    analysis: result.analysis,
+    keyFactors: result.keyFactors || [],
+    // Named manipulation technique, when there is a genuine one. Inoculation
+    // research finds that resistance transfers through recognising the
+    // technique, not through learning that one particular claim was false.
+    tactic: sanitiseTactic(result.tactic),
+    sources: displaySources,
+    // Set when some of the printed evidence is much older than the claim
+    outdatedEvidence,
+    // The earlier check of the same picture, when there is one
+    imageSeenBefore,
+    // What the picture file records about itself
+    aboutPicture,
+    // Published fact-checks of a closely matching claim, best match first
+    priorReviews: priorReviews.map(review => ({
+      publisher: review.publisher,
+      url: review.url,
+      rating: review.rating,
+      claimReviewed: review.claimReviewed,
+      datePublished: review.datePublished,
+      similarity: review.score
+    })),
+    _meta: {
+      verifiedSourceCount: displaySources.length,
+      unverifiedSourceCount: unverifiedCount,
+      // Reachable, but a user-post platform rather than a citable source
+      withheldSourceCount: suppressedCount,
+      // Reachable and citable, but about something other than the claim
+      offTopicSourceCount: offTopicCount,
+      meanRelevance: meanRelevance == null ? null : Math.round(meanRelevance * 100) / 100,
+      datedSourceCount: datedSources.length,
+      outdatedSourceCount: outdatedSources.length,
+      hadGrounding: groundingMeta?.groundingChunks?.length > 0,
+      searchUsed: !!groundingMeta?.searchEntryPoint || !!groundingMeta?.groundingChunks?.length,
+      analysisDate: currentDate,
+      language: reportLanguage,
+      provider: settledBy ? null : provider.name,
+      // Answered from a published fact-check, without the model
+      fromPriorReview: !!settledBy,
+      lastVerifiedAt,
+      quotaRemaining
+    }
+  };
+
+  // Include OCR text if extracted
+  if (extractedOCR && extractedOCR !== ocrText) {
+    finalResult._meta.ocrExtracted = true;
+  }
+
+  // ========================================================================
+  // FILE A PERMANENT COPY
+  // ========================================================================
+
+  // A report that never reached a verdict is not worth a link. Filing happens
+  // before caching, so a cache hit hands back the same permalink. A recorded
+  // or replayed check is a test run, not a report: it gets no link, no
+  // re-check and no place in the picture index.
+  if (!checkIncomplete && !fixtures.mode()) {
+    try {
+      const checkId = await permalinks.newCheckId();
+      finalResult._meta.checkId = checkId;
+      finalResult._meta.permalink = `/check/${checkId}`;
+      await permalinks.saveCheck(checkId, {
+        result: finalResult,
+        groundingMetadata: groundingMeta,
+        claim: { text: typedInput || imageInput, url, hadImage: !!image },
+        apiKeyId
       });
+    } catch (err) {
+      // The reader still gets their report, just without a link to it
+      console.warn('[investigate] could not file the check:', err.message);
+      delete finalResult._meta.checkId;
+      delete finalResult._meta.permalink;
     }
+    // A claim out of a split message is looked at again with its set
+    if (finalResult._meta.checkId && !rerun && !context) await enrollForRecheck(finalResult._meta.checkId);
+    if (finalResult._meta.checkId) await rememberPicture(pictureHash, finalResult._meta.checkId);
+  }
+
+  const output = { result: finalResult, groundingMetadata: groundingMeta };
+
+  // ========================================================================
+  // CACHE RESULT
+  // ========================================================================
+
+  // A check that never reached a verdict is not worth handing to the next
+  // reader; they should get a fresh attempt
+  if (!checkIncomplete) await keepCheck(cacheInput, output);
+
+  return output;
+}
+
+// ============================================================================
+// ONE MESSAGE, SEVERAL CLAIMS
+// A forward that makes four assertions used to get one verdict, and a message
+// that was half true and half invented came back as a shrug of an UNCERTAIN.
+// With `split` set, the copy desk lists the separate checkable claims first,
+// each one goes through runInvestigation on its own, and the edition prints
+// them as short items under an overall summary.
+// ============================================================================
 
-    // Filter to only verified sources for display
-    // A source must be both reachable and worth citing. Social and user-post
-    // platforms are where claims spread, not where they are established, so
-    // they never appear in the public list even when they resolve fine.
-    const displaySources = verifiedSources.filter(s => s.verified && isAuthoritativeSource(s.url));
-    const suppressedCount = verifiedSources.filter(s => s.verified && !isAuthoritativeSource(s.url)).length;
-    const unverifiedCount = verifiedSources.filter(s => !s.verified).length;
+const MAX_SPLIT_CLAIMS = 5;
+
+// No search here: this call only reads the message, it does not check it.
+async function extractClaims(provider, message) {
+  const systemPrompt = `You work on the copy desk of "The Truth Gazette". Before anything is checked, you break a forwarded message into the separate factual claims it makes, so that each can be checked on its own.
+
+- A claim is one assertion about the world that could be shown true or false: that something happened, that someone said something, a figure, a date, a cause.
+- Rewrite each claim as one plain sentence that stands on its own. Name the people, places and things instead of writing "he", "this" or "the scheme".
+- Keep the message's meaning. Do not soften it, correct it or add to it.
+- Leave out opinions, predictions, greetings, jokes, calls to share or forward, and anything else that cannot be checked.
+- Merge assertions that are really the same claim. List at most ${MAX_SPLIT_CLAIMS}, the most consequential first.
+- Write each claim in the language of the message.
+
+Respond with ONLY valid JSON: {"claims": ["<claim>", "<claim>"]}`;
+
+  const answer = await provider.generate({
+    systemPrompt,
+    userContent: `MESSAGE:\n"""${message}"""`,
+    search: false
+  });
+  if (!answer.ok) {
+    console.warn(`[investigate] claim extraction failed: ${answer.status}`);
+    return [];
+  }
+
+  const parsed = extractJsonObject(answer.text);
+  const seen = new Set();
+  return (Array.isArray(parsed?.claims) ? parsed.claims : [])
+    .filter(claim => typeof claim === 'string')
+    .map(claim => stripJsonBleed(claim).replace(/\s+/g, ' ').trim().slice(0, 500))
+    .filter(claim => {
+      const key = claim.toLowerCase();
+      if (claim.length < 8 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SPLIT_CLAIMS);
+}
+
+// A message is only as good as its worst claim. One invented claim in an
+// otherwise accurate forward makes the forward misleading as sent, so it is
+// FAKE overall; the items underneath say which part, and the tally says how
+// much of the rest held up.
+function overallVerdict(items) {
+  const settled = items.filter(item => !item.incomplete);
+  const verdicts = settled.map(item => item.verdict);
+  let verdict = 'UNCERTAIN';
+  if (verdicts.includes('FAKE')) verdict = 'FAKE';
+  else if (verdicts.length && verdicts.every(v => v === 'REAL') && settled.length === items.length) verdict = 'REAL';
+
+  // How sure we are that one claim is false, or that every claim holds
+  const matching = settled.filter(item => item.verdict === verdict).map(item => item.confidence);
+  const confidence = !matching.length ? 60
+    : verdict === 'FAKE' ? Math.max(...matching)
+    : Math.min(...matching);
+  return { verdict, confidence };
+}
+
+// The standfirst over the items: written after the claims are checked, from
+// their findings alone, so it cannot say anything they did not.
+async function summariseClaims(provider, { items, verdict, reportLanguageName, writesEnglish }) {
+  const findings = items.map((item, i) => `${i + 1}. CLAIM: ${item.claim}\n   VERDICT: ${item.incomplete ? 'NOT CHECKED' : item.verdict} (${item.confidence}%)\n   FINDING: ${item.headline}`).join('\n');
+  const systemPrompt = `You are the editor of "The Truth Gazette". A forwarded message has been broken into separate claims and each has been checked. Write the short summary printed above them.
+
+- Use only the findings given. Add no facts of your own.
+- Say plainly which claims held up and which did not. The overall verdict is ${verdict}.
+- Report. Do not lecture, and never address the reader as "you".${writesEnglish ? '' : `\n- Write every value in ${reportLanguageName}.`}
+
+Respond with ONLY valid JSON:
+{"headline": "<a newspaper headline for the message as a whole>", "analysis": "<one short paragraph>", "confidenceReason": "<1 sentence>", "keyFactors": ["<one line per claim>"]}`;
 
-    if (suppressedCount > 0) {
-      console.log(`[investigate] withheld ${suppressedCount} non-authoritative source(s) from the public list`);
+  try {
+    const answer = await provider.generate({ systemPrompt, userContent: `FINDINGS:\n${findings}`, search: false });
+    const parsed = answer.ok ? extractJsonObject(answer.text) : null;
+    if (parsed && parsed.headline && parsed.analysis) {
+      return {
+        headline: stripJsonBleed(parsed.headline) || parsed.headline,
+        analysis: stripJsonBleed(parsed.analysis) || parsed.analysis,
+        confidenceReason: stripJsonBleed(parsed.confidenceReason),
+        keyFactors: (Array.isArray(parsed.keyFactors) ? parsed.keyFactors : []).map(stripJsonBleed).filter(f => f.length >= 3)
+      };
     }
+  } catch (e) {
+    console.warn('[investigate] claim summary failed:', e.message);
+  }
 
-    // ========================================================================
-    // COMPUTE CONFIDENCE
-    // ========================================================================
-    
-    let confidence = result.confidence || 65;
-    
-    // Adjust based on source verification
-    if (displaySources.length >= 3) confidence = Math.min(95, confidence + 5);
-    else if (displaySources.length >= 1) confidence = Math.min(95, confidence + 2);
-    else if (unverifiedCount > 0) confidence = Math.max(60, confidence - 10);
-    
-    // Check for trusted domains
-    const trustedDomains = ['.gov', '.edu', 'reuters.com', 'apnews.com', 'bbc.', 'nytimes.com'];
-    const hasTrusted = displaySources.some(s => 
-      trustedDomains.some(d => s.url.toLowerCase().includes(d))
-    );
-    if (hasTrusted) confidence = Math.min(95, confidence + 5);
+  // Still worth printing without a standfirst: lead with the claim that
+  // decided the verdict and list the rest as findings.
+  const lead = items.find(item => !item.incomplete && item.verdict === verdict) || items[0];
+  return {
+    headline: lead.headline,
+    analysis: items.filter(item => item.analysis).map(item => item.analysis.split(/\n\s*\n/)[0]).join('\n\n'),
+    confidenceReason: lead.confidenceReason || '',
+    keyFactors: items.map(item => item.headline).filter(Boolean)
+  };
+}
 
-    // Nothing survived verification. The reasoning may still be right, but we
-    // have printed nothing the reader can go and check, so we must not sound
-    // as sure as when we have. This is the case the house rule exists for.
-    if (displaySources.length === 0) confidence = Math.min(confidence, 65);
+// What each item in the set keeps from its own full report
+function claimItem(claim, result) {
+  const meta = result._meta || {};
+  return {
+    claim,
+    verdict: result.verdict,
+    confidence: result.confidence,
+    confidenceReason: result.confidenceReason || '',
+    headline: result.headline || '',
+    analysis: result.analysis || '',
+    keyFactors: result.keyFactors || [],
+    tactic: result.tactic || null,
+    sources: result.sources || [],
+    outdatedEvidence: result.outdatedEvidence || null,
+    priorReviews: result.priorReviews || [],
+    checkId: meta.checkId || null,
+    permalink: meta.permalink || null,
+    incomplete: !meta.checkId
+  };
+}
 
-    // Clamp confidence
-    confidence = Math.max(60, Math.min(95, Math.round(confidence)));
+// `admitClaim()` charges the reader for each claim after the first, the
+// way a separate check would be; once it refuses, the rest go unchecked.
+async function runClaimSet(input, { emit = () => {}, quotaRemaining = null, admitClaim = async () => null, rerun = false, apiKeyId = null } = {}) {
+  const { text = '', url = '', image = null, ocrText = '', language = '', ocrLanguage = '', pageUrl = '', pictureIsCopy = false } = input || {};
+  const single = { text, url, image, ocrText, language, ocrLanguage, pageUrl, pictureIsCopy };
 
-    // ========================================================================
-    // BUILD FINAL RESPONSE
-    // ========================================================================
-    
-    const lastVerifiedAt = (displaySources.map(s => s.verifiedAt).filter(Boolean).sort() || []).pop() || null;
-
-    const finalResult = {
-      verdict: result.verdict,
-      confidence,
-      confidenceReason: result.confidenceReason || '',
-      headline: result.headline,
-      analysis: result.analysis,
-      keyFactors: result.keyFactors || [],
-      // Named manipulation technique, when there is a genuine one. Inoculation
-      // research finds that resistance transfers through recognising the
-      // technique, not through learning that one particular claim was false.
-      tactic: sanitiseTactic(result.tactic),
-      sources: displaySources,
-      _meta: {
-        verifiedSourceCount: displaySources.length,
-        unverifiedSourceCount: unverifiedCount,
-        // Reachable, but a user-post platform rather than a citable source
-        withheldSourceCount: suppressedCount,
-        hadGrounding: groundingMeta?.groundingChunks?.length > 0,
-        searchUsed: !!groundingMeta?.searchEntryPoint || !!groundingMeta?.groundingChunks?.length,
-        analysisDate: currentDate,
-        lastVerifiedAt,
-        quotaRemaining: quota.remaining
-      }
-    };
+  const reportLanguage = language || 'en';
+  const writesEnglish = /^en(?:-|$)/i.test(reportLanguage);
+  const reportLanguageName = languageName(reportLanguage);
 
-    // Include OCR text if extracted
-    if (extractedOCR && extractedOCR !== ocrText) {
-      finalResult._meta.ocrExtracted = true;
+  const cacheInput = { text, url, ocrText, image, language: reportLanguage, split: true };
+  const cachedOutput = rerun ? null : await cachedCheck(cacheInput, { emit, quotaRemaining });
+  if (cachedOutput) return cachedOutput;
+
+  const provider = getProvider();
+  if (!provider || !provider.isConfigured()) {
+    if (!provider) console.error(`[investigate] unknown GEN_PROVIDER "${process.env.GEN_PROVIDER}"`);
+    throw deskError(500, 'The Gazette is not configured to run right now.', 'press_failure');
+  }
+
+  // Everything the message says in words: typed, scanned, or on the linked page
+  let article = { title: '', text: '', fetched: false };
+  if (url) {
+    article = await fetchArticleText(url);
+    emit('article', { url, fetched: article.fetched, title: article.title });
+  }
+  const scan = image && looksLikeOcrGarbage(ocrText) ? '' : (ocrText || '');
+  const message = [text, scan, article.fetched ? [article.title, article.text].filter(Boolean).join('\n') : '']
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join('\n\n')
+    .slice(0, 6000);
+
+  // A picture with no words, or a message with only one claim in it, is
+  // checked the ordinary way
+  const claims = message ? await extractClaims(provider, message) : [];
+  emit('claims', { count: claims.length, claims });
+  if (claims.length < 2) return runInvestigation(single, { emit, quotaRemaining, rerun, apiKeyId });
+
+  // The picture belongs to the message, so it is looked up and filed once,
+  // for the set, while the claims are checked
+  const pictureHash = image ? pictures.hashOf(image) : '';
+  const pictureLookup = seenBeforeLookup(pictureHash);
+  const aboutPicture = image && !pictureIsCopy ? picturemeta.inspect(image) : null;
+  if (aboutPicture) emit('picturefile', { format: aboutPicture.format, capturedAt: aboutPicture.capturedAt, signals: aboutPicture.signals });
+
+  const admitted = [claims[0]];
+  for (const claim of claims.slice(1)) {
+    try {
+      const quota = await admitClaim();
+      if (quota && typeof quota.remaining === 'number') quotaRemaining = quota.remaining;
+      admitted.push(claim);
+    } catch (err) {
+      if (err.status !== 429) throw err;
+      break;
     }
+  }
 
-    const output = { result: finalResult, groundingMetadata: groundingMeta };
+  // Each claim gets the picture and its scan too, since a claim like "this
+  // photo is from 2019" cannot be ruled on without them. The picture is
+  // still remembered against the set's report, not each claim's, and its
+  // file record was already sent above.
+  const settled = await Promise.allSettled(admitted.map((claim, index) =>
+    runInvestigation(
+      { text: claim, context: message, image, ocrText, ocrLanguage, language, pageUrl, pictureIsCopy },
+      {
+        emit: (event, data) => { if (event !== 'picturefile') emit(event, { ...data, claim: index }); },
+        quotaRemaining,
+        rerun,
+        apiKeyId
+      }
+    )
+  ));
+
+  // One claim failing is a gap in the set. Every claim failing is a failed check.
+  const failure = settled.find(outcome => outcome.status === 'rejected');
+  if (settled.every(outcome => outcome.status === 'rejected')) throw failure.reason;
+  if (failure) console.warn('[investigate] a claim in the set failed:', failure.reason?.message);
+
+  const items = settled.map((outcome, index) => outcome.status === 'fulfilled'
+    ? claimItem(admitted[index], outcome.value.result)
+    : {
+        claim: admitted[index], verdict: 'UNCERTAIN', confidence: 60, confidenceReason: '', headline: '', analysis: '',
+        keyFactors: [], tactic: null, sources: [], checkId: null, permalink: null, incomplete: true
+      });
+  const results = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+
+  const { verdict, confidence } = overallVerdict(items);
+  const summary = await summariseClaims(provider, { items, verdict, reportLanguageName, writesEnglish });
+  const imageSeenBefore = await pictureLookup;
+  if (imageSeenBefore) emit('picture', { checkedAt: imageSeenBefore.checkedAt, verdict: imageSeenBefore.verdict });
+
+  // The set's own source list is every claim's, once each, for API readers
+  // who do not walk the items
+  const sources = [];
+  const seenUrls = new Set();
+  items.forEach(item => item.sources.forEach(source => {
+    if (seenUrls.has(source.url)) return;
+    seenUrls.add(source.url);
+    sources.push(source);
+  }));
+
+  const metas = results.map(output => output.result._meta || {});
+  const sum = (field) => metas.reduce((total, meta) => total + (meta[field] || 0), 0);
+  const tally = { REAL: 0, FAKE: 0, UNCERTAIN: 0 };
+  items.forEach(item => { if (!item.incomplete) tally[item.verdict] = (tally[item.verdict] || 0) + 1; });
+
+  const finalResult = {
+    verdict,
+    confidence: Math.max(60, Math.min(95, Math.round(confidence))),
+    confidenceReason: summary.confidenceReason,
+    headline: summary.headline,
+    analysis: summary.analysis,
+    keyFactors: summary.keyFactors,
+    tactic: (items.find(item => item.verdict === 'FAKE' && item.tactic) || items.find(item => item.tactic) || {}).tactic || null,
+    sources,
+    claims: items,
+    imageSeenBefore,
+    aboutPicture,
+    _meta: {
+      verifiedSourceCount: sum('verifiedSourceCount'),
+      unverifiedSourceCount: sum('unverifiedSourceCount'),
+      withheldSourceCount: sum('withheldSourceCount'),
+      offTopicSourceCount: sum('offTopicSourceCount'),
+      datedSourceCount: sum('datedSourceCount'),
+      outdatedSourceCount: sum('outdatedSourceCount'),
+      hadGrounding: metas.some(meta => meta.hadGrounding),
+      searchUsed: metas.some(meta => meta.searchUsed),
+      analysisDate: new Date().toISOString().split('T')[0],
+      language: reportLanguage,
+      provider: provider.name,
+      lastVerifiedAt: metas.map(meta => meta.lastVerifiedAt).filter(Boolean).sort().pop() || null,
+      claimCount: items.length,
+      claimTally: tally,
+      // Claims the desk found but the reader's allowance did not cover
+      claimsSkipped: claims.length - admitted.length,
+      quotaRemaining
+    }
+  };
 
-    // ========================================================================
-    // CACHE RESULT
-    // ========================================================================
-    
-    if (useUpstash && redisClient) {
-      await redisClient.set(`cache:${inputHash}`, JSON.stringify(output), { ex: 3600 });
+  if (!items.every(item => item.incomplete) && !fixtures.mode()) {
+    try {
+      const checkId = await permalinks.newCheckId();
+      finalResult._meta.checkId = checkId;
+      finalResult._meta.permalink = `/check/${checkId}`;
+      await permalinks.saveCheck(checkId, {
+        result: finalResult,
+        groundingMetadata: null,
+        claim: { text: text || scan, url, hadImage: !!image, split: true },
+        apiKeyId
+      });
+    } catch (err) {
+      console.warn('[investigate] could not file the claim set:', err.message);
+      delete finalResult._meta.checkId;
+      delete finalResult._meta.permalink;
     }
+    if (finalResult._meta.checkId && !rerun) await enrollForRecheck(finalResult._meta.checkId);
+    if (finalResult._meta.checkId) await rememberPicture(pictureHash, finalResult._meta.checkId);
+  }
+
+  const output = { result: finalResult, groundingMetadata: null };
+  await keepCheck(cacheInput, output);
+  return output;
+}
+
+// ============================================================================
+// MAIN HANDLER
+// ============================================================================
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  let send = null;
+
+  try {
+    const { ip, sessionId } = identifyReader(req);
+    // Note: the reader's guess is intentionally NOT accepted here. Telling the
+    // model what the user already believes biases the verdict it produces.
+    const { text = '', url = '', image = null, imageHash = '', ocrText = '', language = '', ocrLanguage = '', split = false, pageUrl = '', pictureIsCopy = false } = req.body || {};
+
+    validateSubmission({ text, url, image, imageHash, ocrText, language, ocrLanguage, split, pageUrl, pictureIsCopy });
+    const quota = await admitReader(ip, sessionId);
 
+    // Refusals above keep their real status codes. Only once the check is
+    // actually going ahead does a streaming client get a 200 and a feed.
+    if (wantsEventStream(req)) send = openEventStream(res);
+
+    const output = await runInvestigation({ text, url, image, ocrText, language, ocrLanguage, split, pageUrl, pictureIsCopy }, {
+      emit: send || undefined,
+      quotaRemaining: quota.remaining,
+      admitClaim: () => admitReader(ip, sessionId)
+    });
+
+    if (send) {
+      send('result', output);
+      return res.end();
+    }
     return res.status(200).json(output);
 
   } catch (err) {
-    console.error('Investigate error:', err);
-    return res.status(500).json({ error: 'The edition did not make it to press.', code: 'press_failure' });
+    if (!err.status) console.error('Investigate error:', err);
+    const status = err.status || 500;
+    if (send) {
+      send('error', { ...errorBody(err), status });
+      return res.end();
+    }
+    return res.status(status).json(errorBody(err));
   }
 };
 
-
+module.exports.runInvestigation = runInvestigation;
+module.exports.validateSubmission = validateSubmission;
+module.exports.identifyReader = identifyReader;
+module.exports.admitReader = admitReader;
+module.exports.deskError = deskError;
+module.exports.errorBody = errorBody;
+module.exports.verifySourceURL = verifySourceURL;
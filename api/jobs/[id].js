@@ -0,0 +1,34 @@
+/**
+ * Truth Gazette - Job status
+ *
+ * GET /api/jobs/:id
+ *   { id, status: queued | running | done | failed, createdAt, ... }
+ *   A finished job also carries result and groundingMetadata; a failed one
+ *   carries the same error and code /api/investigate would have sent.
+ *
+ * Jobs submitted with an API key are only answered at /api/v1/checks/:id, to
+ * that key; here they do not exist.
+ */
+
+const jobs = require('../../lib/jobs');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const job = await jobs.getJob(req.query?.id);
+    if (!job || job.apiKeyId) {
+      return res.status(404).json({ error: 'No check with that id. Finished jobs are kept for a day.', code: 'not_found' });
+    }
+
+    // Still moving: tell pollers not to hold on to this answer
+    res.setHeader('Cache-Control', job.status === 'done' || job.status === 'failed' ? 'private, max-age=60' : 'no-store');
+    return res.status(200).json(jobs.publicJob(job));
+
+  } catch (err) {
+    console.error('Job status error:', err);
+    return res.status(500).json({ error: 'The edition did not make it to press.', code: 'press_failure' });
+  }
+};
@@ -0,0 +1,87 @@
+/**
+ * Truth Gazette - Asynchronous checks
+ *
+ * POST /api/jobs
+ *   Same body as /api/investigate, plus an optional `webhookUrl`. Admission
+ *   (validation, rate limit, daily quota) happens up front with the usual
+ *   status codes; once admitted the answer is 202 { id, status, statusUrl }
+ *   and the check runs to completion in the background.
+ *
+ * Poll GET /api/jobs/:id, or let the webhook receive the finished
+ * { id, status, result, groundingMetadata } (or { id, status, error, code }).
+ */
+
+const { waitUntil } = require('@vercel/functions');
+const {
+  runInvestigation,
+  validateSubmission,
+  identifyReader,
+  admitReader,
+  deskError,
+  errorBody
+} = require('../investigate');
+const jobs = require('../../lib/jobs');
+const { isBlockedHost } = require('../../lib/safefetch');
+
+// A webhook is a URL we will POST to on someone else's say-so, so it gets the
+// same private-address rule as any source. ALLOW_PRIVATE_WEBHOOKS=1 lifts it
+// for local development, where the receiver is usually on localhost. This only
+// catches addresses written into the URL; a name that resolves somewhere
+// private is refused when the delivery connects.
+function webhookTarget(raw) {
+  if (raw == null || raw === '') return null;
+  if (typeof raw !== 'string' || raw.length > 2000) {
+    throw deskError(400, 'The webhook URL is not usable.');
+  }
+
+  let parsed;
+  try { parsed = new URL(raw); } catch (e) {
+    throw deskError(400, 'The webhook URL is not usable.');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw deskError(400, 'Only http and https webhooks are supported.');
+  }
+  if (isBlockedHost(parsed.hostname) && process.env.ALLOW_PRIVATE_WEBHOOKS !== '1') {
+    throw deskError(400, 'Webhooks cannot point at private addresses.');
+  }
+  return parsed.href;
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { ip, sessionId } = identifyReader(req);
+    const { text = '', url = '', image = null, imageHash = '', ocrText = '', language = '', ocrLanguage = '', split = false, webhookUrl = null } = req.body || {};
+
+    validateSubmission({ text, url, image, imageHash, ocrText, language, ocrLanguage, split });
+    const webhook = webhookTarget(webhookUrl);
+    const quota = await admitReader(ip, sessionId);
+
+    const job = await jobs.createJob({ webhookUrl: webhook });
+
+    // On Vercel the function is frozen once the response is sent unless the
+    // platform is told there is still work in flight. Elsewhere the promise
+    // simply runs on in the same process.
+    waitUntil(jobs.runJob(
+      job.id,
+      () => runInvestigation({ text, url, image, ocrText, language, ocrLanguage, split }, {
+        quotaRemaining: quota.remaining,
+        admitClaim: () => admitReader(ip, sessionId)
+      }),
+      errorBody
+    ).catch(err => console.error('[jobs] run failed:', err)));
+
+    const statusUrl = `/api/jobs/${job.id}`;
+    res.setHeader('Location', statusUrl);
+    return res.status(202).json({ id: job.id, status: job.status, statusUrl });
+
+  } catch (err) {
+    if (!err.status) console.error('Job submission error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+};
+
+module.exports.webhookTarget = webhookTarget;
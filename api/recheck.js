@@ -0,0 +1,106 @@
+/**
+ * Truth Gazette - Re-checking filed reports
+ *
+ * GET /api/recheck
+ *   Authorization: Bearer <CRON_SECRET or ADMIN_TOKEN>
+ *   200 { checked, changed }, or { busy: true } when a run is already going
+ *
+ *   Called by the cron job in vercel.json. Works through every filed check
+ *   that is due for another look; see lib/recheck.js.
+ *
+ * POST /api/recheck
+ *   Same token, { id }. Looks at one filed check again now, off the schedule.
+ *   200 { id, events, drift }
+ *
+ * Switched off entirely unless CRON_SECRET or ADMIN_TOKEN is set. The drift
+ * history itself is public, at GET /api/checks/:id?format=drift.
+ */
+
+const crypto = require('crypto');
+const { runInvestigation, verifySourceURL, deskError, errorBody } = require('./investigate');
+const permalinks = require('../lib/permalinks');
+const recheck = require('../lib/recheck');
+const { postWebhook } = require('../lib/jobs');
+const { presentedKey } = require('../lib/apikeys');
+
+// Vercel's cron sends CRON_SECRET as a bearer token; an operator can use the
+// admin token to run it by hand
+function isScheduler(req) {
+  const given = presentedKey(req);
+  if (!given) return false;
+  const digest = (value) => Buffer.from(crypto.createHash('sha256').update(value).digest('hex'));
+  return [process.env.CRON_SECRET, process.env.ADMIN_TOKEN]
+    .filter(Boolean)
+    .some(expected => crypto.timingSafeEqual(digest(expected), digest(given)));
+}
+
+// The claim as filed, checked again from scratch in the language it was
+// reported in. A check a v1 key filed is filed again under the same key, so
+// the newer report stays readable to whoever owns the first.
+function rerun(record) {
+  const claim = record.claim || {};
+  const result = record.result;
+  const input = {
+    text: claim.text || '',
+    url: claim.url || '',
+    language: (result._meta && result._meta.language) || '',
+    split: !!claim.split
+  };
+  return runInvestigation(input, { rerun: true, apiKeyId: record.apiKeyId || null });
+}
+
+async function notify(record, drift, events) {
+  const url = process.env.RECHECK_WEBHOOK_URL;
+  if (!url) return;
+  try {
+    const status = await postWebhook(url, {
+      id: record.id,
+      permalink: `/check/${record.id}`,
+      events,
+      drift: recheck.publicDrift(drift)
+    });
+    if (status < 200 || status >= 300) console.warn(`[recheck] alert for ${record.id} answered ${status}`);
+  } catch (err) {
+    console.warn(`[recheck] alert for ${record.id} not delivered:`, err.message);
+  }
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    if (!isScheduler(req)) {
+      throw deskError(401, 'Re-checking needs the cron secret or the admin token.', 'unauthorized');
+    }
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'POST') {
+      const record = await permalinks.getCheck(req.body?.id);
+      if (!record) {
+        throw deskError(404, 'There is no report filed under that id.', 'not_found');
+      }
+      // Null when the record holds no report to look at again
+      const events = await recheck.recheckOne(record, { verifySource: verifySourceURL, rerun });
+      if (!events) {
+        throw deskError(404, 'There is no report filed under that id.', 'not_found');
+      }
+      const drift = await recheck.getDrift(record.id);
+      if (events.length) await notify(record, drift, events);
+      return res.status(200).json({ id: record.id, events, drift: recheck.publicDrift(drift) });
+    }
+
+    const outcome = await recheck.runDue({
+      getCheck: permalinks.getCheck,
+      verifySource: verifySourceURL,
+      rerun,
+      notify
+    });
+    return res.status(200).json(outcome || { busy: true });
+
+  } catch (err) {
+    if (!err.status) console.error('Re-check error:', err);
+    return res.status(err.status || 500).json(errorBody(err));
+  }
+};
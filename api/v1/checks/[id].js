@@ -0,0 +1,76 @@
+/**
+ * Truth Gazette - Public API: check status
+ *
+ * GET /api/v1/checks/:id
+ *   Authorization: Bearer <api key>   (or X-API-Key)
+ *   { id, status: queued | running | done | failed, createdAt, finishedAt,
+ *     check?, drift?, error?, code? }
+ *
+ * The id is either a background job's or a finished check's permalink id,
+ * which is kept indefinitely. A filed check also carries its drift: what
+ * scheduled re-checks have found since (null until the first one).
+ *
+ * A key only sees its own jobs and the checks it filed, plus checks nobody's
+ * key filed (the page's). Anything else is a 404, the same as an id that
+ * does not exist, so ids cannot be probed. A cache hit can hand a key the id
+ * of a check another key filed; that key already has the whole check in the
+ * answer, so it loses nothing by not being able to poll it.
+ */
+
+const { deskError } = require('../../investigate');
+const jobs = require('../../../lib/jobs');
+const permalinks = require('../../../lib/permalinks');
+const recheck = require('../../../lib/recheck');
+const { presentedKey, lookupKey } = require('../../../lib/apikeys');
+const v1 = require('../../../lib/v1');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return v1.sendError(res, deskError(405, 'Method not allowed'));
+  }
+
+  try {
+    const apiKey = await lookupKey(presentedKey(req));
+    if (!apiKey) {
+      throw deskError(401, 'A valid API key is required.', 'unauthorized');
+    }
+
+    const notFound = () => deskError(404, 'No check with that id. Background jobs are kept for a day after they are submitted; filed checks are kept indefinitely.', 'not_found');
+
+    const filed = await permalinks.getCheck(req.query?.id);
+    if (filed) {
+      if (filed.apiKeyId && filed.apiKeyId !== apiKey.id) throw notFound();
+      res.setHeader('Cache-Control', 'private, max-age=300');
+      return res.status(200).json({
+        id: filed.id,
+        status: 'done',
+        createdAt: filed.createdAt,
+        finishedAt: filed.createdAt,
+        check: v1.presentCheck(filed.result),
+        drift: recheck.publicDrift(await recheck.getDrift(filed.id))
+      });
+    }
+
+    const job = await jobs.getJob(req.query?.id);
+    // Jobs the page queued have no key, and are not any key's to read
+    if (!job || job.apiKeyId !== apiKey.id) throw notFound();
+
+    const body = {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt || null
+    };
+    if (job.status === 'done') body.check = v1.presentCheck(job.result);
+    if (job.status === 'failed') {
+      body.error = job.error;
+      body.code = job.code || 'press_failure';
+    }
+
+    res.setHeader('Cache-Control', job.status === 'done' || job.status === 'failed' ? 'private, max-age=60' : 'no-store');
+    return res.status(200).json(body);
+
+  } catch (err) {
+    return v1.sendError(res, err);
+  }
+};
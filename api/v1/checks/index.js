@@ -0,0 +1,72 @@
+/**
+ * Truth Gazette - Public API: submit a check
+ *
+ * POST /api/v1/checks
+ *   Authorization: Bearer <api key>   (or X-API-Key)
+ *   { text?, url?, image?, ocrText?, language?, split?, async?, webhookUrl? }
+ *
+ *   Synchronous by default: 200 { status: "done", check }.
+ *   With async: true (or a webhookUrl): 202 { id, status, statusUrl }, then
+ *   GET /api/v1/checks/:id or wait for the webhook.
+ *
+ * The contract is described in lib/openapi.json, served at /api/v1/openapi.
+ */
+
+const { waitUntil } = require('@vercel/functions');
+const {
+  runInvestigation,
+  validateSubmission,
+  admitReader,
+  deskError,
+  errorBody
+} = require('../../investigate');
+const { webhookTarget } = require('../../jobs');
+const jobs = require('../../../lib/jobs');
+const { presentedKey, lookupKey } = require('../../../lib/apikeys');
+const v1 = require('../../../lib/v1');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return v1.sendError(res, deskError(405, 'Method not allowed'));
+  }
+
+  try {
+    const apiKey = await lookupKey(presentedKey(req));
+    if (!apiKey) {
+      throw deskError(401, 'A valid API key is required.', 'unauthorized');
+    }
+
+    const { text = '', url = '', image = null, imageHash = '', ocrText = '', language = '', ocrLanguage = '', split = false, webhookUrl = null } = req.body || {};
+    const runAsync = req.body?.async === true || !!webhookUrl;
+
+    validateSubmission({ text, url, image, imageHash, ocrText, language, ocrLanguage, split });
+    const webhook = webhookTarget(webhookUrl);
+
+    // Quota and rate limit follow the key, not whichever machine is calling.
+    // A split message is charged once more for each claim after the first.
+    const admitKey = () => admitReader('v1', `key:${apiKey.id}`, { dailyLimit: apiKey.dailyQuota });
+    const quota = await admitKey();
+    res.setHeader('X-Quota-Remaining', String(quota.remaining));
+
+    const input = { text, url, image, ocrText, language, ocrLanguage, split };
+
+    if (runAsync) {
+      const job = await jobs.createJob({ webhookUrl: webhook, format: 'v1', apiKeyId: apiKey.id });
+      waitUntil(jobs.runJob(
+        job.id,
+        () => runInvestigation(input, { quotaRemaining: quota.remaining, admitClaim: admitKey, apiKeyId: apiKey.id }),
+        errorBody
+      ).catch(err => console.error('[jobs] run failed:', err)));
+      const statusUrl = `/api/v1/checks/${job.id}`;
+      res.setHeader('Location', statusUrl);
+      return res.status(202).json({ id: job.id, status: job.status, statusUrl });
+    }
+
+    const output = await runInvestigation(input, { quotaRemaining: quota.remaining, admitClaim: admitKey, apiKeyId: apiKey.id });
+    const check = v1.presentCheck(output.result);
+    return res.status(200).json({ id: check.id, status: 'done', check });
+
+  } catch (err) {
+    return v1.sendError(res, err);
+  }
+};
@@ -0,0 +1,52 @@
+/**
+ * Truth Gazette - Public API: issue a key
+ *
+ * POST /api/v1/keys
+ *   Authorization: Bearer <ADMIN_TOKEN>
+ *   { name, dailyQuota? }
+ *   201 { id, key, name, dailyQuota, createdAt }
+ *
+ * The key is returned once and only its hash is kept. Switched off entirely
+ * unless ADMIN_TOKEN is set.
+ *
+ * Left out of lib/openapi.json on purpose. That file is the contract for the
+ * partners who hold keys, and none of them can call this: it is for whoever
+ * runs the deployment, the same as /api/recheck.
+ */
+
+const crypto = require('crypto');
+const { deskError } = require('../investigate');
+const { presentedKey, issueKey } = require('../../lib/apikeys');
+const v1 = require('../../lib/v1');
+
+function isAdmin(req) {
+  const expected = process.env.ADMIN_TOKEN || '';
+  const given = presentedKey(req);
+  if (!expected || !given) return false;
+  const a = Buffer.from(crypto.createHash('sha256').update(expected).digest('hex'));
+  const b = Buffer.from(crypto.createHash('sha256').update(given).digest('hex'));
+  return crypto.timingSafeEqual(a, b);
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'POST') {
+    return v1.sendError(res, deskError(405, 'Method not allowed'));
+  }
+
+  try {
+    if (!isAdmin(req)) {
+      throw deskError(401, 'Issuing keys needs the admin token.', 'unauthorized');
+    }
+
+    const { name = '', dailyQuota } = req.body || {};
+    if (!name || typeof name !== 'string') {
+      throw deskError(400, 'Give the key a name, so its requests can be told apart.');
+    }
+
+    const issued = await issueKey({ name, dailyQuota: parseInt(dailyQuota, 10) });
+    return res.status(201).json(issued);
+
+  } catch (err) {
+    return v1.sendError(res, err);
+  }
+};
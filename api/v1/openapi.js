@@ -0,0 +1,22 @@
+/**
+ * Truth Gazette - Public API: OpenAPI description
+ *
+ * GET /api/v1/openapi
+ *   The contract in lib/openapi.json, with this deployment as its server.
+ */
+
+const spec = require('../../lib/openapi.json');
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed', code: 'bad_request' });
+  }
+
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  const proto = (req.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  const document = host ? { ...spec, servers: [{ url: `${proto}://${host}` }] } : spec;
+
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  return res.status(200).json(document);
+};
@@ -0,0 +1,45 @@
+/**
+ * Truth Gazette - browser extension, background
+ *
+ * Puts "Check with Truth Gazette" on the right-click menu for selected text,
+ * links and pictures. Choosing it opens a small window (check.html) that
+ * sends the claim to the desk and shows the report. The check itself runs in
+ * that window rather than here: a check can take a minute, and the browser
+ * stops a background worker that sits waiting on one request that long.
+ */
+
+const MENU_ID = 'truth-gazette-check';
+
+chrome.runtime.onInstalled.addListener(function () {
+  chrome.contextMenus.create({
+    id: MENU_ID,
+    title: chrome.i18n.getMessage('menuCheck'),
+    contexts: ['selection', 'link', 'image']
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async function (info, tab) {
+  if (info.menuItemId !== MENU_ID) return;
+
+  // What was clicked, as the menu reported it. A picture wins over a link
+  // wrapped round it, and a selection over a link it sits in: the reader
+  // pointed at the claim, not the page it leads to.
+  const claim = {
+    text: info.selectionText || '',
+    url: info.mediaType === 'image' || info.selectionText ? '' : (info.linkUrl || ''),
+    imageUrl: info.mediaType === 'image' ? (info.srcUrl || '') : '',
+    pageUrl: info.pageUrl || (tab && tab.url) || '',
+    pageTitle: (tab && tab.title) || ''
+  };
+
+  // Handed over through session storage, which is cleared when the browser
+  // closes, rather than in the window's address
+  const id = crypto.randomUUID();
+  await chrome.storage.session.set({ ['claim:' + id]: claim });
+  await chrome.windows.create({
+    url: chrome.runtime.getURL('check.html#' + id),
+    type: 'popup',
+    width: 520,
+    height: 760
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Truth Gazette - browser extension, the check window
+ *
+ * Sends what the reader right-clicked to /api/investigate, the same request
+ * the page makes, with the address of the page it was found on. The report
+ * is then opened from the Gazette itself, at its /check/:id permalink in the
+ * compact card view, so the verdict, sources and every warning are printed by
+ * the page's own displayResult and never drift from what the site shows.
+ */
+
+// Matches the page: a check that has not answered in this long is not going to
+const CHECK_TIMEOUT = 75000;
+// The desk's own limit on a typed claim
+const MAX_TEXT = 5000;
+// Pictures the page would refuse are refused here too, before uploading them
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+const msg = (name, substitutions) => chrome.i18n.getMessage(name, substitutions);
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch (e) { return url; }
+}
+
+function deskFailure(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+// The picture as the page would have uploaded it: a data URL. Read with the
+// extension's own access, so a picture on any site can be checked, but
+// without the reader's cookies for that site.
+async function readPicture(src) {
+  let blob;
+  try {
+    const response = await fetch(src, { credentials: 'omit' });
+    if (!response.ok) throw new Error('HTTP ' + response.status);
+    blob = await response.blob();
+  } catch (e) {
+    throw deskFailure('picture_unreadable', e.message);
+  }
+  if (!/^image\//.test(blob.type)) throw deskFailure('picture_unreadable', 'Not a picture: ' + blob.type);
+  if (blob.size > MAX_IMAGE_BYTES) throw deskFailure('picture_too_large');
+  return new Promise(function (resolve, reject) {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(deskFailure('picture_unreadable', 'Could not read the picture'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+function showClipping(claim) {
+  let body = '';
+  if (claim.imageUrl) body = `<img src="${escapeHtml(claim.imageUrl)}" alt="">`;
+  else if (claim.text) body = `<blockquote>${escapeHtml(claim.text.length > 600 ? claim.text.slice(0, 600) + '…' : claim.text)}</blockquote>`;
+  else if (claim.url) body = `<span class="link">${escapeHtml(claim.url)}</span>`;
+  const seenOn = claim.pageUrl
+    ? `<span class="seen-on">${escapeHtml(msg('checkSeenOn', [claim.pageTitle || hostOf(claim.pageUrl)]))}</span>`
+    : '';
+  document.getElementById('clipping').innerHTML = `<div class="clipping">${body}${seenOn}</div>`;
+}
+
+function showNotice(error, retry) {
+  const known = ['editor_off_duty', 'desk_busy', 'day_done', 'bad_request', 'took_too_long', 'no_connection', 'picture_unreadable', 'picture_too_large', 'nothing_selected'];
+  const code = known.includes(error.code) ? error.code : 'press_failure';
+  document.getElementById('desk').innerHTML = `
+    <div class="notice">
+      <h3>${escapeHtml(msg('error_' + code + '_title'))}</h3>
+      <p>${escapeHtml(msg('error_' + code + '_body'))}</p>
+      ${code === 'bad_request' && error.message ? `<p><em>${escapeHtml(error.message)}</em></p>` : ''}
+      ${retry && code !== 'nothing_selected' ? `<button id="retry">${escapeHtml(msg('checkRetry'))}</button>` : ''}
+    </div>`;
+  const button = document.getElementById('retry');
+  if (button) button.addEventListener('click', retry);
+}
+
+// Only when the report was not filed, which the desk does for every check it
+// can: the verdict, and the way to the full page
+function showUnfiledResult(result, base) {
+  const verdict = ['REAL', 'FAKE'].includes(result.verdict) ? result.verdict : 'UNCERTAIN';
+  document.getElementById('desk').innerHTML = `
+    <span class="verdict ${verdict}">${escapeHtml(msg('verdict_' + verdict))}</span>
+    <h2>${escapeHtml(result.headline || '')}</h2>
+    <p>${escapeHtml(msg('checkConfidence', [String(result.confidence)]))}</p>
+    <p><em>${escapeHtml(msg('checkUnfiled'))}</em></p>
+    <a class="button" href="${escapeHtml(base + '/')}" target="_blank" rel="noopener">${escapeHtml(msg('checkOpenSite'))}</a>`;
+}
+
+async function runCheck(claim) {
+  const base = await apiBase();
+  document.getElementById('desk').innerHTML = `<p class="loading-text">${escapeHtml(msg('checkLoading'))}</p>`;
+
+  try {
+    const payload = {
+      text: (claim.text || '').slice(0, MAX_TEXT),
+      url: claim.url || '',
+      image: claim.imageUrl ? await readPicture(claim.imageUrl) : null,
+      pageUrl: /^https?:\/\//i.test(claim.pageUrl) ? claim.pageUrl : '',
+      language: chrome.i18n.getUILanguage(),
+      sessionId: await sessionId()
+    };
+
+    const controller = new AbortController();
+    const abortTimer = setTimeout(() => controller.abort(), CHECK_TIMEOUT);
+    let response;
+    let data;
+    try {
+      response = await fetch(base + '/api/investigate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Id': payload.sessionId },
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      });
+      data = await response.json();
+    } catch (netErr) {
+      if (netErr.name === 'AbortError') throw deskFailure('took_too_long');
+      throw deskFailure(navigator.onLine === false ? 'no_connection' : 'press_failure', netErr.message);
+    } finally {
+      clearTimeout(abortTimer);
+    }
+
+    if (!response.ok) {
+      // A refused submission is the one failure sent without a code
+      throw deskFailure(data.code || (response.status === 400 ? 'bad_request' : 'press_failure'), data.error);
+    }
+
+    const permalink = data.result && data.result._meta && data.result._meta.permalink;
+    if (permalink) {
+      await chrome.storage.session.remove('claim:' + location.hash.slice(1));
+      location.replace(base + permalink + '?view=card');
+      return;
+    }
+    showUnfiledResult(data.result || {}, base);
+  } catch (error) {
+    console.error('Check failed', error);
+    showNotice(error, () => runCheck(claim));
+  }
+}
+
+(async function () {
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  const key = 'claim:' + location.hash.slice(1);
+  const claim = (await chrome.storage.session.get(key))[key];
+  if (!claim || (!claim.text && !claim.url && !claim.imageUrl)) {
+    showNotice({ code: 'nothing_selected' });
+    return;
+  }
+  showClipping(claim);
+  runCheck(claim);
+})();
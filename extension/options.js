@@ -0,0 +1,25 @@
+/**
+ * Truth Gazette - browser extension, options
+ */
+
+document.querySelectorAll('[data-message]').forEach(function (el) {
+  el.textContent = chrome.i18n.getMessage(el.dataset.message) || el.textContent;
+});
+
+const field = document.getElementById('apiBase');
+const status = document.getElementById('status');
+
+chrome.storage.sync.get('apiBase').then(function ({ apiBase: saved }) {
+  field.value = saved || '';
+});
+
+document.getElementById('save').addEventListener('click', async function () {
+  const value = field.value.trim();
+  const base = normaliseApiBase(value);
+  if (value && !base) {
+    status.textContent = chrome.i18n.getMessage('optionsInvalid');
+    return;
+  }
+  await chrome.storage.sync.set({ apiBase: base });
+  status.textContent = chrome.i18n.getMessage('optionsSaved');
+});
@@ -0,0 +1,30 @@
+/**
+ * Truth Gazette - browser extension, settings
+ *
+ * Which desk the extension sends claims to. The public site by default; a
+ * newsroom running its own deployment, or a developer on `vercel dev`, puts
+ * its address in the extension's options.
+ */
+
+const DEFAULT_API_BASE = 'https://truthgazette.vercel.app';
+
+// Without a trailing slash, so paths can be added straight on
+function normaliseApiBase(value) {
+  const base = String(value || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\/[^/]+/i.test(base) ? base : '';
+}
+
+async function apiBase() {
+  const { apiBase: saved } = await chrome.storage.sync.get('apiBase');
+  return normaliseApiBase(saved) || DEFAULT_API_BASE;
+}
+
+// Readers are counted by session for the per-minute limit and the daily
+// quota, the same as on the page. One id per browser profile.
+async function sessionId() {
+  const { sessionId: saved } = await chrome.storage.local.get('sessionId');
+  if (saved) return saved;
+  const id = 'ext-' + crypto.randomUUID();
+  await chrome.storage.local.set({ sessionId: id });
+  return id;
+}
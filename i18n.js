@@ -0,0 +1,1517 @@
+/**
+ * Truth Gazette - interface strings
+ *
+ * Every word the newspaper page prints, by language. Most of our readers are
+ * not English-first, and a fact-check in a language the reader half-follows
+ * is a fact-check they half-trust.
+ *
+ * Keys missing from a language fall back to English, so a partial edition is
+ * still a usable one. Placeholders are {name}; a key with _one / _other
+ * variants is picked by Intl.PluralRules on {count}.
+ *
+ * The report itself is not translated here. The page sends its language with
+ * each check and the editor writes the report in it.
+ */
+
+(function () {
+    const STRINGS = {
+        en: {
+            'lang.name': 'English',
+            'lang.label': 'Edition',
+
+            'drop.rule': 'Late Edition',
+            'drop.title': 'Drop the Clipping',
+            'drop.body': 'Screenshots, forwards and photographs. We\'ll read the text out of it.',
+
+            'header.subheader': 'Est. 2025 | AI-Powered News Verification Bureau',
+            'header.edition': '{date} EDITION | AI-POWERED MEDIA LITERACY PLATFORM',
+
+            'submit.title': 'SUBMIT FOR VERIFICATION',
+            'text.heading': 'Text Analysis',
+            'text.label': 'Paste Article or Headline:',
+            'text.placeholder': 'Enter the news article, headline, or claim you want to verify...',
+            'url.heading': 'URL Investigation',
+            'url.label': 'Enter News Article URL:',
+            'url.hint': 'We read the page, then check what it says against independent sources',
+            'image.heading': 'Image Verification',
+            'image.label': 'Upload or Capture Image:',
+            'image.choose': 'Choose Image / Take Photo',
+            'image.remove': 'Remove image',
+            'image.hint': 'AI will analyze text in images and verify claims',
+
+            'action.investigate': 'INVESTIGATE NOW',
+            'action.clear': 'Clear All',
+
+            'ballot.tag': 'Reader\'s Verdict',
+            'ballot.title': 'Before We Investigate',
+            'ballot.sub': 'What does your gut say? Commit to a verdict, then we go and check.',
+            'ballot.real': 'Real',
+            'ballot.fake': 'Fake',
+            'ballot.unsure': 'Not Sure',
+            'ballot.footnote': 'Your answer stays in your browser. We never send it to the AI, so it can\'t sway the verdict.',
+            'ballot.skip': 'Skip and just investigate',
+            'ballot.ruleOn': 'House rule: the reader is asked for a verdict before ours is printed.',
+            'ballot.turnOff': 'Turn this off',
+            'ballot.ruleOff': 'House rule suspended: verdicts are printed without asking first.',
+            'ballot.turnOn': 'Turn it back on',
+
+            'footer.title': 'THE TRUTH GAZETTE - FAKE NEWS DETECTION BUREAU',
+            'footer.tagline': 'An AI-Powered Media Literacy Platform',
+            'footer.note': 'Every source printed here was requested and confirmed before publication. Anything we could not reach was left out rather than listed. A verdict is where checking starts.',
+            'flashlight.hint': 'Lights-out mode: Press Shift+L to toggle',
+
+            'ocr.label': 'OCR:',
+            'ocr.detecting': 'Identifying the script...',
+            'ocr.extracting': 'Extracting...',
+            'ocr.progress': 'Extracting... {pct}%',
+            'ocr.unreadable': 'Could not read this script. The picture will be read directly',
+            'ocr.noReadable': 'No readable text found',
+            'ocr.none': 'No text found',
+            'ocr.failed': 'OCR failed',
+
+            'alert.tooBig': 'That image is {size}MB. Please use one under 10MB, or take a screenshot of just the text.',
+            'alert.badFormat': 'That image format ({type}) can\'t be read here. Please use JPG, PNG or WebP. On iPhone, take a screenshot instead of sharing the photo directly.',
+            'alert.notImage': 'That file isn\'t an image. Drop a screenshot or a photo, or paste the text instead.',
+            'alert.noInput': 'Please provide at least one input: text, URL, or image!',
+            'alert.notLink': 'That does not look like a web address. Paste a link like https://example.com/article, or put the claim in the text box instead.',
+            'alert.httpOnly': 'Only http and https links can be investigated.',
+            'alert.ocrRunning': 'Image OCR is still running. Please wait a moment for the OCR to complete and try again.',
+            'alert.tooLong': 'Text input too long. Please shorten to 3000 characters or less.',
+
+            'loading.title': 'INVESTIGATION IN PROGRESS',
+            'loading.note': 'Every source has to be fetched and confirmed before it reaches you. That takes a few seconds.',
+            'loading.stage1': 'Reading the claim…',
+            'loading.stage2': 'Searching for live coverage…',
+            'loading.stage3': 'Collecting candidate sources…',
+            'loading.stage4': 'Fetching each source to confirm it exists…',
+            'loading.stage5': 'Checking dates and discarding what we can\'t reach…',
+            'loading.stage6': 'Writing up the findings…',
+
+            'wire.cache': 'Checked recently. Reprinting that report.',
+            'wire.cacheNear': 'A near-identical message was checked recently. Reprinting that report.',
+            'cached.strip': 'Reprinted from a check made {age}. Sources were confirmed then, not now.',
+            'wire.ocr': 'Read the text in the picture again, on our side.',
+            'wire.articleRead': 'Read the submitted page: “{title}”.',
+            'wire.articleReadUntitled': 'Read the submitted page.',
+            'wire.articleFailed': 'Could not read the submitted page. Checking around it.',
+            'wire.modelAsked': 'Asking the editor, with live search…',
+            'wire.modelFiled': 'The editor has filed copy.',
+            'wire.modelFailed': 'The editor could not finish this one.',
+            'wire.grounding_one': '{count} search result to fetch and confirm.',
+            'wire.grounding_other': '{count} search results to fetch and confirm.',
+            'wire.sourceVerified': 'Fetched {domain}: confirmed.',
+            'wire.sourceArchived': '{domain} is gone. An archived copy was found.',
+            'wire.sourceWithheld': '{domain} opened, but it is a user-post site. Not cited.',
+            'wire.sourceUnreachable': '{domain} could not be opened. Thrown out.',
+            'wire.metaFound': 'Read {domain}\'s own summary.',
+            'wire.metaMissing': 'Nothing quotable on {domain}.',
+            'wire.sources_one': '{count} source going to print.',
+            'wire.sources_other': '{count} sources going to print.',
+            'wire.priors_one': 'Found {count} published fact-check of a similar claim.',
+            'wire.priors_other': 'Found {count} published fact-checks of a similar claim.',
+            'wire.priorsSettled': '{publisher} has already reviewed this claim: “{rating}”.',
+            'wire.aPage': 'a page',
+
+            'notice.readers': 'Notice to Readers',
+            'notice.stopPress': 'Stop Press',
+            'notice.editor_off_duty.headline': 'The Editor Is Off Duty',
+            'notice.editor_off_duty.body': 'The Gazette files a limited number of reports each day, and that number has been reached. Nothing has been decided about the claim you submitted. The desk reopens shortly.',
+            'notice.editor_off_duty.footer': 'Try again in a few minutes.',
+            'notice.desk_busy.headline': 'The Desk Is Backed Up',
+            'notice.desk_busy.body': 'Copy is arriving faster than it can be checked. Try again in a moment.',
+            'notice.desk_busy.bodyWait_one': 'Copy is arriving faster than it can be checked. Try again in about {count} second.',
+            'notice.desk_busy.bodyWait_other': 'Copy is arriving faster than it can be checked. Try again in about {count} seconds.',
+            'notice.desk_busy.footer': 'Requests are limited per reader.',
+            'notice.day_done.headline': 'Today\'s Edition Is Closed',
+            'notice.day_done.body': 'You have used this reader\'s checks for today. The presses roll again tomorrow.',
+            'notice.day_done.footer': 'The limit resets at midnight UTC.',
+            'notice.press_failure.headline': 'The Edition Did Not Go To Press',
+            'notice.press_failure.body': 'Something failed on the way to the verification desk, so there is no verdict to report. This says nothing about the claim itself, only about us.',
+            'notice.press_failure.footer': 'Try again in a moment.',
+            'notice.took_too_long.headline': 'This One Ran Past Deadline',
+            'notice.took_too_long.body': 'The check was still running after a minute and we stopped waiting. Some claims send us chasing a lot of slow pages. Nothing has been decided either way.',
+            'notice.took_too_long.footer': 'Try again, or shorten the claim to something more specific.',
+            'notice.no_connection.headline': 'No Connection',
+            'notice.no_connection.body': 'Your device appears to be offline, so we could not check anything. The page itself still works.',
+            'notice.no_connection.footer': 'Try again once you are back online.',
+            'notice.not_found.headline': 'No Such Report',
+            'notice.not_found.body': 'There is nothing filed under this link. It may have been mistyped, or cut short when it was forwarded.',
+            'notice.not_found.footer': 'Check the link, or submit the claim again above.',
+            'notice.default.headline': 'The Edition Did Not Go To Press',
+            'notice.default.body': 'The check could not be completed, so there is no verdict to report. This says nothing about whether the claim is true or false.',
+            'notice.default.footer': 'Try again in a moment. If it keeps happening, the desk is likely down.',
+
+            'verdict.REAL': 'REAL',
+            'verdict.FAKE': 'FAKE',
+            'verdict.UNCERTAIN': 'UNCERTAIN',
+            'verdict.NOT_SURE': 'NOT SURE',
+            'result.fallbackHeadline': '{verdict} NEWS DETECTED',
+            'result.readerCall': 'Reader\'s call: {guess} · Gazette\'s verdict: {verdict}',
+            'result.record': 'Your record: {right} of {total}',
+            'result.confidence': 'Confidence Level',
+            'result.report': 'Investigation Report',
+            'result.keyFindings': 'Key Findings:',
+            'result.howItSpread': 'How It Spread',
+            'result.sources': 'Sources',
+            'result.verifiedCount': '({count} verified)',
+            'result.lastChecked': 'Last checked {date}',
+            'result.thrownOut': 'Thrown out before printing: {list}.',
+            'result.unopened_one': '{count} link we could not open',
+            'result.unopened_other': '{count} links we could not open',
+            'result.withheld': '{count} from sites we do not cite',
+            'result.offTopic': '{count} that were related but not about the claim',
+            'result.noSources': 'No Verified Sources Found',
+            'result.noSourcesBody': 'The AI could not find verifiable sources for this claim. This doesn\'t mean the claim is false, but it couldn\'t be independently verified.',
+            'result.editorialLabel': 'Editorial Note:',
+            'result.editorialBody': 'Written by the Gazette\'s verification engine, working from live search. The sources above were fetched and confirmed; the reasoning is printed so it can be argued with.',
+
+            'permalink.label': 'Permanent link to this report:',
+            'permalink.share': 'Share',
+            'permalink.copied': 'Link copied.',
+            'permalink.copyPrompt': 'Copy this link:',
+            'clipping.print': 'Print clipping',
+            'clipping.claimReview': 'ClaimReview markup (JSON-LD)',
+            'clipping.dateline': 'Checked {date}',
+            'clipping.confidence': 'Confidence {value}%',
+            'clipping.footer': 'Republished from The Truth Gazette. Sources were confirmed when the check was made, not when this was printed. Full report: {link}',
+            'filed.title': 'FROM THE FILES',
+            'filed.loading': 'Fetching the report…',
+            'filed.strip': 'From the Gazette\'s files · First printed {date}. Sources were confirmed then, not now.',
+            'outlet.profile': 'Who is behind this source',
+            'outlet.type.wire': 'Wire service',
+            'outlet.type.public_broadcaster': 'Public broadcaster',
+            'outlet.type.government': 'Government',
+            'outlet.type.academic': 'Academic',
+            'outlet.type.fact_checker': 'Fact-checker',
+            'outlet.type.newspaper': 'Newspaper',
+            'outlet.type.magazine': 'Magazine',
+            'outlet.type.broadcaster': 'Broadcaster',
+            'outlet.type.digital': 'Online newsroom',
+            'outlet.type.reference': 'Reference work',
+            'outlet.type.state_media': 'State-controlled media',
+            'outlet.type.partisan': 'Partisan',
+            'outlet.type.satire': 'Satire',
+            'outlet.type.platform': 'User-post platform',
+            'split.toggle': 'Check each claim separately',
+            'split.hint': 'For forwards that make several claims at once. Each claim after the first counts as a check.',
+            'wire.claims_one': 'The copy desk found {count} claim to check.',
+            'wire.claims_other': 'The copy desk found {count} separate claims. Checking each one.',
+            'wire.oneClaim': 'Only one checkable claim in this message. Checking it as a whole.',
+            'wire.claimTag': 'Claim {number}:',
+            'claims.title': 'Claim by Claim',
+            'claims.tally': '{count} claims checked · {real} true · {fake} false · {uncertain} unsettled',
+            'claims.skipped_one': '{count} more claim was found but not checked: today\'s allowance ran out.',
+            'claims.skipped_other': '{count} more claims were found but not checked: today\'s allowance ran out.',
+            'claims.notChecked': 'Not checked',
+            'claims.fullReport': 'Full report',
+            'snippet.quote': 'Quoted from the page',
+            'snippet.summary': 'Our summary, not a quote',
+            'snippet.not_found': 'Not found on the page',
+            'snippet.unchecked': 'Not checked against the page',
+            'snippet.score': '{percent}% of this line\'s wording was found on the page',
+            'wire.excerptQuote': 'Found the quoted line on {domain}.',
+            'wire.excerptSummary': 'The line credited to {domain} is a summary, not a quote.',
+            'wire.excerptMissing': 'Could not find the line credited to {domain} on its page.',
+            'source.published': 'Published {date}',
+            'source.updated': 'updated {date}',
+            'source.outdated': 'much older than the claim',
+            'dates.warning': 'Old evidence',
+            'dates.beforeEvents_one': '{count} of the {dated} dated sources was published more than a year before the events the claim describes ({date}). The oldest is from {oldest}. A real story or picture from years ago, forwarded as new, is the most common fake there is.',
+            'dates.beforeEvents_other': '{count} of the {dated} dated sources were published more than a year before the events the claim describes ({date}). The oldest is from {oldest}. A real story or picture from years ago, forwarded as new, is the most common fake there is.',
+            'dates.beforeArticle_one': '{count} of the {dated} dated sources was published more than a year before the article that carried the claim ({date}). The oldest is from {oldest}.',
+            'dates.beforeArticle_other': '{count} of the {dated} dated sources were published more than a year before the article that carried the claim ({date}). The oldest is from {oldest}.',
+            'wire.dates_one': 'Read the publication date on {count} source. None is much older than the claim.',
+            'wire.dates_other': 'Read the publication dates on {count} sources. None is much older than the claim.',
+            'wire.datesOld_one': '{count} source was published more than a year before the claim.',
+            'wire.datesOld_other': '{count} sources were published more than a year before the claim.',
+            'seen.label': 'Seen before',
+            'seen.same': 'This picture was checked on {date}, and the verdict then was {verdict}. The claim it came with:',
+            'seen.copy': 'A close copy of this picture was checked on {date}, and the verdict then was {verdict}. The claim it came with:',
+            'seen.link': 'Read that report',
+            'prior.label': 'Previously reviewed',
+            'prior.by': 'Previously reviewed by {publisher}',
+            'prior.rated': 'Rated “{rating}”',
+            'prior.link': 'Read the review',
+            'prior.settled': 'This report is taken from that review. No fresh search was run for it.',
+            'wire.picture': 'This picture has been checked before, on {date}: {verdict}.',
+            'picture.title': 'About this picture',
+            'picture.format': 'File',
+            'picture.taken': 'Taken',
+            'picture.takenOld': 'more than a year before the claim',
+            'picture.camera': 'Camera',
+            'picture.software': 'Software',
+            'picture.changed': 'Last changed',
+            'picture.location': 'Location',
+            'picture.locationValue': 'Recorded in the file (not shown)',
+            'picture.credentials': 'Content Credentials',
+            'picture.credentialsValue': 'Made with {generator}; records: {actions}. Signature not checked.',
+            'picture.signal.ai_generated': 'The file says it was made by an AI image generator.',
+            'picture.signal.edited': 'An editing program is named in the file.',
+            'picture.signal.edited_later': 'It was changed more than a day after it was taken.',
+            'picture.signal.stripped': 'The file carries no camera or editing record. Messaging apps and social networks strip it and screenshots never had one, so this says nothing either way.',
+            'picture.footer': 'Read from the file itself, by the camera\'s own clock. Metadata can be edited or removed, so it is a lead, not proof.',
+            'wire.pictureFile': 'Read the picture file\'s own record.',
+            'wire.pictureFileTaken': 'The picture file says it was taken on {date}.',
+            'wire.pictureFileEmpty': 'The picture file carries no metadata.',
+            'wire.pictureFileAi': 'The picture file says an AI image generator made it.',
+
+            'notice.unauthorized.headline': 'Teachers Only',
+            'notice.unauthorized.body': 'These results open with the teacher link the class was started with. Students join the class at its own link instead.',
+            'notice.unauthorized.footer': 'Open the link from the browser that started the class.',
+            'class.footerLink': 'Running a workshop? Classroom mode',
+            'class.tag': 'Classroom',
+            'class.startTitle': 'Run a Workshop',
+            'class.startSub': 'Put in up to {count} claims for the class to judge, one per line. A line that is only a link is checked as a link. Every claim is checked once, now, so the whole room sees the same reports.',
+            'class.nameLabel': 'Class name',
+            'class.namePlaceholder': 'e.g. Year 10, Thursday',
+            'class.claimsLabel': 'Claims, one per line',
+            'class.claimsPlaceholder': 'A headline, a forwarded message, or a link on each line',
+            'class.start': 'Start the Class',
+            'class.joinTitle': 'Joining a class?',
+            'class.joinLabel': 'Class code',
+            'class.join': 'Join',
+            'class.badCode': 'That does not look like a class code. Codes are six letters and numbers.',
+            'class.noClaims': 'Put in at least one claim.',
+            'class.tooMany': 'A class can hold up to {count} claims.',
+            'class.shareTitle': 'Class Code',
+            'class.shareBody': 'Students open {link}, or enter the code on the classroom page.',
+            'class.teacherNote': 'Keep this page\'s link. It is the only way back to the results, and it is not for students.',
+            'class.resultsTitle': 'How the Room Did',
+            'class.students_one': '{count} student',
+            'class.students_other': '{count} students',
+            'class.byClaim': 'By Claim',
+            'class.byTactic': 'By Tactic',
+            'class.colClaim': 'Claim',
+            'class.colVerdict': 'Verdict',
+            'class.colGuesses': 'Guesses',
+            'class.colMatched': 'Matched the report',
+            'class.colTactic': 'Tactic',
+            'class.colClaims': 'Claims',
+            'class.pending': 'Still being checked',
+            'class.failed': 'Could not be checked',
+            'class.noAnswers': 'No answers yet',
+            'class.noTactics': 'No report in this set has named a tactic yet.',
+            'class.progress': 'Claim {n} of {total}',
+            'class.callIt': 'Real, fake, or not sure? Commit first. The report opens after.',
+            'class.waiting': 'This claim is still being checked. It opens by itself once the report is filed.',
+            'class.tally': 'Matched the report so far: {right} of {answered}',
+            'class.next': 'Next Claim',
+            'class.doneTitle': 'End of the Set',
+            'class.doneBody': 'You matched the report on {right} of {total} claims.',
+            'class.doneNote': 'Your teacher sees the totals for the class, never your name.',
+
+            'batch.footerLink': 'Checking a whole list? Batch mode',
+            'batch.tag': 'Batch Desk',
+            'batch.startTitle': 'Check a List',
+            'batch.startSub': 'Paste up to {count} claims, one per line, or upload a CSV or JSON file. A CSV can name its claim, url and id columns in a header row; the id comes back in the results. Each claim counts against your daily allowance and runs at the pace your limit allows.',
+            'batch.claimsLabel': 'Claims, one per line',
+            'batch.claimsPlaceholder': 'A headline, a forwarded message, or a link on each line',
+            'batch.fileLabel': 'Or upload a CSV or JSON file',
+            'batch.start': 'Start the Batch',
+            'batch.noClaims': 'Put in at least one claim, or choose a file.',
+            'batch.badFile': 'That file could not be read as CSV or JSON.',
+            'batch.recent': 'Your recent batches',
+            'batch.recentItem_one': '{date}: {count} claim',
+            'batch.recentItem_other': '{date}: {count} claims',
+            'batch.progress': '{done} of {total} checked',
+            'batch.failed_one': '{count} could not be checked',
+            'batch.failed_other': '{count} could not be checked',
+            'batch.running': 'Checking a few at a time. You can close this page: the list carries on whenever it is open, and nothing already checked is lost.',
+            'batch.busy': 'Paused for the per-minute limit. Carrying on at {time}.',
+            'batch.dayDone': 'The day\'s allowance is used up. The rest of the list carries on after midnight UTC, the next time this page is open.',
+            'batch.done': 'Every claim on the list has been checked.',
+            'batch.keepLink': 'Bookmark this page to come back to the list: {link}',
+            'batch.downloadCsv': 'Download CSV',
+            'batch.downloadJson': 'Download JSON',
+            'batch.resultsTitle': 'Batch Results',
+            'batch.colClaim': 'Claim',
+            'batch.colVerdict': 'Verdict',
+            'batch.colConfidence': 'Confidence',
+            'batch.colSources': 'Confirmed sources',
+            'batch.rowPending': 'Queued',
+            'batch.rowRunning': 'Checking…',
+            'batch.rowFailed': 'Could not be checked',
+
+            'history.footerLink': 'Checked it before? Your history',
+            'history.tag': 'Your Files',
+            'history.title': 'Checks From This Browser',
+            'history.sub': 'Everything checked from this page is kept here, on this device only. Run an old check again to see what has changed since.',
+            'history.searchLabel': 'Search your checks',
+            'history.searchPlaceholder': 'A word from the claim, the link or the headline',
+            'history.unavailable': 'This browser is not keeping a history (private windows often don\'t).',
+            'history.empty': 'Nothing checked from this browser yet. Checks you make from the front page appear here.',
+            'history.noMatch': 'No check in your history matches that.',
+            'history.listTitle': 'Your History',
+            'history.count_one': '{count} check',
+            'history.count_other': '{count} checks',
+            'history.colChecked': 'Checked',
+            'history.runs_one': 'Checked once',
+            'history.runs_other': 'Checked {count} times',
+            'history.rerun': 'Check again',
+            'history.forget': 'Forget',
+            'history.forgetConfirm': 'Remove this check and all its runs from this browser?',
+            'history.picture': 'A picture',
+            'history.entryTitle': 'Every Run of This Check',
+            'history.reprint': 'reprinted from the desk\'s cache',
+            'history.back': 'Back to the list',
+            'history.since': 'Since you last checked this, {age}',
+            'history.link': 'Your history',
+            'history.unchanged': 'Nothing has changed: same verdict, same confidence, same sources.',
+            'history.verdictChanged': 'Verdict changed from {from} to {to}',
+            'history.confidenceChanged': 'Confidence went from {from}% to {to}%',
+            'history.claimChanged': '“{claim}” changed from {from} to {to}',
+            'history.sourceAdded': 'New source: {source}',
+            'history.sourceDropped': 'No longer cited: {source}',
+            'drift.label': 'Looked at again since it was filed · last {date}',
+            'drift.unchanged': 'Every source still stands where it did.',
+            'drift.verdict': 'A fresh check now finds {to}, not {from}',
+            'drift.sourceDead': '{source} could no longer be reached on {date}',
+            'drift.sourceArchived': '{source} was gone by {date}; an archived copy remains',
+            'drift.sourceLive': '{source} was back online on {date}',
+            'drift.open': 'open',
+            'drift.latest': 'Read the latest report'
+        },
+
+        hi: {
+            'lang.name': 'हिन्दी',
+            'lang.label': 'संस्करण',
+
+            'drop.rule': 'ताज़ा संस्करण',
+            'drop.title': 'कतरन यहाँ छोड़ें',
+            'drop.body': 'स्क्रीनशॉट, फ़ॉरवर्ड और तस्वीरें। हम उसमें लिखा पाठ पढ़ लेंगे।',
+
+            'header.subheader': 'स्थापना 2025 | एआई-आधारित समाचार सत्यापन ब्यूरो',
+            'header.edition': '{date} संस्करण | एआई-आधारित मीडिया साक्षरता मंच',
+
+            'submit.title': 'जाँच के लिए भेजें',
+            'text.heading': 'पाठ की जाँच',
+            'text.label': 'लेख या शीर्षक चिपकाएँ:',
+            'text.placeholder': 'वह समाचार, शीर्षक या दावा लिखें जिसकी आप जाँच करना चाहते हैं...',
+            'url.heading': 'लिंक की जाँच',
+            'url.label': 'समाचार लेख का लिंक डालें:',
+            'url.hint': 'हम पेज पढ़ते हैं, फिर उसकी बातों को स्वतंत्र स्रोतों से मिलाते हैं',
+            'image.heading': 'तस्वीर की जाँच',
+            'image.label': 'तस्वीर अपलोड करें या खींचें:',
+            'image.choose': 'तस्वीर चुनें / फ़ोटो लें',
+            'image.remove': 'तस्वीर हटाएँ',
+            'image.hint': 'एआई तस्वीरों में लिखे पाठ को पढ़कर दावों की जाँच करेगा',
+
+            'action.investigate': 'अभी जाँचें',
+            'action.clear': 'सब मिटाएँ',
+
+            'ballot.tag': 'पाठक का फ़ैसला',
+            'ballot.title': 'जाँच से पहले',
+            'ballot.sub': 'आपका मन क्या कहता है? पहले अपना फ़ैसला चुनें, फिर हम जाँचते हैं।',
+            'ballot.real': 'सच',
+            'ballot.fake': 'झूठ',
+            'ballot.unsure': 'पक्का नहीं',
+            'ballot.footnote': 'आपका जवाब आपके ब्राउज़र में ही रहता है। हम उसे एआई को नहीं भेजते, ताकि वह फ़ैसले पर असर न डाले।',
+            'ballot.skip': 'छोड़ें और सीधे जाँचें',
+            'ballot.ruleOn': 'अख़बार का नियम: हमारा फ़ैसला छपने से पहले पाठक से उसका फ़ैसला पूछा जाता है।',
+            'ballot.turnOff': 'इसे बंद करें',
+            'ballot.ruleOff': 'नियम स्थगित: फ़ैसले बिना पूछे छापे जा रहे हैं।',
+            'ballot.turnOn': 'फिर से चालू करें',
+
+            'footer.title': 'द ट्रुथ गैज़ेट - फ़र्ज़ी ख़बर जाँच ब्यूरो',
+            'footer.tagline': 'एआई-आधारित मीडिया साक्षरता मंच',
+            'footer.note': 'यहाँ छपा हर स्रोत प्रकाशन से पहले खोला और पुष्ट किया गया। जिस तक हम नहीं पहुँच सके, उसे सूची में रखने के बजाय छोड़ दिया गया। फ़ैसला जाँच की शुरुआत है।',
+            'flashlight.hint': 'अंधेरा मोड: Shift+L दबाएँ',
+
+            'ocr.label': 'ओसीआर:',
+            'ocr.detecting': 'लिपि पहचानी जा रही है...',
+            'ocr.extracting': 'पाठ निकाला जा रहा है...',
+            'ocr.progress': 'पाठ निकाला जा रहा है... {pct}%',
+            'ocr.unreadable': 'यह लिपि यहाँ नहीं पढ़ी जा सकी। तस्वीर सीधे पढ़ी जाएगी',
+            'ocr.noReadable': 'पढ़ने लायक़ पाठ नहीं मिला',
+            'ocr.none': 'कोई पाठ नहीं मिला',
+            'ocr.failed': 'ओसीआर विफल रहा',
+
+            'alert.tooBig': 'यह तस्वीर {size}MB की है। कृपया 10MB से छोटी तस्वीर लें, या सिर्फ़ पाठ का स्क्रीनशॉट लें।',
+            'alert.badFormat': 'यह फ़ॉर्मैट ({type}) यहाँ नहीं पढ़ा जा सकता। कृपया JPG, PNG या WebP इस्तेमाल करें। iPhone पर फ़ोटो सीधे भेजने के बजाय स्क्रीनशॉट लें।',
+            'alert.notImage': 'यह फ़ाइल तस्वीर नहीं है। स्क्रीनशॉट या फ़ोटो डालें, या पाठ चिपकाएँ।',
+            'alert.noInput': 'कृपया कम से कम एक चीज़ दें: पाठ, लिंक या तस्वीर!',
+            'alert.notLink': 'यह वेब पता नहीं लगता। https://example.com/article जैसा लिंक चिपकाएँ, या दावे को पाठ वाले बॉक्स में लिखें।',
+            'alert.httpOnly': 'केवल http और https लिंक की जाँच हो सकती है।',
+            'alert.ocrRunning': 'तस्वीर से पाठ अभी निकाला जा रहा है। कृपया थोड़ा रुककर फिर कोशिश करें।',
+            'alert.tooLong': 'पाठ बहुत लंबा है। कृपया 3000 अक्षरों से छोटा करें।',
+
+            'loading.title': 'जाँच जारी है',
+            'loading.note': 'हर स्रोत आप तक पहुँचने से पहले खोला और पुष्ट किया जाता है। इसमें कुछ सेकंड लगते हैं।',
+            'loading.stage1': 'दावा पढ़ा जा रहा है…',
+            'loading.stage2': 'ताज़ा ख़बरें खोजी जा रही हैं…',
+            'loading.stage3': 'संभावित स्रोत जुटाए जा रहे हैं…',
+            'loading.stage4': 'हर स्रोत खोलकर उसकी पुष्टि की जा रही है…',
+            'loading.stage5': 'तारीख़ें जाँची जा रही हैं, पहुँच से बाहर स्रोत हटाए जा रहे हैं…',
+            'loading.stage6': 'नतीजे लिखे जा रहे हैं…',
+
+            'wire.cache': 'हाल ही में जाँचा गया था। वही रिपोर्ट फिर छापी जा रही है।',
+            'wire.cacheNear': 'लगभग यही संदेश हाल ही में जाँचा गया था। वही रिपोर्ट फिर छापी जा रही है।',
+            'cached.strip': '{age} की गई जाँच से दोबारा छापी गई। स्रोत तब पुष्ट किए गए थे, अभी नहीं।',
+            'wire.ocr': 'तस्वीर का पाठ हमारी ओर से दोबारा पढ़ा गया।',
+            'wire.articleRead': 'भेजा गया पेज पढ़ा: “{title}”।',
+            'wire.articleReadUntitled': 'भेजा गया पेज पढ़ा।',
+            'wire.articleFailed': 'भेजा गया पेज नहीं पढ़ा जा सका। आसपास की जानकारी जाँची जा रही है।',
+            'wire.modelAsked': 'संपादक से पूछा जा रहा है, ताज़ा खोज के साथ…',
+            'wire.modelFiled': 'संपादक ने रिपोर्ट भेज दी है।',
+            'wire.modelFailed': 'संपादक यह जाँच पूरी नहीं कर सके।',
+            'wire.grounding_one': '{count} खोज परिणाम खोलकर पुष्ट करना है।',
+            'wire.grounding_other': '{count} खोज परिणाम खोलकर पुष्ट करने हैं।',
+            'wire.sourceVerified': '{domain} खोला: पुष्ट।',
+            'wire.sourceArchived': '{domain} अब नहीं है। उसकी संग्रहित प्रति मिली।',
+            'wire.sourceWithheld': '{domain} खुला, पर यह उपयोगकर्ता-पोस्ट वाली साइट है। उद्धृत नहीं।',
+            'wire.sourceUnreachable': '{domain} नहीं खुल सका। हटा दिया गया।',
+            'wire.metaFound': '{domain} का अपना सार पढ़ा।',
+            'wire.metaMissing': '{domain} पर उद्धृत करने लायक़ कुछ नहीं।',
+            'wire.sources_one': '{count} स्रोत छपने जा रहा है।',
+            'wire.sources_other': '{count} स्रोत छपने जा रहे हैं।',
+            'wire.priors_one': 'मिलते-जुलते दावे की {count} प्रकाशित जाँच मिली।',
+            'wire.priors_other': 'मिलते-जुलते दावे की {count} प्रकाशित जाँचें मिलीं।',
+            'wire.priorsSettled': '{publisher} इस दावे की पहले ही जाँच कर चुका है: “{rating}”।',
+            'wire.aPage': 'एक पेज',
+
+            'notice.readers': 'पाठकों के लिए सूचना',
+            'notice.stopPress': 'छपाई रोको',
+            'notice.editor_off_duty.headline': 'संपादक अभी छुट्टी पर हैं',
+            'notice.editor_off_duty.body': 'गैज़ेट हर दिन सीमित रिपोर्टें छापता है, और वह सीमा पूरी हो चुकी है। आपके दावे के बारे में कुछ तय नहीं हुआ है। डेस्क जल्द फिर खुलेगा।',
+            'notice.editor_off_duty.footer': 'कुछ मिनट बाद फिर कोशिश करें।',
+            'notice.desk_busy.headline': 'डेस्क पर भीड़ है',
+            'notice.desk_busy.body': 'जाँच से तेज़ी से सामग्री आ रही है। थोड़ी देर बाद फिर कोशिश करें।',
+            'notice.desk_busy.bodyWait_one': 'जाँच से तेज़ी से सामग्री आ रही है। लगभग {count} सेकंड बाद फिर कोशिश करें।',
+            'notice.desk_busy.bodyWait_other': 'जाँच से तेज़ी से सामग्री आ रही है। लगभग {count} सेकंड बाद फिर कोशिश करें।',
+            'notice.desk_busy.footer': 'हर पाठक के अनुरोध सीमित हैं।',
+            'notice.day_done.headline': 'आज का संस्करण बंद हो गया',
+            'notice.day_done.body': 'आज की आपकी जाँचें पूरी हो चुकी हैं। छपाई कल फिर शुरू होगी।',
+            'notice.day_done.footer': 'सीमा UTC आधी रात को फिर शुरू होती है।',
+            'notice.press_failure.headline': 'संस्करण छप नहीं सका',
+            'notice.press_failure.body': 'जाँच डेस्क तक पहुँचते समय कुछ गड़बड़ हुई, इसलिए कोई फ़ैसला नहीं है। इससे दावे के बारे में कुछ पता नहीं चलता, केवल हमारे बारे में।',
+            'notice.press_failure.footer': 'थोड़ी देर बाद फिर कोशिश करें।',
+            'notice.took_too_long.headline': 'यह जाँच समय-सीमा से आगे निकल गई',
+            'notice.took_too_long.body': 'एक मिनट बाद भी जाँच चल रही थी, इसलिए हमने इंतज़ार बंद कर दिया। कुछ दावों में कई धीमे पेज खोलने पड़ते हैं। किसी भी ओर कुछ तय नहीं हुआ है।',
+            'notice.took_too_long.footer': 'फिर कोशिश करें, या दावे को छोटा और सटीक करें।',
+            'notice.no_connection.headline': 'कनेक्शन नहीं है',
+            'notice.no_connection.body': 'आपका डिवाइस ऑफ़लाइन लगता है, इसलिए हम कुछ नहीं जाँच सके। पेज फिर भी काम करता है।',
+            'notice.no_connection.footer': 'ऑनलाइन होने पर फिर कोशिश करें।',
+            'notice.not_found.headline': 'ऐसी कोई रिपोर्ट नहीं',
+            'notice.not_found.body': 'इस लिंक पर कुछ दर्ज नहीं है। हो सकता है लिंक ग़लत लिखा गया हो, या फ़ॉरवर्ड करते समय कट गया हो।',
+            'notice.not_found.footer': 'लिंक जाँचें, या ऊपर दावा फिर से भेजें।',
+            'notice.default.headline': 'संस्करण छप नहीं सका',
+            'notice.default.body': 'जाँच पूरी नहीं हो सकी, इसलिए कोई फ़ैसला नहीं है। इससे यह पता नहीं चलता कि दावा सच है या झूठ।',
+            'notice.default.footer': 'थोड़ी देर बाद फिर कोशिश करें। बार-बार ऐसा हो तो डेस्क शायद बंद है।',
+
+            'verdict.REAL': 'सच',
+            'verdict.FAKE': 'झूठ',
+            'verdict.UNCERTAIN': 'अनिश्चित',
+            'verdict.NOT_SURE': 'पक्का नहीं',
+            'result.fallbackHeadline': 'फ़ैसला: {verdict}',
+            'result.readerCall': 'पाठक का फ़ैसला: {guess} · गैज़ेट का फ़ैसला: {verdict}',
+            'result.record': 'आपका रिकॉर्ड: {total} में से {right}',
+            'result.confidence': 'भरोसे का स्तर',
+            'result.report': 'जाँच रिपोर्ट',
+            'result.keyFindings': 'मुख्य निष्कर्ष:',
+            'result.howItSpread': 'यह कैसे फैला',
+            'result.sources': 'स्रोत',
+            'result.verifiedCount': '({count} पुष्ट)',
+            'result.lastChecked': 'आख़िरी जाँच {date}',
+            'result.thrownOut': 'छपने से पहले हटाए गए: {list}।',
+            'result.unopened_one': '{count} लिंक जो नहीं खुला',
+            'result.unopened_other': '{count} लिंक जो नहीं खुले',
+            'result.withheld': '{count} ऐसी साइटों से जिन्हें हम उद्धृत नहीं करते',
+            'result.offTopic': '{count} जो विषय से जुड़े थे पर इस दावे के बारे में नहीं',
+            'result.noSources': 'कोई पुष्ट स्रोत नहीं मिला',
+            'result.noSourcesBody': 'एआई को इस दावे के लिए पुष्ट करने लायक़ स्रोत नहीं मिले। इसका मतलब यह नहीं कि दावा झूठ है, बस इसकी स्वतंत्र पुष्टि नहीं हो सकी।',
+            'result.editorialLabel': 'संपादकीय टिप्पणी:',
+            'result.editorialBody': 'गैज़ेट के सत्यापन इंजन ने ताज़ा खोज के आधार पर लिखा। ऊपर के स्रोत खोले और पुष्ट किए गए; तर्क इसलिए छापा गया है ताकि उस पर बहस हो सके।',
+
+            'permalink.label': 'इस रिपोर्ट का स्थायी लिंक:',
+            'permalink.share': 'साझा करें',
+            'permalink.copied': 'लिंक कॉपी हो गया।',
+            'permalink.copyPrompt': 'यह लिंक कॉपी करें:',
+            'clipping.print': 'कतरन छापें',
+            'clipping.claimReview': 'ClaimReview मार्कअप (JSON-LD)',
+            'clipping.dateline': 'जाँचा गया {date}',
+            'clipping.confidence': 'भरोसा {value}%',
+            'clipping.footer': 'द ट्रुथ गैज़ेट से पुनर्प्रकाशित। स्रोत जाँच के समय पुष्ट किए गए थे, छपाई के समय नहीं। पूरी रिपोर्ट: {link}',
+            'filed.title': 'फ़ाइलों से',
+            'filed.loading': 'रिपोर्ट लाई जा रही है…',
+            'filed.strip': 'गैज़ेट की फ़ाइलों से · पहली बार {date} को छपी। स्रोत तब पुष्ट किए गए थे, अभी नहीं।',
+            'outlet.profile': 'इस स्रोत के पीछे कौन है',
+            'outlet.type.wire': 'समाचार एजेंसी',
+            'outlet.type.public_broadcaster': 'सार्वजनिक प्रसारक',
+            'outlet.type.government': 'सरकारी',
+            'outlet.type.academic': 'शैक्षणिक',
+            'outlet.type.fact_checker': 'फ़ैक्ट-चेकर',
+            'outlet.type.newspaper': 'समाचार पत्र',
+            'outlet.type.magazine': 'पत्रिका',
+            'outlet.type.broadcaster': 'प्रसारक',
+            'outlet.type.digital': 'ऑनलाइन न्यूज़रूम',
+            'outlet.type.reference': 'संदर्भ ग्रंथ',
+            'outlet.type.state_media': 'सरकार-नियंत्रित मीडिया',
+            'outlet.type.partisan': 'पक्षपाती',
+            'outlet.type.satire': 'व्यंग्य',
+            'outlet.type.platform': 'यूज़र-पोस्ट प्लेटफ़ॉर्म',
+            'split.toggle': 'हर दावे की अलग से जाँच करें',
+            'split.hint': 'ऐसे फ़ॉरवर्ड के लिए जिनमें एक साथ कई दावे हों। पहले के बाद हर दावा एक जाँच गिना जाता है।',
+            'wire.claims_one': 'कॉपी डेस्क को जाँचने के लिए {count} दावा मिला।',
+            'wire.claims_other': 'कॉपी डेस्क को {count} अलग-अलग दावे मिले। हर एक की जाँच हो रही है।',
+            'wire.oneClaim': 'इस संदेश में जाँचने लायक एक ही दावा है। उसे पूरा एक साथ जाँचा जा रहा है।',
+            'wire.claimTag': 'दावा {number}:',
+            'claims.title': 'दावा-दर-दावा',
+            'claims.tally': '{count} दावे जाँचे गए · {real} सच · {fake} झूठे · {uncertain} अनिश्चित',
+            'claims.skipped_one': '{count} और दावा मिला पर जाँचा नहीं गया: आज की सीमा पूरी हो गई।',
+            'claims.skipped_other': '{count} और दावे मिले पर जाँचे नहीं गए: आज की सीमा पूरी हो गई।',
+            'claims.notChecked': 'जाँचा नहीं गया',
+            'claims.fullReport': 'पूरी रिपोर्ट',
+            'snippet.quote': 'पेज से उद्धृत',
+            'snippet.summary': 'हमारा सार, उद्धरण नहीं',
+            'snippet.not_found': 'पेज पर नहीं मिला',
+            'snippet.unchecked': 'पेज से मिलान नहीं हुआ',
+            'snippet.score': 'इस पंक्ति के {percent}% शब्द पेज पर मिले',
+            'wire.excerptQuote': '{domain} पर उद्धृत पंक्ति मिल गई।',
+            'wire.excerptSummary': '{domain} के नाम दी गई पंक्ति सार है, उद्धरण नहीं।',
+            'wire.excerptMissing': '{domain} के नाम दी गई पंक्ति उसके पेज पर नहीं मिली।',
+            'source.published': 'प्रकाशित {date}',
+            'source.updated': 'अद्यतन {date}',
+            'source.outdated': 'दावे से बहुत पुराना',
+            'dates.warning': 'पुराने सबूत',
+            'dates.beforeEvents_one': 'तारीख़ वाले {dated} स्रोतों में से {count} उन घटनाओं से एक साल से ज़्यादा पहले छपा था जिनका दावा ज़िक्र करता है ({date})। सबसे पुराना {oldest} का है। बरसों पुरानी सच्ची ख़बर या तस्वीर को नई बताकर आगे बढ़ाना सबसे आम फ़र्ज़ीवाड़ा है।',
+            'dates.beforeEvents_other': 'तारीख़ वाले {dated} स्रोतों में से {count} उन घटनाओं से एक साल से ज़्यादा पहले छपे थे जिनका दावा ज़िक्र करता है ({date})। सबसे पुराना {oldest} का है। बरसों पुरानी सच्ची ख़बर या तस्वीर को नई बताकर आगे बढ़ाना सबसे आम फ़र्ज़ीवाड़ा है।',
+            'dates.beforeArticle_one': 'तारीख़ वाले {dated} स्रोतों में से {count} दावे वाले लेख ({date}) से एक साल से ज़्यादा पहले छपा था। सबसे पुराना {oldest} का है।',
+            'dates.beforeArticle_other': 'तारीख़ वाले {dated} स्रोतों में से {count} दावे वाले लेख ({date}) से एक साल से ज़्यादा पहले छपे थे। सबसे पुराना {oldest} का है।',
+            'wire.dates_one': '{count} स्रोत की प्रकाशन तारीख़ पढ़ी। कोई भी दावे से बहुत पुराना नहीं है।',
+            'wire.dates_other': '{count} स्रोतों की प्रकाशन तारीख़ें पढ़ीं। कोई भी दावे से बहुत पुराना नहीं है।',
+            'wire.datesOld_one': '{count} स्रोत दावे से एक साल से ज़्यादा पहले छपा था।',
+            'wire.datesOld_other': '{count} स्रोत दावे से एक साल से ज़्यादा पहले छपे थे।',
+            'seen.label': 'पहले भी देखी गई',
+            'seen.same': 'यह तस्वीर {date} को जाँची गई थी, और तब फ़ैसला था {verdict}। उस समय इसके साथ यह दावा था:',
+            'seen.copy': 'इस तस्वीर की लगभग हूबहू प्रति {date} को जाँची गई थी, और तब फ़ैसला था {verdict}। उस समय इसके साथ यह दावा था:',
+            'seen.link': 'वह रिपोर्ट पढ़ें',
+            'prior.label': 'पहले जाँचा जा चुका',
+            'prior.by': '{publisher} इसकी पहले जाँच कर चुका है',
+            'prior.rated': 'फ़ैसला: “{rating}”',
+            'prior.link': 'वह जाँच पढ़ें',
+            'prior.settled': 'यह रिपोर्ट उसी जाँच पर आधारित है। इसके लिए नई खोज नहीं की गई।',
+            'wire.picture': 'यह तस्वीर पहले भी जाँची जा चुकी है, {date} को: {verdict}।',
+            'picture.title': 'इस तस्वीर के बारे में',
+            'picture.format': 'फ़ाइल',
+            'picture.taken': 'खींची गई',
+            'picture.takenOld': 'दावे से एक साल से ज़्यादा पहले',
+            'picture.camera': 'कैमरा',
+            'picture.software': 'सॉफ़्टवेयर',
+            'picture.changed': 'आख़िरी बदलाव',
+            'picture.location': 'जगह',
+            'picture.locationValue': 'फ़ाइल में दर्ज है (दिखाई नहीं गई)',
+            'picture.credentials': 'कंटेंट क्रेडेंशियल्स',
+            'picture.credentialsValue': '{generator} से बनी; दर्ज: {actions}। हस्ताक्षर जाँचा नहीं गया।',
+            'picture.signal.ai_generated': 'फ़ाइल कहती है कि इसे AI इमेज जनरेटर ने बनाया।',
+            'picture.signal.edited': 'फ़ाइल में एक एडिटिंग प्रोग्राम का नाम है।',
+            'picture.signal.edited_later': 'इसे खींचे जाने के एक दिन से ज़्यादा बाद बदला गया।',
+            'picture.signal.stripped': 'फ़ाइल में कैमरे या एडिटिंग का कोई रिकॉर्ड नहीं है। मैसेजिंग ऐप और सोशल नेटवर्क इसे हटा देते हैं और स्क्रीनशॉट में यह होता ही नहीं, इसलिए इससे किसी तरफ़ कुछ पता नहीं चलता।',
+            'picture.footer': 'फ़ाइल से ही पढ़ा गया, कैमरे की अपनी घड़ी के हिसाब से। मेटाडेटा बदला या हटाया जा सकता है, इसलिए यह सुराग है, सबूत नहीं।',
+            'wire.pictureFile': 'तस्वीर की फ़ाइल का अपना रिकॉर्ड पढ़ा।',
+            'wire.pictureFileTaken': 'तस्वीर की फ़ाइल के मुताबिक़ यह {date} को खींची गई।',
+            'wire.pictureFileEmpty': 'तस्वीर की फ़ाइल में कोई मेटाडेटा नहीं है।',
+            'wire.pictureFileAi': 'तस्वीर की फ़ाइल कहती है कि इसे AI इमेज जनरेटर ने बनाया।',
+
+            'notice.unauthorized.headline': 'केवल शिक्षकों के लिए',
+            'notice.unauthorized.body': 'ये नतीजे उसी शिक्षक-लिंक से खुलते हैं जिससे कक्षा शुरू की गई थी। छात्र कक्षा के अपने लिंक से जुड़ते हैं।',
+            'notice.unauthorized.footer': 'लिंक उसी ब्राउज़र में खोलें जिससे कक्षा शुरू की गई थी।',
+            'class.footerLink': 'कार्यशाला चला रहे हैं? कक्षा मोड',
+            'class.tag': 'कक्षा',
+            'class.startTitle': 'कार्यशाला चलाएँ',
+            'class.startSub': 'कक्षा के परखने के लिए अधिकतम {count} दावे डालें, हर पंक्ति में एक। जिस पंक्ति में केवल लिंक हो, उसे लिंक की तरह जाँचा जाएगा। हर दावा अभी एक बार जाँचा जाता है, ताकि पूरी कक्षा एक जैसी रिपोर्ट देखे।',
+            'class.nameLabel': 'कक्षा का नाम',
+            'class.namePlaceholder': 'जैसे कक्षा 10, गुरुवार',
+            'class.claimsLabel': 'दावे, हर पंक्ति में एक',
+            'class.claimsPlaceholder': 'हर पंक्ति में एक शीर्षक, फ़ॉरवर्ड किया संदेश या लिंक',
+            'class.start': 'कक्षा शुरू करें',
+            'class.joinTitle': 'कक्षा से जुड़ना है?',
+            'class.joinLabel': 'कक्षा कोड',
+            'class.join': 'जुड़ें',
+            'class.badCode': 'यह कक्षा कोड नहीं लगता। कोड में छह अक्षर और अंक होते हैं।',
+            'class.noClaims': 'कम से कम एक दावा डालें।',
+            'class.tooMany': 'एक कक्षा में अधिकतम {count} दावे हो सकते हैं।',
+            'class.shareTitle': 'कक्षा कोड',
+            'class.shareBody': 'छात्र {link} खोलें, या कक्षा पेज पर कोड डालें।',
+            'class.teacherNote': 'इस पेज का लिंक सँभालकर रखें। नतीजों तक लौटने का यही एक रास्ता है, और यह छात्रों के लिए नहीं है।',
+            'class.resultsTitle': 'कक्षा ने कैसा किया',
+            'class.students_one': '{count} छात्र',
+            'class.students_other': '{count} छात्र',
+            'class.byClaim': 'दावे के अनुसार',
+            'class.byTactic': 'तरीक़े के अनुसार',
+            'class.colClaim': 'दावा',
+            'class.colVerdict': 'फ़ैसला',
+            'class.colGuesses': 'अनुमान',
+            'class.colMatched': 'रिपोर्ट से मेल',
+            'class.colTactic': 'तरीक़ा',
+            'class.colClaims': 'दावे',
+            'class.pending': 'अभी जाँच जारी है',
+            'class.failed': 'जाँच नहीं हो सकी',
+            'class.noAnswers': 'अभी कोई जवाब नहीं',
+            'class.noTactics': 'इस सेट की किसी रिपोर्ट ने अभी तक कोई तरीक़ा नहीं बताया।',
+            'class.progress': '{total} में से दावा {n}',
+            'class.callIt': 'सच, झूठ या पक्का नहीं? पहले फ़ैसला करें। रिपोर्ट उसके बाद खुलेगी।',
+            'class.waiting': 'इस दावे की जाँच अभी जारी है। रिपोर्ट दर्ज होते ही यह अपने-आप खुल जाएगा।',
+            'class.tally': 'अब तक रिपोर्ट से मेल: {answered} में से {right}',
+            'class.next': 'अगला दावा',
+            'class.doneTitle': 'सेट पूरा हुआ',
+            'class.doneBody': '{total} में से {right} दावों पर आपका फ़ैसला रिपोर्ट से मिला।',
+            'class.doneNote': 'आपके शिक्षक कक्षा के कुल नतीजे देखते हैं, आपका नाम कभी नहीं।',
+
+            'batch.footerLink': 'पूरी सूची जाँचनी है? बैच मोड',
+            'batch.tag': 'बैच डेस्क',
+            'batch.startTitle': 'सूची जाँचें',
+            'batch.startSub': 'अधिकतम {count} दावे डालें, हर पंक्ति में एक, या CSV या JSON फ़ाइल अपलोड करें। CSV की पहली पंक्ति में claim, url और id कॉलम के नाम हो सकते हैं; id नतीजों में वापस आता है। हर दावा आपकी दैनिक सीमा में गिना जाता है और उतनी ही रफ़्तार से चलता है जितनी आपकी सीमा अनुमति देती है।',
+            'batch.claimsLabel': 'दावे, हर पंक्ति में एक',
+            'batch.claimsPlaceholder': 'हर पंक्ति में एक शीर्षक, फ़ॉरवर्ड किया संदेश या लिंक',
+            'batch.fileLabel': 'या CSV या JSON फ़ाइल अपलोड करें',
+            'batch.start': 'बैच शुरू करें',
+            'batch.noClaims': 'कम से कम एक दावा डालें, या फ़ाइल चुनें।',
+            'batch.badFile': 'यह फ़ाइल CSV या JSON के रूप में पढ़ी नहीं जा सकी।',
+            'batch.recent': 'आपके हाल के बैच',
+            'batch.recentItem_one': '{date}: {count} दावा',
+            'batch.recentItem_other': '{date}: {count} दावे',
+            'batch.progress': '{total} में से {done} जाँचे गए',
+            'batch.failed_one': '{count} जाँचा नहीं जा सका',
+            'batch.failed_other': '{count} जाँचे नहीं जा सके',
+            'batch.running': 'एक बार में कुछ दावे जाँचे जा रहे हैं। आप यह पेज बंद कर सकते हैं: पेज खुला होने पर सूची आगे बढ़ती है, और जो जाँचा जा चुका है वह खोता नहीं।',
+            'batch.busy': 'प्रति मिनट की सीमा के कारण रुका है। {time} पर आगे बढ़ेगा।',
+            'batch.dayDone': 'आज की सीमा पूरी हो गई। बाकी सूची आधी रात UTC के बाद, अगली बार यह पेज खुलने पर आगे बढ़ेगी।',
+            'batch.done': 'सूची का हर दावा जाँचा जा चुका है।',
+            'batch.keepLink': 'सूची पर लौटने के लिए यह पेज बुकमार्क करें: {link}',
+            'batch.downloadCsv': 'CSV डाउनलोड करें',
+            'batch.downloadJson': 'JSON डाउनलोड करें',
+            'batch.resultsTitle': 'बैच के नतीजे',
+            'batch.colClaim': 'दावा',
+            'batch.colVerdict': 'फ़ैसला',
+            'batch.colConfidence': 'भरोसा',
+            'batch.colSources': 'पुष्ट स्रोत',
+            'batch.rowPending': 'कतार में',
+            'batch.rowRunning': 'जाँच जारी…',
+            'batch.rowFailed': 'जाँचा नहीं जा सका',
+
+            'history.footerLink': 'पहले जाँचा था? आपका इतिहास',
+            'history.tag': 'आपकी फ़ाइलें',
+            'history.title': 'इस ब्राउज़र से की गई जाँचें',
+            'history.sub': 'इस पेज से की गई हर जाँच यहाँ रखी जाती है, सिर्फ़ इसी डिवाइस पर। पुरानी जाँच दोबारा चलाकर देखें कि तब से क्या बदला।',
+            'history.searchLabel': 'अपनी जाँचें खोजें',
+            'history.searchPlaceholder': 'दावे, लिंक या शीर्षक का कोई शब्द',
+            'history.unavailable': 'यह ब्राउज़र इतिहास नहीं रख रहा (प्राइवेट विंडो अक्सर नहीं रखतीं)।',
+            'history.empty': 'इस ब्राउज़र से अभी तक कुछ नहीं जाँचा गया। मुख्य पेज से की गई जाँचें यहाँ दिखेंगी।',
+            'history.noMatch': 'आपके इतिहास में इससे मिलती कोई जाँच नहीं है।',
+            'history.listTitle': 'आपका इतिहास',
+            'history.count_one': '{count} जाँच',
+            'history.count_other': '{count} जाँचें',
+            'history.colChecked': 'जाँचा गया',
+            'history.runs_one': 'एक बार जाँचा गया',
+            'history.runs_other': '{count} बार जाँचा गया',
+            'history.rerun': 'फिर से जाँचें',
+            'history.forget': 'भूल जाएँ',
+            'history.forgetConfirm': 'यह जाँच और इसके सभी दौर इस ब्राउज़र से हटा दें?',
+            'history.picture': 'एक तस्वीर',
+            'history.entryTitle': 'इस जाँच के सभी दौर',
+            'history.reprint': 'डेस्क के कैश से दोबारा छापी गई',
+            'history.back': 'सूची पर लौटें',
+            'history.since': 'पिछली बार जाँचने ({age}) के बाद से',
+            'history.link': 'आपका इतिहास',
+            'history.unchanged': 'कुछ नहीं बदला: वही फ़ैसला, वही भरोसा, वही स्रोत।',
+            'history.verdictChanged': 'फ़ैसला {from} से बदलकर {to} हुआ',
+            'history.confidenceChanged': 'भरोसा {from}% से {to}% हुआ',
+            'history.claimChanged': '“{claim}” {from} से बदलकर {to} हुआ',
+            'history.sourceAdded': 'नया स्रोत: {source}',
+            'history.sourceDropped': 'अब उद्धृत नहीं: {source}',
+            'drift.label': 'दर्ज होने के बाद फिर से जाँची गई · पिछली बार {date}',
+            'drift.unchanged': 'हर स्रोत अब भी वहीं है जहाँ था।',
+            'drift.verdict': 'नई जाँच में अब {from} नहीं, {to} मिला',
+            'drift.sourceDead': '{source} तक {date} को पहुँचा नहीं जा सका',
+            'drift.sourceArchived': '{source} {date} तक हट चुका था; एक संग्रहीत प्रति बची है',
+            'drift.sourceLive': '{source} {date} को फिर से ऑनलाइन था',
+            'drift.open': 'खोलें',
+            'drift.latest': 'नई रिपोर्ट पढ़ें'
+        },
+
+        bn: {
+            'lang.name': 'বাংলা',
+            'lang.label': 'সংস্করণ',
+
+            'drop.rule': 'সর্বশেষ সংস্করণ',
+            'drop.title': 'কাটিংটি এখানে ছাড়ুন',
+            'drop.body': 'স্ক্রিনশট, ফরওয়ার্ড আর ছবি। আমরা এর লেখা পড়ে নেব।',
+
+            'header.subheader': 'প্রতিষ্ঠা ২০২৫ | এআই-চালিত সংবাদ যাচাই ব্যুরো',
+            'header.edition': '{date} সংস্করণ | এআই-চালিত মিডিয়া সাক্ষরতা মঞ্চ',
+
+            'submit.title': 'যাচাইয়ের জন্য পাঠান',
+            'text.heading': 'লেখা যাচাই',
+            'text.label': 'প্রতিবেদন বা শিরোনাম পেস্ট করুন:',
+            'text.placeholder': 'যে খবর, শিরোনাম বা দাবি যাচাই করতে চান তা লিখুন...',
+            'url.heading': 'লিংক যাচাই',
+            'url.label': 'খবরের লিংক দিন:',
+            'url.hint': 'আমরা পাতাটি পড়ি, তারপর তার কথা স্বাধীন সূত্রের সঙ্গে মিলিয়ে দেখি',
+            'image.heading': 'ছবি যাচাই',
+            'image.label': 'ছবি আপলোড করুন বা তুলুন:',
+            'image.choose': 'ছবি বাছুন / ছবি তুলুন',
+            'image.remove': 'ছবি সরান',
+            'image.hint': 'এআই ছবির লেখা পড়ে দাবি যাচাই করবে',
+
+            'action.investigate': 'এখনই যাচাই করুন',
+            'action.clear': 'সব মুছুন',
+
+            'ballot.tag': 'পাঠকের রায়',
+            'ballot.title': 'যাচাইয়ের আগে',
+            'ballot.sub': 'আপনার মন কী বলে? আগে একটি রায় বেছে নিন, তারপর আমরা যাচাই করি।',
+            'ballot.real': 'সত্য',
+            'ballot.fake': 'ভুয়া',
+            'ballot.unsure': 'নিশ্চিত নই',
+            'ballot.footnote': 'আপনার উত্তর আপনার ব্রাউজারেই থাকে। আমরা তা এআই-কে পাঠাই না, তাই রায়ে প্রভাব ফেলতে পারে না।',
+            'ballot.skip': 'বাদ দিয়ে সরাসরি যাচাই করুন',
+            'ballot.ruleOn': 'পত্রিকার নিয়ম: আমাদের রায় ছাপার আগে পাঠকের রায় জানতে চাওয়া হয়।',
+            'ballot.turnOff': 'এটি বন্ধ করুন',
+            'ballot.ruleOff': 'নিয়ম স্থগিত: জিজ্ঞেস না করেই রায় ছাপা হচ্ছে।',
+            'ballot.turnOn': 'আবার চালু করুন',
+
+            'footer.title': 'দ্য ট্রুথ গেজেট - ভুয়া খবর শনাক্তকরণ ব্যুরো',
+            'footer.tagline': 'এআই-চালিত মিডিয়া সাক্ষরতা মঞ্চ',
+            'footer.note': 'এখানে ছাপা প্রতিটি সূত্র প্রকাশের আগে খোলা ও নিশ্চিত করা হয়েছে। যা পৌঁছানো যায়নি তা তালিকায় না রেখে বাদ দেওয়া হয়েছে। রায় হলো যাচাইয়ের শুরু।',
+            'flashlight.hint': 'অন্ধকার মোড: Shift+L চাপুন',
+
+            'ocr.label': 'ওসিআর:',
+            'ocr.detecting': 'লিপি শনাক্ত করা হচ্ছে...',
+            'ocr.extracting': 'লেখা বের করা হচ্ছে...',
+            'ocr.progress': 'লেখা বের করা হচ্ছে... {pct}%',
+            'ocr.unreadable': 'এই লিপি এখানে পড়া গেল না। ছবিটি সরাসরি পড়া হবে',
+            'ocr.noReadable': 'পড়ার মতো লেখা পাওয়া যায়নি',
+            'ocr.none': 'কোনো লেখা পাওয়া যায়নি',
+            'ocr.failed': 'ওসিআর ব্যর্থ হয়েছে',
+
+            'alert.tooBig': 'ছবিটি {size}MB। দয়া করে ১০MB-এর ছোট ছবি দিন, অথবা শুধু লেখার স্ক্রিনশট নিন।',
+            'alert.badFormat': 'এই ফরম্যাট ({type}) এখানে পড়া যায় না। দয়া করে JPG, PNG বা WebP ব্যবহার করুন। iPhone-এ ছবি সরাসরি না পাঠিয়ে স্ক্রিনশট নিন।',
+            'alert.notImage': 'ফাইলটি ছবি নয়। স্ক্রিনশট বা ছবি দিন, অথবা লেখাটি পেস্ট করুন।',
+            'alert.noInput': 'অন্তত একটি কিছু দিন: লেখা, লিংক বা ছবি!',
+            'alert.notLink': 'এটি ওয়েব ঠিকানা মনে হচ্ছে না। https://example.com/article-এর মতো লিংক দিন, অথবা দাবিটি লেখার ঘরে লিখুন।',
+            'alert.httpOnly': 'শুধু http ও https লিংক যাচাই করা যায়।',
+            'alert.ocrRunning': 'ছবি থেকে লেখা এখনও বের করা হচ্ছে। একটু অপেক্ষা করে আবার চেষ্টা করুন।',
+            'alert.tooLong': 'লেখা অনেক লম্বা। দয়া করে ৩০০০ অক্ষরের মধ্যে রাখুন।',
+
+            'loading.title': 'যাচাই চলছে',
+            'loading.note': 'প্রতিটি সূত্র আপনার কাছে পৌঁছানোর আগে খোলা ও নিশ্চিত করা হয়। এতে কয়েক সেকেন্ড লাগে।',
+            'loading.stage1': 'দাবিটি পড়া হচ্ছে…',
+            'loading.stage2': 'সাম্প্রতিক খবর খোঁজা হচ্ছে…',
+            'loading.stage3': 'সম্ভাব্য সূত্র জড়ো করা হচ্ছে…',
+            'loading.stage4': 'প্রতিটি সূত্র খুলে নিশ্চিত করা হচ্ছে…',
+            'loading.stage5': 'তারিখ দেখা হচ্ছে, নাগালের বাইরের সূত্র বাদ দেওয়া হচ্ছে…',
+            'loading.stage6': 'ফলাফল লেখা হচ্ছে…',
+
+            'wire.cache': 'সম্প্রতি যাচাই করা হয়েছিল। সেই প্রতিবেদনই আবার ছাপা হচ্ছে।',
+            'wire.cacheNear': 'প্রায় একই বার্তা সম্প্রতি যাচাই করা হয়েছে। সেই প্রতিবেদনটিই আবার ছাপা হচ্ছে।',
+            'cached.strip': '{age} করা যাচাই থেকে আবার ছাপা। সূত্রগুলো তখন নিশ্চিত করা হয়েছিল, এখন নয়।',
+            'wire.ocr': 'ছবির লেখা আমাদের দিক থেকে আবার পড়া হলো।',
+            'wire.articleRead': 'পাঠানো পাতাটি পড়া হলো: “{title}”।',
+            'wire.articleReadUntitled': 'পাঠানো পাতাটি পড়া হলো।',
+            'wire.articleFailed': 'পাঠানো পাতাটি পড়া গেল না। আশেপাশের তথ্য যাচাই করা হচ্ছে।',
+            'wire.modelAsked': 'সম্পাদককে জিজ্ঞেস করা হচ্ছে, সাম্প্রতিক অনুসন্ধানসহ…',
+            'wire.modelFiled': 'সম্পাদক প্রতিবেদন জমা দিয়েছেন।',
+            'wire.modelFailed': 'সম্পাদক এটি শেষ করতে পারেননি।',
+            'wire.grounding_one': '{count}টি অনুসন্ধান ফল খুলে নিশ্চিত করতে হবে।',
+            'wire.grounding_other': '{count}টি অনুসন্ধান ফল খুলে নিশ্চিত করতে হবে।',
+            'wire.sourceVerified': '{domain} খোলা হলো: নিশ্চিত।',
+            'wire.sourceArchived': '{domain} আর নেই। একটি সংরক্ষিত কপি পাওয়া গেছে।',
+            'wire.sourceWithheld': '{domain} খুলেছে, কিন্তু এটি ব্যবহারকারীর পোস্টের সাইট। উদ্ধৃত নয়।',
+            'wire.sourceUnreachable': '{domain} খোলা গেল না। বাদ দেওয়া হলো।',
+            'wire.metaFound': '{domain}-এর নিজস্ব সারাংশ পড়া হলো।',
+            'wire.metaMissing': '{domain}-এ উদ্ধৃত করার মতো কিছু নেই।',
+            'wire.sources_one': '{count}টি সূত্র ছাপা হতে যাচ্ছে।',
+            'wire.sources_other': '{count}টি সূত্র ছাপা হতে যাচ্ছে।',
+            'wire.priors_one': 'একই রকম দাবির {count}টি প্রকাশিত যাচাই পাওয়া গেছে।',
+            'wire.priors_other': 'একই রকম দাবির {count}টি প্রকাশিত যাচাই পাওয়া গেছে।',
+            'wire.priorsSettled': '{publisher} আগেই এই দাবিটি যাচাই করেছে: “{rating}”।',
+            'wire.aPage': 'একটি পাতা',
+
+            'notice.readers': 'পাঠকদের প্রতি বিজ্ঞপ্তি',
+            'notice.stopPress': 'ছাপা বন্ধ',
+            'notice.editor_off_duty.headline': 'সম্পাদক এখন ছুটিতে',
+            'notice.editor_off_duty.body': 'গেজেট প্রতিদিন সীমিত সংখ্যক প্রতিবেদন ছাপে, আর সেই সংখ্যা পূর্ণ হয়ে গেছে। আপনার দাবি নিয়ে কিছুই ঠিক হয়নি। ডেস্ক শিগগির আবার খুলবে।',
+            'notice.editor_off_duty.footer': 'কয়েক মিনিট পরে আবার চেষ্টা করুন।',
+            'notice.desk_busy.headline': 'ডেস্কে ভিড়',
+            'notice.desk_busy.body': 'যাচাইয়ের চেয়ে দ্রুত লেখা আসছে। একটু পরে আবার চেষ্টা করুন।',
+            'notice.desk_busy.bodyWait_one': 'যাচাইয়ের চেয়ে দ্রুত লেখা আসছে। প্রায় {count} সেকেন্ড পরে আবার চেষ্টা করুন।',
+            'notice.desk_busy.bodyWait_other': 'যাচাইয়ের চেয়ে দ্রুত লেখা আসছে। প্রায় {count} সেকেন্ড পরে আবার চেষ্টা করুন।',
+            'notice.desk_busy.footer': 'প্রত্যেক পাঠকের অনুরোধ সীমিত।',
+            'notice.day_done.headline': 'আজকের সংস্করণ বন্ধ',
+            'notice.day_done.body': 'আজকের জন্য আপনার যাচাই শেষ। ছাপাখানা কাল আবার চলবে।',
+            'notice.day_done.footer': 'সীমা UTC মধ্যরাতে নতুন করে শুরু হয়।',
+            'notice.press_failure.headline': 'সংস্করণ ছাপা হয়নি',
+            'notice.press_failure.body': 'যাচাই ডেস্কে যাওয়ার পথে কিছু ব্যর্থ হয়েছে, তাই জানানোর মতো কোনো রায় নেই। এতে দাবি সম্পর্কে কিছু বোঝা যায় না, শুধু আমাদের সম্পর্কে।',
+            'notice.press_failure.footer': 'একটু পরে আবার চেষ্টা করুন।',
+            'notice.took_too_long.headline': 'সময়সীমা পেরিয়ে গেছে',
+            'notice.took_too_long.body': 'এক মিনিট পরেও যাচাই চলছিল, তাই আমরা অপেক্ষা বন্ধ করেছি। কিছু দাবিতে অনেক ধীর পাতা খুলতে হয়। কোনো দিকেই কিছু ঠিক হয়নি।',
+            'notice.took_too_long.footer': 'আবার চেষ্টা করুন, অথবা দাবিটি আরও নির্দিষ্ট করুন।',
+            'notice.no_connection.headline': 'সংযোগ নেই',
+            'notice.no_connection.body': 'আপনার ডিভাইস অফলাইন মনে হচ্ছে, তাই কিছু যাচাই করা গেল না। পাতাটি তবুও কাজ করে।',
+            'notice.no_connection.footer': 'অনলাইনে ফিরলে আবার চেষ্টা করুন।',
+            'notice.not_found.headline': 'এমন কোনো প্রতিবেদন নেই',
+            'notice.not_found.body': 'এই লিংকে কিছু জমা নেই। হয়তো ভুল লেখা হয়েছে, বা ফরওয়ার্ড করার সময় কেটে গেছে।',
+            'notice.not_found.footer': 'লিংকটি দেখুন, অথবা ওপরে দাবিটি আবার পাঠান।',
+            'notice.default.headline': 'সংস্করণ ছাপা হয়নি',
+            'notice.default.body': 'যাচাই শেষ করা যায়নি, তাই কোনো রায় নেই। এতে দাবিটি সত্য না মিথ্যা তা বোঝা যায় না।',
+            'notice.default.footer': 'একটু পরে আবার চেষ্টা করুন। বারবার হলে ডেস্ক সম্ভবত বন্ধ।',
+
+            'verdict.REAL': 'সত্য',
+            'verdict.FAKE': 'ভুয়া',
+            'verdict.UNCERTAIN': 'অনিশ্চিত',
+            'verdict.NOT_SURE': 'নিশ্চিত নই',
+            'result.fallbackHeadline': 'রায়: {verdict}',
+            'result.readerCall': 'পাঠকের রায়: {guess} · গেজেটের রায়: {verdict}',
+            'result.record': 'আপনার রেকর্ড: {total}টির মধ্যে {right}টি',
+            'result.confidence': 'আস্থার মাত্রা',
+            'result.report': 'যাচাই প্রতিবেদন',
+            'result.keyFindings': 'মূল তথ্য:',
+            'result.howItSpread': 'কীভাবে ছড়াল',
+            'result.sources': 'সূত্র',
+            'result.verifiedCount': '({count}টি নিশ্চিত)',
+            'result.lastChecked': 'শেষ যাচাই {date}',
+            'result.thrownOut': 'ছাপার আগে বাদ: {list}।',
+            'result.unopened_one': '{count}টি লিংক যা খোলা যায়নি',
+            'result.unopened_other': '{count}টি লিংক যা খোলা যায়নি',
+            'result.withheld': '{count}টি এমন সাইট থেকে যা আমরা উদ্ধৃত করি না',
+            'result.offTopic': '{count}টি যা বিষয়ের সঙ্গে যুক্ত কিন্তু এই দাবি নিয়ে নয়',
+            'result.noSources': 'কোনো নিশ্চিত সূত্র পাওয়া যায়নি',
+            'result.noSourcesBody': 'এআই এই দাবির জন্য যাচাইযোগ্য সূত্র খুঁজে পায়নি। এর মানে দাবিটি মিথ্যা নয়, শুধু স্বাধীনভাবে নিশ্চিত করা যায়নি।',
+            'result.editorialLabel': 'সম্পাদকীয় মন্তব্য:',
+            'result.editorialBody': 'গেজেটের যাচাই ইঞ্জিন সাম্প্রতিক অনুসন্ধানের ভিত্তিতে লিখেছে। ওপরের সূত্রগুলো খোলা ও নিশ্চিত করা হয়েছে; যুক্তি ছাপা হয়েছে যাতে তা নিয়ে তর্ক করা যায়।',
+
+            'permalink.label': 'এই প্রতিবেদনের স্থায়ী লিংক:',
+            'permalink.share': 'শেয়ার করুন',
+            'permalink.copied': 'লিংক কপি হয়েছে।',
+            'permalink.copyPrompt': 'এই লিংকটি কপি করুন:',
+            'clipping.print': 'কাটিং ছাপুন',
+            'clipping.claimReview': 'ClaimReview মার্কআপ (JSON-LD)',
+            'clipping.dateline': 'যাচাই করা হয়েছে {date}',
+            'clipping.confidence': 'আস্থা {value}%',
+            'clipping.footer': 'দ্য ট্রুথ গেজেট থেকে পুনঃপ্রকাশিত। সূত্রগুলো যাচাইয়ের সময় নিশ্চিত করা হয়েছিল, ছাপার সময় নয়। পূর্ণ রিপোর্ট: {link}',
+            'filed.title': 'নথি থেকে',
+            'filed.loading': 'প্রতিবেদন আনা হচ্ছে…',
+            'filed.strip': 'গেজেটের নথি থেকে · প্রথম ছাপা {date}। সূত্রগুলো তখন নিশ্চিত করা হয়েছিল, এখন নয়।',
+            'outlet.profile': 'এই সূত্রের পেছনে কে',
+            'outlet.type.wire': 'সংবাদ সংস্থা',
+            'outlet.type.public_broadcaster': 'জনসম্প্রচারক',
+            'outlet.type.government': 'সরকারি',
+            'outlet.type.academic': 'শিক্ষায়তনিক',
+            'outlet.type.fact_checker': 'ফ্যাক্ট-চেকার',
+            'outlet.type.newspaper': 'সংবাদপত্র',
+            'outlet.type.magazine': 'সাময়িকী',
+            'outlet.type.broadcaster': 'সম্প্রচারক',
+            'outlet.type.digital': 'অনলাইন সংবাদমাধ্যম',
+            'outlet.type.reference': 'তথ্যসূত্র গ্রন্থ',
+            'outlet.type.state_media': 'রাষ্ট্র-নিয়ন্ত্রিত সংবাদমাধ্যম',
+            'outlet.type.partisan': 'দলীয়',
+            'outlet.type.satire': 'ব্যঙ্গ',
+            'outlet.type.platform': 'ব্যবহারকারী-পোস্ট প্ল্যাটফর্ম',
+            'split.toggle': 'প্রতিটি দাবি আলাদা করে যাচাই করুন',
+            'split.hint': 'যে ফরওয়ার্ডে একসঙ্গে অনেক দাবি থাকে তার জন্য। প্রথমটির পরে প্রতিটি দাবি একটি যাচাই হিসেবে গোনা হয়।',
+            'wire.claims_one': 'কপি ডেস্ক যাচাইয়ের জন্য {count}টি দাবি পেয়েছে।',
+            'wire.claims_other': 'কপি ডেস্ক {count}টি আলাদা দাবি পেয়েছে। প্রতিটি যাচাই হচ্ছে।',
+            'wire.oneClaim': 'এই বার্তায় যাচাইযোগ্য দাবি একটিই। পুরোটা একসঙ্গে যাচাই হচ্ছে।',
+            'wire.claimTag': 'দাবি {number}:',
+            'claims.title': 'দাবি ধরে ধরে',
+            'claims.tally': '{count}টি দাবি যাচাই হয়েছে · {real}টি সত্য · {fake}টি মিথ্যা · {uncertain}টি অনিশ্চিত',
+            'claims.skipped_one': 'আরও {count}টি দাবি পাওয়া গেছে কিন্তু যাচাই হয়নি: আজকের সীমা শেষ।',
+            'claims.skipped_other': 'আরও {count}টি দাবি পাওয়া গেছে কিন্তু যাচাই হয়নি: আজকের সীমা শেষ।',
+            'claims.notChecked': 'যাচাই হয়নি',
+            'claims.fullReport': 'পুরো প্রতিবেদন',
+            'snippet.quote': 'পাতা থেকে উদ্ধৃত',
+            'snippet.summary': 'আমাদের সারাংশ, উদ্ধৃতি নয়',
+            'snippet.not_found': 'পাতায় পাওয়া যায়নি',
+            'snippet.unchecked': 'পাতার সঙ্গে মেলানো হয়নি',
+            'snippet.score': 'এই লাইনের {percent}% শব্দ পাতায় পাওয়া গেছে',
+            'wire.excerptQuote': '{domain}-এ উদ্ধৃত লাইনটি পাওয়া গেছে।',
+            'wire.excerptSummary': '{domain}-এর নামে দেওয়া লাইনটি সারাংশ, উদ্ধৃতি নয়।',
+            'wire.excerptMissing': '{domain}-এর নামে দেওয়া লাইনটি তার পাতায় পাওয়া যায়নি।',
+            'source.published': 'প্রকাশিত {date}',
+            'source.updated': 'হালনাগাদ {date}',
+            'source.outdated': 'দাবির চেয়ে অনেক পুরনো',
+            'dates.warning': 'পুরনো প্রমাণ',
+            'dates.beforeEvents_one': 'তারিখ থাকা {dated}টি সূত্রের মধ্যে {count}টি দাবিতে বলা ঘটনার ({date}) এক বছরেরও বেশি আগে প্রকাশিত। সবচেয়ে পুরনোটি {oldest}-এর। বহু বছর আগের সত্যি খবর বা ছবি নতুন বলে ছড়ানোই সবচেয়ে সাধারণ ভুয়ো খবর।',
+            'dates.beforeEvents_other': 'তারিখ থাকা {dated}টি সূত্রের মধ্যে {count}টি দাবিতে বলা ঘটনার ({date}) এক বছরেরও বেশি আগে প্রকাশিত। সবচেয়ে পুরনোটি {oldest}-এর। বহু বছর আগের সত্যি খবর বা ছবি নতুন বলে ছড়ানোই সবচেয়ে সাধারণ ভুয়ো খবর।',
+            'dates.beforeArticle_one': 'তারিখ থাকা {dated}টি সূত্রের মধ্যে {count}টি দাবি বহনকারী প্রতিবেদনের ({date}) এক বছরেরও বেশি আগে প্রকাশিত। সবচেয়ে পুরনোটি {oldest}-এর।',
+            'dates.beforeArticle_other': 'তারিখ থাকা {dated}টি সূত্রের মধ্যে {count}টি দাবি বহনকারী প্রতিবেদনের ({date}) এক বছরেরও বেশি আগে প্রকাশিত। সবচেয়ে পুরনোটি {oldest}-এর।',
+            'wire.dates_one': '{count}টি সূত্রের প্রকাশের তারিখ পড়া হয়েছে। কোনোটিই দাবির চেয়ে অনেক পুরনো নয়।',
+            'wire.dates_other': '{count}টি সূত্রের প্রকাশের তারিখ পড়া হয়েছে। কোনোটিই দাবির চেয়ে অনেক পুরনো নয়।',
+            'wire.datesOld_one': '{count}টি সূত্র দাবির এক বছরেরও বেশি আগে প্রকাশিত।',
+            'wire.datesOld_other': '{count}টি সূত্র দাবির এক বছরেরও বেশি আগে প্রকাশিত।',
+            'seen.label': 'আগেও দেখা',
+            'seen.same': 'এই ছবিটি {date} তারিখে যাচাই করা হয়েছিল, তখন রায় ছিল {verdict}। তখন এর সঙ্গে এই দাবি ছিল:',
+            'seen.copy': 'এই ছবির প্রায় হুবহু একটি কপি {date} তারিখে যাচাই করা হয়েছিল, তখন রায় ছিল {verdict}। তখন এর সঙ্গে এই দাবি ছিল:',
+            'seen.link': 'সেই প্রতিবেদন পড়ুন',
+            'prior.label': 'আগেই যাচাই করা',
+            'prior.by': '{publisher} আগেই এটি যাচাই করেছে',
+            'prior.rated': 'রায়: “{rating}”',
+            'prior.link': 'সেই যাচাই পড়ুন',
+            'prior.settled': 'এই প্রতিবেদনটি সেই যাচাই থেকে নেওয়া। এর জন্য নতুন করে খোঁজ করা হয়নি।',
+            'wire.picture': 'এই ছবিটি আগেও যাচাই করা হয়েছে, {date} তারিখে: {verdict}।',
+            'picture.title': 'এই ছবি সম্পর্কে',
+            'picture.format': 'ফাইল',
+            'picture.taken': 'তোলা হয়েছে',
+            'picture.takenOld': 'দাবির এক বছরেরও বেশি আগে',
+            'picture.camera': 'ক্যামেরা',
+            'picture.software': 'সফটওয়্যার',
+            'picture.changed': 'শেষ পরিবর্তন',
+            'picture.location': 'অবস্থান',
+            'picture.locationValue': 'ফাইলে লেখা আছে (দেখানো হয়নি)',
+            'picture.credentials': 'কনটেন্ট ক্রেডেনশিয়ালস',
+            'picture.credentialsValue': '{generator} দিয়ে তৈরি; লেখা আছে: {actions}। স্বাক্ষর যাচাই করা হয়নি।',
+            'picture.signal.ai_generated': 'ফাইল বলছে এটি একটি AI ছবি-জেনারেটর দিয়ে তৈরি।',
+            'picture.signal.edited': 'ফাইলে একটি এডিটিং প্রোগ্রামের নাম আছে।',
+            'picture.signal.edited_later': 'তোলার এক দিনেরও বেশি পরে এটি বদলানো হয়েছে।',
+            'picture.signal.stripped': 'ফাইলে ক্যামেরা বা এডিটিংয়ের কোনো রেকর্ড নেই। মেসেজিং অ্যাপ ও সোশ্যাল নেটওয়ার্ক তা মুছে দেয় আর স্ক্রিনশটে তা থাকেই না, তাই এ থেকে কোনো দিকেই কিছু বোঝা যায় না।',
+            'picture.footer': 'ফাইল থেকেই পড়া, ক্যামেরার নিজের ঘড়ি অনুযায়ী। মেটাডেটা বদলানো বা মোছা যায়, তাই এটি সূত্র, প্রমাণ নয়।',
+            'wire.pictureFile': 'ছবির ফাইলের নিজস্ব রেকর্ড পড়া হয়েছে।',
+            'wire.pictureFileTaken': 'ছবির ফাইল অনুযায়ী এটি {date} তারিখে তোলা।',
+            'wire.pictureFileEmpty': 'ছবির ফাইলে কোনো মেটাডেটা নেই।',
+            'wire.pictureFileAi': 'ছবির ফাইল বলছে এটি একটি AI ছবি-জেনারেটর দিয়ে তৈরি।',
+
+            'notice.unauthorized.headline': 'শুধু শিক্ষকদের জন্য',
+            'notice.unauthorized.body': 'এই ফলাফল খোলে সেই শিক্ষক-লিংক দিয়ে, যা দিয়ে ক্লাস শুরু হয়েছিল। শিক্ষার্থীরা ক্লাসের নিজস্ব লিংকে যোগ দেয়।',
+            'notice.unauthorized.footer': 'যে ব্রাউজার থেকে ক্লাস শুরু হয়েছিল, সেখানে লিংকটি খুলুন।',
+            'class.footerLink': 'কর্মশালা চালাচ্ছেন? ক্লাস মোড',
+            'class.tag': 'ক্লাস',
+            'class.startTitle': 'কর্মশালা চালান',
+            'class.startSub': 'ক্লাসের বিচারের জন্য সর্বোচ্চ {count}টি দাবি দিন, প্রতি লাইনে একটি। যে লাইনে শুধু লিংক, তা লিংক হিসেবে যাচাই হবে। প্রতিটি দাবি এখনই একবার যাচাই করা হয়, যাতে পুরো ক্লাস একই প্রতিবেদন দেখে।',
+            'class.nameLabel': 'ক্লাসের নাম',
+            'class.namePlaceholder': 'যেমন দশম শ্রেণি, বৃহস্পতিবার',
+            'class.claimsLabel': 'দাবি, প্রতি লাইনে একটি',
+            'class.claimsPlaceholder': 'প্রতি লাইনে একটি শিরোনাম, ফরওয়ার্ড করা বার্তা বা লিংক',
+            'class.start': 'ক্লাস শুরু করুন',
+            'class.joinTitle': 'ক্লাসে যোগ দেবেন?',
+            'class.joinLabel': 'ক্লাস কোড',
+            'class.join': 'যোগ দিন',
+            'class.badCode': 'এটি ক্লাস কোড মনে হচ্ছে না। কোডে ছয়টি অক্ষর ও সংখ্যা থাকে।',
+            'class.noClaims': 'অন্তত একটি দাবি দিন।',
+            'class.tooMany': 'একটি ক্লাসে সর্বোচ্চ {count}টি দাবি থাকতে পারে।',
+            'class.shareTitle': 'ক্লাস কোড',
+            'class.shareBody': 'শিক্ষার্থীরা {link} খুলবে, অথবা ক্লাস পাতায় কোডটি দেবে।',
+            'class.teacherNote': 'এই পাতার লিংকটি রেখে দিন। ফলাফলে ফেরার এটিই একমাত্র পথ, আর এটি শিক্ষার্থীদের জন্য নয়।',
+            'class.resultsTitle': 'ক্লাস কেমন করল',
+            'class.students_one': '{count} জন শিক্ষার্থী',
+            'class.students_other': '{count} জন শিক্ষার্থী',
+            'class.byClaim': 'দাবি অনুযায়ী',
+            'class.byTactic': 'কৌশল অনুযায়ী',
+            'class.colClaim': 'দাবি',
+            'class.colVerdict': 'রায়',
+            'class.colGuesses': 'অনুমান',
+            'class.colMatched': 'প্রতিবেদনের সঙ্গে মিল',
+            'class.colTactic': 'কৌশল',
+            'class.colClaims': 'দাবি',
+            'class.pending': 'এখনও যাচাই চলছে',
+            'class.failed': 'যাচাই করা যায়নি',
+            'class.noAnswers': 'এখনও কোনো উত্তর নেই',
+            'class.noTactics': 'এই সেটের কোনো প্রতিবেদন এখনও কোনো কৌশলের নাম দেয়নি।',
+            'class.progress': '{total}টির মধ্যে দাবি {n}',
+            'class.callIt': 'সত্য, ভুয়া, নাকি নিশ্চিত নন? আগে রায় দিন। প্রতিবেদন খুলবে তার পরে।',
+            'class.waiting': 'এই দাবির যাচাই এখনও চলছে। প্রতিবেদন জমা হলেই এটি নিজে থেকে খুলবে।',
+            'class.tally': 'এ পর্যন্ত প্রতিবেদনের সঙ্গে মিল: {answered}টির মধ্যে {right}টি',
+            'class.next': 'পরের দাবি',
+            'class.doneTitle': 'সেট শেষ',
+            'class.doneBody': '{total}টি দাবির মধ্যে {right}টিতে আপনার রায় প্রতিবেদনের সঙ্গে মিলেছে।',
+            'class.doneNote': 'আপনার শিক্ষক ক্লাসের মোট হিসাব দেখেন, আপনার নাম কখনও নয়।',
+
+            'batch.footerLink': 'পুরো তালিকা যাচাই করবেন? ব্যাচ মোড',
+            'batch.tag': 'ব্যাচ ডেস্ক',
+            'batch.startTitle': 'তালিকা যাচাই করুন',
+            'batch.startSub': 'সর্বোচ্চ {count}টি দাবি দিন, প্রতি লাইনে একটি, অথবা CSV বা JSON ফাইল আপলোড করুন। CSV-এর প্রথম সারিতে claim, url ও id কলামের নাম থাকতে পারে; id ফলাফলে ফিরে আসে। প্রতিটি দাবি আপনার দৈনিক সীমায় গোনা হয় এবং আপনার সীমা যতটা গতি দেয় ততটাই চলে।',
+            'batch.claimsLabel': 'দাবি, প্রতি লাইনে একটি',
+            'batch.claimsPlaceholder': 'প্রতি লাইনে একটি শিরোনাম, ফরোয়ার্ড করা বার্তা বা লিংক',
+            'batch.fileLabel': 'অথবা CSV বা JSON ফাইল আপলোড করুন',
+            'batch.start': 'ব্যাচ শুরু করুন',
+            'batch.noClaims': 'অন্তত একটি দাবি দিন, অথবা একটি ফাইল বেছে নিন।',
+            'batch.badFile': 'ফাইলটি CSV বা JSON হিসেবে পড়া গেল না।',
+            'batch.recent': 'আপনার সাম্প্রতিক ব্যাচ',
+            'batch.recentItem_one': '{date}: {count}টি দাবি',
+            'batch.recentItem_other': '{date}: {count}টি দাবি',
+            'batch.progress': '{total}টির মধ্যে {done}টি যাচাই হয়েছে',
+            'batch.failed_one': '{count}টি যাচাই করা যায়নি',
+            'batch.failed_other': '{count}টি যাচাই করা যায়নি',
+            'batch.running': 'একবারে কয়েকটি করে যাচাই হচ্ছে। আপনি পেজটি বন্ধ করতে পারেন: পেজ খোলা থাকলেই তালিকা এগোয়, আর যা যাচাই হয়ে গেছে তা হারায় না।',
+            'batch.busy': 'প্রতি মিনিটের সীমার জন্য থেমে আছে। {time}-এ আবার চলবে।',
+            'batch.dayDone': 'আজকের সীমা শেষ। তালিকার বাকিটা মধ্যরাত UTC-র পরে, পরের বার এই পেজ খুললে চলবে।',
+            'batch.done': 'তালিকার প্রতিটি দাবি যাচাই হয়ে গেছে।',
+            'batch.keepLink': 'তালিকায় ফিরে আসতে এই পেজটি বুকমার্ক করুন: {link}',
+            'batch.downloadCsv': 'CSV ডাউনলোড করুন',
+            'batch.downloadJson': 'JSON ডাউনলোড করুন',
+            'batch.resultsTitle': 'ব্যাচের ফলাফল',
+            'batch.colClaim': 'দাবি',
+            'batch.colVerdict': 'রায়',
+            'batch.colConfidence': 'আস্থা',
+            'batch.colSources': 'নিশ্চিত সূত্র',
+            'batch.rowPending': 'সারিতে',
+            'batch.rowRunning': 'যাচাই চলছে…',
+            'batch.rowFailed': 'যাচাই করা যায়নি',
+
+            'history.footerLink': 'আগে যাচাই করেছিলেন? আপনার ইতিহাস',
+            'history.tag': 'আপনার নথি',
+            'history.title': 'এই ব্রাউজার থেকে করা যাচাই',
+            'history.sub': 'এই পাতা থেকে করা প্রতিটি যাচাই এখানে রাখা থাকে, শুধু এই ডিভাইসে। পুরোনো যাচাই আবার চালিয়ে দেখুন তারপর থেকে কী বদলেছে।',
+            'history.searchLabel': 'আপনার যাচাই খুঁজুন',
+            'history.searchPlaceholder': 'দাবি, লিংক বা শিরোনামের কোনো শব্দ',
+            'history.unavailable': 'এই ব্রাউজার ইতিহাস রাখছে না (প্রাইভেট উইন্ডো প্রায়ই রাখে না)।',
+            'history.empty': 'এই ব্রাউজার থেকে এখনও কিছু যাচাই করা হয়নি। প্রথম পাতা থেকে করা যাচাই এখানে দেখা যাবে।',
+            'history.noMatch': 'আপনার ইতিহাসে এর সঙ্গে মেলে এমন কোনো যাচাই নেই।',
+            'history.listTitle': 'আপনার ইতিহাস',
+            'history.count_one': '{count}টি যাচাই',
+            'history.count_other': '{count}টি যাচাই',
+            'history.colChecked': 'যাচাই হয়েছে',
+            'history.runs_one': 'একবার যাচাই হয়েছে',
+            'history.runs_other': '{count} বার যাচাই হয়েছে',
+            'history.rerun': 'আবার যাচাই করুন',
+            'history.forget': 'ভুলে যান',
+            'history.forgetConfirm': 'এই যাচাই আর তার সব দফা এই ব্রাউজার থেকে মুছে ফেলবেন?',
+            'history.picture': 'একটি ছবি',
+            'history.entryTitle': 'এই যাচাইয়ের সব দফা',
+            'history.reprint': 'ডেস্কের ক্যাশ থেকে আবার ছাপা',
+            'history.back': 'তালিকায় ফিরুন',
+            'history.since': 'শেষবার যাচাইয়ের ({age}) পর থেকে',
+            'history.link': 'আপনার ইতিহাস',
+            'history.unchanged': 'কিছুই বদলায়নি: একই রায়, একই আস্থা, একই সূত্র।',
+            'history.verdictChanged': 'রায় {from} থেকে বদলে {to} হয়েছে',
+            'history.confidenceChanged': 'আস্থা {from}% থেকে {to}% হয়েছে',
+            'history.claimChanged': '“{claim}” {from} থেকে বদলে {to} হয়েছে',
+            'history.sourceAdded': 'নতুন সূত্র: {source}',
+            'history.sourceDropped': 'আর উদ্ধৃত নয়: {source}',
+            'drift.label': 'নথিভুক্ত হওয়ার পর আবার দেখা হয়েছে · শেষবার {date}',
+            'drift.unchanged': 'প্রতিটি সূত্র এখনও আগের জায়গাতেই আছে।',
+            'drift.verdict': 'নতুন যাচাইয়ে এখন {from} নয়, {to} পাওয়া গেছে',
+            'drift.sourceDead': '{date} তারিখে {source}-এ আর পৌঁছানো যায়নি',
+            'drift.sourceArchived': '{date} নাগাদ {source} সরে গেছে; একটি আর্কাইভ কপি রয়ে গেছে',
+            'drift.sourceLive': '{date} তারিখে {source} আবার অনলাইনে ফিরেছে',
+            'drift.open': 'খুলুন',
+            'drift.latest': 'সর্বশেষ প্রতিবেদন পড়ুন'
+        },
+
+        ta: {
+            'lang.name': 'தமிழ்',
+            'lang.label': 'பதிப்பு',
+
+            'drop.rule': 'சமீபத்திய பதிப்பு',
+            'drop.title': 'துணுக்கை இங்கே இடுங்கள்',
+            'drop.body': 'ஸ்கிரீன்ஷாட்கள், பகிர்வுகள், புகைப்படங்கள். அதிலுள்ள உரையை நாங்கள் படிப்போம்.',
+
+            'header.subheader': 'நிறுவப்பட்டது 2025 | செயற்கை நுண்ணறிவு செய்தி சரிபார்ப்புப் பணியகம்',
+            'header.edition': '{date} பதிப்பு | செயற்கை நுண்ணறிவு ஊடக எழுத்தறிவுத் தளம்',
+
+            'submit.title': 'சரிபார்ப்புக்கு அனுப்புங்கள்',
+            'text.heading': 'உரை ஆய்வு',
+            'text.label': 'கட்டுரை அல்லது தலைப்பை ஒட்டுங்கள்:',
+            'text.placeholder': 'சரிபார்க்க வேண்டிய செய்தி, தலைப்பு அல்லது கூற்றை உள்ளிடுங்கள்...',
+            'url.heading': 'இணைப்பு ஆய்வு',
+            'url.label': 'செய்திக் கட்டுரையின் இணைப்பை உள்ளிடுங்கள்:',
+            'url.hint': 'பக்கத்தைப் படித்து, அதில் உள்ளதைச் சுயாதீன ஆதாரங்களுடன் ஒப்பிடுகிறோம்',
+            'image.heading': 'படச் சரிபார்ப்பு',
+            'image.label': 'படத்தைப் பதிவேற்றுங்கள் அல்லது எடுங்கள்:',
+            'image.choose': 'படத்தைத் தேர்வுசெய் / புகைப்படம் எடு',
+            'image.remove': 'படத்தை நீக்கு',
+            'image.hint': 'படங்களிலுள்ள உரையைப் படித்துக் கூற்றுகளைச் சரிபார்க்கும்',
+
+            'action.investigate': 'இப்போதே சரிபார்',
+            'action.clear': 'அனைத்தையும் அழி',
+
+            'ballot.tag': 'வாசகர் தீர்ப்பு',
+            'ballot.title': 'சரிபார்ப்பதற்கு முன்',
+            'ballot.sub': 'உங்கள் உள்ளுணர்வு என்ன சொல்கிறது? முதலில் ஒரு தீர்ப்பைத் தேர்ந்தெடுங்கள், பிறகு நாங்கள் சரிபார்க்கிறோம்.',
+            'ballot.real': 'உண்மை',
+            'ballot.fake': 'பொய்',
+            'ballot.unsure': 'உறுதியில்லை',
+            'ballot.footnote': 'உங்கள் பதில் உங்கள் உலாவியிலேயே இருக்கும். அதைச் செயற்கை நுண்ணறிவுக்கு அனுப்புவதில்லை, எனவே தீர்ப்பை அது பாதிக்காது.',
+            'ballot.skip': 'தவிர்த்து நேரடியாகச் சரிபார்',
+            'ballot.ruleOn': 'இதழின் விதி: எங்கள் தீர்ப்பு அச்சாகும் முன் வாசகரின் தீர்ப்பு கேட்கப்படும்.',
+            'ballot.turnOff': 'இதை அணை',
+            'ballot.ruleOff': 'விதி நிறுத்தப்பட்டது: கேட்காமலேயே தீர்ப்புகள் அச்சாகின்றன.',
+            'ballot.turnOn': 'மீண்டும் இயக்கு',
+
+            'footer.title': 'தி ட்ரூத் கெசட் - போலிச் செய்தி கண்டறிதல் பணியகம்',
+            'footer.tagline': 'செயற்கை நுண்ணறிவு ஊடக எழுத்தறிவுத் தளம்',
+            'footer.note': 'இங்கு அச்சான ஒவ்வொரு ஆதாரமும் வெளியீட்டுக்கு முன் திறந்து உறுதிசெய்யப்பட்டது. அணுக முடியாதவை பட்டியலில் சேர்க்கப்படாமல் விடப்பட்டன. தீர்ப்பு என்பது சரிபார்ப்பின் தொடக்கம்.',
+            'flashlight.hint': 'இருள் பயன்முறை: Shift+L அழுத்துங்கள்',
+
+            'ocr.label': 'OCR:',
+            'ocr.detecting': 'எழுத்துமுறை அடையாளம் காணப்படுகிறது...',
+            'ocr.extracting': 'உரை பிரித்தெடுக்கப்படுகிறது...',
+            'ocr.progress': 'உரை பிரித்தெடுக்கப்படுகிறது... {pct}%',
+            'ocr.unreadable': 'இந்த எழுத்துமுறையை இங்கே படிக்க முடியவில்லை. படம் நேரடியாகப் படிக்கப்படும்',
+            'ocr.noReadable': 'படிக்கக்கூடிய உரை கிடைக்கவில்லை',
+            'ocr.none': 'உரை எதுவும் கிடைக்கவில்லை',
+            'ocr.failed': 'OCR தோல்வியடைந்தது',
+
+            'alert.tooBig': 'இந்தப் படம் {size}MB. 10MB-க்குக் குறைவான படத்தைப் பயன்படுத்துங்கள், அல்லது உரையை மட்டும் ஸ்கிரீன்ஷாட் எடுங்கள்.',
+            'alert.badFormat': 'இந்த வடிவத்தை ({type}) இங்கே படிக்க முடியாது. JPG, PNG அல்லது WebP பயன்படுத்துங்கள். iPhone-இல் புகைப்படத்தை நேரடியாகப் பகிராமல் ஸ்கிரீன்ஷாட் எடுங்கள்.',
+            'alert.notImage': 'இந்தக் கோப்பு படம் அல்ல. ஸ்கிரீன்ஷாட் அல்லது புகைப்படத்தை இடுங்கள், அல்லது உரையை ஒட்டுங்கள்.',
+            'alert.noInput': 'குறைந்தது ஒன்றையாவது தாருங்கள்: உரை, இணைப்பு அல்லது படம்!',
+            'alert.notLink': 'இது இணைய முகவரியாகத் தெரியவில்லை. https://example.com/article போன்ற இணைப்பை ஒட்டுங்கள், அல்லது கூற்றை உரைப் பெட்டியில் இடுங்கள்.',
+            'alert.httpOnly': 'http மற்றும் https இணைப்புகளை மட்டுமே சரிபார்க்க முடியும்.',
+            'alert.ocrRunning': 'படத்திலிருந்து உரை இன்னும் பிரித்தெடுக்கப்படுகிறது. சற்று பொறுத்து மீண்டும் முயலுங்கள்.',
+            'alert.tooLong': 'உரை மிக நீளமாக உள்ளது. 3000 எழுத்துகளுக்குள் சுருக்குங்கள்.',
+
+            'loading.title': 'சரிபார்ப்பு நடைபெறுகிறது',
+            'loading.note': 'ஒவ்வொரு ஆதாரமும் உங்களை அடையும் முன் திறந்து உறுதிசெய்யப்படுகிறது. இதற்குச் சில விநாடிகள் ஆகும்.',
+            'loading.stage1': 'கூற்று படிக்கப்படுகிறது…',
+            'loading.stage2': 'சமீபத்திய செய்திகள் தேடப்படுகின்றன…',
+            'loading.stage3': 'சாத்தியமான ஆதாரங்கள் சேகரிக்கப்படுகின்றன…',
+            'loading.stage4': 'ஒவ்வொரு ஆதாரமும் திறந்து உறுதிசெய்யப்படுகிறது…',
+            'loading.stage5': 'தேதிகள் சரிபார்க்கப்படுகின்றன, அணுக முடியாதவை நீக்கப்படுகின்றன…',
+            'loading.stage6': 'கண்டறிந்தவை எழுதப்படுகின்றன…',
+
+            'wire.cache': 'சமீபத்தில் சரிபார்க்கப்பட்டது. அதே அறிக்கை மீண்டும் அச்சாகிறது.',
+            'wire.cacheNear': 'கிட்டத்தட்ட இதே செய்தி சமீபத்தில் சரிபார்க்கப்பட்டது. அந்த அறிக்கை மீண்டும் அச்சிடப்படுகிறது.',
+            'cached.strip': '{age} செய்யப்பட்ட சரிபார்ப்பிலிருந்து மீண்டும் அச்சிடப்பட்டது. ஆதாரங்கள் அப்போது உறுதிசெய்யப்பட்டன, இப்போது அல்ல.',
+            'wire.ocr': 'படத்தின் உரை எங்கள் பக்கத்தில் மீண்டும் படிக்கப்பட்டது.',
+            'wire.articleRead': 'அனுப்பிய பக்கம் படிக்கப்பட்டது: “{title}”.',
+            'wire.articleReadUntitled': 'அனுப்பிய பக்கம் படிக்கப்பட்டது.',
+            'wire.articleFailed': 'அனுப்பிய பக்கத்தைப் படிக்க முடியவில்லை. அதைச் சுற்றியுள்ளவை சரிபார்க்கப்படுகின்றன.',
+            'wire.modelAsked': 'ஆசிரியரிடம் கேட்கப்படுகிறது, நேரடித் தேடலுடன்…',
+            'wire.modelFiled': 'ஆசிரியர் அறிக்கையை அனுப்பியுள்ளார்.',
+            'wire.modelFailed': 'ஆசிரியரால் இதை முடிக்க முடியவில்லை.',
+            'wire.grounding_one': 'திறந்து உறுதிசெய்ய {count} தேடல் முடிவு.',
+            'wire.grounding_other': 'திறந்து உறுதிசெய்ய {count} தேடல் முடிவுகள்.',
+            'wire.sourceVerified': '{domain} திறக்கப்பட்டது: உறுதி.',
+            'wire.sourceArchived': '{domain} இப்போது இல்லை. காப்பகப் பிரதி கிடைத்தது.',
+            'wire.sourceWithheld': '{domain} திறந்தது, ஆனால் அது பயனர் பதிவுத் தளம். மேற்கோள் இல்லை.',
+            'wire.sourceUnreachable': '{domain} திறக்கவில்லை. நீக்கப்பட்டது.',
+            'wire.metaFound': '{domain} தளத்தின் சொந்தச் சுருக்கம் படிக்கப்பட்டது.',
+            'wire.metaMissing': '{domain} தளத்தில் மேற்கோள் காட்ட எதுவும் இல்லை.',
+            'wire.sources_one': '{count} ஆதாரம் அச்சுக்குச் செல்கிறது.',
+            'wire.sources_other': '{count} ஆதாரங்கள் அச்சுக்குச் செல்கின்றன.',
+            'wire.priors_one': 'இதே போன்ற கூற்றுக்கு வெளியிடப்பட்ட {count} சரிபார்ப்பு கிடைத்தது.',
+            'wire.priors_other': 'இதே போன்ற கூற்றுக்கு வெளியிடப்பட்ட {count} சரிபார்ப்புகள் கிடைத்தன.',
+            'wire.priorsSettled': '{publisher} இந்தக் கூற்றை முன்பே சரிபார்த்துள்ளது: “{rating}”.',
+            'wire.aPage': 'ஒரு பக்கம்',
+
+            'notice.readers': 'வாசகர்களுக்கு அறிவிப்பு',
+            'notice.stopPress': 'அச்சை நிறுத்து',
+            'notice.editor_off_duty.headline': 'ஆசிரியர் இப்போது பணியில் இல்லை',
+            'notice.editor_off_duty.body': 'கெசட் ஒவ்வொரு நாளும் குறிப்பிட்ட எண்ணிக்கையிலான அறிக்கைகளையே வெளியிடுகிறது, அந்த எண்ணிக்கை எட்டப்பட்டுவிட்டது. உங்கள் கூற்றைப் பற்றி எதுவும் முடிவாகவில்லை. மேசை விரைவில் மீண்டும் திறக்கும்.',
+            'notice.editor_off_duty.footer': 'சில நிமிடங்களில் மீண்டும் முயலுங்கள்.',
+            'notice.desk_busy.headline': 'மேசையில் கூட்டம்',
+            'notice.desk_busy.body': 'சரிபார்க்கும் வேகத்தை விடப் பணிகள் வேகமாக வருகின்றன. சற்று நேரத்தில் மீண்டும் முயலுங்கள்.',
+            'notice.desk_busy.bodyWait_one': 'சரிபார்க்கும் வேகத்தை விடப் பணிகள் வேகமாக வருகின்றன. சுமார் {count} விநாடியில் மீண்டும் முயலுங்கள்.',
+            'notice.desk_busy.bodyWait_other': 'சரிபார்க்கும் வேகத்தை விடப் பணிகள் வேகமாக வருகின்றன. சுமார் {count} விநாடிகளில் மீண்டும் முயலுங்கள்.',
+            'notice.desk_busy.footer': 'ஒவ்வொரு வாசகருக்கும் கோரிக்கைகள் வரம்புக்குட்பட்டவை.',
+            'notice.day_done.headline': 'இன்றைய பதிப்பு முடிந்தது',
+            'notice.day_done.body': 'இன்றைக்கான உங்கள் சரிபார்ப்புகள் முடிந்துவிட்டன. அச்சகம் நாளை மீண்டும் இயங்கும்.',
+            'notice.day_done.footer': 'வரம்பு UTC நள்ளிரவில் மீட்டமைக்கப்படும்.',
+            'notice.press_failure.headline': 'பதிப்பு அச்சுக்குச் செல்லவில்லை',
+            'notice.press_failure.body': 'சரிபார்ப்பு மேசைக்குச் செல்லும் வழியில் ஏதோ தோல்வியடைந்தது, எனவே தீர்ப்பு இல்லை. இது கூற்றைப் பற்றி எதுவும் சொல்லவில்லை, எங்களைப் பற்றி மட்டுமே.',
+            'notice.press_failure.footer': 'சற்று நேரத்தில் மீண்டும் முயலுங்கள்.',
+            'notice.took_too_long.headline': 'இது காலக்கெடுவைத் தாண்டியது',
+            'notice.took_too_long.body': 'ஒரு நிமிடம் கழித்தும் சரிபார்ப்பு ஓடிக்கொண்டிருந்ததால் காத்திருப்பதை நிறுத்தினோம். சில கூற்றுகளுக்குப் பல மெதுவான பக்கங்களைத் திறக்க வேண்டியிருக்கும். எந்தப் பக்கமும் முடிவாகவில்லை.',
+            'notice.took_too_long.footer': 'மீண்டும் முயலுங்கள், அல்லது கூற்றை இன்னும் குறிப்பாகச் சுருக்குங்கள்.',
+            'notice.no_connection.headline': 'இணைப்பு இல்லை',
+            'notice.no_connection.body': 'உங்கள் சாதனம் இணையத்தில் இல்லை போலத் தெரிகிறது, எனவே எதையும் சரிபார்க்க முடியவில்லை. பக்கம் இன்னும் வேலை செய்கிறது.',
+            'notice.no_connection.footer': 'இணையத்துக்குத் திரும்பியதும் மீண்டும் முயலுங்கள்.',
+            'notice.not_found.headline': 'அப்படி ஒரு அறிக்கை இல்லை',
+            'notice.not_found.body': 'இந்த இணைப்பில் எதுவும் பதிவாகவில்லை. தவறாகத் தட்டச்சு செய்யப்பட்டிருக்கலாம், அல்லது பகிரும்போது துண்டிக்கப்பட்டிருக்கலாம்.',
+            'notice.not_found.footer': 'இணைப்பைச் சரிபாருங்கள், அல்லது மேலே கூற்றை மீண்டும் அனுப்புங்கள்.',
+            'notice.default.headline': 'பதிப்பு அச்சுக்குச் செல்லவில்லை',
+            'notice.default.body': 'சரிபார்ப்பை முடிக்க முடியவில்லை, எனவே தீர்ப்பு இல்லை. கூற்று உண்மையா பொய்யா என்பது பற்றி இது எதுவும் சொல்லவில்லை.',
+            'notice.default.footer': 'சற்று நேரத்தில் மீண்டும் முயலுங்கள். தொடர்ந்து நடந்தால் மேசை செயலிழந்திருக்கலாம்.',
+
+            'verdict.REAL': 'உண்மை',
+            'verdict.FAKE': 'பொய்',
+            'verdict.UNCERTAIN': 'உறுதியற்றது',
+            'verdict.NOT_SURE': 'உறுதியில்லை',
+            'result.fallbackHeadline': 'தீர்ப்பு: {verdict}',
+            'result.readerCall': 'வாசகர் தீர்ப்பு: {guess} · கெசட் தீர்ப்பு: {verdict}',
+            'result.record': 'உங்கள் பதிவு: {total}-இல் {right}',
+            'result.confidence': 'நம்பக நிலை',
+            'result.report': 'சரிபார்ப்பு அறிக்கை',
+            'result.keyFindings': 'முக்கியக் கண்டறிதல்கள்:',
+            'result.howItSpread': 'இது எப்படிப் பரவியது',
+            'result.sources': 'ஆதாரங்கள்',
+            'result.verifiedCount': '({count} உறுதிசெய்யப்பட்டவை)',
+            'result.lastChecked': 'கடைசியாகச் சரிபார்த்தது {date}',
+            'result.thrownOut': 'அச்சுக்கு முன் நீக்கப்பட்டவை: {list}.',
+            'result.unopened_one': 'திறக்க முடியாத {count} இணைப்பு',
+            'result.unopened_other': 'திறக்க முடியாத {count} இணைப்புகள்',
+            'result.withheld': 'நாங்கள் மேற்கோள் காட்டாத தளங்களிலிருந்து {count}',
+            'result.offTopic': 'தொடர்புடையவை ஆனால் இந்தக் கூற்றைப் பற்றியவை அல்லாத {count}',
+            'result.noSources': 'உறுதிசெய்யப்பட்ட ஆதாரங்கள் இல்லை',
+            'result.noSourcesBody': 'இந்தக் கூற்றுக்குச் சரிபார்க்கக்கூடிய ஆதாரங்களைக் கண்டறிய முடியவில்லை. கூற்று பொய் என்று இதற்குப் பொருள் அல்ல; சுயாதீனமாக உறுதிசெய்ய முடியவில்லை என்பதே.',
+            'result.editorialLabel': 'ஆசிரியர் குறிப்பு:',
+            'result.editorialBody': 'நேரடித் தேடலின் அடிப்படையில் கெசட்டின் சரிபார்ப்பு இயந்திரம் எழுதியது. மேலுள்ள ஆதாரங்கள் திறந்து உறுதிசெய்யப்பட்டன; விவாதிக்கப்படுவதற்காகவே காரணங்கள் அச்சிடப்பட்டுள்ளன.',
+
+            'permalink.label': 'இந்த அறிக்கையின் நிரந்தர இணைப்பு:',
+            'permalink.share': 'பகிர்',
+            'permalink.copied': 'இணைப்பு நகலெடுக்கப்பட்டது.',
+            'permalink.copyPrompt': 'இந்த இணைப்பை நகலெடுங்கள்:',
+            'clipping.print': 'நறுக்கை அச்சிடு',
+            'clipping.claimReview': 'ClaimReview குறியீடு (JSON-LD)',
+            'clipping.dateline': 'சரிபார்த்தது {date}',
+            'clipping.confidence': 'நம்பகத்தன்மை {value}%',
+            'clipping.footer': 'தி ட்ரூத் கெசட்டிலிருந்து மறுபிரசுரம். ஆதாரங்கள் சரிபார்ப்பின்போது உறுதிசெய்யப்பட்டன, அச்சிடும்போது அல்ல. முழு அறிக்கை: {link}',
+            'filed.title': 'கோப்புகளிலிருந்து',
+            'filed.loading': 'அறிக்கை கொண்டுவரப்படுகிறது…',
+            'filed.strip': 'கெசட் கோப்புகளிலிருந்து · முதலில் அச்சானது {date}. ஆதாரங்கள் அப்போது உறுதிசெய்யப்பட்டன, இப்போது அல்ல.',
+            'outlet.profile': 'இந்த ஆதாரத்தின் பின்னால் யார்',
+            'outlet.type.wire': 'செய்தி நிறுவனம்',
+            'outlet.type.public_broadcaster': 'பொது ஒலிபரப்பாளர்',
+            'outlet.type.government': 'அரசு',
+            'outlet.type.academic': 'கல்வி சார்ந்தது',
+            'outlet.type.fact_checker': 'உண்மை சரிபார்ப்பாளர்',
+            'outlet.type.newspaper': 'செய்தித்தாள்',
+            'outlet.type.magazine': 'இதழ்',
+            'outlet.type.broadcaster': 'ஒளிபரப்பாளர்',
+            'outlet.type.digital': 'இணைய செய்தி நிறுவனம்',
+            'outlet.type.reference': 'குறிப்பு நூல்',
+            'outlet.type.state_media': 'அரசு கட்டுப்பாட்டு ஊடகம்',
+            'outlet.type.partisan': 'கட்சி சார்ந்தது',
+            'outlet.type.satire': 'நையாண்டி',
+            'outlet.type.platform': 'பயனர் பதிவுத் தளம்',
+            'split.toggle': 'ஒவ்வொரு கூற்றையும் தனித்தனியாகச் சரிபார்க்கவும்',
+            'split.hint': 'ஒரே நேரத்தில் பல கூற்றுகளைச் சொல்லும் பகிர்வுகளுக்கு. முதல் கூற்றுக்குப் பிறகு ஒவ்வொன்றும் ஒரு சரிபார்ப்பாகக் கணக்கிடப்படும்.',
+            'wire.claims_one': 'நகல் மேசை சரிபார்க்க {count} கூற்றைக் கண்டது.',
+            'wire.claims_other': 'நகல் மேசை {count} தனிக் கூற்றுகளைக் கண்டது. ஒவ்வொன்றும் சரிபார்க்கப்படுகிறது.',
+            'wire.oneClaim': 'இந்தச் செய்தியில் சரிபார்க்கக்கூடிய கூற்று ஒன்றுதான். அது முழுமையாகச் சரிபார்க்கப்படுகிறது.',
+            'wire.claimTag': 'கூற்று {number}:',
+            'claims.title': 'கூற்று வாரியாக',
+            'claims.tally': '{count} கூற்றுகள் சரிபார்க்கப்பட்டன · {real} உண்மை · {fake} பொய் · {uncertain} உறுதியற்றவை',
+            'claims.skipped_one': 'மேலும் {count} கூற்று கண்டறியப்பட்டது, ஆனால் சரிபார்க்கப்படவில்லை: இன்றைய வரம்பு முடிந்தது.',
+            'claims.skipped_other': 'மேலும் {count} கூற்றுகள் கண்டறியப்பட்டன, ஆனால் சரிபார்க்கப்படவில்லை: இன்றைய வரம்பு முடிந்தது.',
+            'claims.notChecked': 'சரிபார்க்கப்படவில்லை',
+            'claims.fullReport': 'முழு அறிக்கை',
+            'snippet.quote': 'பக்கத்திலிருந்து மேற்கோள்',
+            'snippet.summary': 'எங்கள் சுருக்கம், மேற்கோள் அல்ல',
+            'snippet.not_found': 'பக்கத்தில் காணப்படவில்லை',
+            'snippet.unchecked': 'பக்கத்துடன் ஒப்பிடப்படவில்லை',
+            'snippet.score': 'இந்த வரியின் {percent}% சொற்கள் பக்கத்தில் காணப்பட்டன',
+            'wire.excerptQuote': '{domain} இல் மேற்கோள் வரி கண்டறியப்பட்டது.',
+            'wire.excerptSummary': '{domain} க்குக் காட்டப்பட்ட வரி ஒரு சுருக்கம், மேற்கோள் அல்ல.',
+            'wire.excerptMissing': '{domain} க்குக் காட்டப்பட்ட வரி அதன் பக்கத்தில் கிடைக்கவில்லை.',
+            'source.published': 'வெளியானது {date}',
+            'source.updated': 'புதுப்பிக்கப்பட்டது {date}',
+            'source.outdated': 'கூற்றைவிட மிகப் பழையது',
+            'dates.warning': 'பழைய ஆதாரம்',
+            'dates.beforeEvents_one': 'தேதியுள்ள {dated} ஆதாரங்களில் {count}, கூற்று குறிப்பிடும் நிகழ்வுகளுக்கு ({date}) ஓராண்டுக்கும் மேல் முன்பு வெளியானது. மிகப் பழையது {oldest} தேதியிட்டது. பல ஆண்டுகளுக்கு முந்தைய உண்மையான செய்தியையோ படத்தையோ புதியதுபோல் பரப்புவதே மிகப் பொதுவான போலிச் செய்தி.',
+            'dates.beforeEvents_other': 'தேதியுள்ள {dated} ஆதாரங்களில் {count}, கூற்று குறிப்பிடும் நிகழ்வுகளுக்கு ({date}) ஓராண்டுக்கும் மேல் முன்பு வெளியானவை. மிகப் பழையது {oldest} தேதியிட்டது. பல ஆண்டுகளுக்கு முந்தைய உண்மையான செய்தியையோ படத்தையோ புதியதுபோல் பரப்புவதே மிகப் பொதுவான போலிச் செய்தி.',
+            'dates.beforeArticle_one': 'தேதியுள்ள {dated} ஆதாரங்களில் {count}, கூற்றைக் கொண்ட கட்டுரைக்கு ({date}) ஓராண்டுக்கும் மேல் முன்பு வெளியானது. மிகப் பழையது {oldest} தேதியிட்டது.',
+            'dates.beforeArticle_other': 'தேதியுள்ள {dated} ஆதாரங்களில் {count}, கூற்றைக் கொண்ட கட்டுரைக்கு ({date}) ஓராண்டுக்கும் மேல் முன்பு வெளியானவை. மிகப் பழையது {oldest} தேதியிட்டது.',
+            'wire.dates_one': '{count} ஆதாரத்தின் வெளியீட்டுத் தேதி படிக்கப்பட்டது. எதுவும் கூற்றைவிட மிகப் பழையது அல்ல.',
+            'wire.dates_other': '{count} ஆதாரங்களின் வெளியீட்டுத் தேதிகள் படிக்கப்பட்டன. எதுவும் கூற்றைவிட மிகப் பழையது அல்ல.',
+            'wire.datesOld_one': '{count} ஆதாரம் கூற்றுக்கு ஓராண்டுக்கும் மேல் முன்பு வெளியானது.',
+            'wire.datesOld_other': '{count} ஆதாரங்கள் கூற்றுக்கு ஓராண்டுக்கும் மேல் முன்பு வெளியானவை.',
+            'seen.label': 'முன்பே பார்த்தது',
+            'seen.same': 'இந்தப் படம் {date} அன்று சரிபார்க்கப்பட்டது, அப்போதைய தீர்ப்பு {verdict}. அப்போது இதனுடன் வந்த கூற்று:',
+            'seen.copy': 'இந்தப் படத்தின் கிட்டத்தட்ட அதே நகல் {date} அன்று சரிபார்க்கப்பட்டது, அப்போதைய தீர்ப்பு {verdict}. அப்போது அதனுடன் வந்த கூற்று:',
+            'seen.link': 'அந்த அறிக்கையைப் படிக்கவும்',
+            'prior.label': 'முன்பே சரிபார்க்கப்பட்டது',
+            'prior.by': '{publisher} இதை முன்பே சரிபார்த்துள்ளது',
+            'prior.rated': 'மதிப்பீடு: “{rating}”',
+            'prior.link': 'அந்தச் சரிபார்ப்பைப் படிக்கவும்',
+            'prior.settled': 'இந்த அறிக்கை அந்தச் சரிபார்ப்பிலிருந்து எடுக்கப்பட்டது. இதற்காகப் புதிய தேடல் செய்யப்படவில்லை.',
+            'wire.picture': 'இந்தப் படம் முன்பே {date} அன்று சரிபார்க்கப்பட்டது: {verdict}.',
+            'picture.title': 'இந்தப் படத்தைப் பற்றி',
+            'picture.format': 'கோப்பு',
+            'picture.taken': 'எடுக்கப்பட்டது',
+            'picture.takenOld': 'கூற்றுக்கு ஓராண்டுக்கும் மேல் முன்பு',
+            'picture.camera': 'கேமரா',
+            'picture.software': 'மென்பொருள்',
+            'picture.changed': 'கடைசியாக மாற்றப்பட்டது',
+            'picture.location': 'இடம்',
+            'picture.locationValue': 'கோப்பில் பதிவாகியுள்ளது (காட்டப்படவில்லை)',
+            'picture.credentials': 'உள்ளடக்கச் சான்றுகள்',
+            'picture.credentialsValue': '{generator} மூலம் உருவானது; பதிவுகள்: {actions}. கையொப்பம் சரிபார்க்கப்படவில்லை.',
+            'picture.signal.ai_generated': 'இதை ஒரு AI பட உருவாக்கி உருவாக்கியதாகக் கோப்பு கூறுகிறது.',
+            'picture.signal.edited': 'கோப்பில் ஒரு திருத்தும் மென்பொருளின் பெயர் உள்ளது.',
+            'picture.signal.edited_later': 'எடுக்கப்பட்டு ஒரு நாளுக்கும் மேல் கழித்து இது மாற்றப்பட்டது.',
+            'picture.signal.stripped': 'கோப்பில் கேமரா அல்லது திருத்தப் பதிவு எதுவும் இல்லை. செய்திச் செயலிகளும் சமூக வலைத்தளங்களும் அதை நீக்குகின்றன, திரைப்பிடிப்புகளில் அது இருப்பதே இல்லை; எனவே இதிலிருந்து எதையும் முடிவு செய்ய முடியாது.',
+            'picture.footer': 'கோப்பிலிருந்தே, கேமராவின் சொந்தக் கடிகாரப்படி படிக்கப்பட்டது. மெட்டாடேட்டாவைத் திருத்தவோ நீக்கவோ முடியும்; எனவே இது ஒரு தடயம், சான்று அல்ல.',
+            'wire.pictureFile': 'படக் கோப்பின் சொந்தப் பதிவு படிக்கப்பட்டது.',
+            'wire.pictureFileTaken': 'படக் கோப்பின்படி இது {date} அன்று எடுக்கப்பட்டது.',
+            'wire.pictureFileEmpty': 'படக் கோப்பில் மெட்டாடேட்டா எதுவும் இல்லை.',
+            'wire.pictureFileAi': 'இதை ஒரு AI பட உருவாக்கி உருவாக்கியதாகப் படக் கோப்பு கூறுகிறது.',
+
+            'notice.unauthorized.headline': 'ஆசிரியர்களுக்கு மட்டும்',
+            'notice.unauthorized.body': 'வகுப்பைத் தொடங்கிய ஆசிரியர் இணைப்பின் மூலம் மட்டுமே இந்த முடிவுகள் திறக்கும். மாணவர்கள் வகுப்பின் சொந்த இணைப்பில் சேருவார்கள்.',
+            'notice.unauthorized.footer': 'வகுப்பைத் தொடங்கிய உலாவியில் இணைப்பைத் திறங்கள்.',
+            'class.footerLink': 'பயிலரங்கு நடத்துகிறீர்களா? வகுப்புப் பயன்முறை',
+            'class.tag': 'வகுப்பு',
+            'class.startTitle': 'பயிலரங்கு நடத்துங்கள்',
+            'class.startSub': 'வகுப்பு மதிப்பிட அதிகபட்சம் {count} கூற்றுகளை இடுங்கள், ஒரு வரிக்கு ஒன்று. இணைப்பு மட்டுமே உள்ள வரி இணைப்பாகவே சரிபார்க்கப்படும். ஒவ்வொரு கூற்றும் இப்போதே ஒருமுறை சரிபார்க்கப்படுவதால், முழு வகுப்பும் ஒரே அறிக்கைகளைப் பார்க்கும்.',
+            'class.nameLabel': 'வகுப்பின் பெயர்',
+            'class.namePlaceholder': 'எ.கா. பத்தாம் வகுப்பு, வியாழன்',
+            'class.claimsLabel': 'கூற்றுகள், ஒரு வரிக்கு ஒன்று',
+            'class.claimsPlaceholder': 'ஒவ்வொரு வரியிலும் ஒரு தலைப்பு, பகிரப்பட்ட செய்தி அல்லது இணைப்பு',
+            'class.start': 'வகுப்பைத் தொடங்கு',
+            'class.joinTitle': 'வகுப்பில் சேர வேண்டுமா?',
+            'class.joinLabel': 'வகுப்புக் குறியீடு',
+            'class.join': 'சேர்',
+            'class.badCode': 'இது வகுப்புக் குறியீடாகத் தெரியவில்லை. குறியீட்டில் ஆறு எழுத்துகளும் எண்களும் இருக்கும்.',
+            'class.noClaims': 'குறைந்தது ஒரு கூற்றையாவது இடுங்கள்.',
+            'class.tooMany': 'ஒரு வகுப்பில் அதிகபட்சம் {count} கூற்றுகள் இருக்கலாம்.',
+            'class.shareTitle': 'வகுப்புக் குறியீடு',
+            'class.shareBody': 'மாணவர்கள் {link} திறக்கலாம், அல்லது வகுப்புப் பக்கத்தில் குறியீட்டை உள்ளிடலாம்.',
+            'class.teacherNote': 'இந்தப் பக்கத்தின் இணைப்பை வைத்துக்கொள்ளுங்கள். முடிவுகளுக்குத் திரும்ப இதுவே ஒரே வழி; இது மாணவர்களுக்கானது அல்ல.',
+            'class.resultsTitle': 'வகுப்பு எப்படிச் செய்தது',
+            'class.students_one': '{count} மாணவர்',
+            'class.students_other': '{count} மாணவர்கள்',
+            'class.byClaim': 'கூற்று வாரியாக',
+            'class.byTactic': 'உத்தி வாரியாக',
+            'class.colClaim': 'கூற்று',
+            'class.colVerdict': 'தீர்ப்பு',
+            'class.colGuesses': 'ஊகங்கள்',
+            'class.colMatched': 'அறிக்கையுடன் பொருந்தியது',
+            'class.colTactic': 'உத்தி',
+            'class.colClaims': 'கூற்றுகள்',
+            'class.pending': 'இன்னும் சரிபார்க்கப்படுகிறது',
+            'class.failed': 'சரிபார்க்க முடியவில்லை',
+            'class.noAnswers': 'இன்னும் பதில்கள் இல்லை',
+            'class.noTactics': 'இந்தத் தொகுப்பில் எந்த அறிக்கையும் இன்னும் ஒரு உத்தியைக் குறிப்பிடவில்லை.',
+            'class.progress': '{total}-இல் கூற்று {n}',
+            'class.callIt': 'உண்மையா, பொய்யா, உறுதியில்லையா? முதலில் முடிவு செய்யுங்கள். அறிக்கை அதன் பிறகே திறக்கும்.',
+            'class.waiting': 'இந்தக் கூற்று இன்னும் சரிபார்க்கப்படுகிறது. அறிக்கை பதிவானதும் தானாகவே திறக்கும்.',
+            'class.tally': 'இதுவரை அறிக்கையுடன் பொருந்தியவை: {answered}-இல் {right}',
+            'class.next': 'அடுத்த கூற்று',
+            'class.doneTitle': 'தொகுப்பு முடிந்தது',
+            'class.doneBody': '{total} கூற்றுகளில் {right}-இல் உங்கள் தீர்ப்பு அறிக்கையுடன் பொருந்தியது.',
+            'class.doneNote': 'உங்கள் ஆசிரியர் வகுப்பின் மொத்தக் கணக்கை மட்டுமே பார்ப்பார், உங்கள் பெயரை ஒருபோதும் அல்ல.',
+
+            'batch.footerLink': 'முழுப் பட்டியலைச் சரிபார்க்கிறீர்களா? தொகுப்புப் பயன்முறை',
+            'batch.tag': 'தொகுப்பு மேசை',
+            'batch.startTitle': 'பட்டியலைச் சரிபாருங்கள்',
+            'batch.startSub': 'அதிகபட்சம் {count} கூற்றுகளை, வரிக்கு ஒன்றாக ஒட்டுங்கள், அல்லது CSV அல்லது JSON கோப்பைப் பதிவேற்றுங்கள். CSV-யின் முதல் வரியில் claim, url, id நெடுவரிசைப் பெயர்கள் இருக்கலாம்; id முடிவுகளில் திரும்ப வரும். ஒவ்வொரு கூற்றும் உங்கள் தினசரி வரம்பில் கணக்கிடப்படும், உங்கள் வரம்பு அனுமதிக்கும் வேகத்தில் இயங்கும்.',
+            'batch.claimsLabel': 'கூற்றுகள், வரிக்கு ஒன்று',
+            'batch.claimsPlaceholder': 'ஒவ்வொரு வரியிலும் ஒரு தலைப்பு, பகிரப்பட்ட செய்தி அல்லது இணைப்பு',
+            'batch.fileLabel': 'அல்லது CSV அல்லது JSON கோப்பைப் பதிவேற்றுங்கள்',
+            'batch.start': 'தொகுப்பைத் தொடங்குங்கள்',
+            'batch.noClaims': 'குறைந்தது ஒரு கூற்றையாவது இடுங்கள், அல்லது ஒரு கோப்பைத் தேர்ந்தெடுங்கள்.',
+            'batch.badFile': 'அந்தக் கோப்பை CSV அல்லது JSON ஆகப் படிக்க முடியவில்லை.',
+            'batch.recent': 'உங்கள் சமீபத்திய தொகுப்புகள்',
+            'batch.recentItem_one': '{date}: {count} கூற்று',
+            'batch.recentItem_other': '{date}: {count} கூற்றுகள்',
+            'batch.progress': '{total} இல் {done} சரிபார்க்கப்பட்டன',
+            'batch.failed_one': '{count} சரிபார்க்க முடியவில்லை',
+            'batch.failed_other': '{count} சரிபார்க்க முடியவில்லை',
+            'batch.running': 'ஒரே நேரத்தில் சிலவாகச் சரிபார்க்கப்படுகின்றன. இந்தப் பக்கத்தை மூடலாம்: பக்கம் திறந்திருக்கும்போது பட்டியல் தொடரும், ஏற்கெனவே சரிபார்த்தவை இழக்கப்படாது.',
+            'batch.busy': 'நிமிட வரம்பால் இடைநிறுத்தப்பட்டுள்ளது. {time} மணிக்குத் தொடரும்.',
+            'batch.dayDone': 'இன்றைய வரம்பு தீர்ந்துவிட்டது. மீதமுள்ள பட்டியல் நள்ளிரவு UTC-க்குப் பிறகு, அடுத்த முறை இந்தப் பக்கம் திறக்கும்போது தொடரும்.',
+            'batch.done': 'பட்டியலின் ஒவ்வொரு கூற்றும் சரிபார்க்கப்பட்டது.',
+            'batch.keepLink': 'பட்டியலுக்குத் திரும்ப இந்தப் பக்கத்தை புக்மார்க் செய்யுங்கள்: {link}',
+            'batch.downloadCsv': 'CSV பதிவிறக்கு',
+            'batch.downloadJson': 'JSON பதிவிறக்கு',
+            'batch.resultsTitle': 'தொகுப்பு முடிவுகள்',
+            'batch.colClaim': 'கூற்று',
+            'batch.colVerdict': 'தீர்ப்பு',
+            'batch.colConfidence': 'நம்பகத்தன்மை',
+            'batch.colSources': 'உறுதிசெய்த ஆதாரங்கள்',
+            'batch.rowPending': 'வரிசையில்',
+            'batch.rowRunning': 'சரிபார்க்கப்படுகிறது…',
+            'batch.rowFailed': 'சரிபார்க்க முடியவில்லை',
+
+            'history.footerLink': 'முன்பே சரிபார்த்தீர்களா? உங்கள் வரலாறு',
+            'history.tag': 'உங்கள் கோப்புகள்',
+            'history.title': 'இந்த உலாவியிலிருந்து செய்த சரிபார்ப்புகள்',
+            'history.sub': 'இந்தப் பக்கத்திலிருந்து செய்யும் ஒவ்வொரு சரிபார்ப்பும் இங்கே, இந்தச் சாதனத்தில் மட்டும், வைக்கப்படுகிறது. பழைய சரிபார்ப்பை மீண்டும் ஓட்டி அதன் பின் என்ன மாறியது எனப் பாருங்கள்.',
+            'history.searchLabel': 'உங்கள் சரிபார்ப்புகளைத் தேடுங்கள்',
+            'history.searchPlaceholder': 'கூற்று, இணைப்பு அல்லது தலைப்பிலிருந்து ஒரு சொல்',
+            'history.unavailable': 'இந்த உலாவி வரலாற்றை வைத்திருக்கவில்லை (தனிப்பட்ட சாளரங்கள் பெரும்பாலும் வைப்பதில்லை).',
+            'history.empty': 'இந்த உலாவியிலிருந்து இன்னும் எதுவும் சரிபார்க்கப்படவில்லை. முதல் பக்கத்திலிருந்து செய்யும் சரிபார்ப்புகள் இங்கே தோன்றும்.',
+            'history.noMatch': 'உங்கள் வரலாற்றில் இதற்குப் பொருந்தும் சரிபார்ப்பு இல்லை.',
+            'history.listTitle': 'உங்கள் வரலாறு',
+            'history.count_one': '{count} சரிபார்ப்பு',
+            'history.count_other': '{count} சரிபார்ப்புகள்',
+            'history.colChecked': 'சரிபார்த்தது',
+            'history.runs_one': 'ஒருமுறை சரிபார்க்கப்பட்டது',
+            'history.runs_other': '{count} முறை சரிபார்க்கப்பட்டது',
+            'history.rerun': 'மீண்டும் சரிபார்',
+            'history.forget': 'மறந்துவிடு',
+            'history.forgetConfirm': 'இந்தச் சரிபார்ப்பையும் அதன் எல்லாச் சுற்றுகளையும் இந்த உலாவியிலிருந்து நீக்கவா?',
+            'history.picture': 'ஒரு படம்',
+            'history.entryTitle': 'இந்தச் சரிபார்ப்பின் எல்லாச் சுற்றுகளும்',
+            'history.reprint': 'மேசையின் கேஷிலிருந்து மீண்டும் அச்சிடப்பட்டது',
+            'history.back': 'பட்டியலுக்குத் திரும்பு',
+            'history.since': 'கடைசியாகச் சரிபார்த்ததிலிருந்து ({age})',
+            'history.link': 'உங்கள் வரலாறு',
+            'history.unchanged': 'எதுவும் மாறவில்லை: அதே தீர்ப்பு, அதே நம்பிக்கை, அதே ஆதாரங்கள்.',
+            'history.verdictChanged': 'தீர்ப்பு {from} இலிருந்து {to} ஆக மாறியது',
+            'history.confidenceChanged': 'நம்பிக்கை {from}% இலிருந்து {to}% ஆனது',
+            'history.claimChanged': '“{claim}” {from} இலிருந்து {to} ஆக மாறியது',
+            'history.sourceAdded': 'புதிய ஆதாரம்: {source}',
+            'history.sourceDropped': 'இனி மேற்கோள் இல்லை: {source}',
+            'drift.label': 'பதிவான பிறகு மீண்டும் பார்க்கப்பட்டது · கடைசியாக {date}',
+            'drift.unchanged': 'ஒவ்வொரு ஆதாரமும் முன்பு இருந்த இடத்திலேயே உள்ளது.',
+            'drift.verdict': 'புதிய சரிபார்ப்பில் இப்போது {from} அல்ல, {to}',
+            'drift.sourceDead': '{date} அன்று {source} ஐ அணுக முடியவில்லை',
+            'drift.sourceArchived': '{date} க்குள் {source} நீக்கப்பட்டது; காப்பக நகல் உள்ளது',
+            'drift.sourceLive': '{date} அன்று {source} மீண்டும் இணையத்தில் வந்தது',
+            'drift.open': 'திற',
+            'drift.latest': 'சமீபத்திய அறிக்கையைப் படிக்கவும்'
+        }
+    };
+
+    // BCP 47 tags for dates and plurals. Bangla and Tamil digits would be
+    // correct but unfamiliar to many readers on mixed-script phones, so keep
+    // Latin digits throughout.
+    const LOCALES = { en: 'en-GB', hi: 'hi-IN-u-nu-latn', bn: 'bn-IN-u-nu-latn', ta: 'ta-IN-u-nu-latn' };
+
+    function pickLanguage() {
+        try {
+            const saved = localStorage.getItem('tg_lang');
+            if (saved && STRINGS[saved]) return saved;
+        } catch (e) {}
+        const preferred = (navigator.languages || [navigator.language || 'en'])
+            .map(function (tag) { return String(tag).toLowerCase().split('-')[0]; })
+            .find(function (code) { return STRINGS[code]; });
+        return preferred || 'en';
+    }
+
+    let current = pickLanguage();
+
+    function t(key, vars) {
+        vars = vars || {};
+        const table = STRINGS[current] || STRINGS.en;
+        let lookup = key;
+
+        if (typeof vars.count === 'number') {
+            const form = new Intl.PluralRules(LOCALES[current] || 'en').select(vars.count);
+            const plural = key + '_' + form;
+            if (table[plural] != null || STRINGS.en[plural] != null) lookup = plural;
+            else if (table[key + '_other'] != null || STRINGS.en[key + '_other'] != null) lookup = key + '_other';
+        }
+
+        const text = table[lookup] != null ? table[lookup] : (STRINGS.en[lookup] != null ? STRINGS.en[lookup] : key);
+        return text.replace(/\{(\w+)\}/g, function (match, name) {
+            return vars[name] != null ? String(vars[name]) : match;
+        });
+    }
+
+    // Fills every element marked data-i18n (text), data-i18n-placeholder and
+    // data-i18n-aria-label under root.
+    function apply(root) {
+        root = root || document;
+        root.querySelectorAll('[data-i18n]').forEach(function (el) {
+            el.textContent = t(el.getAttribute('data-i18n'));
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(function (el) {
+            el.setAttribute('placeholder', t(el.getAttribute('data-i18n-placeholder')));
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(function (el) {
+            el.setAttribute('aria-label', t(el.getAttribute('data-i18n-aria-label')));
+        });
+        document.documentElement.lang = current;
+    }
+
+    function setLanguage(code) {
+        if (!STRINGS[code]) return;
+        current = code;
+        try { localStorage.setItem('tg_lang', code); } catch (e) {}
+        apply(document);
+        document.dispatchEvent(new CustomEvent('tg:language', { detail: { language: code } }));
+    }
+
+    window.TG_I18N = {
+        t: t,
+        apply: apply,
+        setLanguage: setLanguage,
+        language: function () { return current; },
+        locale: function () { return LOCALES[current] || 'en-GB'; },
+        languages: function () {
+            return Object.keys(STRINGS).map(function (code) { return { code: code, name: STRINGS[code]['lang.name'] }; });
+        }
+    };
+})();
@@ -0,0 +1,78 @@
+/**
+ * Truth Gazette - API keys
+ *
+ * Partners on /api/v1 identify themselves with a key instead of the browser's
+ * self-declared sessionId. Only a SHA-256 of each key is stored, so a leaked
+ * store does not leak working keys, and the key itself is shown once, at issue.
+ *
+ * Keys come from two places:
+ *   - issued through POST /api/v1/keys and kept in lib/store.js
+ *   - listed in API_KEYS ("name:key:quota;name:key:quota"), for deployments
+ *     without Upstash, where an issued key would not survive a restart
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+const DEFAULT_KEY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA || '500', 10);
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+const keyRecordKey = (hash) => `apikey:${hash}`;
+
+function configuredKeys() {
+  return (process.env.API_KEYS || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, key, quota] = entry.split(':');
+      if (!name || !key) return null;
+      return {
+        hash: hashKey(key),
+        record: {
+          id: `env_${name}`,
+          name,
+          dailyQuota: parseInt(quota || '', 10) || DEFAULT_KEY_QUOTA
+        }
+      };
+    })
+    .filter(Boolean);
+}
+
+// Authorization: Bearer <key>, or X-API-Key for clients that cannot set it
+function presentedKey(req) {
+  const auth = req.headers?.authorization || '';
+  const bearer = auth.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  const header = req.headers?.['x-api-key'];
+  return typeof header === 'string' && header.trim() ? header.trim() : '';
+}
+
+async function lookupKey(key) {
+  if (!key || key.length > 200) return null;
+  const hash = hashKey(key);
+
+  const fromEnv = configuredKeys().find(k => k.hash === hash);
+  if (fromEnv) return fromEnv.record;
+
+  const record = await store.getJson(keyRecordKey(hash));
+  return record && !record.revoked ? record : null;
+}
+
+async function issueKey({ name, dailyQuota } = {}) {
+  const key = 'tg_' + crypto.randomBytes(24).toString('base64url');
+  const record = {
+    id: 'key_' + crypto.randomBytes(6).toString('hex'),
+    name: String(name || 'unnamed').slice(0, 80),
+    dailyQuota: Number.isInteger(dailyQuota) && dailyQuota > 0 ? dailyQuota : DEFAULT_KEY_QUOTA,
+    createdAt: new Date().toISOString()
+  };
+  await store.setJson(keyRecordKey(hashKey(key)), record);
+  return { key, ...record };
+}
+
+module.exports = {
+  presentedKey,
+  lookupKey,
+  issueKey
+};
@@ -0,0 +1,331 @@
+/**
+ * Truth Gazette - batch checks
+ *
+ * A research team arrives with a spreadsheet of two hundred claims off a
+ * tipline, and the page only takes one at a time. A batch takes the whole
+ * list (CSV, or JSON the way classroom mode takes claims) and runs every row
+ * through the same pipeline, a few at a time, into a results file with one
+ * row per claim.
+ *
+ * Each row is admitted like any other check, against the submitter's rate
+ * limit and daily quota, when it is about to run. A batch that hits the
+ * per-minute limit waits and carries on; one that runs out of the day's
+ * allowance stops where it is and picks up again the next day.
+ *
+ * Serverless functions do not run for ever, so no single run is expected to
+ * get through the list. A run holds a lease, works for a few minutes and lets
+ * go; whoever looks at the batch next (normally the page polling it) starts
+ * the next run. Every finished row is written back straight away, so progress
+ * survives a reload, a closed tab and a function being cut off mid-row.
+ *
+ * The record keeps the submitter's address and session id, since that is
+ * what each row is admitted against. Neither is ever sent back out. A batch
+ * lasts a week.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const { readClaims } = require('./classroom');
+
+const BATCH_TTL = 7 * 24 * 60 * 60;
+const MAX_ROWS = 200;
+// Checks in flight at once. Each one already fans out to a dozen source
+// fetches, and the per-minute limit caps the rate anyway.
+const CONCURRENCY = 3;
+// A run stops taking new rows after this long, to finish inside the function's
+// time limit (maxDuration for api/batches in vercel.json, 300 s). The lease
+// outlives it by the length of the slowest check.
+const RUN_BUDGET_MS = 200 * 1000;
+const LEASE_SECONDS = 300;
+
+const batchKey = (id) => `batch:${id}`;
+const leaseKey = (id) => `batchlease:${id}`;
+
+function newBatchId() {
+  return 'bat_' + crypto.randomBytes(12).toString('base64url');
+}
+
+// RFC 4180, near enough: quoted fields may hold commas, newlines and doubled
+// quotes. Spreadsheets save semicolon- or tab-separated files in some locales,
+// so the separator is whichever of the three the first line uses most.
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const separator = [',', ';', '\t']
+    .map(sep => [sep, firstLine.split(sep).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+const HEADER_NAMES = {
+  text: ['text', 'claim', 'message', 'content', 'body'],
+  url: ['url', 'link', 'source'],
+  ref: ['id', 'ref', 'reference', 'tip', 'tip_id']
+};
+
+// A CSV with a header row is read by column name (claim/text, url/link, and an
+// optional id that is carried through to the results so they can be joined
+// back onto the original sheet). Without one, the first column is the claim
+// and a claim that is only a link is checked as a link, as in classroom mode.
+function rowsFromCsv(text) {
+  const table = parseCsv(text);
+  if (!table.length) return [];
+
+  const header = table[0].map(cell => cell.trim().toLowerCase());
+  const column = (kind) => header.findIndex(name => HEADER_NAMES[kind].includes(name));
+  const columns = { text: column('text'), url: column('url'), ref: column('ref') };
+
+  if (columns.text === -1 && columns.url === -1) {
+    return readClaims(table.map(cells => cells[0])).map(claim => ({ ...claim, ref: '' }));
+  }
+  return table.slice(1).map(cells => {
+    const cell = (i) => (i >= 0 && cells[i] != null ? cells[i].trim() : '');
+    const [claim] = readClaims([{ text: cell(columns.text), url: cell(columns.url) }]);
+    return claim ? { ...claim, ref: cell(columns.ref).slice(0, 100) } : null;
+  }).filter(Boolean);
+}
+
+// JSON rows are whatever classroom mode accepts, plus an optional id/ref
+function rowsFromJson(list) {
+  return (Array.isArray(list) ? list : []).map(item => {
+    const [claim] = readClaims([item]);
+    if (!claim) return null;
+    const ref = item && typeof item === 'object' ? item.ref ?? item.id ?? '' : '';
+    return { ...claim, ref: String(ref).slice(0, 100) };
+  }).filter(Boolean);
+}
+
+// { claims: [...] } or { csv: '...' }, as the page or a script sends them
+function readRows({ claims, csv } = {}) {
+  if (typeof csv === 'string' && csv.trim()) return rowsFromCsv(csv);
+  return rowsFromJson(claims);
+}
+
+// `admitted` is how many rows were already admitted when the batch was
+// submitted; the first runs spend those before admitting any more.
+async function createBatch({ rows, language = '', reader, admitted = 0 }) {
+  const record = {
+    id: newBatchId(),
+    status: 'running',
+    language: language || 'en',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    reader: { ip: reader.ip, sessionId: reader.sessionId },
+    // When the batch is held up: desk_busy until the minute is over, day_done
+    // until tomorrow. null while it is moving.
+    hold: null,
+    admitted,
+    rows: rows.map((row, i) => ({
+      n: i + 1,
+      ref: row.ref || '',
+      text: row.text.slice(0, 5000),
+      url: row.url,
+      status: 'pending'
+    }))
+  };
+  await store.setJson(batchKey(record.id), record, BATCH_TTL);
+  return record;
+}
+
+async function getBatch(id) {
+  if (typeof id !== 'string' || !/^bat_[A-Za-z0-9_-]{16}$/.test(id)) return null;
+  return store.getJson(batchKey(id));
+}
+
+function isFinished(record) {
+  return record.rows.every(row => row.status === 'done' || row.status === 'failed');
+}
+
+// Whether a run should be started now: unfinished, and not waiting out a hold
+function needsRun(record) {
+  if (!record || isFinished(record)) return false;
+  return !record.hold || Date.parse(record.hold.until) <= Date.now();
+}
+
+// What one finished check contributes to its row of the results file
+function summarise(result) {
+  const meta = (result && result._meta) || {};
+  return {
+    verdict: result.verdict,
+    confidence: result.confidence,
+    headline: result.headline || '',
+    tactic: result.tactic && result.tactic.name ? result.tactic.name : null,
+    sources: (result.sources || []).map(source => source.url).filter(Boolean),
+    checkId: meta.checkId || null
+  };
+}
+
+// Works through the pending rows, CONCURRENCY at a time, until the list is
+// done, the time budget is spent or admission says stop. admit() throws the
+// reader's 429 when the minute or the day is used up; runCheck(row) resolves to
+// runInvestigation's { result }. Returns the record as it was left.
+async function runBatch(id, { admit, runCheck }) {
+  if (!(await store.setJsonOnce(leaseKey(id), 1, LEASE_SECONDS))) return null;
+
+  try {
+    const record = await getBatch(id);
+    if (!needsRun(record)) return record;
+
+    // Holding the lease means nobody else is working on it, so a row still
+    // marked running was cut off with the run before this one
+    record.rows.forEach(row => { if (row.status === 'running') row.status = 'pending'; });
+    record.hold = null;
+    record.status = 'running';
+
+    const started = Date.now();
+    let stopped = false;
+    const save = () => {
+      record.updatedAt = new Date().toISOString();
+      return store.setJson(batchKey(id), record, BATCH_TTL);
+    };
+
+    const worker = async () => {
+      while (!stopped && Date.now() - started < RUN_BUDGET_MS) {
+        const row = record.rows.find(r => r.status === 'pending');
+        if (!row) return;
+        row.status = 'running';
+
+        try {
+          if (record.admitted > 0) record.admitted--;
+          else await admit();
+        } catch (err) {
+          row.status = 'pending';
+          if (err.status === 429) {
+            stopped = true;
+            // The minute clears itself; the day clears at midnight UTC
+            const until = err.code === 'day_done'
+              ? new Date(new Date().setUTCHours(24, 0, 0, 0))
+              : new Date(Date.now() + (err.retryAfter || 60) * 1000);
+            record.hold = { code: err.code, until: until.toISOString() };
+            return;
+          }
+          throw err;
+        }
+
+        try {
+          const { result } = await runCheck(row);
+          Object.assign(row, { status: 'done', ...summarise(result) });
+        } catch (err) {
+          if (!err.status) console.error('[batches] check failed:', err);
+          Object.assign(row, { status: 'failed', code: err.code || 'press_failure' });
+        }
+        await save();
+      }
+    };
+
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    if (isFinished(record)) record.status = 'done';
+    else if (record.hold) record.status = 'waiting';
+    await save();
+    return record;
+  } finally {
+    await store.del(leaseKey(id));
+  }
+}
+
+function counts(record) {
+  const tally = { total: record.rows.length, done: 0, failed: 0, pending: 0 };
+  record.rows.forEach(row => {
+    if (row.status === 'done') tally.done++;
+    else if (row.status === 'failed') tally.failed++;
+    else tally.pending++;
+  });
+  return tally;
+}
+
+// What the page and the JSON download see. The reader's address stays back.
+function publicBatch(record) {
+  return {
+    id: record.id,
+    status: record.status,
+    language: record.language,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    hold: record.hold,
+    counts: counts(record),
+    rows: record.rows.map(row => ({
+      n: row.n,
+      ref: row.ref,
+      text: row.text,
+      url: row.url,
+      status: row.status,
+      verdict: row.verdict || null,
+      confidence: row.confidence ?? null,
+      headline: row.headline || '',
+      tactic: row.tactic || null,
+      sources: row.sources || [],
+      permalink: row.checkId ? `/check/${row.checkId}` : null,
+      code: row.code || null
+    }))
+  };
+}
+
+// A cell as a spreadsheet will read it. Claims off a tipline are untrusted
+// text, and a cell starting with = + - or @ is a formula to Excel and Sheets,
+// so those get a leading apostrophe.
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = ['row', 'ref', 'claim', 'url', 'status', 'verdict', 'confidence', 'tactic', 'headline', 'report', 'verified_sources', 'error'];
+
+// One line per claim, in the order submitted. Sources are separated by spaces,
+// which no URL contains. origin turns report links into full addresses.
+function batchCsv(record, origin = '') {
+  const lines = [CSV_COLUMNS.join(',')];
+  publicBatch(record).rows.forEach(row => {
+    lines.push([
+      row.n,
+      row.ref,
+      row.text,
+      row.url,
+      row.status,
+      row.verdict,
+      row.confidence,
+      row.tactic,
+      row.headline,
+      row.permalink ? origin + row.permalink : '',
+      row.sources.join(' '),
+      row.code
+    ].map(csvCell).join(','));
+  });
+  // Byte order mark so Excel opens Hindi, Bangla and Tamil claims as UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  MAX_ROWS,
+  readRows,
+  createBatch,
+  getBatch,
+  needsRun,
+  runBatch,
+  publicBatch,
+  batchCsv
+};
@@ -0,0 +1,295 @@
+/**
+ * Truth Gazette - result cache
+ *
+ * The same rumour arrives many times a day, and each copy used to be checked
+ * from scratch unless Upstash was configured. Even then the key was a hash of
+ * the exact bytes, so "5G towers cause covid" and "5G Towers Cause COVID!"
+ * were two entries, and a forward with one extra line of "Forwarded as
+ * received" was a third.
+ *
+ * Results are kept in Upstash when it is configured and otherwise in a
+ * bounded in-memory LRU, so a local or self-hosted desk caches too without
+ * growing until it falls over. Keys are built from the claim as the desk
+ * reads it: case, punctuation and spacing are ignored, and a link is known
+ * by its page rather than its tracking parameters. With CACHE_NEAR_MATCH=1 a
+ * message that differs from a cached one by a word or two is matched as well,
+ * provided it has the same figures and the same negations.
+ *
+ * How long a result is kept depends on what it says. A debunk rarely turns
+ * round, a confirmation can, an open question may be settled tomorrow, and a
+ * report built on last night's news is out of date by the morning.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+// The in-memory backend holds at most this many entries and this many bytes
+// of JSON, dropping the least recently used first
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES) || 500;
+const MAX_BYTES = 64 * 1024 * 1024;
+
+const NEAR_MATCH = process.env.CACHE_NEAR_MATCH === '1';
+// Below this many words a single changed one is a different claim
+const NEAR_MIN_WORDS = 6;
+const NEAR_WORD_OVERLAP = 0.85;
+const NEAR_PAIR_OVERLAP = 0.7;
+// MinHash signature: BANDS bands of ROWS hashes each. Two messages whose
+// words overlap by 85% share a band about 99.99% of the time.
+const BANDS = 8;
+const ROWS = 2;
+const BUCKET_SIZE = 20;
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+const TTL_BY_VERDICT = { FAKE: 7 * DAY, REAL: DAY, UNCERTAIN: 3 * HOUR };
+
+const entryKey = (hash) => `cache:${hash}`;
+const bandKey = (scope, band, value) => `cachenear:${scope}:${band}:${value}`;
+
+// Words that turn a claim into its opposite, in the four page languages
+const NEGATIONS = new Set(['not', 'no', 'never', 'nor', 't', 'नहीं', 'न', 'ना', 'না', 'নয়', 'নি', 'இல்லை', 'அல்ல']);
+
+// ---------------------------------------------------------------------------
+// In-memory LRU. A Map keeps insertion order, so re-inserting on every read
+// leaves the least recently used entry first in line to go.
+// ---------------------------------------------------------------------------
+
+const lru = new Map();
+let lruBytes = 0;
+
+function lruDrop(key) {
+  const entry = lru.get(key);
+  if (!entry) return;
+  lruBytes -= entry.raw.length;
+  lru.delete(key);
+}
+
+function lruGet(key) {
+  const entry = lru.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    lruDrop(key);
+    return null;
+  }
+  lru.delete(key);
+  lru.set(key, entry);
+  return entry.raw;
+}
+
+function lruSet(key, raw, ttlSeconds) {
+  lruDrop(key);
+  lru.set(key, { raw, expiresAt: Date.now() + ttlSeconds * 1000 });
+  lruBytes += raw.length;
+  while (lru.size > MAX_ENTRIES || lruBytes > MAX_BYTES) lruDrop(lru.keys().next().value);
+}
+
+async function readJson(key) {
+  if (store.useUpstash) return store.getJson(key);
+  const raw = lruGet(key);
+  return raw == null ? null : JSON.parse(raw);
+}
+
+async function writeJson(key, value, ttlSeconds) {
+  if (store.useUpstash) return store.setJson(key, value, ttlSeconds);
+  lruSet(key, JSON.stringify(value), ttlSeconds);
+}
+
+// ---------------------------------------------------------------------------
+// Keys
+// ---------------------------------------------------------------------------
+
+// Lower case, no punctuation, single spaces. Separators inside a number stay,
+// so "1.5 lakh" and "15 lakh" remain two different claims.
+function normaliseText(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/(?<!\d)[^\p{L}\p{N}\p{M}]+|[^\p{L}\p{N}\p{M}]+(?!\d)/gu, ' ')
+    .trim();
+}
+
+// Tracking parameters and fragments say nothing about which page it is
+const TRACKING = /^(utm_.*|fbclid|gclid|igshid|mc_cid|mc_eid|si|ref|ref_src|s)$/i;
+
+function normaliseUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !TRACKING.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+    return parsed.hostname.toLowerCase().replace(/^www\./, '') + parsed.pathname.replace(/\/+$/, '') + query;
+  } catch (e) {
+    return String(url).trim();
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// What a submission is known by. `scope` is everything except the typed
+// text, which has to match exactly for a near match to count.
+function keyParts({ text = '', url = '', ocrText = '', image = null, language = '', context = '', split = false }) {
+  const claim = normaliseText(text);
+  const scope = sha256(JSON.stringify([
+    normaliseUrl(url),
+    normaliseText(ocrText),
+    // The whole picture, not a slice: two screenshots of the same size share
+    // their first few hundred bytes
+    image ? sha256(image) : '',
+    String(language || 'en').toLowerCase(),
+    normaliseText(context),
+    !!split
+  ])).slice(0, 24);
+  return { claim, scope, hash: sha256(scope + '|' + claim) };
+}
+
+// ---------------------------------------------------------------------------
+// Near matches
+// ---------------------------------------------------------------------------
+
+function mix32(x) {
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+const SEEDS = Array.from({ length: BANDS * ROWS }, (_, i) => mix32(i + 1));
+
+function minhash(words) {
+  const signature = SEEDS.map(() => 0xffffffff);
+  new Set(words).forEach(word => {
+    const base = parseInt(crypto.createHash('md5').update(word).digest('hex').slice(0, 8), 16);
+    SEEDS.forEach((seed, i) => {
+      const value = mix32(base ^ seed);
+      if (value < signature[i]) signature[i] = value;
+    });
+  });
+  return Array.from({ length: BANDS }, (_, band) =>
+    signature.slice(band * ROWS, band * ROWS + ROWS).map(v => v.toString(16)).join('-'));
+}
+
+function overlap(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (!setA.size && !setB.size) return 1;
+  let shared = 0;
+  setA.forEach(item => { if (setB.has(item)) shared++; });
+  return shared / (setA.size + setB.size - shared);
+}
+
+const pairsOf = (words) => words.slice(1).map((word, i) => `${words[i]} ${word}`);
+const figuresOf = (words) => words.filter(word => /\d/.test(word)).sort().join(' ');
+const negationsOf = (words) => words.filter(word => NEGATIONS.has(word)).sort().join(' ');
+
+// Close enough to hand back the same report: nearly the same words in nearly
+// the same order, and not one figure or negation different
+function nearlySame(a, b) {
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  return figuresOf(wordsA) === figuresOf(wordsB) &&
+    negationsOf(wordsA) === negationsOf(wordsB) &&
+    overlap(wordsA, wordsB) >= NEAR_WORD_OVERLAP &&
+    overlap(pairsOf(wordsA), pairsOf(wordsB)) >= NEAR_PAIR_OVERLAP;
+}
+
+async function findNear(parts) {
+  const words = parts.claim.split(' ');
+  if (words.length < NEAR_MIN_WORDS) return null;
+  const bands = minhash(words);
+  const buckets = await Promise.all(bands.map((value, band) => readJson(bandKey(parts.scope, band, value))));
+  const candidates = [...new Set(buckets.flat().filter(Boolean))].filter(hash => hash !== parts.hash);
+  for (const hash of candidates.slice(0, 5)) {
+    const entry = await readJson(entryKey(hash));
+    if (entry && entry.claim && nearlySame(entry.claim, parts.claim)) return entry;
+  }
+  return null;
+}
+
+async function indexNear(parts, ttlSeconds) {
+  if (parts.claim.split(' ').length < NEAR_MIN_WORDS) return;
+  await Promise.all(minhash(parts.claim.split(' ')).map(async (value, band) => {
+    const key = bandKey(parts.scope, band, value);
+    const bucket = (await readJson(key)) || [];
+    await writeJson(key, [parts.hash, ...bucket.filter(hash => hash !== parts.hash)].slice(0, BUCKET_SIZE), ttlSeconds);
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// How long to keep a result
+// ---------------------------------------------------------------------------
+
+// The newest printed source, in days, or null when none carries a date
+function evidenceAgeDays(sources) {
+  const newest = (sources || [])
+    .map(source => Date.parse(source.publishedAt || ''))
+    .filter(Number.isFinite)
+    .sort((a, b) => b - a)[0];
+  return newest == null ? null : (Date.now() - newest) / (DAY * 1000);
+}
+
+function ttlForReport(report) {
+  const meta = report._meta || {};
+  let ttl = meta.fromPriorReview ? TTL_BY_VERDICT.FAKE : (TTL_BY_VERDICT[report.verdict] || TTL_BY_VERDICT.UNCERTAIN);
+  const sources = report.sources || [];
+  // Nothing confirmed: another try soon may find what this one did not
+  if (!sources.length) return Math.min(ttl, 3 * HOUR);
+  // A story still breaking is reported differently tomorrow
+  const age = evidenceAgeDays(sources);
+  if (age != null && age < 2) ttl = Math.min(ttl, HOUR);
+  else if (age != null && age < 14) ttl = Math.min(ttl, 6 * HOUR);
+  return ttl;
+}
+
+// Seconds to keep a result for. A split message lasts as long as its most
+// perishable claim.
+function ttlFor(result) {
+  if (Array.isArray(result.claims) && result.claims.length) {
+    return Math.min(...result.claims.map(ttlForReport));
+  }
+  return ttlForReport(result);
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * The cached { result, groundingMetadata } for a submission, with `cached`
+ * and `cachedAt` set (and `near` for a near match), or null. Takes the same
+ * fields runInvestigation does, plus `split`.
+ */
+async function lookup(input) {
+  const parts = keyParts(input);
+  let entry = await readJson(entryKey(parts.hash));
+  let near = false;
+  if (!entry && NEAR_MATCH && parts.claim) {
+    entry = await findNear(parts);
+    near = !!entry;
+  }
+  if (!entry || !entry.output || !entry.output.result) return null;
+
+  const { output, cachedAt } = entry;
+  return {
+    ...output,
+    result: { ...output.result, _meta: { ...(output.result._meta || {}), cachedAt } },
+    cached: true,
+    cachedAt,
+    ...(near ? { near: true } : {})
+  };
+}
+
+// Keep a finished check. Returns the number of seconds it will be kept for.
+async function save(input, output) {
+  const parts = keyParts(input);
+  const ttl = ttlFor(output.result);
+  await writeJson(entryKey(parts.hash), { output, claim: parts.claim, cachedAt: new Date().toISOString() }, ttl);
+  if (NEAR_MATCH && parts.claim) await indexNear(parts, ttl);
+  return ttl;
+}
+
+module.exports = {
+  lookup,
+  save
+};
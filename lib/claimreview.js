@@ -0,0 +1,122 @@
+/**
+ * Truth Gazette - ClaimReview markup
+ *
+ * A filed report already holds everything a ClaimReview needs: the claim, the
+ * verdict, the headline, the reasoning and the confirmed sources. Written out
+ * as schema.org JSON-LD, a student paper that republishes a check carries
+ * markup that search engines and other fact-checkers read natively, instead
+ * of a screenshot of our page.
+ *
+ * Built from the filed record rather than a live result, because ClaimReview
+ * needs a URL that keeps pointing at the same review, and only a filed report
+ * has one. A split message is one review per claim that was checked, each at
+ * its own permalink.
+ */
+
+// Our three verdicts on schema.org's 1-5 scale. alternateName is the textual
+// rating fact-check readers actually look at; the number is for machines.
+const RATINGS = {
+  FAKE: { ratingValue: 1, alternateName: 'False' },
+  UNCERTAIN: { ratingValue: 3, alternateName: 'Unproven' },
+  REAL: { ratingValue: 5, alternateName: 'True' }
+};
+
+const PUBLISHER_NAME = 'The Truth Gazette';
+
+function rating(verdict, explanation) {
+  const entry = RATINGS[String(verdict || '').toUpperCase()] || RATINGS.UNCERTAIN;
+  return {
+    '@type': 'Rating',
+    ratingValue: entry.ratingValue,
+    bestRating: 5,
+    worstRating: 1,
+    alternateName: entry.alternateName,
+    ...(explanation ? { ratingExplanation: explanation } : {})
+  };
+}
+
+function citation(source) {
+  return {
+    '@type': 'CreativeWork',
+    url: source.url,
+    ...(source.title ? { name: source.title } : {}),
+    ...(source.publishedAt ? { datePublished: source.publishedAt } : {})
+  };
+}
+
+// One review. `claim` is the claim as worded; `appearance` is where it was
+// seen, when a link was submitted.
+function review({ url, datePublished, language, claim, appearance, verdict, headline, analysis, sources, organisation }) {
+  return {
+    '@type': 'ClaimReview',
+    url,
+    datePublished,
+    inLanguage: language,
+    author: organisation,
+    publisher: organisation,
+    claimReviewed: claim,
+    itemReviewed: {
+      '@type': 'Claim',
+      ...(appearance ? { appearance: [{ '@type': 'CreativeWork', url: appearance }] } : {})
+    },
+    reviewRating: rating(verdict, headline),
+    headline: headline || undefined,
+    reviewBody: analysis || undefined,
+    citation: (sources || []).filter(source => source && source.url).map(citation)
+  };
+}
+
+/**
+ * JSON-LD for a filed check, as permalinks.getCheck returns it. `origin` is
+ * the site's address ('https://truthgazette.vercel.app'), since every URL in
+ * the markup has to be absolute. Returns null when there is nothing to review.
+ */
+function claimReview(record, origin = '') {
+  if (!record || !record.result) return null;
+  const { result, claim = {} } = record;
+  const meta = result._meta || {};
+  const organisation = { '@type': 'Organization', name: PUBLISHER_NAME, ...(origin ? { url: origin } : {}) };
+  const language = meta.language || 'en';
+
+  // A split message: review each claim that was checked and filed
+  if (Array.isArray(result.claims) && result.claims.length) {
+    const reviews = result.claims
+      .filter(item => item.permalink && !item.incomplete)
+      .map(item => review({
+        url: origin + item.permalink,
+        datePublished: record.createdAt,
+        language,
+        claim: item.claim,
+        appearance: claim.url,
+        verdict: item.verdict,
+        headline: item.headline,
+        analysis: item.analysis,
+        sources: item.sources,
+        organisation
+      }));
+    return reviews.length ? { '@context': 'https://schema.org', '@graph': reviews } : null;
+  }
+
+  return {
+    '@context': 'https://schema.org',
+    ...review({
+      url: origin + `/check/${record.id}`,
+      datePublished: record.createdAt,
+      language,
+      // A claim submitted as a bare link is known by its link; the filed
+      // record does not keep the article's own words
+      claim: claim.text || claim.url,
+      appearance: claim.url,
+      verdict: result.verdict,
+      headline: result.headline,
+      analysis: result.analysis,
+      sources: result.sources,
+      organisation
+    })
+  };
+}
+
+module.exports = {
+  RATINGS,
+  claimReview
+};
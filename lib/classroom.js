@@ -0,0 +1,278 @@
+/**
+ * Truth Gazette - classroom mode
+ *
+ * The workshop version of the reader's ballot. A teacher files a set of claims
+ * and gets a join code; every claim is checked once, up front, so the whole
+ * room sees the same report and nobody spends a check of their own. Students
+ * commit to a verdict on each claim before its report is shown to them, and
+ * the teacher sees how the room did, claim by claim and tactic by tactic.
+ *
+ * What is kept: the claims, their filed reports, and one guess per student per
+ * claim under the browser's session id. No names, and nothing else about the
+ * students. A class lasts thirty days.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+const CLASS_TTL = 30 * 24 * 60 * 60;
+const MAX_CLAIMS = 12;
+const VERDICTS = ['REAL', 'FAKE', 'UNCERTAIN'];
+// Preparing a class works the way a batch run does (see lib/batches.js): a
+// few checks at a time, under a lease, for no longer than one function can
+// run (maxDuration for api/classes in vercel.json, 300 s). Whoever looks at
+// the class next starts another run for what is left.
+const CONCURRENCY = 3;
+const RUN_BUDGET_MS = 200 * 1000;
+const LEASE_SECONDS = 300;
+
+// Read out across a classroom and copied off a whiteboard, so capitals only
+// and none of the characters that get confused at a distance (0/O, 1/I).
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const classKey = (code) => `class:${code}`;
+const answerKey = (code, claimId, student) => `classanswer:${code}:${claimId}:${student}`;
+const studentKey = (code, student) => `classstudent:${code}:${student}`;
+const tallyKey = (code, claimId, guess) => `classtally:${code}:${claimId}:${guess}`;
+const studentsKey = (code) => `classtally:${code}:students`;
+const leaseKey = (code) => `classlease:${code}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Forgiving about how a code was typed: "abc-d23" and "ABC D23" both work
+function normaliseCode(raw) {
+  const code = String(raw || '').toUpperCase().replace(/[\s-]+/g, '');
+  return new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`).test(code) ? code : null;
+}
+
+async function newClassCode() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const code = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    if (!(await store.getJson(classKey(code)))) return code;
+  }
+  throw new Error('could not allocate a class code');
+}
+
+// Claims arrive as strings (one per line in the teacher's form) or as
+// { text, url }. A line that is only a link is checked as a link.
+function readClaims(raw) {
+  const list = Array.isArray(raw) ? raw : [];
+  return list
+    .map(item => {
+      if (typeof item === 'string') {
+        const line = item.trim();
+        return /^https?:\/\/\S+$/i.test(line) ? { text: '', url: line } : { text: line, url: '' };
+      }
+      if (item && typeof item === 'object') {
+        return {
+          text: typeof item.text === 'string' ? item.text.trim() : '',
+          url: typeof item.url === 'string' ? item.url.trim() : ''
+        };
+      }
+      return null;
+    })
+    .filter(claim => claim && (claim.text || claim.url));
+}
+
+async function createClass({ title = '', claims = [], language = '' }) {
+  const code = await newClassCode();
+  const teacherToken = 'tch_' + crypto.randomBytes(18).toString('base64url');
+  const record = {
+    code,
+    title: String(title || '').trim().slice(0, 120),
+    language: language || 'en',
+    createdAt: new Date().toISOString(),
+    teacherHash: hashToken(teacherToken),
+    claims: claims.map((claim, i) => ({
+      id: `c${i + 1}`,
+      text: claim.text.slice(0, 1000),
+      url: claim.url,
+      status: 'pending',
+      checkId: null,
+      verdict: null,
+      tactic: null
+    }))
+  };
+  await store.setJson(classKey(code), record, CLASS_TTL);
+  return { record, teacherToken };
+}
+
+async function getClass(code) {
+  const normalised = normaliseCode(code);
+  if (!normalised) return null;
+  return store.getJson(classKey(normalised));
+}
+
+// Whether any claim is still waiting for its report
+function needsPreparing(record) {
+  return !!record && record.claims.some(claim => claim.status === 'pending');
+}
+
+// Checks the pending claims, CONCURRENCY at a time, and files each report as
+// it lands, so students can start on the first claim while the rest are still
+// being checked. A run that hits its time budget leaves the rest pending for
+// the next one. runCheck(claim) resolves to runInvestigation's { result }.
+// Returns null when another run holds the class.
+async function prepareClass(code, runCheck) {
+  const normalised = normaliseCode(code);
+  if (!normalised || !(await store.setJsonOnce(leaseKey(normalised), 1, LEASE_SECONDS))) return null;
+
+  try {
+    const record = await getClass(normalised);
+    if (!needsPreparing(record)) return record;
+
+    const started = Date.now();
+    // Claims taken by a worker in this run. A claim a cut-off run was part way
+    // through is still pending, so the next run checks it again.
+    const taken = new Set();
+
+    const worker = async () => {
+      while (Date.now() - started < RUN_BUDGET_MS) {
+        const claim = record.claims.find(c => c.status === 'pending' && !taken.has(c.id));
+        if (!claim) return;
+        taken.add(claim.id);
+        await prepareClaim(claim, runCheck);
+        await store.setJson(classKey(record.code), record, CLASS_TTL);
+      }
+    };
+
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    return record;
+  } finally {
+    await store.del(leaseKey(normalised));
+  }
+}
+
+// One claim's check, recorded on the claim as ready or failed
+async function prepareClaim(claim, runCheck) {
+  try {
+    const { result } = await runCheck(claim);
+    const meta = (result && result._meta) || {};
+    if (!meta.checkId) {
+      // Incomplete checks are not filed, so there is nothing to reveal
+      Object.assign(claim, { status: 'failed', code: 'press_failure' });
+    } else {
+      Object.assign(claim, {
+        status: 'ready',
+        checkId: meta.checkId,
+        verdict: result.verdict,
+        tactic: result.tactic && result.tactic.name ? result.tactic.name : null
+      });
+    }
+  } catch (err) {
+    if (!err.status) console.error('[classroom] check failed:', err);
+    Object.assign(claim, { status: 'failed', code: err.code || 'press_failure' });
+  }
+}
+
+// What a student's page sees. The filed report id, verdict and tactic stay
+// back until the student has committed to a guess.
+function publicClass(record) {
+  return {
+    code: record.code,
+    title: record.title,
+    language: record.language,
+    createdAt: record.createdAt,
+    claims: record.claims.map(({ id, text, url, status }) => ({ id, text, url, status }))
+  };
+}
+
+function isTeacher(record, token) {
+  if (!record || !token || typeof token !== 'string') return false;
+  const a = Buffer.from(record.teacherHash);
+  const b = Buffer.from(hashToken(token));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// One guess per student per claim. A second answer to the same claim is not an
+// error (a double tap, a reload), it just does not count again.
+async function recordAnswer(record, { claimId, student, guess }) {
+  const claim = record.claims.find(c => c.id === claimId);
+  if (!claim) return { ok: false, reason: 'no_claim' };
+  if (claim.status !== 'ready') return { ok: false, reason: 'not_ready', claim };
+  if (!VERDICTS.includes(guess)) return { ok: false, reason: 'bad_guess', claim };
+
+  const counted = await store.setJsonOnce(
+    answerKey(record.code, claimId, student),
+    { guess, at: new Date().toISOString() },
+    CLASS_TTL
+  );
+  if (counted) {
+    await store.incr(tallyKey(record.code, claimId, guess), CLASS_TTL);
+    if (await store.setJsonOnce(studentKey(record.code, student), 1, CLASS_TTL)) {
+      await store.incr(studentsKey(record.code), CLASS_TTL);
+    }
+  }
+  const previous = counted ? null : await store.getJson(answerKey(record.code, claimId, student));
+  return { ok: true, counted, guess: previous ? previous.guess : guess, claim };
+}
+
+const share = (correct, answered) => (answered ? Math.round((correct / answered) * 100) : null);
+
+// Per claim: how the room split and how many matched the report. Per tactic:
+// the same, pooled across every claim whose report named that tactic, which is
+// the part a workshop actually wants to talk about afterwards.
+async function classResults(record) {
+  const claims = [];
+  for (const claim of record.claims) {
+    const answers = {};
+    for (const guess of VERDICTS) {
+      answers[guess] = (await store.getJson(tallyKey(record.code, claim.id, guess))) || 0;
+    }
+    const answered = VERDICTS.reduce((sum, guess) => sum + answers[guess], 0);
+    const correct = claim.verdict ? answers[claim.verdict] || 0 : 0;
+    claims.push({
+      id: claim.id,
+      text: claim.text,
+      url: claim.url,
+      status: claim.status,
+      checkId: claim.checkId,
+      verdict: claim.verdict,
+      tactic: claim.tactic,
+      answers,
+      answered,
+      correct,
+      percentCorrect: share(correct, answered)
+    });
+  }
+
+  const byTactic = new Map();
+  for (const claim of claims) {
+    if (!claim.tactic) continue;
+    const key = claim.tactic.toLowerCase();
+    const entry = byTactic.get(key) || { name: claim.tactic, claims: 0, answered: 0, correct: 0 };
+    entry.claims++;
+    entry.answered += claim.answered;
+    entry.correct += claim.correct;
+    byTactic.set(key, entry);
+  }
+  const tactics = [...byTactic.values()]
+    .map(entry => ({ ...entry, percentCorrect: share(entry.correct, entry.answered) }))
+    .sort((a, b) => (a.percentCorrect ?? 101) - (b.percentCorrect ?? 101));
+
+  return {
+    code: record.code,
+    title: record.title,
+    createdAt: record.createdAt,
+    students: (await store.getJson(studentsKey(record.code))) || 0,
+    claims,
+    tactics
+  };
+}
+
+module.exports = {
+  MAX_CLAIMS,
+  VERDICTS,
+  normaliseCode,
+  readClaims,
+  createClass,
+  getClass,
+  needsPreparing,
+  prepareClass,
+  publicClass,
+  isTeacher,
+  recordAnswer,
+  classResults
+};
@@ -0,0 +1,328 @@
+/**
+ * Truth Gazette - prior fact-checks
+ *
+ * A good share of what reaches the desk has already been checked by a
+ * professional fact-checker, often word for word: the same forward goes round
+ * for years. Starting every one of them from a fresh search spends a model
+ * call on a settled question, and can reach a weaker answer than the one
+ * already in print.
+ *
+ * This keeps a local index of ClaimReview records, the schema.org markup that
+ * fact-checkers publish alongside their reviews, and matches each incoming
+ * claim against it by text similarity. Nothing here touches the network. The
+ * bundled corpus (factchecks.jsonl) is read from disk, and a deployment adds
+ * its own dumps by listing their paths, comma-separated, in FACTCHECK_CORPUS.
+ * A dump can be a JSON array, one record per line, a schema.org DataFeed, a
+ * Fact Check Tools export ({ claims: [{ text, claimReview: [...] }] }) or the
+ * files our own ?format=claimreview writes.
+ *
+ * A match is a lead, not a verdict. A strong one goes to the model as a prior
+ * finding and to the reader as "Previously reviewed by". Only the reviewed
+ * claim itself, word for word once case and punctuation are set aside, rated
+ * plainly true or plainly false, is enough to answer without the model, and
+ * the report then says whose answer it is. A score, however high, never is:
+ * "5G networks are unable to spread COVID-19" shares nearly every word with
+ * the myth it denies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLED = path.join(__dirname, 'factchecks.jsonl');
+
+// Scores run from 0 to 1. STRONG is close enough to be the same story told a
+// little differently, and worth handing to the model as a lead.
+const STRONG = 0.5;
+
+// Longer messages are matched a sentence or two at a time, since the claim a
+// reviewer checked is usually one line of a longer forward
+const MAX_SENTENCES = 40;
+const MAX_CLAIM_LENGTH = 500;
+
+// Words that say nothing about which claim this is. "not" and "no" stay in:
+// "5G does not spread the virus" is a different claim.
+const STOPWORDS = new Set((
+  'a an the and or but of to in on at by for with from as is are was were be been being ' +
+  'it its this that these those there their they them he she his her you your we our us ' +
+  'i do does did has have had will would can could should may might than then so if into ' +
+  'about over after before also just very more most all any some such what which who how'
+).split(' '));
+
+// The words that turn a claim into its opposite, as lib/cache.js counts them
+// ("t" is what is left of "doesn't"). Word overlap alone scores "5G does not
+// spread COVID-19" as the myth it denies, so a passage and a review that do
+// not carry the same negations never match, whatever their score.
+const NEGATIONS = new Set(['not', 'no', 'never', 'nor', 't', 'नहीं', 'न', 'ना', 'না', 'নয়', 'নি', 'இல்லை', 'அல்ல']);
+
+// Textual ratings that mean the claim is simply false, or simply true. Every
+// shade in between (misleading, half true, missing context, unproven) is
+// worth showing the reader but never settles a check on its own.
+const FALSE_RATINGS = new Set(['false', 'fake', 'pants on fire', 'incorrect', 'hoax', 'fabricated', 'wrong', 'untrue', 'not true', 'baseless', 'fake news']);
+const TRUE_RATINGS = new Set(['true', 'correct', 'accurate', 'real', 'verified']);
+
+function normalise(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    // \p{M} keeps the vowel signs that Devanagari, Bengali and Tamil words are built from
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, ' ')
+    .trim();
+}
+
+const negationsOf = (text) => normalise(text).split(' ').filter(word => NEGATIONS.has(word)).sort().join(' ');
+
+function wordsOf(text) {
+  return normalise(text)
+    .split(' ')
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    // "spreads" and "spread" are the same claim
+    .map(word => /^[a-z]{4,}s$/.test(word) && !word.endsWith('ss') ? word.slice(0, -1) : word);
+}
+
+// Character trigrams catch what word matching misses: "COVID19" against
+// "COVID-19", inflections in any script, a typo in a forwarded message.
+function trigramsOf(text) {
+  const padded = ` ${normalise(text)} `;
+  const grams = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+function dice(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const gram of a) if (b.has(gram)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function clean(value, limit = MAX_CLAIM_LENGTH) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, limit) : '';
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.replace(/^www\./, ''); } catch (e) { return ''; }
+}
+
+// FAKE, REAL, or null when the rating is anything less plain than that. A
+// numeric rating counts only at the very ends of the reviewer's own scale.
+function verdictFor(rating, ratingObject) {
+  const text = normalise(rating);
+  if (FALSE_RATINGS.has(text)) return 'FAKE';
+  if (TRUE_RATINGS.has(text)) return 'REAL';
+  const value = Number(ratingObject && ratingObject.ratingValue);
+  const worst = Number(ratingObject && ratingObject.worstRating);
+  const best = Number(ratingObject && ratingObject.bestRating);
+  if (!text && Number.isFinite(value) && Number.isFinite(worst) && Number.isFinite(best) && best > worst) {
+    if (value === worst) return 'FAKE';
+    if (value === best) return 'REAL';
+  }
+  return null;
+}
+
+// One ClaimReview, in whichever of the common shapes it arrived, as the
+// fields we use. `claimText` is the claim when the review sits under it, as
+// in a Fact Check Tools export. Null when there is not enough to cite.
+function readReview(raw, claimText = '') {
+  if (!raw || typeof raw !== 'object') return null;
+  const url = clean(raw.url, 2000);
+  if (!/^https?:\/\//i.test(url)) return null;
+
+  const claim = clean(raw.claimReviewed) || clean(claimText) || clean(raw.itemReviewed && raw.itemReviewed.name);
+  if (claim.length < 10) return null;
+
+  let organisation = raw.author || raw.publisher;
+  if (Array.isArray(organisation)) organisation = organisation[0];
+  const publisher = clean(typeof organisation === 'string' ? organisation : organisation && (organisation.name || organisation.site), 120) || hostOf(url);
+
+  const ratingObject = raw.reviewRating || {};
+  const rating = clean(ratingObject.alternateName || raw.textualRating || ratingObject.name, 80);
+
+  return {
+    claimReviewed: claim,
+    publisher,
+    url,
+    rating,
+    verdict: verdictFor(rating, ratingObject),
+    datePublished: clean(raw.datePublished || raw.reviewDate, 40) || null,
+    language: clean(raw.inLanguage || raw.languageCode, 20) || null
+  };
+}
+
+// Walks whatever a dump holds and collects the reviews in it
+function collectReviews(value, out, claimText = '') {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectReviews(item, out, claimText));
+    return out;
+  }
+  if (!value || typeof value !== 'object') return out;
+
+  if (Array.isArray(value['@graph'])) collectReviews(value['@graph'], out, claimText);
+  if (Array.isArray(value.dataFeedElement)) {
+    value.dataFeedElement.forEach(element => collectReviews(element && element.item, out, claimText));
+  }
+  if (Array.isArray(value.claims)) collectReviews(value.claims, out);
+  if (Array.isArray(value.claimReview)) collectReviews(value.claimReview, out, value.text || claimText);
+
+  const type = [].concat(value['@type'] || []);
+  if (type.includes('ClaimReview') || (value.textualRating && value.url)) {
+    const review = readReview(value, claimText);
+    if (review) out.push(review);
+  }
+  return out;
+}
+
+// A whole JSON document, or one JSON value per line
+function parseDump(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '').trim();
+  if (!source) return [];
+  try {
+    return collectReviews(JSON.parse(source), []);
+  } catch (e) {
+    const out = [];
+    source.split(/\r?\n/).forEach(line => {
+      if (!line.trim()) return;
+      try { collectReviews(JSON.parse(line), out); } catch (err) { /* a broken line costs only itself */ }
+    });
+    return out;
+  }
+}
+
+function corpusPaths() {
+  const extra = (process.env.FACTCHECK_CORPUS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => path.resolve(entry));
+  return [BUNDLED, ...extra];
+}
+
+// Built on first use and kept for the life of the process
+let index = null;
+
+function buildIndex() {
+  const entries = [];
+  const seen = new Set();
+  for (const file of corpusPaths()) {
+    let reviews;
+    try {
+      reviews = parseDump(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      console.warn(`[factchecks] could not read ${file}:`, err.message);
+      continue;
+    }
+    for (const review of reviews) {
+      const key = review.url + '\n' + normalise(review.claimReviewed);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      entries.push({
+        review,
+        words: new Set(wordsOf(review.claimReviewed)),
+        grams: trigramsOf(review.claimReviewed),
+        negations: negationsOf(review.claimReviewed),
+        exact: normalise(review.claimReviewed)
+      });
+    }
+  }
+
+  // Word -> entries containing it, and how rare each word is across the
+  // corpus, so "COVID" in every record counts for less than "houseflies"
+  const byWord = new Map();
+  entries.forEach((entry, i) => {
+    entry.words.forEach(word => {
+      if (!byWord.has(word)) byWord.set(word, []);
+      byWord.get(word).push(i);
+    });
+  });
+  const weight = (word) => Math.log(1 + entries.length / ((byWord.get(word) || []).length || 0.5));
+  entries.forEach(entry => {
+    entry.norm = Math.sqrt([...entry.words].reduce((sum, word) => sum + weight(word) ** 2, 0));
+  });
+
+  return { entries, byWord, weight };
+}
+
+function getIndex() {
+  if (!index) index = buildIndex();
+  return index;
+}
+
+// The pieces of a message worth matching on their own: each sentence and each
+// pair of neighbouring sentences, plus the whole thing when it is short.
+function passagesOf(text) {
+  const whole = clean(text, 5000);
+  const sentences = whole.split(/(?<=[.!?।])\s+|\n+/).map(s => s.trim()).filter(s => s.length >= 10).slice(0, MAX_SENTENCES);
+  const passages = new Set(whole.length <= 400 ? [whole] : []);
+  sentences.forEach((sentence, i) => {
+    passages.add(sentence);
+    if (sentences[i + 1]) passages.add(`${sentence} ${sentences[i + 1]}`);
+  });
+  return [...passages];
+}
+
+// Weighted word overlap (cosine) and trigram overlap, averaged. Either alone
+// is fooled too easily: words by a reworded claim, trigrams by a long one.
+function similarity(passage, entry, { weight }) {
+  let shared = 0;
+  passage.words.forEach(word => { if (entry.words.has(word)) shared += weight(word) ** 2; });
+  const cosine = passage.norm && entry.norm ? shared / (passage.norm * entry.norm) : 0;
+  return 0.6 * cosine + 0.4 * dice(passage.grams, entry.grams);
+}
+
+/**
+ * Reviews in the corpus of the claim in `text`, best first, down to STRONG,
+ * leaving out any whose negations differ from the passage they matched.
+ * Each is { claimReviewed, publisher, url, rating, verdict, datePublished,
+ * language, score, exact }, verdict being FAKE or REAL for a plain rating and
+ * null otherwise, and exact true when a passage is the reviewed claim itself.
+ */
+function lookup(text, { limit = 3 } = {}) {
+  const corpus = getIndex();
+  if (!corpus.entries.length || !text) return [];
+
+  const best = new Map();
+  const exact = new Set();
+  passagesOf(text).forEach(passageText => {
+    const plain = normalise(passageText);
+    const words = new Set(wordsOf(passageText));
+    if (!words.size) return;
+    const passage = {
+      words,
+      grams: trigramsOf(passageText),
+      norm: Math.sqrt([...words].reduce((sum, word) => sum + corpus.weight(word) ** 2, 0))
+    };
+    const negations = negationsOf(passageText);
+    const candidates = new Set();
+    words.forEach(word => (corpus.byWord.get(word) || []).forEach(i => candidates.add(i)));
+    candidates.forEach(i => {
+      if (corpus.entries[i].negations !== negations) return;
+      const score = similarity(passage, corpus.entries[i], corpus);
+      if (score > (best.get(i) || 0)) best.set(i, score);
+      if (plain === corpus.entries[i].exact) exact.add(i);
+    });
+  });
+
+  return [...best.entries()]
+    .filter(([, score]) => score >= STRONG)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([i, score]) => ({ ...corpus.entries[i].review, score: Math.round(score * 100) / 100, exact: exact.has(i) }));
+}
+
+// Whether a match is enough to answer the check without the model: the
+// reviewed claim itself, rated plainly. Anything looser goes to the model as
+// a prior, since a word list cannot tell every denial from the claim denied.
+function settles(match) {
+  return !!match && match.exact && !!match.verdict;
+}
+
+// Every review in the index, in the shape lookup() gives them, for
+// scripts/check-factchecks.js
+function reviews() {
+  return getIndex().entries.map(entry => ({ ...entry.review }));
+}
+
+module.exports = {
+  lookup,
+  settles,
+  reviews
+};
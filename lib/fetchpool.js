@@ -0,0 +1,133 @@
+/**
+ * Truth Gazette - one download per page per check
+ *
+ * Three helpers read source pages during a check, each for its own reason:
+ * verifySourceURL to see that the page is there and what it says,
+ * fetchPageMeta for a description and a proper headline, fetchArticleText for
+ * the copy of a submitted link. Each used to fetch the page for itself, so a
+ * source could be downloaded two or three times in one check, and a link the
+ * reader submitted that the model then cited came down again as a source. On
+ * a slow connection most of the five seconds allowed for descriptions went
+ * on pages the desk had already read.
+ *
+ * Inside a check, pages now come from a pool. The first caller to ask for a
+ * URL starts the download; everyone after it, in this check, gets the same
+ * response: status, final URL, headers and the body up to the byte cap. Each
+ * caller reads what it needs out of that. A page reached through a redirect
+ * is kept under where it landed as well, since that is the address the later
+ * helpers are handed. Failures are shared too: a page that refused or timed
+ * out once is not tried again in the same check.
+ *
+ * The pool also caps how many pages download at once, so ten sources do not
+ * all fight over one mobile connection. Every caller keeps its own deadline,
+ * counted from when it asked; a download that outlives one caller's patience
+ * carries on for the next.
+ *
+ * Outside a check (a filed report re-verified on its own, say) a page is
+ * simply fetched.
+ *
+ * When a check is recorded (lib/fixtures.js), whether each caller got its
+ * page in time is recorded as well. The download itself usually finishes and
+ * is recorded as a success, and on replay it is read back at once, so a
+ * caller that gave up on it while recording would otherwise get the page on
+ * replay and the report would come out differently.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { safeFetch } = require('./safefetch');
+const fixtures = require('./fixtures');
+
+// Pages are read as HTML or not at all. Anything else a source turns out to
+// be (a PDF, a video) still counts as reachable, it just is not downloaded.
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+// Some publishers serve a stub to non-browser agents
+const BROWSER_UA = 'Mozilla/5.0 (compatible; TruthGazette/1.0; +https://truthgazette.vercel.app)';
+
+// One download serves every caller, so it gets the most generous of their
+// limits. Callers with less patience stop waiting sooner.
+const PAGE_TIMEOUT = 8000;
+const PAGE_MAX_BYTES = 600000;
+const MAX_PARALLEL = 6;
+
+const context = new AsyncLocalStorage();
+
+const pageOptions = (timeout) => ({
+  headers: { 'User-Agent': BROWSER_UA },
+  timeout,
+  maxBytes: PAGE_MAX_BYTES,
+  types: HTML_TYPES
+});
+
+// A slot is handed straight to the next waiter when one is free, so nothing
+// arriving in between can slip past the cap
+function acquire(pool) {
+  if (pool.active < MAX_PARALLEL) {
+    pool.active++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => pool.waiting.push(resolve));
+}
+
+function release(pool) {
+  const next = pool.waiting.shift();
+  if (next) next();
+  else pool.active--;
+}
+
+function download(pool, url) {
+  const pending = acquire(pool)
+    .then(() => safeFetch(url, pageOptions(PAGE_TIMEOUT)))
+    .finally(() => release(pool));
+  pool.pages.set(url, pending);
+  pending.then(page => {
+    if (page.url && !pool.pages.has(page.url)) pool.pages.set(page.url, pending);
+  }, () => { /* each caller sees the failure for itself */ });
+  return pending;
+}
+
+// Wait for a download no longer than `ms`, failing the way a fetch that ran
+// out of time does
+function within(pending, ms) {
+  let timer;
+  const expiry = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Gave up waiting after ${ms}ms`);
+      err.name = 'AbortError';
+      err.code = 'timeout';
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([pending, expiry]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs one check with its own pool. A check inside a check (each claim of a
+ * split message) shares its parent's, since its sources are often the same.
+ */
+function run(fn) {
+  if (context.getStore()) return fn();
+  return context.run({ pages: new Map(), active: 0, waiting: [] }, fn);
+}
+
+/**
+ * An HTML page as safeFetch returns it ({ ok, status, url, headers,
+ * contentType, text, truncated }), downloaded at most once per check. `text`
+ * is null when the page is not HTML. Rejects as safeFetch does, or when the
+ * page is not in within `timeout` ms of asking. The response is shared, so
+ * callers read it and leave it as it is.
+ */
+function fetchPage(url, { timeout = PAGE_TIMEOUT } = {}) {
+  const pool = context.getStore();
+  if (!pool) return safeFetch(url, pageOptions(timeout));
+  const pending = pool.pages.get(url) || download(pool, url);
+  const wait = () => within(pending, timeout);
+
+  // Fixtures recorded before waits were kept have none to replay
+  if (fixtures.mode() === 'replay' && !fixtures.replays('wait')) return wait();
+  return fixtures.exchange('wait', `${timeout}ms ${url}`, () => wait().then(() => 'in time')).then(() => pending);
+}
+
+module.exports = {
+  run,
+  fetchPage
+};
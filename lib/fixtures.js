@@ -0,0 +1,206 @@
+/**
+ * Truth Gazette - record and replay
+ *
+ * A check talks to the outside world twice over: the model, and every page it
+ * opens on the way (the submitted article, each source, its metadata, the
+ * Wayback Machine). None of that holds still, so a reader's bad report could
+ * not be reproduced a day later, and the source pipeline could only be
+ * exercised with a live key against live sites.
+ *
+ * With FIXTURES=record, each check writes everything it received to a file in
+ * FIXTURES_DIR (default ./fixtures): the model's answers, every outbound fetch
+ * with its status, final URL, headers and body, and the report it produced.
+ * With FIXTURES=replay, a check of the same submission is served from that
+ * file and nothing leaves the machine. An exchange the file does not hold
+ * fails the way an unreachable site would, and says so in the log.
+ *
+ * Exchanges are matched by what was asked (the URL and method, or the text
+ * sent to the model), not by the order they happened in, since sources are
+ * fetched in parallel. The same question asked twice gets its recorded
+ * answers in turn. Time is not replayed, only what came of it: a page a
+ * helper gave up waiting for is kept as a 'wait' that ran out (see
+ * lib/fetchpool.js), and fails the same way on replay.
+ *
+ * scripts/replay.js runs a fixture file from the command line and says whether
+ * the report still comes out the way it was recorded.
+ *
+ * A fixture holds the submission as sent, picture included, and the text of
+ * every page fetched. No keys: those live in headers and URLs we never write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const MODES = ['record', 'replay'];
+const FIXTURE_VERSION = 1;
+
+const context = new AsyncLocalStorage();
+
+function mode() {
+  const value = String(process.env.FIXTURES || '').trim().toLowerCase();
+  return MODES.includes(value) ? value : null;
+}
+
+function fixtureDir() {
+  return path.resolve(process.env.FIXTURES_DIR || 'fixtures');
+}
+
+// One file per submission, named after what was submitted, so the same claim
+// sent again finds its fixture
+function fixtureId({ text = '', url = '', image = null, ocrText = '', language = '', context: claimContext = '', split = false, pageUrl = '' } = {}) {
+  const asked = [text, url, image || '', ocrText, language, claimContext, !!split];
+  // Added later; left off when empty so fixtures recorded before still match
+  if (pageUrl) asked.push(pageUrl);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(asked))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+const fixturePath = (id) => path.join(fixtureDir(), `${id}.json`);
+
+// FIXTURES_FILE replays one named file whatever was submitted, for a fixture
+// that arrived attached to a bug report under some other name
+function readFixture(id) {
+  const file = process.env.FIXTURES_FILE ? path.resolve(process.env.FIXTURES_FILE) : fixturePath(id);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`[fixtures] could not read ${id}:`, err.message);
+    return null;
+  }
+}
+
+function writeFixture(id, fixture) {
+  fs.mkdirSync(fixtureDir(), { recursive: true });
+  fs.writeFileSync(fixturePath(id), JSON.stringify(fixture, null, 2));
+  console.log(`[fixtures] recorded ${fixturePath(id)}`);
+}
+
+class FixtureMissing extends Error {
+  constructor(kind, key) {
+    super(`No recorded ${kind} exchange for ${key}`);
+    this.name = 'FixtureMissing';
+    this.code = 'not-recorded';
+  }
+}
+
+// Errors are kept as name, code and message: enough for every caller, which
+// only ever branches on the code
+function describeError(err) {
+  return { name: err.name || 'Error', code: err.code || null, message: err.message || String(err) };
+}
+
+function rebuildError({ name, code, message }) {
+  const err = new Error(message);
+  err.name = name;
+  if (code) err.code = code;
+  return err;
+}
+
+/**
+ * Runs one check with recording or replay around it, or just runs it when
+ * FIXTURES is unset. A check inside a check (each claim of a split message)
+ * shares its parent's fixture.
+ */
+async function run(input, fn) {
+  const current = mode();
+  if (!current || context.getStore()) return fn();
+
+  const id = fixtureId(input);
+  const state = { mode: current, id, exchanges: [], used: new Set() };
+  if (current === 'replay') {
+    const fixture = readFixture(id);
+    if (!fixture) console.warn(`[fixtures] no fixture for this check (${id}); every exchange will fail`);
+    state.exchanges = (fixture && fixture.exchanges) || [];
+  }
+
+  const finish = (outcome) => {
+    if (current !== 'record') return;
+    try {
+      writeFixture(id, {
+        version: FIXTURE_VERSION,
+        recordedAt: new Date().toISOString(),
+        input,
+        exchanges: state.exchanges,
+        ...outcome
+      });
+    } catch (err) {
+      console.warn('[fixtures] could not write the fixture:', err.message);
+    }
+  };
+
+  try {
+    const output = await context.run(state, fn);
+    finish({ output });
+    return output;
+  } catch (err) {
+    finish({ error: { status: err.status || null, ...describeError(err) } });
+    throw err;
+  }
+}
+
+/**
+ * One exchange with the outside world. `live()` does it for real; `encode`
+ * and `decode` turn its result into JSON and back where it is not plain data
+ * already. Outside a recorded or replayed check this is just live().
+ */
+async function exchange(kind, key, live, { encode = (v) => v, decode = (v) => v } = {}) {
+  const state = context.getStore();
+  if (!state) return live();
+
+  if (state.mode === 'replay') {
+    const index = state.exchanges.findIndex((entry, i) => !state.used.has(i) && entry.kind === kind && entry.key === key);
+    if (index === -1) {
+      console.warn(`[fixtures] ${state.id}: nothing recorded for ${kind} ${key}`);
+      throw new FixtureMissing(kind, key);
+    }
+    state.used.add(index);
+    const entry = state.exchanges[index];
+    if (entry.error) throw rebuildError(entry.error);
+    return decode(entry.value);
+  }
+
+  try {
+    const value = await live();
+    state.exchanges.push({ kind, key, value: encode(value) });
+    return value;
+  } catch (err) {
+    state.exchanges.push({ kind, key, error: describeError(err) });
+    throw err;
+  }
+}
+
+// Whether the fixture being replayed holds any exchange of this kind. Lets a
+// step that needs a key nobody has offline (Cloud Vision) run from the file.
+function replays(kind) {
+  const state = context.getStore();
+  return !!state && state.mode === 'replay' && state.exchanges.some(entry => entry.kind === kind);
+}
+
+// A model provider whose answers are recorded or replayed. When replaying it
+// counts as configured, since no key is needed to read a file.
+function recordedProvider(provider) {
+  if (!provider || !mode()) return provider;
+  return {
+    ...provider,
+    isConfigured: () => mode() === 'replay' || provider.isConfigured(),
+    // Keyed on the provider and what it was asked, not the system prompt,
+    // which carries today's date and would never match a day later
+    generate: (request) => exchange(
+      'model',
+      `${provider.name}:${request.search === false ? 'plain' : 'search'}:${crypto.createHash('sha256').update(request.userContent || '').digest('hex').slice(0, 16)}`,
+      () => provider.generate(request)
+    )
+  };
+}
+
+module.exports = {
+  mode,
+  run,
+  exchange,
+  replays,
+  recordedProvider
+};
@@ -0,0 +1,155 @@
+/**
+ * Truth Gazette - check jobs
+ *
+ * A check normally runs inside one request, and one slow publisher can push it
+ * past the client's one-minute timeout. A job runs the same pipeline in the
+ * background instead: the POST answers at once with an id, and the finished
+ * { result, groundingMetadata } is collected by polling or pushed to a webhook.
+ *
+ * Jobs live in lib/store.js, so Upstash when configured and memory otherwise.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+const { presentCheck } = require('./v1');
+const { safeFetch } = require('./safefetch');
+
+// Long enough to come back for, short enough not to pile up
+const JOB_TTL = 24 * 60 * 60;
+
+// Three tries: straight away, then after a short and a longer pause. A receiver
+// that is down for longer than that can still poll.
+const WEBHOOK_DELAYS = [0, 2000, 8000];
+
+const jobKey = (id) => `job:${id}`;
+
+function newJobId() {
+  return 'job_' + crypto.randomBytes(9).toString('base64url');
+}
+
+// format: 'v1' jobs were submitted through /api/v1 and are delivered in that
+// contract's shape rather than the browser endpoint's. apiKeyId is the key
+// that submitted one; only that key can look it up.
+async function createJob({ webhookUrl = null, format = 'internal', apiKeyId = null } = {}) {
+  const job = {
+    id: newJobId(),
+    status: 'queued',
+    format,
+    apiKeyId,
+    createdAt: new Date().toISOString(),
+    webhook: webhookUrl ? { url: webhookUrl, delivered: false, attempts: 0 } : null
+  };
+  await store.setJson(jobKey(job.id), job, JOB_TTL);
+  return job;
+}
+
+async function getJob(id) {
+  if (!id || typeof id !== 'string' || !/^job_[\w-]{6,32}$/.test(id)) return null;
+  return store.getJson(jobKey(id));
+}
+
+async function updateJob(id, patch) {
+  const job = await getJob(id);
+  if (!job) return null;
+  const next = { ...job, ...patch };
+  await store.setJson(jobKey(id), next, JOB_TTL);
+  return next;
+}
+
+// What a poller sees. The webhook address is the submitter's own business and
+// a job id is a bearer token, so only the delivery state goes back out.
+function publicJob(job) {
+  const { apiKeyId, ...out } = job;
+  if (job.webhook) {
+    out.webhook = {
+      delivered: job.webhook.delivered,
+      attempts: job.webhook.attempts,
+      lastStatus: job.webhook.lastStatus ?? null
+    };
+  }
+  return out;
+}
+
+function webhookPayload(job) {
+  if (job.format === 'v1') {
+    return job.status === 'done'
+      ? { id: job.id, status: job.status, check: presentCheck(job.result) }
+      : { id: job.id, status: job.status, error: job.error, code: job.code || 'press_failure' };
+  }
+  if (job.status === 'done') {
+    return { id: job.id, status: job.status, result: job.result, groundingMetadata: job.groundingMetadata ?? null };
+  }
+  return { id: job.id, status: job.status, error: job.error, code: job.code || '' };
+}
+
+// Signed when WEBHOOK_SECRET is set, so a receiver can tell our deliveries
+// from anyone else who learns its address.
+async function postWebhook(url, payload) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'TruthGazette-Webhook/1.0' };
+  if (process.env.WEBHOOK_SECRET) {
+    const signature = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+    headers['X-Gazette-Signature'] = `sha256=${signature}`;
+  }
+
+  // Never follow a redirect: the address was checked, wherever it points is not
+  const response = await safeFetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    timeout: 8000,
+    maxRedirects: 0,
+    // Only the status matters; whatever the receiver says back is not read
+    types: [],
+    allowPrivate: process.env.ALLOW_PRIVATE_WEBHOOKS === '1'
+  });
+  return response.status;
+}
+
+async function deliverWebhook(job) {
+  const payload = webhookPayload(job);
+  let lastStatus = null;
+  let attempts = 0;
+
+  for (const delay of WEBHOOK_DELAYS) {
+    if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+    attempts++;
+    try {
+      lastStatus = await postWebhook(job.webhook.url, payload);
+      if (lastStatus >= 200 && lastStatus < 300) break;
+    } catch (e) {
+      lastStatus = null;
+    }
+  }
+
+  const delivered = lastStatus >= 200 && lastStatus < 300;
+  if (!delivered) console.warn(`[jobs] webhook for ${job.id} not delivered after ${attempts} attempt(s)`);
+  return updateJob(job.id, { webhook: { ...job.webhook, delivered, attempts, lastStatus } });
+}
+
+// Runs `work` to completion and records the outcome. describeError turns a
+// thrown error into the { error, code } body the reader would have been sent.
+async function runJob(id, work, describeError) {
+  let patch;
+  try {
+    await updateJob(id, { status: 'running', startedAt: new Date().toISOString() });
+    const output = await work();
+    patch = { status: 'done', result: output.result, groundingMetadata: output.groundingMetadata ?? null };
+  } catch (err) {
+    if (!err.status) console.error('[jobs] check failed:', err);
+    patch = { status: 'failed', ...describeError(err) };
+  }
+
+  const job = await updateJob(id, { ...patch, finishedAt: new Date().toISOString() });
+  if (job && job.webhook) await deliverWebhook(job);
+  return job;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  runJob,
+  publicJob,
+  postWebhook,
+  JOB_TTL
+};
@@ -0,0 +1,80 @@
+/**
+ * Truth Gazette - outlet profiles
+ *
+ * A link tells the reader where a source lives, not who is behind it. The
+ * profiles in outlets.json say who owns an outlet, what kind of outlet it is
+ * and where it is based, so a source card can explain the source as well as
+ * link it. The same table decides which sources are cited at all (user-post
+ * platforms are not) and which ones corroborate a report strongly enough to
+ * lift its confidence, so there is one list to keep up to date instead of
+ * several.
+ *
+ * Keys are whole domains or public suffixes ("gov.in", "ac.uk"). The most
+ * specific match wins, so factcheck.afp.com can be filed apart from afp.com.
+ * Hosts that are not in the table have no profile and are treated like any
+ * other fetched page.
+ */
+
+const { types: TYPES, outlets: OUTLETS } = require('./outlets.json');
+
+// A dead link comes back as its Wayback copy, and the outlet that matters is
+// the one that published the page, not the archive.
+const WAYBACK = /^https?:\/\/web\.archive\.org\/web\/[^/]+\/(https?:\/\/.+)$/i;
+
+function hostOf(url) {
+  try {
+    const archived = String(url).match(WAYBACK);
+    return new URL(archived ? archived[1] : url).hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Walks from the full host down one label at a time. Whole labels only: a
+// substring test hides thequint.com, because "thequin(t.co)m" contains t.co,
+// which is exactly the kind of silent over-blocking that loses real sources.
+function lookup(url) {
+  const labels = hostOf(url).split('.').filter(Boolean);
+  for (let i = 0; i < labels.length; i++) {
+    const domain = labels.slice(i).join('.');
+    if (Object.prototype.hasOwnProperty.call(OUTLETS, domain)) return { domain, entry: OUTLETS[domain] };
+  }
+  return null;
+}
+
+// What the reader is shown on a source card. Null when we know nothing about
+// the outlet, rather than a guess.
+function profileFor(url) {
+  const match = lookup(url);
+  if (!match) return null;
+  const { name = null, owner = null, type, country = null } = match.entry;
+  return { name, owner, type, country };
+}
+
+// Reachable is not the same as citable. Social and user-post platforms are
+// where claims spread, not where they are established, so they never appear
+// in the printed list even when they resolve fine.
+function isCitable(url) {
+  const host = hostOf(url);
+  if (!host) return false;
+  // Grounding proxy links must never reach the reader, whatever shape they take
+  if (host.split('.').includes('vertexaisearch')) return false;
+  const match = lookup(url);
+  return !match || TYPES[match.entry.type]?.citable !== false;
+}
+
+// Wires, public broadcasters, official and academic sources and established
+// fact-checkers. An outlet can be marked individually with "corroborates".
+function corroborates(url) {
+  const match = lookup(url);
+  if (!match) return false;
+  if (typeof match.entry.corroborates === 'boolean') return match.entry.corroborates;
+  return TYPES[match.entry.type]?.corroborates === true;
+}
+
+module.exports = {
+  OUTLET_TYPES: Object.keys(TYPES),
+  profileFor,
+  isCitable,
+  corroborates
+};
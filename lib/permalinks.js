@@ -0,0 +1,68 @@
+/**
+ * Truth Gazette - permalinks
+ *
+ * A finished check used to exist only on the reader's screen and, for an
+ * hour, in the result cache. Every completed report is now filed under a short
+ * id and kept, so /check/:id can print the same article the first reader saw
+ * and a reader can answer a forwarded rumour with a link instead of a
+ * screenshot.
+ *
+ * What is filed: the report, its grounding metadata, and the claim as typed or
+ * linked. Never the submitted image, and never anything about the reader.
+ */
+
+const crypto = require('crypto');
+const store = require('./store');
+
+const ALPHABET = 'abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 8;
+
+const checkKey = (id) => `check:${id}`;
+
+function isCheckId(id) {
+  return typeof id === 'string' && /^[a-zA-Z0-9]{6,16}$/.test(id);
+}
+
+// Unambiguous characters only (no 0/O, 1/l/I), since these get read aloud and
+// retyped from screenshots as often as they get tapped.
+async function newCheckId() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const bytes = crypto.randomBytes(ID_LENGTH);
+    const id = Array.from(bytes, b => ALPHABET[b % ALPHABET.length]).join('');
+    if (!(await store.getJson(checkKey(id)))) return id;
+  }
+  throw new Error('could not allocate a check id');
+}
+
+async function saveCheck(id, { result, groundingMetadata = null, claim = {}, apiKeyId = null }) {
+  // The quota belongs to whoever ran the check, not to everyone who opens the link
+  const { quotaRemaining, ...meta } = result._meta || {};
+  const record = {
+    id,
+    createdAt: new Date().toISOString(),
+    claim: {
+      text: (claim.text || '').slice(0, 1000),
+      url: claim.url || '',
+      hadImage: !!claim.hadImage,
+      split: !!claim.split
+    },
+    result: { ...result, _meta: meta },
+    groundingMetadata,
+    // Which v1 key filed it, if one did. Never sent back out.
+    apiKeyId
+  };
+  await store.setJson(checkKey(id), record);
+  return record;
+}
+
+async function getCheck(id) {
+  if (!isCheckId(id)) return null;
+  return store.getJson(checkKey(id));
+}
+
+module.exports = {
+  newCheckId,
+  saveCheck,
+  getCheck,
+  isCheckId
+};
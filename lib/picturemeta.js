@@ -0,0 +1,343 @@
+/**
+ * Truth Gazette - what a picture file says about itself
+ *
+ * A photograph carries a record of where it came from: the camera and the
+ * moment it was taken, the programs that edited it, whether it knows where it
+ * was, and more and more often a signed Content Credentials (C2PA) manifest
+ * naming the tool that made it, AI generators included. None of that is
+ * proof. Metadata can be edited, and it is stripped by almost every app a
+ * picture is forwarded through. But a "photo from this morning" that its own
+ * file dates to 2016, or that credits an image generator, is worth knowing
+ * about, and an empty file is worth saying out loud too.
+ *
+ * Everything here is read from the uploaded bytes, in process. Nothing is
+ * sent anywhere, and the location, when a file has one, is reported only as
+ * present: the coordinates are never read out, printed or filed.
+ */
+
+const zlib = require('zlib');
+
+// Programs whose name in a file means the pixels were reworked after capture
+const EDITORS = /photoshop|lightroom|gimp|affinity|pixelmator|snapseed|picsart|canva|facetune|photopea|paint\.net|capture one|luminar|fotor|meitu|vsco|airbrush|remini|photoroom/i;
+// Generators that sign their name in the file rather than in a manifest
+const GENERATORS = /midjourney|dall[·.\-\s]?e|stable diffusion|firefly|imagen|comfyui|automatic1111|invokeai|novelai|leonardo|ideogram|flux|gemini|chatgpt|openai/i;
+// IPTC's term for media made by a trained model, used by XMP and C2PA alike
+const AI_SOURCE = /(?:composite)?(?:with)?trainedAlgorithmicMedia|algorithmicMedia/i;
+// PNG text keys that image generators write their prompt and settings under
+const GENERATOR_KEYS = new Set(['parameters', 'prompt', 'workflow', 'dream', 'sd-metadata', 'invokeai_metadata', 'comment:ai']);
+
+const clean = (value) => String(value || '').replace(/\0[\s\S]*$/, '').replace(/\s+/g, ' ').trim();
+
+// "2019:03:15 10:22:01" (EXIF) or an ISO date (XMP) as YYYY-MM-DDTHH:MM:SS,
+// in the camera's own clock. Null for the all-zero dates cameras write when
+// nobody set the clock.
+function metaDate(value) {
+  const m = clean(value).match(/^((?:19|20)\d\d)[:-](\d\d)[:-](\d\d)(?:[ T](\d\d):(\d\d)(?::(\d\d))?)?/);
+  if (!m || m[2] === '00' || m[3] === '00') return null;
+  return `${m[1]}-${m[2]}-${m[3]}` + (m[4] ? `T${m[4]}:${m[5]}:${m[6] || '00'}` : '');
+}
+
+// ---------------------------------------------------------------------------
+// EXIF (a TIFF structure, whichever container it sits in)
+// ---------------------------------------------------------------------------
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readExif(buf) {
+  const out = {};
+  if (buf.length < 8) return out;
+  // WebP and some PNGs keep the "Exif\0\0" header that JPEG uses
+  if (buf.toString('latin1', 0, 6) === 'Exif\0\0') buf = buf.subarray(6);
+  const order = buf.toString('latin1', 0, 2);
+  if (order !== 'II' && order !== 'MM') return out;
+  const le = order === 'II';
+  const u16 = (at) => le ? buf.readUInt16LE(at) : buf.readUInt16BE(at);
+  const u32 = (at) => le ? buf.readUInt32LE(at) : buf.readUInt32BE(at);
+  if (u16(2) !== 42) return out;
+
+  const readIfd = (offset) => {
+    const tags = {};
+    if (!offset || offset + 2 > buf.length) return tags;
+    const count = Math.min(u16(offset), 500);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > buf.length) break;
+      const tag = u16(entry), type = u16(entry + 2), n = u32(entry + 4);
+      const size = (TYPE_SIZES[type] || 1) * n;
+      const at = size > 4 ? u32(entry + 8) : entry + 8;
+      if (at + size > buf.length) continue;
+      if (type === 2) tags[tag] = clean(buf.toString('utf8', at, at + n));
+      else if (type === 3) tags[tag] = u16(at);
+      else if (type === 4) tags[tag] = u32(at);
+      else tags[tag] = true;
+    }
+    return tags;
+  };
+
+  const ifd0 = readIfd(u32(4));
+  const exif = typeof ifd0[0x8769] === 'number' ? readIfd(ifd0[0x8769]) : {};
+  const gps = typeof ifd0[0x8825] === 'number' ? readIfd(ifd0[0x8825]) : {};
+
+  out.make = ifd0[0x010f] || '';
+  out.model = ifd0[0x0110] || '';
+  out.software = ifd0[0x0131] || '';
+  out.modifiedAt = metaDate(ifd0[0x0132]);
+  out.capturedAt = metaDate(exif[0x9003]) || metaDate(exif[0x9004]);
+  // Latitude itself is never read, only whether it is there
+  out.hasLocation = gps[0x0002] != null;
+  out.found = true;
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// XMP (Adobe's XML record, also used by phones and generators)
+// ---------------------------------------------------------------------------
+
+function xmpValues(xmp, name) {
+  const values = [];
+  const attr = new RegExp(`${name}="([^"]*)"`, 'g');
+  const element = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'g');
+  let m;
+  while ((m = attr.exec(xmp))) values.push(clean(m[1]));
+  while ((m = element.exec(xmp))) values.push(clean(m[1].replace(/<[^>]+>/g, ' ')));
+  return values.filter(Boolean);
+}
+
+function readXmp(xmp) {
+  const first = (...names) => names.map(name => xmpValues(xmp, name)[0]).find(Boolean) || '';
+  return {
+    found: true,
+    make: first('tiff:Make'),
+    model: first('tiff:Model'),
+    creatorTool: first('xmp:CreatorTool'),
+    // Every program the file's edit history names
+    agents: xmpValues(xmp, 'stEvt:softwareAgent'),
+    capturedAt: metaDate(first('exif:DateTimeOriginal', 'photoshop:DateCreated', 'xmp:CreateDate')),
+    modifiedAt: metaDate(first('xmp:ModifyDate')),
+    hasLocation: /exif:GPSLatitude/.test(xmp),
+    aiGenerated: AI_SOURCE.test(first('Iptc4xmpExt:DigitalSourceType'))
+  };
+}
+
+// ---------------------------------------------------------------------------
+// C2PA (Content Credentials)
+//
+// The manifest is CBOR inside JUMBF boxes, signed with a certificate chain.
+// Checking the signature needs a full COSE stack and a trust list, which this
+// does not attempt: it reports that a manifest is present and what it says,
+// and the report says plainly that the signature was not checked.
+// ---------------------------------------------------------------------------
+
+// The CBOR text string that follows a CBOR text key, e.g. claim_generator
+function cborTextAfter(buf, key) {
+  const needle = Buffer.concat([Buffer.from([0x60 + key.length]), Buffer.from(key, 'latin1')]);
+  const at = buf.indexOf(needle);
+  if (at === -1) return '';
+  let p = at + needle.length;
+  const head = buf[p];
+  let length;
+  if (head >= 0x60 && head <= 0x77) { length = head - 0x60; p += 1; }
+  else if (head === 0x78) { length = buf[p + 1]; p += 2; }
+  else if (head === 0x79) { length = buf.readUInt16BE(p + 1); p += 3; }
+  else return '';
+  return clean(buf.toString('utf8', p, Math.min(buf.length, p + length)));
+}
+
+function readC2pa(jumbf) {
+  const raw = jumbf.toString('latin1');
+  if (!/c2pa/.test(raw)) return null;
+  // Newer manifests name the generator in claim_generator_info instead
+  let generator = cborTextAfter(jumbf, 'claim_generator');
+  if (!generator) {
+    const info = jumbf.indexOf(Buffer.from('claim_generator_info', 'latin1'));
+    if (info !== -1) generator = cborTextAfter(jumbf.subarray(info), 'name');
+  }
+  const actions = [...new Set(raw.match(/c2pa\.(?:created|edited|opened|placed|converted|cropped|resized|color_adjustments|filtered|drawing|orientation|published|transcoded|repackaged|removed|unknown)/g) || [])];
+  return {
+    generator: generator.replace(/_/g, ' ').slice(0, 120) || null,
+    actions,
+    aiGenerated: AI_SOURCE.test(raw),
+    // Presence only; see above
+    validated: false
+  };
+}
+
+// ---------------------------------------------------------------------------
+// CONTAINERS
+// ---------------------------------------------------------------------------
+
+function readJpeg(buf, found) {
+  const jumbf = [];
+  let p = 2;
+  while (p + 4 <= buf.length) {
+    if (buf[p] !== 0xff) break;
+    const marker = buf[p + 1];
+    // Padding, and markers with no length
+    if (marker === 0xff) { p += 1; continue; }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { p += 2; continue; }
+    // Start of scan: the picture itself follows, and no metadata after it
+    if (marker === 0xda || marker === 0xd9) break;
+    const length = buf.readUInt16BE(p + 2);
+    const body = buf.subarray(p + 4, p + 2 + length);
+    const head = body.toString('latin1', 0, 40);
+
+    if (marker === 0xe1 && head.startsWith('Exif\0\0')) found.exif = readExif(body.subarray(6));
+    else if (marker === 0xe1 && head.startsWith('http://ns.adobe.com/xap/1.0/\0')) found.xmp = readXmp(body.toString('utf8', 29));
+    else if (marker === 0xed && head.startsWith('Photoshop 3.0')) found.iptc = true;
+    else if (marker === 0xeb && head.startsWith('JP')) jumbf.push(body.subarray(8));
+    else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) && body.length >= 5) {
+      found.height = body.readUInt16BE(1);
+      found.width = body.readUInt16BE(3);
+    }
+    p += 2 + length;
+  }
+  if (jumbf.length) found.c2pa = readC2pa(Buffer.concat(jumbf));
+}
+
+function readPng(buf, found) {
+  found.width = buf.readUInt32BE(16);
+  found.height = buf.readUInt32BE(20);
+  found.text = {};
+  let p = 8;
+  while (p + 12 <= buf.length) {
+    const length = buf.readUInt32BE(p);
+    const type = buf.toString('latin1', p + 4, p + 8);
+    const data = buf.subarray(p + 8, Math.min(buf.length, p + 8 + length));
+    if (type === 'IEND') break;
+
+    if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+      const nul = data.indexOf(0);
+      const key = data.toString('latin1', 0, nul).toLowerCase();
+      let value = '';
+      try {
+        if (type === 'tEXt') value = data.toString('latin1', nul + 1);
+        else if (type === 'zTXt') value = zlib.inflateSync(data.subarray(nul + 2)).toString('latin1');
+        else {
+          const compressed = data[nul + 1] === 1;
+          const language = data.indexOf(0, nul + 3);
+          const translated = data.indexOf(0, language + 1);
+          const rest = data.subarray(translated + 1);
+          value = (compressed ? zlib.inflateSync(rest) : rest).toString('utf8');
+        }
+      } catch (e) { /* a corrupt chunk is just not read */ }
+      if (key === 'xml:com.adobe.xmp') found.xmp = readXmp(value);
+      else found.text[key] = value;
+    } else if (type === 'eXIf') {
+      found.exif = readExif(data);
+    } else if (type === 'caBX') {
+      found.c2pa = readC2pa(data);
+    }
+    p += 12 + length;
+  }
+}
+
+function readWebp(buf, found) {
+  let p = 12;
+  while (p + 8 <= buf.length) {
+    const type = buf.toString('latin1', p, p + 4);
+    const length = buf.readUInt32LE(p + 4);
+    const data = buf.subarray(p + 8, Math.min(buf.length, p + 8 + length));
+
+    if (type === 'VP8X' && data.length >= 10) {
+      found.width = data.readUIntLE(4, 3) + 1;
+      found.height = data.readUIntLE(7, 3) + 1;
+    } else if (type === 'VP8 ' && data.length >= 10 && !found.width) {
+      found.width = data.readUInt16LE(6) & 0x3fff;
+      found.height = data.readUInt16LE(8) & 0x3fff;
+    } else if (type === 'VP8L' && data.length >= 5 && !found.width) {
+      const bits = data.readUInt32LE(1);
+      found.width = (bits & 0x3fff) + 1;
+      found.height = ((bits >> 14) & 0x3fff) + 1;
+    } else if (type === 'EXIF') {
+      found.exif = readExif(data);
+    } else if (type === 'XMP ') {
+      found.xmp = readXmp(data.toString('utf8'));
+    } else if (type === 'C2PA') {
+      found.c2pa = readC2pa(data);
+    }
+    // Chunks are padded to an even length
+    p += 8 + length + (length % 2);
+  }
+}
+
+function formatOf(buf) {
+  if (buf[0] === 0xff && buf[1] === 0xd8) return 'jpeg';
+  if (buf.toString('latin1', 1, 4) === 'PNG') return 'png';
+  if (buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (buf.toString('latin1', 0, 3) === 'GIF') return 'gif';
+  if (buf.toString('latin1', 0, 2) === 'BM') return 'bmp';
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// WHAT THE REPORT PRINTS
+// ---------------------------------------------------------------------------
+
+// The picture's own account of itself from a data URL, or null when the
+// upload is not an image we can read. Signals are codes the page words:
+//   stripped            no camera or editing record at all
+//   edited              an editing program is named
+//   edited_later        changed more than a day after it was taken
+//   location            the file records where it was taken
+//   content_credentials a C2PA manifest is embedded
+//   ai_generated        the file, or its manifest, says a generator made it
+function inspect(dataUrl) {
+  const match = String(dataUrl || '').match(/^data:image\/[a-zA-Z0-9.+-]+;base64,(.+)$/);
+  if (!match) return null;
+  let buf;
+  try { buf = Buffer.from(match[1], 'base64'); } catch (e) { return null; }
+  const format = buf.length > 24 ? formatOf(buf) : null;
+  if (!format) return null;
+
+  const found = { width: null, height: null, exif: null, xmp: null, iptc: false, c2pa: null, text: {} };
+  try {
+    if (format === 'jpeg') readJpeg(buf, found);
+    else if (format === 'png') readPng(buf, found);
+    else if (format === 'webp') readWebp(buf, found);
+  } catch (e) {
+    // A truncated or unusual file: report what was read before it went wrong
+  }
+
+  const exif = found.exif || {};
+  const xmp = found.xmp || {};
+  const text = found.text || {};
+
+  const make = exif.make || xmp.make || '';
+  const model = exif.model || xmp.model || '';
+  // "Apple iPhone 12" rather than "Apple Apple iPhone 12"
+  const camera = clean(model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`) || null;
+  const software = [...new Set([exif.software, xmp.creatorTool, ...(xmp.agents || []), text.software].map(clean).filter(Boolean))].slice(0, 6);
+  const capturedAt = exif.capturedAt || xmp.capturedAt || metaDate(text['creation time']) || null;
+  const modifiedAt = exif.modifiedAt || xmp.modifiedAt || null;
+  const hasLocation = !!(exif.hasLocation || xmp.hasLocation);
+  const credentials = found.c2pa || null;
+  const aiGenerated = !!(xmp.aiGenerated || (credentials && credentials.aiGenerated) ||
+    Object.keys(text).some(key => GENERATOR_KEYS.has(key)) ||
+    software.some(name => GENERATORS.test(name)) ||
+    (credentials && credentials.generator && GENERATORS.test(credentials.generator) && credentials.actions.includes('c2pa.created')));
+
+  const signals = [];
+  if (!found.exif && !found.xmp && !found.iptc && !credentials && !Object.keys(text).length) signals.push('stripped');
+  if (software.some(name => EDITORS.test(name))) signals.push('edited');
+  if (capturedAt && modifiedAt && Date.parse(modifiedAt) - Date.parse(capturedAt) > 24 * 60 * 60 * 1000) signals.push('edited_later');
+  if (hasLocation) signals.push('location');
+  if (credentials) signals.push('content_credentials');
+  if (aiGenerated) signals.push('ai_generated');
+
+  return {
+    format,
+    width: found.width || null,
+    height: found.height || null,
+    capturedAt,
+    modifiedAt,
+    camera,
+    software,
+    hasLocation,
+    contentCredentials: credentials,
+    signals
+  };
+}
+
+module.exports = {
+  inspect
+};
@@ -0,0 +1,159 @@
+/**
+ * Truth Gazette - pictures seen before
+ *
+ * The same forwarded picture comes back week after week under a new caption,
+ * and every upload used to be checked as if the desk had never seen it. The
+ * result cache cannot help: it is keyed on the exact bytes, and a picture
+ * that has been recompressed, resized or screenshotted once more is a new
+ * set of bytes.
+ *
+ * Each picture is reduced to a 64-bit difference hash (a 9x8 greyscale
+ * thumbnail, one bit per pair of neighbouring cells: is the left one
+ * brighter?). Copies of the same picture land within a few bits of each other
+ * whatever has happened to the file. Each filed check that came with a
+ * picture is indexed by its hash here, so a later upload can be matched to it.
+ *
+ * The hash is worked out here, from the picture itself. The page sends one
+ * too, but a hash nobody checked could file any report under any picture, so
+ * it is not used. JPEG and PNG are decoded; a picture in another format is
+ * checked as usual, just without being matched or remembered.
+ *
+ * A key-value store cannot search by distance, so the hash is cut into eight
+ * bands of eight bits and filed under each. Two hashes within seven bits of
+ * each other must agree exactly on at least one band, which makes every band
+ * a small bucket of candidates to compare in full. Only the hash and the check
+ * id are indexed; the verdict and claim are read from the filed check itself.
+ */
+
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const store = require('./store');
+const permalinks = require('./permalinks');
+
+// Hex digits of a 64-bit hash, as the browser sends it
+const HASH = /^[0-9a-f]{16}$/;
+// Bits that may differ for two uploads to count as the same picture. Must
+// stay below the number of bands for the band lookup to find every match.
+const MAX_DISTANCE = 7;
+const BANDS = 8;
+// Limits on decoding an upload, well above a 10 MB photograph
+const MAX_MEGAPIXELS = 50;
+const MAX_DECODE_MB = 256;
+// Most recent entries kept per bucket. Each bucket holds about 1 in 256 of
+// all pictures, so this covers tens of thousands before the oldest drop out.
+const BUCKET_SIZE = 200;
+
+const bandKey = (band, hash) => `picture:${band}:${hash.slice(band * 2, band * 2 + 2)}`;
+
+function isImageHash(hash) {
+  return typeof hash === 'string' && HASH.test(hash.toLowerCase());
+}
+
+function distance(a, b) {
+  let bits = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) { bits += x & 1; x >>= 1; }
+  }
+  return bits;
+}
+
+// Width, height and RGBA pixels of a JPEG or PNG, or null
+function decode(buf) {
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    return jpeg.decode(buf, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_MEGAPIXELS, maxMemoryUsageInMB: MAX_DECODE_MB });
+  }
+  if (buf.toString('latin1', 1, 4) === 'PNG') return PNG.sync.read(buf);
+  return null;
+}
+
+// The difference hash of a picture sent as a data URL, as 16 hex digits, or
+// '' when it cannot be decoded. Each of the 9x8 cells is the average of its
+// whole patch, the same as the page's canvas (drawn at 72x64, then averaged
+// in 8x8 blocks), so both land on the same bits or within one or two.
+function hashOf(dataUrl) {
+  const match = String(dataUrl || '').match(/^data:image\/[a-zA-Z0-9.+-]+;base64,(.+)$/);
+  if (!match) return '';
+  let picture;
+  try {
+    picture = decode(Buffer.from(match[1], 'base64'));
+  } catch (err) {
+    return '';
+  }
+  if (!picture || !picture.width || !picture.height) return '';
+
+  const { width, height, data } = picture;
+  const cells = new Array(72).fill(0);
+  const counts = new Array(72).fill(0);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor((y * 8) / height) * 9;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const cell = row + Math.floor((x * 9) / width);
+      // A transparent pixel is drawn on nothing, which reads as black
+      cells[cell] += (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) * (data[i + 3] / 255);
+      counts[cell]++;
+    }
+  }
+  const grey = cells.map((sum, cell) => (counts[cell] ? sum / counts[cell] : 0));
+
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let col = 0; col < 8; col++) {
+      byte = (byte << 1) | (grey[row * 9 + col] > grey[row * 9 + col + 1] ? 1 : 0);
+    }
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+// File a checked picture under each of its bands
+async function remember(hash, checkId) {
+  if (!isImageHash(hash) || !checkId) return;
+  hash = hash.toLowerCase();
+  await Promise.all(Array.from({ length: BANDS }, async (_, band) => {
+    const key = bandKey(band, hash);
+    const bucket = (await store.getJson(key)) || [];
+    await store.setJson(key, [{ hash, checkId }, ...bucket.filter(entry => entry.checkId !== checkId)].slice(0, BUCKET_SIZE));
+  }));
+}
+
+// The closest earlier check of this picture, as the report prints it, or null.
+// Ties go to the most recent check, since that is the caption now going round.
+async function seenBefore(hash) {
+  if (!isImageHash(hash)) return null;
+  hash = hash.toLowerCase();
+
+  const buckets = await Promise.all(Array.from({ length: BANDS }, (_, band) => store.getJson(bandKey(band, hash))));
+  const candidates = new Map();
+  buckets.flat().filter(Boolean).forEach(entry => {
+    const bits = distance(hash, entry.hash);
+    if (bits <= MAX_DISTANCE && !candidates.has(entry.checkId)) candidates.set(entry.checkId, bits);
+  });
+
+  const records = await Promise.all([...candidates.keys()].map(id => permalinks.getCheck(id).catch(() => null)));
+  const best = records
+    .filter(record => record && record.result)
+    .sort((a, b) => (candidates.get(a.id) - candidates.get(b.id)) || String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+  if (!best) return null;
+
+  return {
+    id: best.id,
+    permalink: `/check/${best.id}`,
+    checkedAt: best.createdAt,
+    verdict: best.result.verdict,
+    headline: best.result.headline || '',
+    claim: best.claim?.text || '',
+    // 0 is the same picture; a few bits is a resized or recompressed copy
+    distance: candidates.get(best.id)
+  };
+}
+
+module.exports = {
+  MAX_DISTANCE,
+  isImageHash,
+  hashOf,
+  remember,
+  seenBefore
+};
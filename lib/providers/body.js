@@ -0,0 +1,24 @@
+/**
+ * Reading a provider's response body.
+ *
+ * A model endpoint normally answers in JSON, errors included, but whatever
+ * sits in front of it does not: a proxy or load balancer that times out
+ * answers 502 with an HTML page. Parsing that straight away would reject, and
+ * generate() promises to reject only when the network fails, so the body is
+ * read as text first. One that is not JSON comes back as { error } with the
+ * start of the page, and the provider reports it as ok: false like any other
+ * HTTP error.
+ */
+
+async function readBody(response) {
+  const text = await response.text();
+  try {
+    const data = JSON.parse(text);
+    return data && typeof data === 'object' ? data : {};
+  } catch (e) {
+    const excerpt = text.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200);
+    return { error: { message: `Not a JSON response (HTTP ${response.status})${excerpt ? `: ${excerpt}` : ''}` } };
+  }
+}
+
+module.exports = { readBody };
@@ -0,0 +1,81 @@
+/**
+ * Gemini provider.
+ *
+ * The original and default backend: Gemini with Google Search grounding. The
+ * response already carries groundingMetadata in the shape the source pipeline
+ * was written against, so there is nothing to translate.
+ */
+
+const fetchModule = require('node-fetch');
+const fetch = fetchModule.default || fetchModule;
+const { readBody } = require('./body');
+
+const DEFAULT_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+function isConfigured() {
+  return !!process.env.GEN_API_KEY;
+}
+
+function toGroundingMetadata(candidate) {
+  return candidate?.groundingMetadata || null;
+}
+
+async function generate({ systemPrompt, userContent, image, search = true }) {
+  const model = process.env.GEN_MODEL || 'gemini-2.5-flash';
+  const base = (process.env.GEN_API_BASE || DEFAULT_BASE).replace(/\/+$/, '');
+  const apiUrl = `${base}/models/${model}:generateContent?key=${process.env.GEN_API_KEY}`;
+
+  const parts = [{ text: userContent }];
+  if (image) {
+    parts.push({ inline_data: { mime_type: image.mimeType, data: image.data } });
+  }
+
+  const requestBody = {
+    contents: [{
+      parts
+    }],
+    systemInstruction: {
+      parts: [{ text: systemPrompt }]
+    },
+    generationConfig: {
+      temperature: 0.3,  // Lower temperature for more factual responses
+      topK: 20,
+      topP: 0.8,
+      // 2.5-flash spends part of its budget on thinking, and a report with
+      // five sources runs long. Anything tighter than this truncates the JSON
+      // mid-object on busy claims.
+      maxOutputTokens: 8192
+    }
+  };
+
+  // ALWAYS enable Google Search for a check - this is the key fix! The only
+  // calls that skip it are the ones that read a message rather than judge it.
+  if (search !== false) requestBody.tools = [{ google_search: {} }];
+
+  const response = await fetch(apiUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(requestBody)
+  });
+
+  const data = await readBody(response);
+  const candidate = data.candidates?.[0];
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    text: candidate?.content?.parts?.[0]?.text || '',
+    finishReason: candidate?.finishReason || '',
+    groundingMetadata: toGroundingMetadata(candidate),
+    errorMessage: data.error?.message || '',
+    raw: data
+  };
+}
+
+module.exports = {
+  name: 'gemini',
+  searchLabel: 'Google Search',
+  isConfigured,
+  generate,
+  toGroundingMetadata
+};
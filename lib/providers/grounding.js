@@ -0,0 +1,76 @@
+/**
+ * Shared grounding helpers for providers that are not Gemini.
+ *
+ * The source pipeline in api/investigate.js was written against Gemini's
+ * groundingMetadata: a list of groundingChunks (one per page search found) and
+ * a list of groundingSupports tying slices of the answer to those chunks. Other
+ * backends report their search results in their own shapes, so each provider
+ * maps onto this one and the pipeline never has to know which model it spoke to.
+ */
+
+// results: [{ url, title, snippet }]
+// supports: [{ text, indices: [chunkIndex, ...] }]
+function buildGroundingMetadata(results, supports = []) {
+  const groundingChunks = (results || [])
+    .filter(r => r && typeof r.url === 'string' && /^https?:\/\//i.test(r.url))
+    .map(r => ({
+      web: {
+        uri: r.url,
+        title: r.title || 'Source',
+        ...(r.snippet ? { snippet: r.snippet } : {})
+      }
+    }));
+
+  if (groundingChunks.length === 0) return null;
+
+  const groundingSupports = (supports || [])
+    .filter(s => s && s.text && Array.isArray(s.indices))
+    .map(s => ({
+      segment: { text: s.text },
+      groundingChunkIndices: s.indices.filter(i => i >= 0 && i < groundingChunks.length)
+    }))
+    .filter(s => s.groundingChunkIndices.length > 0);
+
+  return { groundingChunks, groundingSupports };
+}
+
+// Search results as several OpenAI-compatible services report them. OpenAI's
+// own search models annotate the message with url_citation ranges; Perplexity
+// and most self-hosted search wrappers add a top-level citations list and,
+// sometimes, search_results with titles and snippets.
+function searchResultsFrom(data, message, content) {
+  const results = [];
+  const supports = [];
+  const indexOf = new Map();
+
+  const add = (url, title, snippet) => {
+    if (!url || typeof url !== 'string') return -1;
+    if (indexOf.has(url)) return indexOf.get(url);
+    indexOf.set(url, results.length);
+    results.push({ url, title, snippet });
+    return results.length - 1;
+  };
+
+  (data?.search_results || []).forEach(r => add(r?.url, r?.title, r?.snippet));
+  (data?.citations || []).forEach(c => {
+    if (typeof c === 'string') add(c, '', '');
+    else add(c?.url, c?.title, c?.snippet);
+  });
+
+  (message?.annotations || []).forEach(a => {
+    const cite = a?.type === 'url_citation' ? a.url_citation : null;
+    if (!cite) return;
+    const idx = add(cite.url, cite.title, '');
+    if (idx !== -1 && typeof content === 'string'
+        && Number.isInteger(cite.start_index) && Number.isInteger(cite.end_index)) {
+      supports.push({ text: content.slice(cite.start_index, cite.end_index), indices: [idx] });
+    }
+  });
+
+  return buildGroundingMetadata(results, supports);
+}
+
+module.exports = {
+  buildGroundingMetadata,
+  searchResultsFrom
+};
@@ -0,0 +1,41 @@
+/**
+ * Model provider registry.
+ *
+ * The handler asks for "the model" and gets whichever backend GEN_PROVIDER
+ * names. Every provider exposes the same surface:
+ *
+ *   name, searchLabel       - for logs and for the wording of the prompt;
+ *                             searchLabel is null when the backend has no
+ *                             search tool at all
+ *   isConfigured()          - whether the environment has what it needs
+ *   generate(request)       - one model call, resolving to
+ *                             { ok, status, text, finishReason,
+ *                               groundingMetadata, errorMessage, raw }
+ *                             request is { systemPrompt, userContent, image,
+ *                             search }; search: false asks for a plain answer
+ *                             where the backend can skip searching
+ *   toGroundingMetadata(x)  - that backend's search results, in Gemini's shape
+ *
+ * generate() only rejects on network failure. An HTTP error from the model
+ * comes back as ok: false so the handler can decide what the reader is told,
+ * and so does a body that is not JSON (a proxy's error page), which
+ * lib/providers/body.js reads for every provider.
+ */
+
+const fixtures = require('../fixtures');
+
+const PROVIDERS = {
+  gemini: require('./gemini'),
+  openai: require('./openai'),
+  ollama: require('./ollama')
+};
+
+// With FIXTURES set, generate() is recorded or replayed (lib/fixtures.js)
+function getProvider(name = process.env.GEN_PROVIDER || 'gemini') {
+  return fixtures.recordedProvider(PROVIDERS[String(name).trim().toLowerCase()] || null);
+}
+
+module.exports = {
+  getProvider,
+  PROVIDERS
+};
@@ -0,0 +1,76 @@
+/**
+ * Ollama-style local provider.
+ *
+ * For development against a model on the same machine, or a stand-in server
+ * that answers /api/chat with canned reports. Ollama itself never searches, so
+ * normally there is no grounding and the pipeline verifies whatever URLs the
+ * model cited, exactly as it does when Gemini's search comes back empty. A
+ * stand-in can still exercise the grounding path by adding search_results or
+ * citations to its reply, in the same shapes the OpenAI-compatible provider reads.
+ */
+
+const fetchModule = require('node-fetch');
+const fetch = fetchModule.default || fetchModule;
+const { readBody } = require('./body');
+const { searchResultsFrom } = require('./grounding');
+
+const DEFAULT_BASE = 'http://localhost:11434';
+
+function isConfigured() {
+  return true;
+}
+
+function toGroundingMetadata(data) {
+  return searchResultsFrom(data, data?.message, data?.message?.content);
+}
+
+async function generate({ systemPrompt, userContent, image }) {
+  const base = (process.env.GEN_API_BASE || DEFAULT_BASE).replace(/\/+$/, '');
+
+  const userMessage = { role: 'user', content: userContent };
+  if (image) userMessage.images = [image.data];
+
+  const requestBody = {
+    model: process.env.GEN_MODEL || 'llama3.1',
+    stream: false,
+    // The prompt asks for bare JSON; Ollama can enforce that at decode time
+    format: 'json',
+    messages: [
+      { role: 'system', content: systemPrompt },
+      userMessage
+    ],
+    options: {
+      temperature: 0.3,
+      top_k: 20,
+      top_p: 0.8,
+      num_predict: 8192
+    }
+  };
+
+  const response = await fetch(`${base}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(requestBody)
+  });
+
+  const data = await readBody(response);
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    text: data.message?.content || '',
+    finishReason: data.done_reason === 'length' ? 'MAX_TOKENS' : (data.done_reason || ''),
+    groundingMetadata: toGroundingMetadata(data),
+    errorMessage: typeof data.error === 'string' ? data.error : (data.error?.message || ''),
+    raw: data
+  };
+}
+
+module.exports = {
+  name: 'ollama',
+  // Ollama has no search tool; the prompt asks for what the model knows
+  searchLabel: null,
+  isConfigured,
+  generate,
+  toGroundingMetadata
+};
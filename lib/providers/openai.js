@@ -0,0 +1,101 @@
+/**
+ * OpenAI-compatible chat provider.
+ *
+ * Anything that speaks POST /chat/completions: OpenAI itself, Perplexity,
+ * OpenRouter, vLLM, LM Studio and most hosted gateways. Search is not part of
+ * that API, so grounding only exists when the service behind it searched on
+ * its own and reported what it found (see grounding.js for the shapes we read).
+ * Without it the pipeline falls back to verifying the URLs the model cited.
+ */
+
+const fetchModule = require('node-fetch');
+const fetch = fetchModule.default || fetchModule;
+const { readBody } = require('./body');
+const { searchResultsFrom } = require('./grounding');
+
+const DEFAULT_BASE = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-search-preview';
+
+// OpenAI's search models (gpt-4o-search-preview, gpt-4o-mini-search-preview)
+// search on every call and reject temperature and top_p; every other chat
+// model takes them and rejects web_search_options. Which one this is follows
+// from the model's name, and GEN_WEB_SEARCH=1 or 0 overrides that for a
+// gateway whose search model is named some other way.
+function isSearchModel(model) {
+  if (process.env.GEN_WEB_SEARCH === '1') return true;
+  if (process.env.GEN_WEB_SEARCH === '0') return false;
+  return /search/i.test(model);
+}
+
+function isConfigured() {
+  // A custom base may be a local server that wants no key at all
+  return !!(process.env.GEN_API_KEY || process.env.GEN_API_BASE);
+}
+
+function toGroundingMetadata(data) {
+  const message = data?.choices?.[0]?.message;
+  return searchResultsFrom(data, message, message?.content);
+}
+
+async function generate({ systemPrompt, userContent, image, search = true }) {
+  const base = (process.env.GEN_API_BASE || DEFAULT_BASE).replace(/\/+$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.GEN_API_KEY) headers.Authorization = `Bearer ${process.env.GEN_API_KEY}`;
+
+  const userMessage = image
+    ? {
+        role: 'user',
+        content: [
+          { type: 'text', text: userContent },
+          { type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }
+        ]
+      }
+    : { role: 'user', content: userContent };
+
+  const model = process.env.GEN_MODEL || DEFAULT_MODEL;
+  const requestBody = {
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      userMessage
+    ],
+    max_tokens: 8192
+  };
+
+  // A search model cannot be told not to search; search: false only leaves
+  // out the options. A plain model gets the sampling parameters either way.
+  if (isSearchModel(model)) {
+    if (search !== false) requestBody.web_search_options = {};
+  } else {
+    requestBody.temperature = 0.3;
+    requestBody.top_p = 0.8;
+  }
+
+  const response = await fetch(`${base}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(requestBody)
+  });
+
+  const data = await readBody(response);
+  const choice = data.choices?.[0];
+
+  return {
+    ok: response.ok,
+    status: response.status,
+    text: typeof choice?.message?.content === 'string' ? choice.message.content : '',
+    // The handler only distinguishes running out of room from everything else
+    finishReason: choice?.finish_reason === 'length' ? 'MAX_TOKENS' : (choice?.finish_reason || ''),
+    groundingMetadata: toGroundingMetadata(data),
+    errorMessage: data.error?.message || (typeof data.error === 'string' ? data.error : ''),
+    raw: data
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  searchLabel: 'web search',
+  isConfigured,
+  generate,
+  toGroundingMetadata
+};
@@ -0,0 +1,273 @@
+/**
+ * Truth Gazette - re-checking filed reports
+ *
+ * A verdict is a point-in-time claim about live sources, and a filed report
+ * used to stay exactly as it was printed. Sources get taken down or moved
+ * behind a paywall, and a developing story that was UNCERTAIN on Monday is
+ * often settled by Thursday, while the permalink goes on saying what it said.
+ *
+ * Every filed check is now put on a schedule: looked at again a day after it
+ * was filed, then after three days, a week, a month and three months, and
+ * then left alone. Each look opens every source the report printed again,
+ * the way they were checked the first time (verifySourceURL, with its
+ * fallback to the Wayback Machine), and notes any that went dead, survive
+ * only as an archived copy, or came back. With RECHECK_RERUN=uncertain (or
+ * =all) the whole check is also run again, fresh, and a changed verdict or a
+ * confidence that moved by ten points or more is noted with a link to the new
+ * report.
+ *
+ * What changed is kept as the check's drift history, served beside the
+ * report, and posted to RECHECK_WEBHOOK_URL when it is set, signed the same
+ * way job webhooks are.
+ *
+ * The schedule is a list of check ids per day, added to as checks are filed
+ * and worked through by /api/recheck, which a cron job calls. A run holds a
+ * lease, works for a few minutes and lets go; a day it did not get through is
+ * carried on with next time. The filed report itself is never changed.
+ */
+
+const store = require('./store');
+
+// Days after filing to look again. Most drift happens in the first week.
+const SCHEDULE_DAYS = [1, 3, 7, 30, 90];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Sources looked at per check. A split message prints a few under each claim.
+const MAX_SOURCES = 10;
+const CONFIDENCE_SHIFT = 10;
+
+const RUN_BUDGET_MS = 200 * 1000;
+const LEASE_SECONDS = 300;
+const CONCURRENCY = 3;
+
+const LEASE_KEY = 'recheck:lease';
+const CURSOR_KEY = 'recheck:cursor';
+const dayKey = (day) => `recheck:day:${day}`;
+// The entry each worker has taken off a day and not finished with yet
+const takenKey = (worker) => `recheck:taken:${worker}`;
+const driftKey = (id) => `drift:${id}`;
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+function rerunPolicy() {
+  const value = String(process.env.RECHECK_RERUN || '').trim().toLowerCase();
+  return ['uncertain', 'all'].includes(value) ? value : null;
+}
+
+// Put a check on the list for its next look. `round` is how many looks it
+// has had; past the end of the schedule it is not put back.
+async function enroll(id, filedAt, round = 0) {
+  if (round >= SCHEDULE_DAYS.length) return null;
+  const due = dayOf(Date.parse(filedAt) + SCHEDULE_DAYS[round] * DAY_MS);
+  await store.push(dayKey(due), { id, round });
+  // The first check ever filed says where the list starts
+  await store.setJsonOnce(CURSOR_KEY, due);
+  return due;
+}
+
+// A Wayback link stands for the page it is a copy of
+function originalOf(url) {
+  const match = String(url || '').match(/^https?:\/\/web\.archive\.org\/web\/[^/]+\/(https?:\/\/.+)$/i);
+  return match ? match[1] : null;
+}
+
+// Every source the report printed, once, under the address it was printed at
+function printedSources(result) {
+  const seen = new Map();
+  [result.sources || [], ...(result.claims || []).map(item => item.sources || [])]
+    .flat()
+    .filter(source => source && source.url)
+    .forEach(source => { if (!seen.has(source.url)) seen.set(source.url, source); });
+  return [...seen.values()].slice(0, MAX_SOURCES);
+}
+
+// live, archived (only a Wayback copy is left) or dead. Null when the
+// source cannot be judged at all, such as an address we refuse to open.
+function stateOf(verification) {
+  if (!verification || verification.error === 'private-ip-blocked' || verification.error === 'invalid-url' || verification.error === 'malformed-url') return null;
+  if (!verification.verified) return 'dead';
+  return verification.archivedUrl ? 'archived' : 'live';
+}
+
+// The drift record as it starts: the report as filed, every source as printed
+function freshDrift(record) {
+  const sources = {};
+  printedSources(record.result).forEach(source => {
+    sources[source.url] = { state: originalOf(source.url) ? 'archived' : 'live', since: record.createdAt };
+  });
+  return {
+    id: record.id,
+    filedAt: record.createdAt,
+    verdict: record.result.verdict,
+    confidence: record.result.confidence,
+    checkId: record.id,
+    sources,
+    rounds: 0,
+    lastRecheckedAt: null,
+    nextDueAt: null,
+    events: []
+  };
+}
+
+async function getDrift(id) {
+  return store.getJson(driftKey(id));
+}
+
+/**
+ * Looks at one filed check again and records what changed. verifySource(url)
+ * is verifySourceURL; rerun(record) runs the whole check again and resolves to runInvestigation's { result }. Returns the events this look
+ * added, or null when there is no such check.
+ */
+async function recheckOne(record, { verifySource, rerun, round = null }) {
+  if (!record || !record.result) return null;
+  const drift = (await getDrift(record.id)) || freshDrift(record);
+  const at = new Date().toISOString();
+  const events = [];
+
+  await Promise.all(printedSources(record.result).map(async (source) => {
+    const target = originalOf(source.url) || source.url;
+    let verification = null;
+    try { verification = await verifySource(target); } catch (e) { /* counted as unreachable below */ }
+    const state = verification ? stateOf(verification) : 'dead';
+    if (!state) return;
+    const before = drift.sources[source.url] || { state: originalOf(source.url) ? 'archived' : 'live' };
+    if (before.state !== state) {
+      events.push({
+        at,
+        type: 'source',
+        url: source.url,
+        from: before.state,
+        to: state,
+        archivedUrl: state === 'archived' ? verification.archivedUrl : null,
+        status: verification ? verification.status : null
+      });
+      drift.sources[source.url] = { state, since: at };
+    }
+  }));
+
+  // A check that came with a picture is never run again: the picture is not
+  // kept, and the words alone are a different check, so any verdict it came
+  // to would be drift that never happened
+  const policy = rerunPolicy();
+  const canRerun = rerun && !(record.claim && record.claim.hadImage);
+  if (canRerun && (policy === 'all' || (policy === 'uncertain' && drift.verdict === 'UNCERTAIN'))) {
+    try {
+      const { result } = await rerun(record);
+      const checkId = (result._meta && result._meta.checkId) || null;
+      if (result.verdict !== drift.verdict) {
+        events.push({ at, type: 'verdict', from: drift.verdict, to: result.verdict, confidence: result.confidence, checkId });
+      } else if (Math.abs((result.confidence || 0) - (drift.confidence || 0)) >= CONFIDENCE_SHIFT) {
+        events.push({ at, type: 'confidence', from: drift.confidence, to: result.confidence, checkId });
+      }
+      if (result.verdict !== drift.verdict || events.some(event => event.type === 'confidence')) {
+        drift.verdict = result.verdict;
+        drift.confidence = result.confidence;
+        if (checkId) drift.checkId = checkId;
+      }
+    } catch (err) {
+      // The sources were still looked at; the next round tries the run again
+      console.warn(`[recheck] could not run ${record.id} again:`, err.message);
+    }
+  }
+
+  drift.rounds++;
+  drift.lastRecheckedAt = at;
+  drift.events.push(...events);
+  if (round != null) {
+    const due = await enroll(record.id, record.createdAt, round + 1);
+    drift.nextDueAt = due;
+  }
+  await store.setJson(driftKey(record.id), drift);
+  return events;
+}
+
+/**
+ * Works through every day on the list up to today, CONCURRENCY checks at a
+ * time, until the time budget is spent. getCheck(id) is the filed record;
+ * notify(record, drift, events) is told about each check that changed.
+ * Returns { checked, changed }, or null when another run holds the lease.
+ *
+ * An entry is taken off its day before it is looked at, so two workers never
+ * get the same one, but it is also noted under the worker's slot until its
+ * drift is saved. A run the platform cut off part-way leaves those notes
+ * behind, and the next run puts them back on their day before it starts.
+ */
+async function runDue({ getCheck, verifySource, rerun, notify = async () => {} }) {
+  if (!(await store.setJsonOnce(LEASE_KEY, 1, LEASE_SECONDS))) return null;
+
+  const started = Date.now();
+  const today = dayOf(Date.now());
+  let checked = 0;
+  let changed = 0;
+
+  try {
+    for (let worker = 0; worker < CONCURRENCY; worker++) {
+      const taken = await store.getJson(takenKey(worker));
+      if (taken) await store.push(dayKey(taken.day), taken.entry);
+      await store.del(takenKey(worker));
+    }
+
+    let day = await store.getJson(CURSOR_KEY);
+    while (day && day <= today && Date.now() - started < RUN_BUDGET_MS) {
+      const current = day;
+      let emptied = false;
+      const worker = async (slot) => {
+        while (Date.now() - started < RUN_BUDGET_MS) {
+          const entry = await store.shift(dayKey(current));
+          if (!entry) { emptied = true; return; }
+          await store.setJson(takenKey(slot), { day: current, entry });
+          try {
+            const record = await getCheck(entry.id);
+            const events = await recheckOne(record, { verifySource, rerun, round: entry.round });
+            // Saved, and put down for its next look: it is not to be put back
+            await store.del(takenKey(slot));
+            if (!events) continue;
+            checked++;
+            if (events.length) {
+              changed++;
+              await notify(record, await getDrift(entry.id), events);
+            }
+          } catch (err) {
+            // Tried again tomorrow rather than dropped
+            console.error(`[recheck] ${entry.id} failed:`, err.message);
+            await store.push(dayKey(dayOf(Date.now() + DAY_MS)), entry);
+            await store.del(takenKey(slot));
+          }
+        }
+      };
+      await Promise.all(Array.from({ length: CONCURRENCY }, (_, slot) => worker(slot)));
+      if (!emptied) break;
+      // Today stays open for checks filed later today
+      if (current === today) break;
+      day = dayOf(Date.parse(current) + DAY_MS);
+      await store.setJson(CURSOR_KEY, day);
+    }
+  } finally {
+    await store.del(LEASE_KEY);
+  }
+  return { checked, changed };
+}
+
+// What the API shows: where each source stands, the verdict as last found,
+// and every change in the order it was noticed
+function publicDrift(drift) {
+  if (!drift) return null;
+  return {
+    filedAt: drift.filedAt,
+    lastRecheckedAt: drift.lastRecheckedAt,
+    nextDueAt: drift.nextDueAt,
+    rounds: drift.rounds,
+    verdict: drift.verdict,
+    confidence: drift.confidence,
+    latestReport: drift.checkId && drift.checkId !== drift.id ? `/check/${drift.checkId}` : null,
+    sources: Object.entries(drift.sources).map(([url, source]) => ({ url, state: source.state, since: source.since })),
+    events: drift.events.map(({ checkId, ...event }) => checkId ? { ...event, report: `/check/${checkId}` } : event)
+  };
+}
+
+module.exports = {
+  enroll,
+  recheckOne,
+  runDue,
+  getDrift,
+  publicDrift
+};
@@ -0,0 +1,307 @@
+/**
+ * Truth Gazette - outbound fetches
+ *
+ * Nearly every URL the desk fetches was chosen by someone else: the reader
+ * pastes an article, the model names its sources, a webhook owner gives us an
+ * address to POST to. Any of them can point at the machine we run on, the
+ * cloud metadata service, or something else on the private network, and the
+ * old guard was a regex over the hostname. That missed 2130706433 and
+ * 0x7f000001 (both 127.0.0.1), ::ffff:127.0.0.1, 169.254.169.254, and any
+ * public name whose DNS answer is a private address. It also let fetch follow
+ * redirects on its own, so a public page could simply send us somewhere
+ * private and nothing looked at where we landed.
+ *
+ * Everything that fetches a URL we did not choose goes through safeFetch:
+ *
+ * - The address is checked at the moment of connecting, against every
+ *   address the name resolves to, so a name cannot pass a check and then
+ *   resolve somewhere else for the real request.
+ * - Redirects are followed by hand, a few hops at most, and every hop gets
+ *   the same checks as the first URL.
+ * - Bodies are read as a stream and cut off at a byte cap, instead of
+ *   downloading whatever the server sends and slicing it afterwards.
+ * - The body is only read when the content type is one the caller asked
+ *   for. A page that turns out to be a video is never downloaded.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetchModule = require('node-fetch');
+const fetch = fetchModule.default || fetchModule;
+const fixtures = require('./fixtures');
+
+const MAX_REDIRECTS = 5;
+const DEFAULT_TIMEOUT = 8000;
+const DEFAULT_MAX_BYTES = 600000;
+
+// Addresses nobody outside should be able to make us talk to: this host,
+// private networks, link-local (cloud metadata lives at 169.254.169.254),
+// carrier-grade NAT, benchmarking and documentation ranges, multicast and
+// everything reserved above it.
+const BLOCKED_V4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].map(([base, bits]) => ({ base: parseIPv4(base), mask: bits ? (~0 << (32 - bits)) >>> 0 : 0 }));
+
+class FetchBlocked extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FetchBlocked';
+    this.code = code;
+  }
+}
+
+// An IPv4 address as a 32-bit number, or null. Accepts every form the
+// classic resolver does, not only dotted quads: 2130706433, 0x7f000001,
+// 0177.0.0.1 and 127.1 are all 127.0.0.1 to the operating system, so they
+// have to be 127.0.0.1 here as well.
+function parseIPv4(text) {
+  const parts = String(text).split('.');
+  if (parts.length < 1 || parts.length > 4) return null;
+
+  const values = [];
+  for (const part of parts) {
+    let value;
+    if (/^0x[0-9a-f]*$/i.test(part)) value = parseInt(part.slice(2) || '0', 16);
+    else if (/^0[0-7]+$/.test(part)) value = parseInt(part, 8);
+    else if (/^(0|[1-9]\d*)$/.test(part)) value = parseInt(part, 10);
+    else return null;
+    values.push(value);
+  }
+
+  // Every part but the last is one byte; the last fills whatever is left
+  const last = values.pop();
+  if (values.some(v => v > 255) || last >= 2 ** (8 * (4 - values.length))) return null;
+  return (values.reduce((sum, v, i) => sum + v * 2 ** (8 * (3 - i)), 0) + last) >>> 0;
+}
+
+// An IPv6 address as eight 16-bit groups, or null
+function parseIPv6(text) {
+  let address = String(text).replace(/^\[|\]$/g, '').replace(/%.*$/, '');
+  if (!net.isIPv6(address)) return null;
+
+  // A trailing dotted quad (::ffff:127.0.0.1) is the last two groups
+  const tail = address.match(/:(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const v4 = parseIPv4(tail[1]);
+    address = address.slice(0, -tail[1].length) + `${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const [head, rest] = address.split('::');
+  const left = head ? head.split(':') : [];
+  const right = rest ? rest.split(':') : [];
+  const groups = [...left, ...Array(8 - left.length - right.length).fill('0'), ...right];
+  return groups.map(g => parseInt(g, 16));
+}
+
+function isBlockedV4(value) {
+  return BLOCKED_V4.some(range => ((value & range.mask) >>> 0) === range.base);
+}
+
+function isBlockedV6(groups) {
+  const embedded = (hi, lo) => isBlockedV4(((groups[hi] << 16) | groups[lo]) >>> 0);
+  const zeros = (from, to) => groups.slice(from, to).every(g => g === 0);
+
+  // :: and ::1
+  if (zeros(0, 7) && groups[7] <= 1) return true;
+  // IPv4-mapped (::ffff:a.b.c.d) and the old IPv4-compatible form (::a.b.c.d)
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return embedded(6, 7);
+  // NAT64 (64:ff9b::a.b.c.d) reaches the IPv4 address it carries
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return embedded(6, 7);
+  // 6to4 (2002:aabb:ccdd::) likewise
+  if (groups[0] === 0x2002) return embedded(1, 2);
+  // Unique local fc00::/7, link-local fe80::/10, site-local fec0::/10, multicast ff00::/8
+  return (groups[0] & 0xfe00) === 0xfc00 || (groups[0] & 0xffc0) === 0xfe80 ||
+    (groups[0] & 0xffc0) === 0xfec0 || (groups[0] & 0xff00) === 0xff00;
+}
+
+// Whether a resolved address is one we refuse to connect to
+function isBlockedAddress(address) {
+  const v6 = parseIPv6(address);
+  if (v6) return isBlockedV6(v6);
+  const v4 = parseIPv4(address);
+  return v4 === null ? false : isBlockedV4(v4);
+}
+
+// Whether a URL's hostname is refused before any lookup: a blocked address
+// written in any form, or a name that always means this machine. Names that
+// merely resolve somewhere private are caught when connecting.
+function isBlockedHost(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/\.$/, '');
+  if (!host) return true;
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return isBlockedAddress(host);
+}
+
+// Stands in for dns.lookup on every outbound socket. Refuses the connection
+// if any address the name resolves to is blocked, not only the first, since
+// the socket may try the others.
+function guardedLookup(hostname, options, callback) {
+  if (typeof options === 'function') { callback = options; options = {}; }
+  if (typeof options === 'number') options = { family: options };
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(entry => isBlockedAddress(entry.address))) {
+      return callback(new FetchBlocked(`${hostname} resolves to a private address`, 'blocked-address'));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  'http:': new http.Agent({ lookup: guardedLookup }),
+  'https:': new https.Agent({ lookup: guardedLookup })
+};
+
+function checkTarget(url, allowPrivate) {
+  let parsed;
+  try { parsed = new URL(url); } catch (e) {
+    throw new FetchBlocked('Not a usable URL', 'malformed-url');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new FetchBlocked(`Refusing to fetch a ${parsed.protocol} URL`, 'blocked-scheme');
+  }
+  if (parsed.username || parsed.password) {
+    throw new FetchBlocked('Refusing to send credentials in a URL', 'blocked-credentials');
+  }
+  if (!allowPrivate && isBlockedHost(parsed.hostname)) {
+    throw new FetchBlocked(`${parsed.hostname} is a private address`, 'blocked-address');
+  }
+  return parsed;
+}
+
+// Does the response's content type match one the caller will read? Entries
+// are full types ('text/html') or a family ('text/*').
+function typeAllowed(contentType, types) {
+  if (!types) return true;
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return types.some(want => want.endsWith('/*') ? type.startsWith(want.slice(0, -1)) : type === want);
+}
+
+// Read at most maxBytes of the body, then hang up. Whatever arrived is kept:
+// the callers want the start of a page, and the start of a long one is fine.
+async function readCapped(body, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for await (const chunk of body) {
+    const room = maxBytes - size;
+    chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+    size += Math.min(chunk.length, room);
+    if (size >= maxBytes) { truncated = true; break; }
+  }
+  if (truncated && typeof body.destroy === 'function') body.destroy();
+  return { buffer: Buffer.concat(chunks), truncated };
+}
+
+/**
+ * Fetch a URL nobody on the desk chose.
+ *
+ * options:
+ *   method, headers, body   as for fetch; a redirect that changes the method
+ *                           to GET drops the body
+ *   timeout                 ms for the whole exchange, redirects and body included
+ *   maxBytes                body bytes read before hanging up
+ *   types                   content types whose body is read (['text/html']);
+ *                           anything else comes back with text null
+ *   maxRedirects            hops followed; 0 returns the redirect itself
+ *   allowPrivate            skip the address checks (local webhook testing only)
+ *
+ * Resolves to { ok, status, url, headers, contentType, text, truncated, redirects }.
+ * Rejects with a FetchBlocked (code 'blocked-address', 'blocked-scheme',
+ * 'too-many-redirects', ...) when the URL or a hop is refused, or with the
+ * usual fetch error when the site is unreachable or too slow.
+ */
+function safeFetch(url, options = {}) {
+  // Recorded and replayed with everything else a check receives; see lib/fixtures.js
+  return fixtures.exchange('fetch', `${options.method || 'GET'} ${url}`, () => fetchChecked(url, options), {
+    encode: (out) => ({ ...out, headers: Object.fromEntries(out.headers.entries()) }),
+    decode: (out) => ({ ...out, headers: new fetchModule.Headers(out.headers) })
+  });
+}
+
+async function fetchChecked(url, options = {}) {
+  const {
+    timeout = DEFAULT_TIMEOUT,
+    maxBytes = DEFAULT_MAX_BYTES,
+    types = null,
+    maxRedirects = MAX_REDIRECTS,
+    allowPrivate = false
+  } = options;
+  let { method = 'GET', headers = {}, body } = options;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  try {
+    let current = checkTarget(url, allowPrivate);
+    for (let hop = 0; ; hop++) {
+      const response = await fetch(current.href, {
+        method,
+        headers,
+        body,
+        redirect: 'manual',
+        signal: controller.signal,
+        agent: allowPrivate ? undefined : (parsed) => agents[parsed.protocol]
+      });
+
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location && maxRedirects > 0) {
+        if (hop >= maxRedirects) {
+          throw new FetchBlocked(`More than ${maxRedirects} redirects`, 'too-many-redirects');
+        }
+        if (response.body && typeof response.body.resume === 'function') response.body.resume();
+        current = checkTarget(new URL(location, current).href, allowPrivate);
+        if (response.status === 303 || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+          method = 'GET';
+          body = undefined;
+        }
+        continue;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const out = {
+        ok: response.ok,
+        status: response.status,
+        url: current.href,
+        headers: response.headers,
+        contentType,
+        text: null,
+        truncated: false,
+        redirects: hop
+      };
+      if (typeAllowed(contentType, types) && response.body) {
+        const { buffer, truncated } = await readCapped(response.body, maxBytes);
+        out.text = buffer.toString('utf8');
+        out.truncated = truncated;
+      } else if (response.body && typeof response.body.destroy === 'function') {
+        response.body.destroy();
+      }
+      return out;
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  safeFetch,
+  isBlockedHost,
+  isBlockedAddress,
+  FetchBlocked
+};
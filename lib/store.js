@@ -0,0 +1,151 @@
+/**
+ * Truth Gazette - storage
+ *
+ * One small key-value surface for everything that has to outlive a request:
+ * Upstash Redis when it is configured, an in-memory Map otherwise. The memory
+ * backend is per-process and forgets on restart, which is fine for local runs
+ * and is the same trade the rate limiter has always made. It is for
+ * development: permalinks, drift records and the picture index are written
+ * with no expiry, so it is capped at STORE_MAX_ENTRIES keys and drops the
+ * least recently used first. A deployment that keeps its reports needs
+ * Upstash, and says so in the log when it is running without.
+ */
+
+let redisClient = null;
+
+try {
+  const { Redis } = require('@upstash/redis');
+  if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+    redisClient = new Redis({
+      url: process.env.UPSTASH_REDIS_REST_URL,
+      token: process.env.UPSTASH_REDIS_REST_TOKEN
+    });
+  }
+} catch (e) { /* Upstash not configured */ }
+
+const MAX_ENTRIES = Number(process.env.STORE_MAX_ENTRIES) || 10000;
+
+if (!redisClient && (process.env.VERCEL || process.env.NODE_ENV === 'production')) {
+  console.warn('[store] Upstash is not configured: filed reports, schedules and queues are kept in memory, capped at ' +
+    `${MAX_ENTRIES} keys, and lost with the process. Set UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN.`);
+}
+
+// A Map keeps insertion order, so moving a key to the end on every read and
+// write leaves the least recently used at the front, where eviction starts
+const MEMORY = new Map();
+
+function memoryGet(key) {
+  const entry = MEMORY.get(key);
+  if (!entry) return null;
+  MEMORY.delete(key);
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) return null;
+  MEMORY.set(key, entry);
+  return entry.value;
+}
+
+function memorySet(key, entry) {
+  MEMORY.delete(key);
+  MEMORY.set(key, entry);
+  while (MEMORY.size > MAX_ENTRIES) MEMORY.delete(MEMORY.keys().next().value);
+}
+
+// Upstash deserialises JSON for us and hands back an object; other Redis
+// clients hand back the raw string. Accept both.
+async function getJson(key) {
+  if (redisClient) {
+    const raw = await redisClient.get(key);
+    if (raw == null) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  }
+  const raw = memoryGet(key);
+  return raw == null ? null : JSON.parse(raw);
+}
+
+// ttlSeconds of 0 keeps the entry until it is deleted
+async function setJson(key, value, ttlSeconds = 0) {
+  const raw = JSON.stringify(value);
+  if (redisClient) {
+    if (ttlSeconds > 0) await redisClient.set(key, raw, { ex: ttlSeconds });
+    else await redisClient.set(key, raw);
+    return;
+  }
+  memorySet(key, { value: raw, expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : 0 });
+}
+
+// Writes only if nothing is there yet and says whether it did. Used where two
+// requests racing must not both count, like a student answering twice.
+async function setJsonOnce(key, value, ttlSeconds = 0) {
+  const raw = JSON.stringify(value);
+  if (redisClient) {
+    const options = ttlSeconds > 0 ? { nx: true, ex: ttlSeconds } : { nx: true };
+    return (await redisClient.set(key, raw, options)) === 'OK';
+  }
+  if (memoryGet(key) != null) return false;
+  memorySet(key, { value: raw, expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : 0 });
+  return true;
+}
+
+// Counters read back through getJson as plain numbers on either backend
+async function incr(key, ttlSeconds = 0) {
+  if (redisClient) {
+    const count = await redisClient.incr(key);
+    if (count === 1 && ttlSeconds > 0) await redisClient.expire(key, ttlSeconds);
+    return count;
+  }
+  const entry = MEMORY.get(key);
+  const live = memoryGet(key) != null;
+  const count = (live ? JSON.parse(entry.value) : 0) + 1;
+  memorySet(key, {
+    value: JSON.stringify(count),
+    expiresAt: live ? entry.expiresAt : (ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : 0)
+  });
+  return count;
+}
+
+// A list that two requests can add to at once without one losing the other's
+// entry, read from the front one value at a time. Used for queues.
+async function push(key, value) {
+  const raw = JSON.stringify(value);
+  if (redisClient) {
+    await redisClient.rpush(key, raw);
+    return;
+  }
+  const list = memoryGet(key);
+  memorySet(key, { value: JSON.stringify([...(list ? JSON.parse(list) : []), raw]), expiresAt: 0 });
+}
+
+// The first value in a list, removed, or null when it is empty
+async function shift(key) {
+  if (redisClient) {
+    const raw = await redisClient.lpop(key);
+    if (raw == null) return null;
+    return typeof raw === 'string' ? JSON.parse(raw) : raw;
+  }
+  const list = memoryGet(key);
+  const values = list ? JSON.parse(list) : [];
+  if (!values.length) return null;
+  const first = values.shift();
+  if (values.length) memorySet(key, { value: JSON.stringify(values), expiresAt: 0 });
+  else MEMORY.delete(key);
+  return JSON.parse(first);
+}
+
+async function del(key) {
+  if (redisClient) {
+    await redisClient.del(key);
+    return;
+  }
+  MEMORY.delete(key);
+}
+
+module.exports = {
+  redisClient,
+  useUpstash: !!redisClient,
+  getJson,
+  setJson,
+  setJsonOnce,
+  incr,
+  push,
+  shift,
+  del
+};
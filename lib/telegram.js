@@ -0,0 +1,291 @@
+/**
+ * Truth Gazette - the Telegram bot
+ *
+ * Most of what we check arrives as a forward in a chat app, and plenty of the
+ * people it reaches will never open a website to check it. The bot meets
+ * them where the forward is: send it (or forward it on) a message, a link or
+ * a picture, and it answers in the same chat with the verdict, the sources
+ * that were confirmed, numbered, and a link to the full report.
+ *
+ * Telegram posts each update to /api/bots/telegram, which answers at once and
+ * leaves the check to run here in the background. The reader first gets a
+ * short "checking" reply, which is then edited into the report, so a minute
+ * of silence never looks like the bot is down.
+ *
+ * Every chat is a reader of its own, admitted against the same per-minute
+ * limit and daily quota as a reader of the page. The bot keeps nothing of
+ * its own: what it checks is filed like any other check, and the chat is
+ * known only by its numeric id.
+ *
+ * TELEGRAM_API_BASE points the bot at a stand-in for the Bot API when
+ * testing, the way GEN_API_BASE does for the model.
+ */
+
+const fetchModule = require('node-fetch');
+const fetch = fetchModule.default || fetchModule;
+const store = require('./store');
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+const API_TIMEOUT = 10000;
+// Telegram's own cap on a message, and the page's on a picture
+const MAX_MESSAGE = 4096;
+const MAX_PICTURE_BYTES = 10 * 1024 * 1024;
+// Sources listed in the reply. The full report has the rest.
+const MAX_SOURCES = 5;
+const SUMMARY_CHARS = 350;
+// Telegram sends an update again when it is not acknowledged in time; one
+// that was already taken is not checked twice
+const UPDATE_TTL = 24 * 60 * 60;
+
+const VERDICT_MARKS = { REAL: '✅', FAKE: '❌', UNCERTAIN: '❓' };
+
+const HELP = 'Send me a claim to check: paste the text, send a link, or forward the message or screenshot as you got it. ' +
+  'I fetch every source before I cite it, and I say UNCERTAIN when the evidence does not settle it.';
+
+// What the reader is told when there is no verdict. The claim itself is
+// never judged by a failure.
+const NOTICES = {
+  desk_busy: 'Too many checks from this chat in one minute. Send it again shortly.',
+  day_done: 'That is all of today\'s checks for this chat. The limit resets at midnight UTC.',
+  editor_off_duty: 'The desk has filed as many reports as it can for now. Nothing has been decided about your message; try again in a few minutes.',
+  picture_unreadable: 'I could not download that picture from Telegram. Try sending it again.',
+  picture_too_large: 'That picture is over 10 MB, which is more than I can check.',
+  default: 'The check could not be completed, so there is no verdict. This says nothing about whether the claim is true or false. Try again in a moment.'
+};
+
+function configured() {
+  return !!process.env.TELEGRAM_BOT_TOKEN;
+}
+
+function apiBase() {
+  return (process.env.TELEGRAM_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, '');
+}
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function botFailure(code, message) {
+  const err = new Error(message || code);
+  err.code = code;
+  return err;
+}
+
+// The token is part of every Bot API address, and node-fetch puts the address
+// in its error messages. Nothing that reaches a log goes through without this.
+function redact(message) {
+  const token = process.env.TELEGRAM_BOT_TOKEN;
+  const text = String(message || '');
+  return token ? text.split(token).join('<token>') : text;
+}
+
+async function timed(url, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), API_TIMEOUT);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// One Bot API method. Resolves to its `result`, or throws with Telegram's
+// own description of what it did not like.
+async function callApi(method, body) {
+  let response;
+  try {
+    response = await timed(`${apiBase()}/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+  } catch (err) {
+    throw new Error(`Telegram ${method} failed: ${redact(err.message)}`);
+  }
+  const data = await response.json().catch(() => ({}));
+  if (!data.ok) throw new Error(`Telegram ${method} failed: ${redact(data.description || response.status)}`);
+  return data.result;
+}
+
+// The largest copy of a picture that is still small enough to check, as the
+// data URL the page would have uploaded
+async function downloadPicture(fileId) {
+  let file;
+  try {
+    file = await callApi('getFile', { file_id: fileId });
+  } catch (err) {
+    throw botFailure('picture_unreadable', err.message);
+  }
+  if (file.file_size > MAX_PICTURE_BYTES) throw botFailure('picture_too_large');
+
+  let bytes;
+  try {
+    const response = await timed(`${apiBase()}/file/bot${process.env.TELEGRAM_BOT_TOKEN}/${file.file_path}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    bytes = await response.buffer();
+  } catch (err) {
+    throw botFailure('picture_unreadable', redact(err.message));
+  }
+  if (bytes.length > MAX_PICTURE_BYTES) throw botFailure('picture_too_large');
+  const type = /\.png$/i.test(file.file_path) ? 'image/png' : /\.webp$/i.test(file.file_path) ? 'image/webp' : 'image/jpeg';
+  return `data:${type};base64,${bytes.toString('base64')}`;
+}
+
+/**
+ * What a message asks us to check, in the shape /api/investigate takes: the
+ * text or caption, the first link in it, and the picture's file id (fetched
+ * later, once the reader has been admitted). Null when there is nothing to
+ * check, such as a sticker or a voice note.
+ */
+function submissionFrom(message) {
+  if (!message) return null;
+  const text = message.text || message.caption || '';
+  const entities = message.entities || message.caption_entities || [];
+
+  let url = '';
+  for (const entity of entities) {
+    if (entity.type === 'text_link' && entity.url) { url = entity.url; break; }
+    if (entity.type === 'url') { url = text.slice(entity.offset, entity.offset + entity.length); break; }
+  }
+  if (url && !/^https?:\/\//i.test(url)) url = 'https://' + url;
+
+  // Telegram lists the sizes of a photo smallest first
+  const photos = message.photo || [];
+  const largest = photos.filter(size => !size.file_size || size.file_size <= MAX_PICTURE_BYTES).pop();
+  const document = message.document && /^image\//.test(message.document.mime_type || '') ? message.document : null;
+  const pictureId = largest ? largest.file_id : (document ? document.file_id : null);
+
+  // A message that is only the link is a request to check the page
+  const claimText = text.trim() === url.replace(/^https:\/\//i, '') || text.trim() === url ? '' : text;
+  if (!claimText && !url && !pictureId) return null;
+  return { text: claimText.slice(0, 5000), url, pictureId };
+}
+
+// Plain text out of a report written for the page
+function plain(value, limit) {
+  const text = String(value || '').replace(/<[^>]+>/g, '').replace(/[*_`#]+/g, '').replace(/\s+/g, ' ').trim();
+  return text.length > limit ? text.slice(0, limit - 1).trimEnd() + '…' : text;
+}
+
+/**
+ * The reply: the verdict and confidence, the headline, a line or two of the
+ * report, every confirmed source numbered the way the page numbers them, and
+ * the link to the whole report. Telegram HTML.
+ */
+function replyFor(result, origin) {
+  const verdict = VERDICT_MARKS[result.verdict] ? result.verdict : 'UNCERTAIN';
+  const lines = [`${VERDICT_MARKS[verdict]} <b>${verdict}</b> · ${escapeHtml(result.confidence)}% confidence`];
+  if (result.headline) lines.push(`<b>${escapeHtml(plain(result.headline, 200))}</b>`);
+  const summary = plain(result.analysis, SUMMARY_CHARS);
+  if (summary) lines.push('', escapeHtml(summary));
+
+  const sources = (result.sources || []).filter(source => source && source.url);
+  lines.push('');
+  if (sources.length) {
+    lines.push('<b>Sources we opened and confirmed</b>');
+    sources.slice(0, MAX_SOURCES).forEach((source, index) => {
+      let domain = '';
+      try { domain = new URL(source.url).hostname.replace(/^www\./, ''); } catch (e) { /* shown without */ }
+      const title = plain(source.title || domain || source.url, 90);
+      lines.push(`${index + 1}. <a href="${escapeHtml(source.url)}">${escapeHtml(title)}</a>${domain && title !== domain ? ` (${escapeHtml(domain)})` : ''}`);
+    });
+    if (sources.length > MAX_SOURCES) lines.push(`…and ${sources.length - MAX_SOURCES} more in the full report.`);
+  } else {
+    lines.push('No source could be opened and confirmed, so none is cited.');
+  }
+
+  const permalink = result._meta && result._meta.permalink;
+  if (permalink) lines.push('', `Full report: ${escapeHtml(origin + permalink)}`);
+  lines.push('', '<i>A verdict is where checking starts, not a final ruling.</i>');
+
+  const reply = lines.join('\n');
+  return reply.length > MAX_MESSAGE ? reply.slice(0, MAX_MESSAGE - 1) + '…' : reply;
+}
+
+function noticeFor(err) {
+  if (err && err.status === 400) return `I could not check that: ${err.message}`;
+  return NOTICES[err && err.code] || NOTICES.default;
+}
+
+async function send(chatId, text, replyTo) {
+  return callApi('sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    link_preview_options: { is_disabled: true },
+    ...(replyTo ? { reply_parameters: { message_id: replyTo, allow_sending_without_reply: true } } : {})
+  });
+}
+
+// The "checking" reply becomes the report. When it cannot be edited (it was
+// deleted, or never got sent) the report goes out as a reply of its own.
+async function deliver(chatId, placeholder, text, replyTo) {
+  if (placeholder) {
+    try {
+      await callApi('editMessageText', {
+        chat_id: chatId,
+        message_id: placeholder.message_id,
+        text,
+        parse_mode: 'HTML',
+        link_preview_options: { is_disabled: true }
+      });
+      return;
+    } catch (err) {
+      console.warn('[telegram] could not edit the placeholder:', err.message);
+    }
+  }
+  await send(chatId, text, replyTo);
+}
+
+/**
+ * Handles one update from Telegram. check(submission) is runInvestigation
+ * with the reader's language; admit(chatId) is admitReader for this chat.
+ * origin is the site's address, for the report link. Never throws: whatever
+ * happens, the reader is told or the failure is logged.
+ */
+async function handleUpdate(update, { check, admit, origin }) {
+  const message = update && (update.message || update.channel_post);
+  if (!message || !message.chat) return;
+  const chatId = message.chat.id;
+  const replyTo = message.message_id;
+
+  try {
+    // With the store down nothing can say whether this update was taken
+    // already, so it is dropped rather than risk answering it twice
+    if (update.update_id != null && !(await store.setJsonOnce(`telegram:update:${update.update_id}`, 1, UPDATE_TTL))) return;
+
+    if (/^\/(start|help)\b/.test(message.text || '')) {
+      await send(chatId, escapeHtml(HELP), replyTo);
+      return;
+    }
+    const submission = submissionFrom(message);
+    if (!submission) {
+      await send(chatId, escapeHtml(HELP), replyTo);
+      return;
+    }
+
+    let placeholder = null;
+    try {
+      await admit(chatId);
+      placeholder = await send(chatId, 'Checking this now. It takes up to a minute.', replyTo).catch(() => null);
+      const image = submission.pictureId ? await downloadPicture(submission.pictureId) : null;
+      const language = message.from && message.from.language_code ? message.from.language_code : '';
+      const { result } = await check({ text: submission.text, url: submission.url, image, language });
+      await deliver(chatId, placeholder, replyFor(result, origin), replyTo);
+    } catch (err) {
+      if (!err.status && !NOTICES[err.code]) console.error('[telegram] check failed:', err);
+      await deliver(chatId, placeholder, escapeHtml(noticeFor(err)), replyTo);
+    }
+  } catch (err) {
+    console.error(`[telegram] could not answer chat ${chatId}:`, err.message);
+  }
+}
+
+module.exports = {
+  configured,
+  submissionFrom,
+  replyFor,
+  handleUpdate
+};
@@ -0,0 +1,117 @@
+/**
+ * Truth Gazette - /api/v1 contract
+ *
+ * The browser endpoint returns whatever the newspaper page happens to need,
+ * and that changes whenever the page does. Partners get this instead: an
+ * explicit, field-by-field copy of the report, so new internals only reach
+ * /api/v1 when someone adds them here on purpose. Keep lib/openapi.json in
+ * step with every change to this file.
+ */
+
+// Every v1 error carries a code. The first four are the ones the newspaper
+// page already understands; the rest only exist on this surface.
+const CODE_FOR_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  404: 'not_found',
+  405: 'bad_request',
+  429: 'desk_busy',
+  500: 'press_failure',
+  502: 'press_failure',
+  503: 'editor_off_duty'
+};
+
+function presentSource(source) {
+  return {
+    title: source.title || '',
+    url: source.url,
+    snippet: source.snippet || '',
+    verifiedAt: source.verifiedAt || null,
+    publishedAt: source.publishedAt || null,
+    modifiedAt: source.modifiedAt || null,
+    outdated: typeof source.outdated === 'boolean' ? source.outdated : null,
+    snippetMatch: source.snippetMatch || null,
+    relevance: source.relevance ?? null,
+    outlet: source.outlet || null
+  };
+}
+
+// One item of a split message: the claim as the desk worded it, and its own
+// verdict, findings and sources. The full report is at its permalink.
+function presentClaim(item) {
+  return {
+    claim: item.claim,
+    id: item.checkId || null,
+    permalink: item.permalink || null,
+    checked: !item.incomplete,
+    verdict: item.verdict,
+    confidence: item.confidence,
+    headline: item.headline || '',
+    analysis: item.analysis || '',
+    sources: (item.sources || []).map(presentSource),
+    outdatedEvidence: item.outdatedEvidence || null,
+    priorReviews: item.priorReviews || []
+  };
+}
+
+function presentCheck(result) {
+  if (!result) return null;
+  const meta = result._meta || {};
+  const tactic = result.tactic
+    ? { name: result.tactic.name, explanation: result.tactic.explanation, spotItNext: result.tactic.spotItNext || '' }
+    : null;
+
+  return {
+    id: meta.checkId || null,
+    permalink: meta.permalink || null,
+    verdict: result.verdict,
+    confidence: result.confidence,
+    confidenceReason: result.confidenceReason || '',
+    headline: result.headline || '',
+    analysis: result.analysis || '',
+    keyFactors: result.keyFactors || [],
+    tactic,
+    sources: (result.sources || []).map(presentSource),
+    claims: Array.isArray(result.claims) ? result.claims.map(presentClaim) : null,
+    outdatedEvidence: result.outdatedEvidence || null,
+    imageSeenBefore: result.imageSeenBefore || null,
+    aboutPicture: result.aboutPicture || null,
+    priorReviews: result.priorReviews || [],
+    fromPriorReview: !!meta.fromPriorReview,
+    sourceCounts: {
+      verified: meta.verifiedSourceCount || 0,
+      unverified: meta.unverifiedSourceCount || 0,
+      withheld: meta.withheldSourceCount || 0,
+      offTopic: meta.offTopicSourceCount || 0,
+      dated: meta.datedSourceCount || 0,
+      outdated: meta.outdatedSourceCount || 0
+    },
+    analysisDate: meta.analysisDate || null,
+    language: meta.language || 'en',
+    lastVerifiedAt: meta.lastVerifiedAt || null,
+    cachedAt: meta.cachedAt || null
+  };
+}
+
+function presentError(err) {
+  const status = err && err.status ? err.status : 500;
+  const body = {
+    error: err && err.status ? err.message : 'The edition did not make it to press.',
+    code: (err && err.code) || CODE_FOR_STATUS[status] || 'press_failure'
+  };
+  if (err && err.retryAfter) body.retry_after = err.retryAfter;
+  return { status, body };
+}
+
+function sendError(res, err) {
+  if (!err || !err.status) console.error('[v1] error:', err);
+  const { status, body } = presentError(err);
+  if (body.retry_after) res.setHeader('Retry-After', String(body.retry_after));
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  presentCheck,
+  presentError,
+  sendError
+};
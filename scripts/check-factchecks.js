@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Truth Gazette - check the prior fact-check corpus
+ *
+ *   node scripts/check-factchecks.js
+ *
+ * Matches a denial of every review in the corpus (lib/factchecks.js, plus
+ * any dumps listed in FACTCHECK_CORPUS) against the corpus itself. "5G mobile
+ * networks do not spread COVID-19" shares nearly every word with the myth it
+ * denies, and a review rated False must never settle it as FAKE. Exits 1 and
+ * lists the denials that matched, so a change to the matching or a new dump
+ * can be tried before it is deployed.
+ */
+
+const factchecks = require('../lib/factchecks');
+
+// Put as a reader would, for the records in the bundled corpus
+const WRITTEN_DENIALS = [
+  '5G mobile networks do not spread COVID-19',
+  '5G mobile networks are unable to spread COVID-19',
+  'It is false that 5G mobile networks spread COVID-19',
+  'Drinking methanol, ethanol or bleach does not prevent or cure COVID-19',
+  'Houseflies do not transmit COVID-19'
+];
+
+const AUXILIARIES = /\b(is|are|was|were|can|could|will|would|should|may|might|must|has|have|had|does|do|did)\b/i;
+const NEGATION = /\b(not|no|never|nor)\b\s*|n't\b/i;
+
+// The same claim the other way round. A claim that already denies something
+// is turned back into the assertion; otherwise a "not" goes after the first
+// auxiliary, and every claim is also tried behind "It is not true that" and
+// "It is false that", which carry no negation word at all.
+function denialsOf(claim) {
+  if (NEGATION.test(claim)) return [claim.replace(new RegExp(NEGATION.source, 'gi'), '').replace(/\s+/g, ' ').trim()];
+  const lowered = `${claim.charAt(0).toLowerCase()}${claim.slice(1)}`;
+  const denials = [`It is not true that ${lowered}`, `It is false that ${lowered}`];
+  if (AUXILIARIES.test(claim)) denials.push(claim.replace(AUXILIARIES, '$1 not'));
+  return denials;
+}
+
+const reviews = factchecks.reviews();
+if (!reviews.length) {
+  console.error('The corpus is empty.');
+  process.exit(1);
+}
+
+const denials = WRITTEN_DENIALS.concat(...reviews.map(review => denialsOf(review.claimReviewed)));
+const failures = [];
+denials.forEach(denial => {
+  factchecks.lookup(denial).filter(factchecks.settles).forEach(match => {
+    failures.push(`"${denial}" is settled by "${match.claimReviewed}" (${match.score})`);
+  });
+});
+
+console.log(`${reviews.length} review(s), ${denials.length} denial(s) tried.`);
+if (failures.length) {
+  console.log('These denials were settled by the review of the claim they deny:');
+  failures.forEach(line => console.log(`  ${line}`));
+  process.exit(1);
+}
+console.log('No denial was settled by a review of its opposite.');
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Truth Gazette - replay a recorded check
+ *
+ *   node scripts/replay.js fixtures/<id>.json [--stages] [--json]
+ *
+ * Runs the check a fixture was recorded from (see lib/fixtures.js) with the
+ * model and every fetch served from the file, then sets the report beside the
+ * one that was recorded. Exits 1 when the verdict or the printed sources have
+ * changed, so the fixture attached to a bug report becomes the check that the
+ * bug stays fixed.
+ *
+ * --stages prints each stage of the check as it happens; --json prints the
+ * whole replayed report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const file = args.find(arg => !arg.startsWith('--'));
+if (!file) {
+  console.error('Usage: node scripts/replay.js <fixture.json> [--stages] [--json]');
+  process.exit(2);
+}
+
+const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+process.env.FIXTURES = 'replay';
+process.env.FIXTURES_FILE = path.resolve(file);
+// The prompt names the provider's search tool, so replay through the provider
+// that was recorded or no model answer will match
+const recordedModel = (fixture.exchanges || []).find(entry => entry.kind === 'model');
+if (recordedModel) process.env.GEN_PROVIDER = recordedModel.key.split(':')[0];
+
+const { runInvestigation } = require('../api/investigate');
+
+const sourceUrls = (result) => ((result && result.sources) || []).map(source => source.url);
+
+function summary(result) {
+  if (!result) return '(no report)';
+  return `${result.verdict} ${result.confidence}% · ${sourceUrls(result).length} source(s) · ${result.headline || ''}`;
+}
+
+async function main() {
+  const emit = args.includes('--stages')
+    ? (event, data) => console.log(`  ${event} ${JSON.stringify(data)}`)
+    : undefined;
+
+  let replayed;
+  try {
+    replayed = await runInvestigation(fixture.input, { emit });
+  } catch (err) {
+    console.log(`replayed: failed (${err.code || err.name}) ${err.message}`);
+    console.log(`recorded: ${fixture.error ? `failed (${fixture.error.code || fixture.error.name})` : summary(fixture.output && fixture.output.result)}`);
+    return fixture.error && fixture.error.code === err.code ? 0 : 1;
+  }
+
+  const before = fixture.output && fixture.output.result;
+  const after = replayed.result;
+  console.log(`recorded: ${fixture.error ? `failed (${fixture.error.code || fixture.error.name})` : summary(before)}`);
+  console.log(`replayed: ${summary(after)}`);
+  if (args.includes('--json')) console.log(JSON.stringify(replayed, null, 2));
+
+  const same = before && before.verdict === after.verdict &&
+    JSON.stringify(sourceUrls(before)) === JSON.stringify(sourceUrls(after));
+  if (!same) console.log('The report has changed since it was recorded.');
+  return same ? 0 : 1;
+}
+
+main().then(code => process.exit(code), err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -15,6 +15,7 @@ const CACHE = 'truth-gazette-v1';
 const SHELL = [
   '/',
   '/index.html',
+  '/i18n.js',
   '/favicon.svg',
   '/icon-192.png',
   '/icon-512.png',